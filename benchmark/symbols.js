@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Measures reading the symbol tables of a large library: one read per entry (how the symbols were read before), the
+ * chunked reader with and without demangling, a filtered iteration and the whole `parseSymbols`.
+ *
+ * Usage: node benchmark/symbols.js [file...], the Node.js executable by default.
+ */
+import { openByteSource } from '../src/source.js';
+import {
+    iterateSymbols,
+    parseElfHeader,
+    parseElfIdentificationHeader,
+    parseSectionHeaders,
+    parseSections,
+    parseSymbols
+} from '../src/elf.js';
+
+const files = process.argv.length > 2 ? process.argv.slice(2) : [process.execPath];
+
+for (const file of files) {
+    const handle = await openByteSource(file);
+    try {
+        const [, info] = await parseElfIdentificationHeader(handle);
+        const elfHeader = await parseElfHeader(handle, info);
+        const headers = await parseSectionHeaders(handle, info, elfHeader);
+        const sections = await parseSections(handle, headers, elfHeader);
+        const tables = headers.filter(h => h.type === 2 || h.type === 11);
+        console.log(`${file}: ${tables.map(h => `${h._name} ${h.size} bytes`).join(', ')}`);
+
+        await measure('one read per entry', async () => {
+            const entrySize = 4 + 1 + 1 + 2 + info.wordSize * 2;
+            const jobs = [];
+            for (const header of tables) {
+                for (let offset = header.offset + entrySize; offset < header.offset + header.size; offset += entrySize) {
+                    jobs.push(handle.read(new Uint8Array(entrySize), 0, entrySize, offset));
+                }
+            }
+            return (await Promise.all(jobs)).length;
+        });
+        await measure('iterateSymbols, no demangling', () => count(iterateSymbols(handle, { demangle: false })));
+        await measure('iterateSymbols', () => count(iterateSymbols(handle)));
+        await measure('iterateSymbols, defined functions', () => count(iterateSymbols(handle, {
+            filter: symbol => (symbol.info & 0xF) === 2 && symbol.shndx !== 0
+        })));
+        await measure('parseSymbols', async () => (await parseSymbols(handle, info, headers, sections)).list.length);
+    } finally {
+        await handle.close();
+    }
+}
+
+async function count(iterator) {
+    let symbols = 0;
+    for await (const _ of iterator) {
+        ++symbols;
+    }
+    return symbols;
+}
+
+async function measure(name, callback) {
+    globalThis.gc?.();
+    const heap = process.memoryUsage().heapUsed;
+    const start = performance.now();
+    const symbols = await callback();
+    const time = performance.now() - start;
+    const memory = (process.memoryUsage().heapUsed - heap) / 1048576;
+    console.log(`  ${name.padEnd(36)} ${String(symbols).padStart(8)} symbols ${time.toFixed(0).padStart(7)} ms ${memory.toFixed(1).padStart(8)} MiB heap`);
+}
@@ -0,0 +1,793 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { parseArgs } from 'util';
+import {
+    getSegmentSections,
+    parseFile,
+    SectionFlags,
+    SectionTypes,
+    SegmentTypes,
+    SymbolBindings,
+    SymbolTypes,
+    SymbolVisibility
+} from '../src/elf.js';
+import { MachineTypes } from '../src/elf-relocations.js';
+
+const usage = `Usage: node-readelf <option(s)> elf-file(s)
+ Display information about the contents of ELF format files
+ Options are:
+  -a --all               Equivalent to: -h -l -S -s -d -n, the default
+  -h --file-header       Display the ELF file header
+  -l --program-headers   Display the program headers
+     --segments          An alias for --program-headers
+  -S --section-headers   Display the sections' header
+     --sections          An alias for --section-headers
+  -s --syms              Display the symbol table
+     --symbols           An alias for --syms
+  -d --dynamic           Display the dynamic section (if present)
+  -n --notes             Display the core notes (if present)
+  -C --demangle          Decode mangled C++ symbol names
+  -W --wide              Accepted for compatibility, the output is always wide
+     --json              Print JSON instead of text, word-sized values as "0x" strings
+     --help              Display this information
+`;
+
+const machineNames = {
+    [MachineTypes.EM_386]: 'Intel 80386',
+    [MachineTypes.EM_ARM]: 'ARM',
+    [MachineTypes.EM_X86_64]: 'Advanced Micro Devices X86-64',
+    [MachineTypes.EM_AARCH64]: 'AArch64',
+    [MachineTypes.EM_RISCV]: 'RISC-V'
+};
+
+const fileTypes = {
+    0: ['NONE', 'None'],
+    1: ['REL', 'Relocatable file'],
+    2: ['EXEC', 'Executable file'],
+    3: ['DYN', 'Shared object file'],
+    4: ['CORE', 'Core file']
+};
+
+const osAbiNames = {
+    0: 'UNIX - System V',
+    1: 'UNIX - HP-UX',
+    2: 'UNIX - NetBSD',
+    3: 'UNIX - GNU',
+    6: 'UNIX - Solaris',
+    9: 'UNIX - FreeBSD',
+    12: 'UNIX - OpenBSD'
+};
+
+const sectionFlagLetters = [
+    [SectionFlags.SHF_WRITE, 'W'],
+    [SectionFlags.SHF_ALLOC, 'A'],
+    [SectionFlags.SHF_EXECINSTR, 'X'],
+    [SectionFlags.SHF_MERGE, 'M'],
+    [SectionFlags.SHF_STRINGS, 'S'],
+    [SectionFlags.SHF_INFO_LINK, 'I'],
+    [SectionFlags.SHF_LINK_ORDER, 'L'],
+    [SectionFlags.SHF_OS_NONCONFORMING, 'O'],
+    [SectionFlags.SHF_GROUP, 'G'],
+    [SectionFlags.SHF_TLS, 'T'],
+    [SectionFlags.SHF_COMPRESSED, 'C'],
+    [SectionFlags.SHF_EXCLUDE, 'E']
+];
+
+// Flags of the OS and processor specific ranges, named in the key to flags when the file can have them.
+const SHF_GNU_MBIND = 0x01000000;
+const SHF_X86_64_LARGE = 0x10000000;
+
+const specificSectionFlagNames = {
+    R: 'retain',
+    D: 'mbind',
+    l: 'large'
+};
+
+const gnuNoteTypeDescriptions = {
+    NT_GNU_ABI_TAG: 'ABI version tag',
+    NT_GNU_HWCAP: 'DSO-supplied software HWCAP info',
+    NT_GNU_BUILD_ID: 'unique build ID bitstring',
+    NT_GNU_GOLD_VERSION: 'gold version'
+};
+
+// The wording of readelf for GNU properties, the flag properties with the flags they hold.
+const gnuPropertyLabels = {
+    GNU_PROPERTY_STACK_SIZE: 'stack size',
+    GNU_PROPERTY_NO_COPY_ON_PROTECTED: 'no copy on protected',
+    GNU_PROPERTY_1_NEEDED: '1_needed',
+    GNU_PROPERTY_X86_FEATURE_1_AND: 'x86 feature',
+    GNU_PROPERTY_X86_FEATURE_2_NEEDED: 'x86 feature needed',
+    GNU_PROPERTY_X86_FEATURE_2_USED: 'x86 feature used',
+    GNU_PROPERTY_X86_ISA_1_NEEDED: 'x86 ISA needed',
+    GNU_PROPERTY_X86_ISA_1_USED: 'x86 ISA used',
+    GNU_PROPERTY_AARCH64_FEATURE_1_AND: 'AArch64 feature'
+};
+
+// Other flags print as the end of their name, like `IBT` or `LAM_U48`.
+const gnuPropertyFlagNames = {
+    GNU_PROPERTY_1_NEEDED_INDIRECT_EXTERN_ACCESS: 'indirect external access',
+    GNU_PROPERTY_X86_FEATURE_2_X86: 'x86',
+    GNU_PROPERTY_X86_FEATURE_2_X87: 'x87',
+    GNU_PROPERTY_X86_ISA_1_BASELINE: 'x86-64-baseline',
+    GNU_PROPERTY_X86_ISA_1_V2: 'x86-64-v2',
+    GNU_PROPERTY_X86_ISA_1_V3: 'x86-64-v3',
+    GNU_PROPERTY_X86_ISA_1_V4: 'x86-64-v4'
+};
+
+// The properties printed without `<None>` when no flag is set.
+const gnuPropertiesWithoutNone = new Set([
+    'GNU_PROPERTY_X86_ISA_1_NEEDED',
+    'GNU_PROPERTY_X86_ISA_1_USED',
+    'GNU_PROPERTY_AARCH64_FEATURE_1_AND'
+]);
+
+const dynamicStringLabels = {
+    DT_NEEDED: 'Shared library',
+    DT_SONAME: 'Library soname',
+    DT_RPATH: 'Library rpath',
+    DT_RUNPATH: 'Library runpath',
+    DT_AUXILIARY: 'Auxiliary library',
+    DT_FILTER: 'Filter library',
+    DT_CONFIG: 'Configuration file',
+    DT_AUDIT: 'Audit library',
+    DT_DEPAUDIT: 'Dependency audit library'
+};
+
+const dynamicSizeTags = new Set([
+    'DT_PLTRELSZ', 'DT_RELASZ', 'DT_RELAENT', 'DT_STRSZ', 'DT_SYMENT', 'DT_RELSZ', 'DT_RELENT', 'DT_INIT_ARRAYSZ',
+    'DT_FINI_ARRAYSZ', 'DT_PREINIT_ARRAYSZ', 'DT_RELRSZ', 'DT_RELRENT', 'DT_SYMINSZ', 'DT_SYMINENT', 'DT_MOVEENT',
+    'DT_MOVESZ', 'DT_PLTPADSZ'
+]);
+
+const dynamicCountTags = new Set(['DT_RELACOUNT', 'DT_RELCOUNT', 'DT_VERDEFNUM', 'DT_VERNEEDNUM']);
+
+// Tags that mean something by being present, their value is ignored.
+const dynamicMarkerTags = new Set(['DT_SYMBOLIC', 'DT_TEXTREL', 'DT_BIND_NOW']);
+
+const displays = ['header', 'segments', 'sections', 'symbols', 'dynamic', 'notes'];
+
+// Like readelf, stop quietly when the reader goes away, as in `node-readelf -s file | head`.
+process.stdout.on('error', e => {
+    if (e.code !== 'EPIPE') {
+        throw e;
+    }
+    process.exit();
+});
+
+await main(process.argv.slice(2));
+
+async function main(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                'all': { type: 'boolean', short: 'a' },
+                'file-header': { type: 'boolean', short: 'h' },
+                'program-headers': { type: 'boolean', short: 'l' },
+                'segments': { type: 'boolean' },
+                'section-headers': { type: 'boolean', short: 'S' },
+                'sections': { type: 'boolean' },
+                'syms': { type: 'boolean', short: 's' },
+                'symbols': { type: 'boolean' },
+                'dynamic': { type: 'boolean', short: 'd' },
+                'notes': { type: 'boolean', short: 'n' },
+                'demangle': { type: 'boolean', short: 'C' },
+                'wide': { type: 'boolean', short: 'W' },
+                'json': { type: 'boolean' },
+                'help': { type: 'boolean' }
+            }
+        });
+    } catch (e) {
+        process.stderr.write(`node-readelf: Error: ${e.message}\n${usage}`);
+        process.exitCode = 1;
+        return;
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        process.stdout.write(usage);
+        return;
+    }
+    if (positionals.length === 0) {
+        process.stderr.write(`node-readelf: Warning: Nothing to do.\n${usage}`);
+        process.exitCode = 1;
+        return;
+    }
+    const selected = new Set();
+    const select = (name, ...flags) => flags.some(flag => values[flag]) && selected.add(name);
+    select('header', 'file-header');
+    select('segments', 'program-headers', 'segments');
+    select('sections', 'section-headers', 'sections');
+    select('symbols', 'syms', 'symbols');
+    select('dynamic', 'dynamic');
+    select('notes', 'notes');
+    if (values.all || selected.size === 0) {
+        displays.forEach(name => selected.add(name));
+    }
+    const options = { selected, demangle: values.demangle ?? false };
+
+    const results = [];
+    for (const file of positionals) {
+        let elf;
+        try {
+            elf = await readFile(file);
+        } catch (e) {
+            process.stderr.write(`node-readelf: Error: ${file}: ${e.message}\n`);
+            process.exitCode = 1;
+            continue;
+        }
+        if (values.json) {
+            results.push(describeFile(file, elf, options));
+        } else {
+            const lines = [];
+            if (positionals.length > 1) {
+                lines.push('', `File: ${file}`);
+            }
+            printFile(lines, elf, options);
+            process.stdout.write(lines.join('\n') + '\n');
+        }
+    }
+    if (values.json && results.length > 0) {
+        const value = positionals.length === 1 ? results[0] : results;
+        process.stdout.write(JSON.stringify(value, replaceJsonValue, 2) + '\n');
+    }
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<object>} The parsed file, with the `interpreter` requested by PT_INTERP, if any.
+ */
+async function readFile(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const elf = await parseFile(handle);
+        elf.interpreter = null;
+        const segment = elf.header.ph.find(h => h.type === SegmentTypes.PT_INTERP);
+        if (segment != null) {
+            const buffer = new Uint8Array(segment.filesz);
+            const { bytesRead } = await handle.read(buffer, 0, buffer.byteLength, segment.offset);
+            elf.interpreter = Buffer.from(buffer.subarray(0, bytesRead)).toString().replace(/\0.*$/s, '');
+        }
+        return elf;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Makes the parts of the object model JSON can't represent into strings: bigints become hexadecimal, so that
+ * addresses read the same as in the text output, and byte arrays become hexadecimal digits.
+ */
+function replaceJsonValue(key, value) {
+    if (typeof value === 'bigint') {
+        return `0x${value.toString(16)}`;
+    }
+    if (value instanceof Uint8Array) {
+        return Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('hex');
+    }
+    return value;
+}
+
+/**
+ * @param {string} file
+ * @param {object} elf As returned by parseFile().
+ * @param {{selected: Set<string>, demangle: boolean}} options
+ * @returns {object} The selected parts of the file, with a layout independent of the object model.
+ */
+function describeFile(file, elf, options) {
+    const result = { file };
+    const e = elf.header.e;
+    const { EI } = elf.header;
+    if (options.selected.has('header')) {
+        result.header = {
+            class: elf.info.bit64 ? 'ELF64' : 'ELF32',
+            data: elf.info.littleEndian ? 'little-endian' : 'big-endian',
+            version: EI.VERSION,
+            osAbi: EI.OSABI,
+            abiVersion: EI.ABIVERSION,
+            type: e.type,
+            typeName: getFileType(elf)[0],
+            machine: e.machine,
+            machineName: machineNames[e.machine] ?? null,
+            entry: e.entry,
+            phoff: BigInt(e.phoff),
+            shoff: BigInt(e.shoff),
+            flags: e.flags,
+            ehsize: e.ehsize,
+            phentsize: e.phentsize,
+            phnum: e.phnum,
+            shentsize: e.shentsize,
+            shnum: e.shnum,
+            shstrndx: e.shstrndx
+        };
+    }
+    if (options.selected.has('segments')) {
+        result.programHeaders = elf.header.ph.map(h => ({
+            type: h.type,
+            typeName: getName(SegmentTypes, h.type, 'PT_'),
+            flags: h.flags,
+            offset: BigInt(h.offset),
+            vaddr: h.vaddr,
+            paddr: h.paddr,
+            filesz: BigInt(h.filesz),
+            memsz: h.memsz,
+            align: h.align,
+            sections: getSegmentSections(elf.header.sh, h).map(s => s._name),
+            interpreter: h.type === SegmentTypes.PT_INTERP ? elf.interpreter : null
+        }));
+    }
+    if (options.selected.has('sections')) {
+        result.sections = elf.header.sh.map(h => ({
+            index: h._index,
+            name: h._name ?? '',
+            type: h.type,
+            typeName: getSectionTypeName(h.type),
+            flags: h.flags,
+            flagLetters: getSectionFlagLetters(h.flags, elf),
+            addr: h.addr,
+            offset: BigInt(h.offset),
+            size: BigInt(h.size),
+            entsize: BigInt(h.entsize),
+            link: h.link,
+            info: h.info,
+            addralign: h.addralign
+        }));
+    }
+    if (options.selected.has('symbols')) {
+        result.symbols = getSymbolTables(elf).map(([section, symbols]) => ({
+            section: section._name,
+            symbols: symbols.map((symbol, index) => ({
+                index,
+                name: symbol._name ?? '',
+                demangled: symbol.demangled ?? null,
+                version: symbol._version?.name ?? null,
+                value: symbol.value,
+                size: symbol.size,
+                type: getName(SymbolTypes, symbol.info & 0xF, 'STT_'),
+                bind: getName(SymbolBindings, symbol.info >> 4, 'STB_'),
+                visibility: getName(SymbolVisibility, symbol.other & 0x3, 'STV_'),
+                shndx: symbol.shndx,
+                section: symbol.shndx !== 0 && symbol.shndx < 0xFF00 ? elf.header.sh[symbol.shndx]?._name ?? null : null
+            }))
+        }));
+    }
+    if (options.selected.has('dynamic')) {
+        result.dynamic = elf.dynamic == null ? null : elf.dynamic.entries.map(entry => ({
+            tag: entry.tag,
+            name: entry._name,
+            value: entry.value,
+            decoded: typeof entry._value === 'bigint' ? null : entry._value
+        }));
+    }
+    if (options.selected.has('notes')) {
+        result.notes = elf.notes.list.map(note => ({
+            section: note._section,
+            offset: BigInt(note._offset),
+            owner: note.owner,
+            type: note.type,
+            typeName: note._type,
+            descriptor: note.descriptor,
+            decoded: note._value instanceof Uint8Array ? null : note._value
+        }));
+    }
+    return result;
+}
+
+/**
+ * @param {Array<string>} lines
+ * @param {object} elf As returned by parseFile().
+ * @param {{selected: Set<string>, demangle: boolean}} options
+ */
+function printFile(lines, elf, options) {
+    const { selected } = options;
+    if (selected.has('header')) {
+        printHeader(lines, elf);
+    }
+    if (selected.has('sections')) {
+        printSections(lines, elf, !selected.has('header'));
+    }
+    if (selected.has('segments')) {
+        printSegments(lines, elf, !selected.has('header'));
+    }
+    if (selected.has('dynamic')) {
+        printDynamic(lines, elf);
+    }
+    if (selected.has('symbols')) {
+        printSymbols(lines, elf, options.demangle);
+    }
+    if (selected.has('notes')) {
+        printNotes(lines, elf);
+    }
+}
+
+function printHeader(lines, elf) {
+    const e = elf.header.e;
+    const { EI } = elf.header;
+    const magic = [
+        0x7F, 0x45, 0x4C, 0x46, EI.CLASS, EI.DATA, EI.VERSION, EI.OSABI, EI.ABIVERSION, 0, 0, 0, 0, 0, 0, 0
+    ].map(b => hex(b, 2)).join(' ');
+    const [typeName, typeDescription] = getFileType(elf);
+    const field = (name, value) => lines.push(`  ${`${name}:`.padEnd(35)}${value}`);
+    lines.push('ELF Header:');
+    lines.push(`  Magic:   ${magic} `);
+    field('Class', elf.info.bit64 ? 'ELF64' : 'ELF32');
+    field('Data', `2's complement, ${elf.info.littleEndian ? 'little' : 'big'} endian`);
+    field('Version', `${EI.VERSION}${EI.VERSION === 1 ? ' (current)' : ''}`);
+    field('OS/ABI', osAbiNames[EI.OSABI] ?? `<unknown: ${EI.OSABI.toString(16)}>`);
+    field('ABI Version', EI.ABIVERSION);
+    field('Type', `${typeName} (${typeDescription})`);
+    field('Machine', machineNames[e.machine] ?? `<unknown>: 0x${e.machine.toString(16)}`);
+    field('Version', `0x${e.version.toString(16)}`);
+    field('Entry point address', `0x${e.entry.toString(16)}`);
+    field('Start of program headers', `${e.phoff} (bytes into file)`);
+    field('Start of section headers', `${e.shoff} (bytes into file)`);
+    field('Flags', `0x${e.flags.toString(16)}`);
+    field('Size of this header', `${e.ehsize} (bytes)`);
+    field('Size of program headers', `${e.phentsize} (bytes)`);
+    field('Number of program headers', e.phnum);
+    field('Size of section headers', `${e.shentsize} (bytes)`);
+    field('Number of section headers', e.shnum);
+    field('Section header string table index', e.shstrndx);
+}
+
+function printSections(lines, elf, preamble) {
+    const { sh } = elf.header;
+    if (sh.length === 0) {
+        lines.push('', 'There are no sections in this file.');
+        return;
+    }
+    const addressWidth = elf.info.bit64 ? 16 : 8;
+    if (preamble) {
+        lines.push(`There are ${sh.length} section headers, starting at offset 0x${elf.header.e.shoff.toString(16)}:`);
+    }
+    lines.push('', sh.length > 1 ? 'Section Headers:' : 'Section Header:');
+    lines.push(`  [Nr] Name              Type            ${'Address'.padEnd(addressWidth)} Off    Size   ES Flg Lk Inf Al`);
+    for (const h of sh) {
+        lines.push([
+            `  [${String(h._index).padStart(2)}] ${(h._name ?? '').padEnd(17)}`,
+            getSectionTypeName(h.type).padEnd(15),
+            hex(h.addr, addressWidth),
+            hex(h.offset, 6),
+            hex(h.size, 6),
+            hex(h.entsize, 2),
+            getSectionFlagLetters(h.flags, elf).padStart(3),
+            String(h.link).padStart(2),
+            String(h.info).padStart(3),
+            String(h.addralign).padStart(2)
+        ].join(' '));
+    }
+    lines.push('Key to Flags:');
+    lines.push('  W (write), A (alloc), X (execute), M (merge), S (strings), I (info),');
+    lines.push('  L (link order), O (extra OS processing required), G (group), T (TLS),');
+    lines.push('  C (compressed), x (unknown), o (OS specific), E (exclude),');
+    const specific = getSectionFlagTable(elf)
+        .filter(([, letter]) => Object.hasOwn(specificSectionFlagNames, letter))
+        .map(([, letter]) => `${letter} (${specificSectionFlagNames[letter]}), `);
+    lines.push(`  ${specific.join('')}p (processor specific)`);
+}
+
+function printSegments(lines, elf, preamble) {
+    const { ph } = elf.header;
+    if (ph.length === 0) {
+        lines.push('', 'There are no program headers in this file.');
+        return;
+    }
+    const addressWidth = elf.info.bit64 ? 16 : 8;
+    if (preamble) {
+        const [typeName, typeDescription] = getFileType(elf);
+        lines.push('', `Elf file type is ${typeName} (${typeDescription})`);
+        lines.push(`Entry point 0x${elf.header.e.entry.toString(16)}`);
+        lines.push(`There are ${ph.length} program headers, starting at offset ${elf.header.e.phoff}`);
+    }
+    lines.push('', 'Program Headers:');
+    lines.push(`  Type           Offset   ${'VirtAddr'.padEnd(addressWidth + 2)} ${'PhysAddr'.padEnd(addressWidth + 2)} FileSiz  MemSiz   Flg Align`);
+    for (const h of ph) {
+        const flags = `${h.flags & 4 ? 'R' : ' '}${h.flags & 2 ? 'W' : ' '}${h.flags & 1 ? 'E' : ' '}`;
+        lines.push([
+            `  ${getName(SegmentTypes, h.type, 'PT_').padEnd(14)}`,
+            `0x${hex(h.offset, 6)}`,
+            `0x${hex(h.vaddr, addressWidth)}`,
+            `0x${hex(h.paddr, addressWidth)}`,
+            `0x${hex(h.filesz, 6)}`,
+            `0x${hex(h.memsz, 6)}`,
+            flags,
+            `0x${h.align.toString(16)}`
+        ].join(' '));
+        if (h.type === SegmentTypes.PT_INTERP && elf.interpreter != null) {
+            lines.push(`      [Requesting program interpreter: ${elf.interpreter}]`);
+        }
+    }
+    if (elf.header.sh.length === 0) {
+        return;
+    }
+    lines.push('', ' Section to Segment mapping:', '  Segment Sections...');
+    ph.forEach((h, index) => {
+        const names = getSegmentSections(elf.header.sh, h).map(s => `${s._name} `).join('');
+        lines.push(`   ${String(index).padStart(2, '0')}     ${names}`);
+    });
+}
+
+function printDynamic(lines, elf) {
+    if (elf.dynamic == null) {
+        lines.push('', 'There is no dynamic section in this file.');
+        return;
+    }
+    const { entries } = elf.dynamic;
+    const section = elf.header.sh.find(h => h.type === SectionTypes.SHT_DYNAMIC);
+    const offset = section?.offset ?? elf.header.ph.find(h => h.type === SegmentTypes.PT_DYNAMIC)?.offset ?? 0;
+    const tagWidth = elf.info.bit64 ? 16 : 8;
+    lines.push('', `Dynamic section at offset 0x${offset.toString(16)} contains ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}:`);
+    lines.push('  Tag        Type                         Name/Value');
+    for (const entry of entries) {
+        const tag = BigInt.asUintN(tagWidth * 4, BigInt(entry.tag));
+        const name = entry._name ?? `0x${entry.tag.toString(16)}`;
+        lines.push(` 0x${hex(tag, tagWidth)} ${`(${name.replace(/^DT_/, '')})`.padEnd(20)} ${formatDynamicValue(entry)}`);
+    }
+}
+
+function formatDynamicValue(entry) {
+    const name = entry._name;
+    if (name in dynamicStringLabels) {
+        return `${dynamicStringLabels[name]}: [${entry._value}]`;
+    }
+    if (name === 'DT_FLAGS') {
+        return entry._value.map(flag => flag.replace(/^DF_/, '')).join(' ');
+    }
+    if (name === 'DT_FLAGS_1' || name === 'DT_POSFLAG_1' || name === 'DT_FEATURE_1') {
+        return `Flags: ${entry._value.map(flag => flag.replace(/^DF_1_|^DF_P1_|^DTF_1_/, '')).join(' ')}`;
+    }
+    if (name === 'DT_PLTREL') {
+        return entry._value?.replace(/^DT_/, '') ?? `0x${entry.value.toString(16)}`;
+    }
+    if (dynamicSizeTags.has(name)) {
+        return `${entry.value} (bytes)`;
+    }
+    if (dynamicMarkerTags.has(name)) {
+        return '';
+    }
+    if (dynamicCountTags.has(name)) {
+        return `${entry.value}`;
+    }
+    return `0x${entry.value.toString(16)}`;
+}
+
+function printSymbols(lines, elf, demangle) {
+    const valueWidth = elf.info.bit64 ? 16 : 8;
+    for (const [section, symbols] of getSymbolTables(elf)) {
+        lines.push('', `Symbol table '${section._name}' contains ${symbols.length} ${symbols.length === 1 ? 'entry' : 'entries'}:`);
+        lines.push(`   Num:    ${'Value'.padEnd(valueWidth - 1)}Size Type    Bind   Vis      Ndx Name`);
+        symbols.forEach((symbol, index) => {
+            let name = (demangle ? symbol.demangled : null) ?? symbol._name ?? '';
+            // Section symbols are usually unnamed, they stand for their section.
+            if (name === '' && (symbol.info & 0xF) === SymbolTypes.STT_SECTION && symbol.shndx < 0xFF00) {
+                name = elf.header.sh[symbol.shndx]?._name ?? '';
+            }
+            const version = symbol._version;
+            if (version?.name != null && symbol._name != null) {
+                if (version.required) {
+                    name += `@${version.name} (${version.index})`;
+                } else if (version.name !== symbol._name) {
+                    // Like readelf, nothing is added to the symbols defining a version, like `GLIBC_2.10` in libc.
+                    name += `${version.hidden ? '@' : '@@'}${version.name}`;
+                }
+            }
+            const size = symbol.size > 99999n ? `0x${symbol.size.toString(16)}` : String(symbol.size);
+            lines.push([
+                `${String(index).padStart(6)}:`,
+                hex(symbol.value, valueWidth),
+                size.padStart(5),
+                getName(SymbolTypes, symbol.info & 0xF, 'STT_', 'GNU_').padEnd(7),
+                getName(SymbolBindings, symbol.info >> 4, 'STB_', 'GNU_').padEnd(6),
+                getName(SymbolVisibility, symbol.other & 0x3, 'STV_').padEnd(7),
+                formatSectionIndex(symbol.shndx).padStart(4),
+                name
+            ].join(' '));
+        });
+    }
+}
+
+function formatSectionIndex(index) {
+    switch (index) {
+        case 0:
+            return 'UND';
+        case 0xFFF1:
+            return 'ABS';
+        case 0xFFF2:
+            return 'COM';
+        default:
+            return String(index);
+    }
+}
+
+function printNotes(lines, elf) {
+    let group = undefined;
+    for (const note of elf.notes.list) {
+        if (note._section !== group) {
+            group = note._section;
+            lines.push('', group != null ? `Displaying notes found in: ${group}` : `Displaying notes found at file offset 0x${hex(note._offset, 8)}`);
+            lines.push('  Owner                Data size \tDescription');
+        }
+        let typeName = note._type ?? `Unknown note type: (0x${hex(note.type, 8)})`;
+        if (note.owner === 'GNU' && Object.hasOwn(gnuNoteTypeDescriptions, typeName)) {
+            typeName += ` (${gnuNoteTypeDescriptions[typeName]})`;
+        }
+        lines.push(`  ${note.owner.padEnd(20)} 0x${hex(note.descriptor.byteLength, 8)}\t${typeName}`);
+        for (const line of formatNote(note)) {
+            lines.push(`    ${line}`);
+        }
+    }
+}
+
+function formatNote(note) {
+    const value = note._value;
+    if (note.owner === 'GNU') {
+        switch (note._type) {
+            case 'NT_GNU_BUILD_ID':
+                return [`Build ID: ${value}`];
+            case 'NT_GNU_ABI_TAG':
+                return value instanceof Uint8Array ? [] : [`OS: ${value.os}, ABI: ${value.kernel}`];
+            case 'NT_GNU_GOLD_VERSION':
+                return [`Version: ${value}`];
+            case 'NT_GNU_PROPERTY_TYPE_0':
+                // One property per line, the following ones indented by a tab.
+                return [`  Properties: ${value.map(formatProperty).join('\n\t')}`];
+        }
+    } else if (note.owner === 'stapsdt' && !(value instanceof Uint8Array)) {
+        return [
+            `Provider: ${value.provider}`,
+            `Name: ${value.name}`,
+            `Location: 0x${value.pc.toString(16)}, Base: 0x${value.base.toString(16)}, Semaphore: 0x${value.semaphore.toString(16)}`,
+            `Arguments: ${value.arguments}`
+        ];
+    }
+    if (note.descriptor.byteLength === 0) {
+        return [];
+    }
+    return [`description data: ${Array.from(note.descriptor, b => hex(b, 2)).join(' ')} `];
+}
+
+function formatProperty(property) {
+    const label = gnuPropertyLabels[property._type];
+    const corrupt = `<corrupt length: 0x${property.data.byteLength.toString(16)}> `;
+    if (property._type === 'GNU_PROPERTY_NO_COPY_ON_PROTECTED') {
+        return `${label} ${property.data.byteLength === 0 ? '' : corrupt}`;
+    }
+    if (typeof property._value === 'bigint') {
+        return `${label}: 0x${property._value.toString(16)}`;
+    }
+    if (Array.isArray(property._value)) {
+        return `${label}: ${formatPropertyFlags(property._type, property._value)}`;
+    }
+    if (label != null) {
+        return `${label}: ${corrupt}`;
+    }
+    let kind = 'application-specific';
+    if (property.type < 0xC0000000) {
+        kind = 'unknown';
+    } else if (property.type < 0xE0000000) {
+        kind = 'processor-specific';
+    }
+    return `<${kind} type 0x${property.type.toString(16)} data: ${Array.from(property.data, b => `${hex(b, 2)} `).join('')}>`;
+}
+
+/**
+ * @param {string} type
+ * @param {Array<string>} names The flag names, with the unknown bits last as a hexadecimal number.
+ */
+function formatPropertyFlags(type, names) {
+    if (names.length === 0) {
+        return gnuPropertiesWithoutNone.has(type) ? '' : '<None>';
+    }
+    const printed = [];
+    for (const name of names) {
+        if (!name.startsWith('0x')) {
+            printed.push(gnuPropertyFlagNames[name] ?? name.replace(/^GNU_PROPERTY_\w+?_[12]_/, ''));
+            continue;
+        }
+        for (let bits = BigInt(name); bits !== 0n; bits &= bits - 1n) {
+            printed.push(`<unknown: ${(bits & -bits).toString(16)}>`);
+        }
+    }
+    return printed.join(', ');
+}
+
+/**
+ * @param {object} elf
+ * @returns {[string, string]} The short name and the description of the file type, as readelf prints them.
+ */
+function getFileType(elf) {
+    const type = elf.header.e.type;
+    if (type === 3 && elf.dynamic?.flags1.includes('DF_1_PIE')) {
+        return ['DYN', 'Position-Independent Executable file'];
+    }
+    return fileTypes[type] ?? [`<unknown>: ${type.toString(16)}`, 'unknown'];
+}
+
+/**
+ * @param {object} elf
+ * @returns {Array<[object, Array<object>]>} Each symbol section and its symbols, by index, including the null symbol.
+ */
+function getSymbolTables(elf) {
+    const tables = new Map();
+    for (const header of elf.header.sh) {
+        if (header.type === SectionTypes.SHT_SYMTAB || header.type === SectionTypes.SHT_DYNSYM) {
+            const section = elf.sections[header._name];
+            const nullSymbol = Object.create(null);
+            Object.assign(nullSymbol, { _name: null, demangled: null, name: 0, value: 0n, size: 0n, info: 0, other: 0, shndx: 0 });
+            tables.set(section, [nullSymbol]);
+        }
+    }
+    for (const symbol of elf.symbols.list) {
+        const symbols = tables.get(symbol._section);
+        symbols[(symbol._offset - symbol._section.header.offset) / symbol._size] = symbol;
+    }
+    return [...tables];
+}
+
+function getSectionTypeName(type) {
+    const name = getName(SectionTypes, type, 'SHT_');
+    // SHT_GNU_verdef, SHT_GNU_verneed and SHT_GNU_versym
+    return name.startsWith('GNU_v') ? name.substring(4).toUpperCase() : name;
+}
+
+/**
+ * @param {object} elf
+ * @returns {Array<[number, string]>} The flags with a letter in the file, in the order of their bits, like readelf.
+ */
+function getSectionFlagTable(elf) {
+    const osAbi = elf.header.EI.OSABI;
+    const table = [...sectionFlagLetters];
+    // ELFOSABI_GNU and ELFOSABI_FREEBSD
+    if (osAbi === 3 || osAbi === 9) {
+        table.push([SectionFlags.SHF_GNU_RETAIN, 'R']);
+    }
+    // ELFOSABI_NONE and ELFOSABI_GNU
+    if (osAbi === 0 || osAbi === 3) {
+        table.push([SHF_GNU_MBIND, 'D']);
+    }
+    if (elf.header.e.machine === MachineTypes.EM_X86_64) {
+        table.push([SHF_X86_64_LARGE, 'l']);
+    }
+    return table.sort(([a], [b]) => a - b);
+}
+
+function getSectionFlagLetters(flags, elf) {
+    let letters = '';
+    let remaining = flags;
+    for (const [bit, letter] of getSectionFlagTable(elf)) {
+        if ((flags & BigInt(bit)) !== 0n) {
+            letters += letter;
+            remaining &= ~BigInt(bit);
+        }
+    }
+    if ((remaining & 0x0FF00000n) !== 0n) {
+        letters += 'o';
+    }
+    if ((remaining & 0xF0000000n) !== 0n) {
+        letters += 'p';
+    }
+    if ((remaining & ~0xFFF00000n) !== 0n) {
+        letters += 'x';
+    }
+    return letters;
+}
+
+/**
+ * @param {object} table A table of constants, like `SectionTypes`.
+ * @param {number} value
+ * @param {...string} prefixes Stripped from the constant name.
+ * @returns {string} The constant name, or the value in hexadecimal.
+ */
+function getName(table, value, ...prefixes) {
+    for (const name in table) {
+        if (table[name] === value) {
+            return prefixes.reduce((result, prefix) => result.startsWith(prefix) ? result.substring(prefix.length) : result, name);
+        }
+    }
+    return `0x${value.toString(16)}`;
+}
+
+function hex(value, width) {
+    return value.toString(16).padStart(width, '0');
+}
@@ -0,0 +1,286 @@
+import fs from 'fs';
+import path from 'path';
+import { DiagnosticCodes, FileBlockError, parseFile, ParseError } from './elf.js';
+import { openByteSource } from './source.js';
+
+const headerSize = 60;
+
+export const ArchiveMagic = {
+    regular: '!<arch>\n',
+    thin: '!<thin>\n'
+};
+
+/**
+ * Parses a static library (an `ar` archive) and the ELF object files in it. Member names are read from the GNU long name
+ * table (`//`) and the BSD inline names (`#1/<length>`). Of a thin archive only the member headers are in the archive,
+ * the members are read from the files they name.
+ * @example
+ * const archive = await parseArchive('libvendor.a');
+ * const member = archive.symbols.map.vendor_init?._member;
+ * @param {string|fs.FileHandle|ArrayBuffer|ArrayBufferView|ByteSource} file A filename, an open file or the archive
+ * contents.
+ * @param {object} [options] Passed to {@link parseFile} for each member, and:
+ * @param {boolean} [options.parse] Parse the ELF members into `elf`, true by default.
+ * @param {string} [options.directory] Where the members of a thin archive are, by default the directory of the archive
+ * file, or the current directory when the archive is not given by name.
+ * @returns {Promise<ElfArchive>} Problems with the archive structure throw a {@link ParseError}, even with
+ * `options.strict` false, which applies to the members only.
+ */
+export async function parseArchive(file, options = {}) {
+    options = { ...options };
+    options.directory ??= typeof file === 'string' ? path.dirname(file) : process.cwd();
+    const handle = await openByteSource(file);
+    try {
+        return await parseArchiveSource(handle, options);
+    } finally {
+        if (handle !== file) {
+            await handle.close();
+        }
+    }
+}
+
+/**
+ * @param {ByteSource} handle
+ * @param {object} options
+ * @returns {Promise<ElfArchive>}
+ */
+async function parseArchiveSource(handle, options) {
+    const { size } = await handle.stat({ bigint: true });
+    const fileSize = Number(size);
+    const magic = (await readArchiveBlock(handle, 0, ArchiveMagic.regular.length, 'archive magic', 'magic')).toString('latin1');
+    if (magic !== ArchiveMagic.regular && magic !== ArchiveMagic.thin) {
+        throw new ParseError('Not an ar archive', { path: 'magic', offset: 0 });
+    }
+    const archive = Object.create(null);
+    archive.thin = magic === ArchiveMagic.thin;
+    archive.members = [];
+    let symbolTable = null;
+    let longNames = null;
+
+    for (let offset = magic.length; offset < fileSize;) {
+        const memberPath = `members[${archive.members.length}]`;
+        const header = await readArchiveBlock(handle, offset, headerSize, 'archive member header', memberPath);
+        if (header.toString('latin1', 58, 60) !== '`\n') {
+            throw new ParseError(`${memberPath}: invalid member header terminator`, { path: memberPath, offset });
+        }
+        let name = header.toString('latin1', 0, 16).trimEnd();
+        const size = parseHeaderNumber(header, 48, 10, 10, `${memberPath}.size`, offset);
+        // The symbol index and the long name table are in the archive, even in a thin one.
+        if (name === '/' || name === '/SYM64/') {
+            symbolTable = Object.create(null);
+            symbolTable.wordSize = name === '/' ? 4 : 8;
+            symbolTable.data = await readArchiveBlock(handle, offset + headerSize, size, 'archive symbol index', name);
+            offset += headerSize + size + size % 2;
+            continue;
+        }
+        if (name === '//') {
+            longNames = await readArchiveBlock(handle, offset + headerSize, size, 'archive long name table', name);
+            offset += headerSize + size + size % 2;
+            continue;
+        }
+        const next = offset + headerSize + (archive.thin ? 0 : size + size % 2);
+        const member = Object.create(null);
+        member._offset = offset;
+        member.offset = archive.thin ? null : offset + headerSize;
+        member.size = size;
+        if (/^\/\d+$/.test(name)) {
+            name = getLongName(longNames, Number(name.substring(1)), `${memberPath}.name`, offset);
+        } else if (/^#1\/\d+$/.test(name)) {
+            const length = Number(name.substring(3));
+            if (length > size) {
+                throw new ParseError(`${memberPath}.name: BSD name length ${length} exceeds the member size ${size}`, {
+                    code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+                    path: `${memberPath}.name`,
+                    offset
+                });
+            }
+            name = (await readArchiveBlock(handle, member.offset, length, 'archive member name', `${memberPath}.name`)).toString('utf8').replace(/\0+$/, '');
+            member.offset += length;
+            member.size -= length;
+        } else if (name.endsWith('/')) {
+            name = name.substring(0, name.length - 1);
+        }
+        // The BSD symbol index (__.SYMDEF) is not read, the members are indexed from their own symbol tables.
+        if (name.startsWith('__.SYMDEF')) {
+            offset = next;
+            continue;
+        }
+        member.name = name;
+        member.date = parseHeaderNumber(header, 16, 12, 10, `${memberPath}.date`, offset);
+        member.uid = parseHeaderNumber(header, 28, 6, 10, `${memberPath}.uid`, offset);
+        member.gid = parseHeaderNumber(header, 34, 6, 10, `${memberPath}.gid`, offset);
+        member.mode = parseHeaderNumber(header, 40, 8, 8, `${memberPath}.mode`, offset);
+        member.path = archive.thin ? path.resolve(options.directory, name) : null;
+        member.elf = null;
+        if (options.parse ?? true) {
+            const content = archive.thin ? await fs.promises.readFile(member.path) : await readArchiveBlock(handle, member.offset, member.size, `archive member [${name}]`, memberPath);
+            if (content.length >= 4 && content.readUInt32BE(0) === 0x7F454C46) {
+                member.elf = await parseFile(content, options);
+            }
+        }
+        archive.members.push(member);
+        offset = next;
+    }
+
+    archive.index = symbolTable != null ? parseSymbolIndex(symbolTable, archive.members) : Object.create(null);
+    archive.symbols = indexMemberSymbols(archive.members);
+    return archive;
+}
+
+/**
+ * @param {{wordSize: number, data: Buffer}} symbolTable The `/` (32-bit) or `/SYM64/` (64-bit) member.
+ * @param {Array<ElfArchiveMember>} members
+ * @returns {object} The members by the names of the symbols they define.
+ */
+function parseSymbolIndex(symbolTable, members) {
+    const { wordSize, data } = symbolTable;
+    const readWord = wordSize === 4 ? ptr => data.readUInt32BE(ptr) : ptr => Number(data.readBigUInt64BE(ptr));
+    const membersByOffset = new Map(members.map(m => [m._offset, m]));
+    const index = Object.create(null);
+    if (data.length < wordSize) {
+        throw new FileBlockError('Insufficient data for the archive symbol index', 0, wordSize, data.length, 'index');
+    }
+    const count = readWord(0);
+    let stringPointer = wordSize * (count + 1);
+    if (stringPointer > data.length) {
+        throw new FileBlockError('Insufficient data for the archive symbol index', 0, stringPointer, data.length, 'index');
+    }
+    for (let i = 0; i < count; ++i) {
+        const end = data.indexOf(0, stringPointer);
+        if (end < 0) {
+            throw new ParseError(`index[${i}]: unterminated symbol name`, { path: `index[${i}]` });
+        }
+        const name = data.toString('utf8', stringPointer, end);
+        stringPointer = end + 1;
+        const memberOffset = readWord(wordSize * (i + 1));
+        const member = membersByOffset.get(memberOffset);
+        if (member == null) {
+            throw new ParseError(`index[${i}]: symbol [${name}] refers to no member at ${memberOffset}`, {
+                code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+                path: `index[${i}]`
+            });
+        }
+        addToMap(index, name, member);
+    }
+    return index;
+}
+
+/**
+ * @param {Array<ElfArchiveMember>} members
+ * @returns {{list: Array<object>, map: object}} The global and weak symbols defined by the members, each with the
+ * member it is in as `_member`.
+ */
+function indexMemberSymbols(members) {
+    const list = [];
+    const map = Object.create(null);
+    for (const member of members) {
+        if (member.elf == null) {
+            continue;
+        }
+        for (const symbol of member.elf.symbols.list) {
+            if (symbol._name == null || !symbol.isDefined() || symbol.isDynamic() || !(symbol.isGlobal() || symbol.isWeak())) {
+                continue;
+            }
+            symbol._member = member;
+            list.push(symbol);
+            addToMap(map, symbol._name, symbol);
+        }
+    }
+    return { list, map };
+}
+
+/**
+ * @param {Buffer|null} longNames
+ * @param {number} offset
+ * @param {string} path
+ * @param {number} headerOffset
+ * @returns {string}
+ */
+function getLongName(longNames, offset, path, headerOffset) {
+    if (longNames == null || offset >= longNames.length) {
+        throw new ParseError(`${path}: long name ${offset} out of the bounds of the long name table`, {
+            code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+            path,
+            offset: headerOffset
+        });
+    }
+    let end = longNames.indexOf('\n', offset);
+    if (end < 0) {
+        end = longNames.length;
+    }
+    const name = longNames.toString('utf8', offset, end);
+    return name.endsWith('/') ? name.substring(0, name.length - 1) : name;
+}
+
+/**
+ * @param {Buffer} header
+ * @param {number} start
+ * @param {number} length
+ * @param {number} radix
+ * @param {string} path
+ * @param {number} offset
+ * @returns {number} The number in the space padded field, 0 for an empty field.
+ */
+function parseHeaderNumber(header, start, length, radix, path, offset) {
+    const text = header.toString('latin1', start, start + length).trim();
+    if (text.length === 0) {
+        return 0;
+    }
+    if (!(radix === 8 ? /^[0-7]+$/ : /^\d+$/).test(text)) {
+        throw new ParseError(`${path}: invalid number [${text}]`, { path, offset });
+    }
+    return parseInt(text, radix);
+}
+
+/**
+ * @param {ByteSource} handle
+ * @param {number} offset
+ * @param {number} size
+ * @param {string} what
+ * @param {string} path
+ * @returns {Promise<Buffer>}
+ */
+async function readArchiveBlock(handle, offset, size, what, path) {
+    const buffer = Buffer.alloc(size);
+    const { bytesRead } = await handle.read(buffer, 0, size, offset);
+    if (bytesRead < size) {
+        throw new FileBlockError(`Insufficient data for ${what}`, offset, size, offset + bytesRead, path);
+    }
+    return buffer;
+}
+
+function addToMap(map, key, value) {
+    if (key in map) {
+        if (!Array.isArray(map[key])) {
+            map[key] = [map[key]];
+        }
+        map[key].push(value);
+    } else {
+        map[key] = value;
+    }
+}
+
+/**
+ * @typedef {object} ElfArchive
+ * @property {boolean} thin The members are not in the archive, only their names.
+ * @property {Array<ElfArchiveMember>} members The members, without the symbol index and the long name table.
+ * @property {object} index The members by the names of the symbols they define, from the archive symbol index (`/` or
+ * `/SYM64/`), as the linker sees them. Empty, if the archive has no index.
+ * @property {{list: Array<object>, map: object}} symbols The global and weak symbols defined by the parsed members,
+ * each with the member it is in as `_member`. The `map` is keyed by the symbol name, a name defined by multiple members
+ * has an array.
+ */
+
+/**
+ * @typedef {object} ElfArchiveMember
+ * @property {number} _offset The file offset of the member header.
+ * @property {string} name
+ * @property {number|null} offset The file offset of the member contents, null in a thin archive.
+ * @property {number} size
+ * @property {number} date
+ * @property {number} uid
+ * @property {number} gid
+ * @property {number} mode
+ * @property {string|null} path The file of the member of a thin archive.
+ * @property {ElfFile|null} elf The parsed member, null if it is not an ELF file or `options.parse` is false.
+ */
@@ -0,0 +1,386 @@
+#include <v8.h>
+#include <node.h>
+#include <uv.h>
+// sys/param.h, included by uv.h, has its own MAX(), which js-helper.h redefines.
+#undef MAX
+#include "js-helper.h"
+#include "config.h"
+#include "callback.h"
+#include "ffi.h"
+#include "memory.h"
+#include <algorithm>
+#include <condition_variable>
+#include <cstring>
+#include <deque>
+#include <map>
+#include <memory>
+#include <mutex>
+#include <thread>
+
+namespace {
+    struct CallbackHandle;
+
+    /**
+     * A call from a foreign thread, waiting for the JavaScript thread to run it.
+     */
+    struct PendingCall {
+        void *result;
+        void **args;
+        bool done = false;
+    };
+
+    struct CallbackHandle {
+        std::shared_ptr<FfiSignature> signature;
+        v8::Isolate *isolate;
+        v8::Global<v8::Context> context;
+        v8::Global<v8::Function> function;
+        // The async resource of the calls queued from other threads, for async_hooks.
+        v8::Global<v8::Object> resource;
+        node::async_context asyncContext;
+        std::thread::id thread;
+        ffi_closure *closure;
+        void *code;
+        bool threadsafe;
+        uv_async_t *async;
+        std::mutex mutex;
+        std::condition_variable condition;
+        std::deque<PendingCall *> queue;
+        // Calls from other threads to a callback that is not threadsafe, reported on the JavaScript thread.
+        size_t rejected = 0;
+        // Set by DestroyCallback(): no more calls are queued, and the ones queued are completed with a zero result.
+        bool closing = false;
+        // The handle is freed when the last of freeCallback() and the running or waiting calls releases it.
+        int references = 1;
+    };
+
+    std::mutex registryMutex;
+    std::map<uintptr_t, CallbackHandle *> registry;
+
+    void ZeroResult(CallbackHandle *callback, void *result) {
+        std::memset(result, 0, GetFfiStorageSize(callback->signature->returns));
+    }
+
+    void RetainCallback(CallbackHandle *callback) {
+        std::lock_guard<std::mutex> lock(callback->mutex);
+        ++callback->references;
+    }
+
+    void ReleaseCallback(CallbackHandle *callback) {
+        bool last;
+        {
+            std::lock_guard<std::mutex> lock(callback->mutex);
+            last = --callback->references == 0;
+        }
+        if (last) {
+            ffi_closure_free(callback->closure);
+            delete callback;
+        }
+    }
+
+    /**
+     * Runs the JavaScript function on its own thread. An exception thrown during a synchronous ffiCall() is rethrown
+     * by that call, any other is reported as uncaught. Either way the native caller gets a zero result.
+     */
+    void InvokeFunction(CallbackHandle *callback, void *result, void **args) {
+        auto isolate = callback->isolate;
+        v8::HandleScope scope(isolate);
+        auto context = callback->context.Get(isolate);
+        v8::Context::Scope contextScope(context);
+        v8::TryCatch tryCatch(isolate);
+        const auto &signature = *callback->signature;
+        std::vector<v8::Local<v8::Value>> argv;
+        argv.reserve(signature.args.size());
+        for (size_t i = 0; i < signature.args.size(); ++i) {
+            argv.push_back(FfiNativeToValue(isolate, signature.args[i], args[i], false));
+        }
+        auto maybeValue = callback->function.Get(isolate)->Call(context, v8::Undefined(isolate), static_cast<int>(argv.size()), argv.data());
+        v8::Local<v8::Value> value;
+        if (maybeValue.ToLocal(&value) && FfiValueToNative(isolate, context, signature.returns, value, result, true, "callback return value")) {
+            return;
+        }
+        ZeroResult(callback, result);
+        if (!tryCatch.HasCaught() || !tryCatch.CanContinue()) {
+            return;
+        }
+        if (FfiCallScope::IsActive()) {
+            FfiCallScope::SetException(isolate, tryCatch.Exception());
+        } else {
+            node::FatalException(isolate, tryCatch);
+        }
+    }
+
+    /**
+     * Reports the calls rejected by Trampoline() as an uncaught exception.
+     */
+    void ReportRejectedCalls(CallbackHandle *callback, size_t rejected) {
+        auto isolate = callback->isolate;
+        v8::HandleScope scope(isolate);
+        auto context = callback->context.Get(isolate);
+        v8::Context::Scope contextScope(context);
+        v8::TryCatch tryCatch(isolate);
+        auto address = v8::BigInt::NewFromUnsigned(isolate, reinterpret_cast<uintptr_t>(callback->code));
+        auto count = v8::Number::New(isolate, static_cast<double>(rejected));
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToDetailString(context, "Callback ", address.As<v8::Value>(), " was called ", count, " time(s) from a thread other than the one that created it, and returned zero; create it with { threadsafe: true } to queue such calls"));
+        // Outside of a function call the exception would stay pending on the isolate, so it is thrown by one.
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::Function, thrower, v8::Function::New(context, [](const v8::FunctionCallbackInfo<v8::Value> &info) {
+            info.GetIsolate()->ThrowException(info[0]);
+        }));
+        v8::Local<v8::Value> error = v8::Exception::Error(message);
+        if (thrower->Call(context, v8::Undefined(isolate), 1, &error).IsEmpty() && tryCatch.HasCaught() && tryCatch.CanContinue()) {
+            node::FatalException(isolate, tryCatch);
+        }
+    }
+
+    /**
+     * Runs the calls queued from other threads, and reports the rejected ones. The calls run in a callback scope, as
+     * the calls of Node.js's own threadsafe functions do: microtasks and process.nextTick() callbacks they queue run
+     * after them, and async_hooks see them in the async context of the callback.
+     */
+    void OnAsync(uv_async_t *async) {
+        auto callback = static_cast<CallbackHandle *>(async->data);
+        auto isolate = callback->isolate;
+        v8::HandleScope scope(isolate);
+        auto context = callback->context.Get(isolate);
+        v8::Context::Scope contextScope(context);
+        node::CallbackScope callbackScope(isolate, callback->resource.Get(isolate), callback->asyncContext);
+        size_t rejected;
+        {
+            std::lock_guard<std::mutex> lock(callback->mutex);
+            ++callback->references;
+            rejected = callback->rejected;
+            callback->rejected = 0;
+        }
+        if (rejected > 0) {
+            ReportRejectedCalls(callback, rejected);
+        }
+        // The calls are taken one at a time, so the ones left are completed by DestroyCallback(), if the function
+        // frees the callback.
+        while (true) {
+            PendingCall *call;
+            {
+                std::lock_guard<std::mutex> lock(callback->mutex);
+                if (callback->closing || callback->queue.empty()) {
+                    break;
+                }
+                call = callback->queue.front();
+                callback->queue.pop_front();
+            }
+            InvokeFunction(callback, call->result, call->args);
+            std::lock_guard<std::mutex> lock(callback->mutex);
+            call->done = true;
+            callback->condition.notify_all();
+        }
+        ReleaseCallback(callback);
+    }
+
+    void Trampoline(ffi_cif *, void *result, void **args, void *data) {
+        auto callback = static_cast<CallbackHandle *>(data);
+        if (std::this_thread::get_id() == callback->thread) {
+            RetainCallback(callback);
+            InvokeFunction(callback, result, args);
+            ReleaseCallback(callback);
+            return;
+        }
+        if (!callback->threadsafe) {
+            // JavaScript cannot run on this thread: the native caller gets a zero result, and the error is raised on
+            // the JavaScript thread.
+            ZeroResult(callback, result);
+            std::lock_guard<std::mutex> lock(callback->mutex);
+            if (!callback->closing) {
+                ++callback->rejected;
+                uv_async_send(callback->async);
+            }
+            return;
+        }
+        // Blocks until the JavaScript thread runs the call: it deadlocks if that thread waits for this one.
+        PendingCall call;
+        call.result = result;
+        call.args = args;
+        std::unique_lock<std::mutex> lock(callback->mutex);
+        if (callback->closing) {
+            ZeroResult(callback, result);
+            return;
+        }
+        ++callback->references;
+        callback->queue.push_back(&call);
+        uv_async_send(callback->async);
+        callback->condition.wait(lock, [&call] { return call.done; });
+        lock.unlock();
+        ReleaseCallback(callback);
+    }
+
+    void OnAsyncClosed(uv_handle_t *handle) {
+        delete reinterpret_cast<uv_async_t *>(handle);
+    }
+
+    /**
+     * Releases the JavaScript side of the callback. The threads waiting for queued calls get a zero result, and the
+     * handle itself is freed once they (and a call running on the JavaScript thread) are done with it.
+     */
+    void DestroyCallback(CallbackHandle *callback) {
+        {
+            std::lock_guard<std::mutex> lock(callback->mutex);
+            callback->closing = true;
+            for (auto call : callback->queue) {
+                ZeroResult(callback, call->result);
+                call->done = true;
+            }
+            callback->queue.clear();
+            callback->condition.notify_all();
+            // Closed while locked, so no other thread signals it afterwards.
+            if (callback->async != nullptr) {
+                uv_close(reinterpret_cast<uv_handle_t *>(callback->async), OnAsyncClosed);
+            }
+        }
+        if (callback->async != nullptr) {
+            node::EmitAsyncDestroy(callback->isolate, callback->asyncContext);
+        }
+        callback->resource.Reset();
+        callback->function.Reset();
+        callback->context.Reset();
+        ReleaseCallback(callback);
+    }
+
+    /**
+     * Frees the callbacks left by an environment that is being torn down (for example, a worker thread).
+     */
+    void CleanupCallbacks(void *data) {
+        auto isolate = static_cast<v8::Isolate *>(data);
+        std::vector<CallbackHandle *> callbacks;
+        {
+            std::lock_guard<std::mutex> lock(registryMutex);
+            for (auto it = registry.begin(); it != registry.end();) {
+                if (it->second->isolate == isolate) {
+                    callbacks.push_back(it->second);
+                    it = registry.erase(it);
+                } else {
+                    ++it;
+                }
+            }
+        }
+        for (auto callback : callbacks) {
+            DestroyCallback(callback);
+        }
+    }
+}
+
+/**
+ * createCallback(signature, function, options?): returns a native function pointer that calls the function. The
+ * pointer stays valid until it is passed to freeCallback().
+ */
+void js_CreateCallback(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (info.Length() < 2) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 2);
+    }
+    if (!info[1]->IsFunction()) {
+        JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 1, "[Function]");
+    }
+    bool threadsafe = false;
+    if (info.Length() >= 3 && !info[2]->IsUndefined()) {
+        if (!info[2]->IsObject()) {
+            JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 2, "[object]");
+        }
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "threadsafe"));
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::Value, value, info[2].As<v8::Object>()->Get(context, name));
+        threadsafe = value->BooleanValue(isolate);
+    }
+    auto signature = GetFfiSignature(isolate, context, info[0]);
+    if (signature == nullptr) {
+        return;
+    }
+    JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, resourceName, ToString(context, "FfiCallback"));
+
+    auto callback = new CallbackHandle();
+    callback->signature = std::move(signature);
+    callback->isolate = isolate;
+    callback->context.Reset(isolate, context);
+    callback->function.Reset(isolate, info[1].As<v8::Function>());
+    callback->thread = std::this_thread::get_id();
+    callback->threadsafe = threadsafe;
+    callback->async = nullptr;
+    callback->closure = static_cast<ffi_closure *>(ffi_closure_alloc(sizeof(ffi_closure), &callback->code));
+    if (callback->closure == nullptr) {
+        callback->function.Reset();
+        callback->context.Reset();
+        delete callback;
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToString(context, "Unable to allocate a closure"));
+        isolate->ThrowException(v8::Exception::Error(message));
+        return;
+    }
+    if (ffi_prep_closure_loc(callback->closure, &callback->signature->cif, Trampoline, callback, callback->code) != FFI_OK) {
+        DestroyCallback(callback);
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToString(context, "Unable to prepare the closure"));
+        isolate->ThrowException(v8::Exception::Error(message));
+        return;
+    }
+    // Even a callback that is not threadsafe needs the handle, to report calls from other threads.
+    callback->async = new uv_async_t();
+    uv_async_init(node::GetCurrentEventLoop(isolate), callback->async, OnAsync);
+    callback->async->data = callback;
+    callback->resource.Reset(isolate, v8::Object::New(isolate));
+    callback->asyncContext = node::EmitAsyncInit(isolate, callback->resource.Get(isolate), resourceName);
+    // The callback alone must not keep the process running.
+    uv_unref(reinterpret_cast<uv_handle_t *>(callback->async));
+    auto address = reinterpret_cast<uintptr_t>(callback->code);
+    {
+        std::lock_guard<std::mutex> lock(registryMutex);
+        bool first = std::none_of(registry.begin(), registry.end(), [isolate](const auto &entry) {
+            return entry.second->isolate == isolate;
+        });
+        if (first) {
+            node::AddEnvironmentCleanupHook(isolate, CleanupCallbacks, isolate);
+        }
+        registry[address] = callback;
+    }
+    info.GetReturnValue().Set(v8::BigInt::NewFromUnsigned(isolate, address));
+}
+
+/**
+ * freeCallback(address): releases a pointer returned by createCallback(). Native code must not call it afterwards.
+ */
+void js_FreeCallback(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    uintptr_t address;
+    if (!ReadPointerArgument(info, 0, address)) {
+        return;
+    }
+    CallbackHandle *callback = nullptr;
+    {
+        std::lock_guard<std::mutex> lock(registryMutex);
+        auto it = registry.find(address);
+        if (it != registry.end() && it->second->isolate == isolate) {
+            callback = it->second;
+            registry.erase(it);
+            if (std::none_of(registry.begin(), registry.end(), [isolate](const auto &entry) { return entry.second->isolate == isolate; })) {
+                node::RemoveEnvironmentCleanupHook(isolate, CleanupCallbacks, isolate);
+            }
+        }
+    }
+    if (callback == nullptr) {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToDetailString(context, "Not a callback pointer: ", info[0]));
+        isolate->ThrowException(v8::Exception::Error(message));
+        return;
+    }
+    DestroyCallback(callback);
+}
+
+v8::Maybe<void> InitCallback(v8::Local<v8::Context> context, v8::Local<v8::Object> exports) {
+    auto isolate = context->GetIsolate();
+    v8::HandleScope scope(isolate);
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "createCallback"));
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::Function, value, v8::Function::New(context, js_CreateCallback, exports, 2, v8::ConstructorBehavior::kThrow));
+        JS_EXECUTE_IGNORE(VOID_NOTHING, exports->DefineOwnProperty(context, name, value, JS_PROPERTY_ATTRIBUTE_FROZEN));
+    }
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "freeCallback"));
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::Function, value, v8::Function::New(context, js_FreeCallback, exports, 1, v8::ConstructorBehavior::kThrow));
+        JS_EXECUTE_IGNORE(VOID_NOTHING, exports->DefineOwnProperty(context, name, value, JS_PROPERTY_ATTRIBUTE_FROZEN));
+    }
+    return v8::JustVoid();
+}
@@ -0,0 +1,8 @@
+#ifndef CALLBACK_H
+#define CALLBACK_H
+
+#include <v8.h>
+
+v8::Maybe<void> InitCallback(v8::Local<v8::Context> context, v8::Local<v8::Object> exports);
+
+#endif // CALLBACK_H
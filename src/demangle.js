@@ -0,0 +1,1330 @@
+/**
+ * Demangles a symbol name mangled by the Itanium C++ ABI (GCC, Clang), in the format of `c++filt`.
+ *
+ * GCC clone suffixes, like `.constprop.0` or `.cold`, are kept as `[clone .constprop.0]`.
+ *
+ * @param {string} name
+ * @param {object} [options]
+ * @param {boolean} [options.params] When false, omits the return type, parameters and qualifiers of functions, like
+ * `c++filt -p`: `v8::Isolate::GetCurrent` instead of `v8::Isolate::GetCurrent()`.
+ * @returns {string|null} The demangled name, or null if the name is not mangled, or uses an unsupported construct.
+ */
+export function demangle(name, options = {}) {
+    if (typeof name !== 'string' || !name.startsWith('_Z')) {
+        return null;
+    }
+    // The symbol version, as in `_ZSt4cout@@GLIBCXX_3.4`, is kept.
+    const at = name.indexOf('@');
+    const version = at < 0 ? '' : name.substring(at);
+    try {
+        return new Demangler(at < 0 ? name : name.substring(0, at), options.params ?? true).demangle() + version;
+    } catch (e) {
+        if (e instanceof DemangleError) {
+            return null;
+        }
+        throw e;
+    }
+}
+
+class DemangleError extends Error {
+}
+
+const builtinTypes = {
+    v: 'void',
+    w: 'wchar_t',
+    b: 'bool',
+    c: 'char',
+    a: 'signed char',
+    h: 'unsigned char',
+    s: 'short',
+    t: 'unsigned short',
+    i: 'int',
+    j: 'unsigned int',
+    l: 'long',
+    m: 'unsigned long',
+    x: 'long long',
+    y: 'unsigned long long',
+    n: '__int128',
+    o: 'unsigned __int128',
+    f: 'float',
+    d: 'double',
+    e: 'long double',
+    g: '__float128',
+    z: '...'
+};
+
+const extendedBuiltinTypes = {
+    d: 'decimal64',
+    e: 'decimal128',
+    f: 'decimal32',
+    h: 'half',
+    i: 'char32_t',
+    s: 'char16_t',
+    u: 'char8_t',
+    a: 'auto',
+    c: 'decltype(auto)',
+    n: 'decltype(nullptr)'
+};
+
+/**
+ * The operator names, with their arity in expressions.
+ */
+const operators = {
+    nw: ['new', 1],
+    na: ['new[]', 1],
+    dl: ['delete', 1],
+    da: ['delete[]', 1],
+    ps: ['+', 1],
+    ng: ['-', 1],
+    ad: ['&', 1],
+    de: ['*', 1],
+    co: ['~', 1],
+    pl: ['+', 2],
+    mi: ['-', 2],
+    ml: ['*', 2],
+    dv: ['/', 2],
+    rm: ['%', 2],
+    an: ['&', 2],
+    or: ['|', 2],
+    eo: ['^', 2],
+    aS: ['=', 2],
+    pL: ['+=', 2],
+    mI: ['-=', 2],
+    mL: ['*=', 2],
+    dV: ['/=', 2],
+    rM: ['%=', 2],
+    aN: ['&=', 2],
+    oR: ['|=', 2],
+    eO: ['^=', 2],
+    ls: ['<<', 2],
+    rs: ['>>', 2],
+    lS: ['<<=', 2],
+    rS: ['>>=', 2],
+    eq: ['==', 2],
+    ne: ['!=', 2],
+    lt: ['<', 2],
+    gt: ['>', 2],
+    le: ['<=', 2],
+    ge: ['>=', 2],
+    ss: ['<=>', 2],
+    nt: ['!', 1],
+    aa: ['&&', 2],
+    oo: ['||', 2],
+    pp: ['++', 1],
+    mm: ['--', 1],
+    cm: [',', 2],
+    pm: ['->*', 2],
+    pt: ['->', 2],
+    cl: ['()', 2],
+    ix: ['[]', 2],
+    qu: ['?', 3]
+};
+
+/**
+ * The abbreviations of the std namespace, expanded like c++filt does, with the class name of their constructors.
+ */
+const standardSubstitutions = {
+    a: ['std::allocator', 'allocator'],
+    b: ['std::basic_string', 'basic_string'],
+    s: ['std::basic_string<char, std::char_traits<char>, std::allocator<char> >', 'basic_string'],
+    i: ['std::basic_istream<char, std::char_traits<char> >', 'basic_istream'],
+    o: ['std::basic_ostream<char, std::char_traits<char> >', 'basic_ostream'],
+    d: ['std::basic_iostream<char, std::char_traits<char> >', 'basic_iostream']
+};
+
+/**
+ * A recursive descent parser over the grammar of the ABI. Names are built as strings, types as nodes that print the
+ * declarator around an inner part, like `void (*)(int)`.
+ */
+class Demangler {
+    #text;
+    #params;
+    #position = 0;
+    #substitutions = [];
+    #templateParams = [];
+    #conversion = false;
+
+    constructor(text, params) {
+        this.#text = text;
+        this.#params = params;
+    }
+
+    demangle() {
+        this.#expect('_Z');
+        let result = this.#parseEncoding(true);
+        while (this.#position < this.#text.length) {
+            const clone = /^(\.[A-Za-z_]+|\.[0-9]+)(\.[0-9]+)*/.exec(this.#text.substring(this.#position));
+            if (clone == null) {
+                throw new DemangleError('Unexpected characters after the encoding');
+            }
+            if (this.#params) {
+                result += ` [clone ${clone[0]}]`;
+            }
+            this.#position += clone[0].length;
+        }
+        return result;
+    }
+
+    #peek(offset = 0) {
+        return this.#text[this.#position + offset] ?? '';
+    }
+
+    #consume(prefix) {
+        if (this.#text.startsWith(prefix, this.#position)) {
+            this.#position += prefix.length;
+            return true;
+        }
+        return false;
+    }
+
+    #expect(prefix) {
+        if (!this.#consume(prefix)) {
+            throw new DemangleError(`Expected ${prefix} at ${this.#position}`);
+        }
+    }
+
+    #atEnd() {
+        return this.#position >= this.#text.length || this.#peek() === 'E' || this.#peek() === '.';
+    }
+
+    #parseNumber() {
+        const negative = this.#consume('n');
+        const digits = this.#scan(/[0-9]/y);
+        if (digits === '') {
+            throw new DemangleError(`Expected a number at ${this.#position}`);
+        }
+        return negative ? -Number(digits) : Number(digits);
+    }
+
+    /**
+     * @returns {number|null} A base 36 sequence number ending with `_`, null when only `_` is present.
+     */
+    #parseSequenceId() {
+        const digits = this.#scan(/[0-9A-Z]/y);
+        this.#expect('_');
+        return digits === '' ? null : parseInt(digits, 36);
+    }
+
+    /**
+     * @param {RegExp} pattern A sticky pattern matching one character.
+     * @returns {string} The characters matching the pattern from the current position.
+     */
+    #scan(pattern) {
+        const start = this.#position;
+        pattern.lastIndex = start;
+        while (pattern.test(this.#text)) {
+            ++this.#position;
+        }
+        return this.#text.substring(start, this.#position);
+    }
+
+    #addSubstitution(node) {
+        this.#substitutions.push(node);
+        return node;
+    }
+
+    /**
+     * <encoding> ::= <name> <bare-function-type> | <name> | <special-name>
+     *
+     * @param {boolean} [topLevel]
+     * @param {boolean} [nameOnly] Prints only the name of a member function without template arguments or qualifiers, and
+     * the declaration of other functions in parentheses, as the operand of `&` in template arguments.
+     * @param {boolean} [returnType] Prints the return type of function templates, omitted from the scope of local names.
+     */
+    #parseEncoding(topLevel = false, nameOnly = false, returnType = true) {
+        if (this.#peek() === 'T' || (this.#peek() === 'G' && /[VRTA]/.test(this.#peek(1)))) {
+            return this.#parseSpecialName();
+        }
+        const name = this.#parseName(true);
+        if (this.#atEnd() && (topLevel || this.#peek() !== '.')) {
+            return name.text;
+        }
+        const returns = name.template && !name.special ? this.#parseType() : null;
+        const parameters = this.#parseBareFunctionType();
+        if (!this.#params || (nameOnly && name.nested && !name.template && name.qualifiers === '')) {
+            return name.text;
+        }
+        let result = '';
+        if (returns != null && returnType) {
+            result += printLeft(returns);
+            if (!hasRightPart(returns)) {
+                result += ' ';
+            }
+        }
+        result += `${name.text}(${parameters})${name.qualifiers}`;
+        if (returns != null && returnType) {
+            result += printRight(returns);
+        }
+        return nameOnly ? `(${result})` : result;
+    }
+
+    #parseBareFunctionType() {
+        const parameters = [];
+        while (!this.#atEnd()) {
+            parameters.push(this.#parseType());
+        }
+        if (parameters.length === 0) {
+            throw new DemangleError('Expected parameter types');
+        }
+        return printParameters(parameters);
+    }
+
+    #parseSpecialName() {
+        if (this.#consume('TV')) {
+            return `vtable for ${print(this.#parseType())}`;
+        }
+        if (this.#consume('TT')) {
+            return `VTT for ${print(this.#parseType())}`;
+        }
+        if (this.#consume('TI')) {
+            return `typeinfo for ${print(this.#parseType())}`;
+        }
+        if (this.#consume('TS')) {
+            return `typeinfo name for ${print(this.#parseType())}`;
+        }
+        if (this.#peek(1) === 'h') {
+            this.#position += 1;
+            this.#parseCallOffset();
+            return `non-virtual thunk to ${this.#parseEncoding()}`;
+        }
+        if (this.#peek(1) === 'v') {
+            this.#position += 1;
+            this.#parseCallOffset();
+            return `virtual thunk to ${this.#parseEncoding()}`;
+        }
+        if (this.#consume('Tc')) {
+            this.#parseCallOffset();
+            this.#parseCallOffset();
+            return `covariant return thunk to ${this.#parseEncoding()}`;
+        }
+        if (this.#consume('TC')) {
+            const derived = this.#parseType();
+            this.#parseNumber();
+            this.#expect('_');
+            const base = this.#parseType();
+            return `construction vtable for ${print(base)}-in-${print(derived)}`;
+        }
+        if (this.#consume('TW')) {
+            return `TLS wrapper function for ${this.#parseName().text}`;
+        }
+        if (this.#consume('TH')) {
+            return `TLS init function for ${this.#parseName().text}`;
+        }
+        if (this.#consume('GV')) {
+            return `guard variable for ${this.#parseName().text}`;
+        }
+        if (this.#consume('GR')) {
+            const name = this.#parseName().text;
+            const id = this.#parseSequenceId();
+            return `reference temporary #${id == null ? 0 : id + 1} for ${name}`;
+        }
+        if (this.#consume('GTt')) {
+            return `transaction clone for ${this.#parseEncoding()}`;
+        }
+        if (this.#consume('GTn')) {
+            return `non-transaction clone for ${this.#parseEncoding()}`;
+        }
+        if (this.#consume('GA')) {
+            return `hidden alias for ${this.#parseEncoding()}`;
+        }
+        throw new DemangleError(`Unknown special name at ${this.#position}`);
+    }
+
+    /**
+     * <call-offset> ::= h <nv-offset> _ | v <v-offset> _
+     */
+    #parseCallOffset() {
+        const kind = this.#peek();
+        if (kind !== 'h' && kind !== 'v') {
+            throw new DemangleError(`Invalid call offset at ${this.#position}`);
+        }
+        this.#position += 1;
+        this.#parseNumber();
+        this.#expect('_');
+        if (kind === 'v') {
+            this.#parseNumber();
+            this.#expect('_');
+        }
+    }
+
+    /**
+     * @param {boolean} [encoding] The name of an encoding: its template arguments are the template parameters of the
+     * function type that follows.
+     * @returns {{text: string, base: string, template: boolean, special: boolean, qualifiers: string}}
+     */
+    #parseName(encoding = false) {
+        if (this.#peek() === 'N') {
+            return this.#parseNestedName(encoding);
+        }
+        if (this.#peek() === 'Z') {
+            return this.#parseLocalName(encoding);
+        }
+        let name;
+        if (this.#consume('St')) {
+            name = this.#parseUnqualifiedName(null);
+            name.text = `std::${name.text}`;
+        } else if (this.#peek() === 'S') {
+            name = this.#parseSubstitution();
+            if (this.#peek() !== 'I') {
+                throw new DemangleError('Expected template arguments after a substituted name');
+            }
+        } else {
+            name = this.#parseUnqualifiedName(null);
+        }
+        if (this.#peek() === 'I') {
+            if (!this.#substitutions.includes(name)) {
+                this.#addSubstitution(name);
+            }
+            name = withTemplateArguments(name, this.#parseTemplateArguments(encoding));
+        }
+        return name;
+    }
+
+    /**
+     * <nested-name> ::= N [<CV-qualifiers>] [<ref-qualifier>] <prefix> <unqualified-name> E
+     */
+    #parseNestedName(encoding) {
+        this.#expect('N');
+        const qualifiers = this.#parseQualifiers();
+        let reference = '';
+        if (this.#consume('R')) {
+            reference = ' &';
+        } else if (this.#consume('O')) {
+            reference = ' &&';
+        }
+        let prefix = null;
+        while (!this.#consume('E')) {
+            if (this.#position >= this.#text.length) {
+                throw new DemangleError('Unterminated nested name');
+            }
+            let substituted = false;
+            if (prefix == null && this.#consume('St')) {
+                prefix = createName('std');
+                continue;
+            }
+            if (this.#peek() === 'I') {
+                if (prefix == null) {
+                    throw new DemangleError('Template arguments without a template name');
+                }
+                prefix = withTemplateArguments(prefix, this.#parseTemplateArguments(encoding));
+            } else if (this.#peek() === 'S' && prefix == null) {
+                prefix = this.#parseSubstitution();
+                substituted = true;
+            } else if (this.#peek() === 'T' && prefix == null) {
+                prefix = this.#parseTemplateParam();
+            } else if (this.#peek() === 'D' && /[tT]/.test(this.#peek(1)) && prefix == null) {
+                prefix = createName(print(this.#parseDecltype()));
+            } else {
+                const component = this.#parseUnqualifiedName(prefix);
+                prefix = prefix == null ? component : joinNames(prefix, component);
+            }
+            if (this.#peek() !== 'E' && !substituted) {
+                this.#addSubstitution(prefix);
+            }
+        }
+        if (prefix == null) {
+            throw new DemangleError('Empty nested name');
+        }
+        return { ...prefix, qualifiers: qualifiers + reference, nested: true };
+    }
+
+    /**
+     * <local-name> ::= Z <function encoding> E <entity name> [<discriminator>] | Z <function encoding> E s [<discriminator>]
+     */
+    #parseLocalName(encoding) {
+        this.#expect('Z');
+        const templateParams = this.#templateParams;
+        const scope = this.#parseEncoding(false, false, false);
+        this.#templateParams = templateParams;
+        this.#expect('E');
+        let name;
+        if (this.#consume('s')) {
+            name = createName(`${scope}::string literal`);
+        } else {
+            let argument = '';
+            if (this.#consume('d')) {
+                const id = this.#peek() === '_' ? null : this.#parseNumber();
+                this.#expect('_');
+                argument = `{default arg#${id == null ? 1 : id + 2}}::`;
+            }
+            const entity = this.#parseName(encoding);
+            name = { ...entity, text: `${scope}::${argument}${entity.text}` };
+        }
+        if (this.#consume('__')) {
+            this.#parseNumber();
+            this.#expect('_');
+        } else if (this.#peek() === '_' && /[0-9]/.test(this.#peek(1))) {
+            this.#position += 2;
+        }
+        return name;
+    }
+
+    /**
+     * @param {object|null} scope The enclosing name, which names constructors and destructors.
+     */
+    #parseUnqualifiedName(scope) {
+        let name;
+        const c = this.#peek();
+        if (/[0-9]/.test(c)) {
+            name = createName(this.#parseSourceName());
+        } else if (c === 'L' && /[0-9]/.test(this.#peek(1))) {
+            // GCC marks names of internal linkage.
+            this.#position += 1;
+            name = createName(this.#parseSourceName());
+        } else if (c === 'C' || (c === 'D' && /[0-9]/.test(this.#peek(1)))) {
+            name = this.#parseConstructorName(scope);
+        } else if (c === 'U') {
+            name = createName(this.#parseUnnamedTypeName());
+        } else if (this.#consume('DC')) {
+            const names = [];
+            while (!this.#consume('E')) {
+                names.push(this.#parseSourceName());
+            }
+            name = createName(`[${names.join(', ')}]`);
+        } else if (/[a-z]/.test(c)) {
+            name = this.#parseOperatorName();
+        } else {
+            throw new DemangleError(`Unexpected ${c} in a name at ${this.#position}`);
+        }
+        while (this.#consume('B')) {
+            name.text += `[abi:${this.#parseSourceName()}]`;
+        }
+        return name;
+    }
+
+    #parseSourceName() {
+        const length = this.#parseNumber();
+        if (length <= 0 || this.#position + length > this.#text.length) {
+            throw new DemangleError('Invalid source name length');
+        }
+        const name = this.#text.substring(this.#position, this.#position + length);
+        this.#position += length;
+        return name.startsWith('_GLOBAL__N') ? '(anonymous namespace)' : name;
+    }
+
+    #parseConstructorName(scope) {
+        if (scope == null) {
+            throw new DemangleError('Constructor without a class');
+        }
+        let text;
+        if (this.#consume('C')) {
+            const inheriting = this.#consume('I');
+            if (!/[1-5]/.test(this.#peek())) {
+                throw new DemangleError('Invalid constructor name');
+            }
+            this.#position += 1;
+            if (inheriting) {
+                this.#parseType();
+            }
+            text = scope.base;
+        } else {
+            this.#expect('D');
+            if (!/[0-5]/.test(this.#peek())) {
+                throw new DemangleError('Invalid destructor name');
+            }
+            this.#position += 1;
+            text = `~${scope.base}`;
+        }
+        const name = createName(text);
+        name.special = true;
+        return name;
+    }
+
+    /**
+     * <unnamed-type-name> ::= Ut [<number>] _ | Ul <lambda-sig> E [<number>] _
+     */
+    #parseUnnamedTypeName() {
+        if (this.#consume('Ut')) {
+            const id = this.#peek() === '_' ? null : this.#parseNumber();
+            this.#expect('_');
+            return `{unnamed type#${id == null ? 1 : id + 2}}`;
+        }
+        this.#expect('Ul');
+        const parameters = [];
+        while (!this.#consume('E')) {
+            parameters.push(this.#parseType());
+        }
+        const id = this.#peek() === '_' ? null : this.#parseNumber();
+        this.#expect('_');
+        // The template parameters of a generic lambda are its `auto` parameters.
+        const printingAuto = autoParameters;
+        autoParameters = true;
+        const signature = printParameters(parameters);
+        autoParameters = printingAuto;
+        return `{lambda(${signature})#${id == null ? 1 : id + 2}}`;
+    }
+
+    #parseOperatorName() {
+        let name;
+        if (this.#consume('cv')) {
+            const conversion = this.#conversion;
+            this.#conversion = true;
+            const type = this.#parseType();
+            this.#conversion = conversion;
+            name = createName(`operator ${this.#printConversionType(type)}`);
+            name.special = true;
+            return name;
+        }
+        if (this.#consume('li')) {
+            return createName(`operator"" ${this.#parseSourceName()}`);
+        }
+        if (this.#peek() === 'v' && /[0-9]/.test(this.#peek(1))) {
+            this.#position += 2;
+            return createName(`operator ${this.#parseSourceName()}`);
+        }
+        const code = this.#text.substring(this.#position, this.#position + 2);
+        if (!Object.hasOwn(operators, code)) {
+            throw new DemangleError(`Unknown operator ${code}`);
+        }
+        this.#position += 2;
+        const symbol = operators[code][0];
+        return createName(/^[a-z]/.test(symbol) ? `operator ${symbol}` : `operator${symbol}`);
+    }
+
+    /**
+     * The template parameters in the type of a conversion operator template refer to the template arguments of the
+     * operator, which follow the type: `_ZN1AcvT_IiEEv` is `A::operator int<int>()`. They are read ahead to print the
+     * type, and read again as the arguments of the name.
+     */
+    #printConversionType(type) {
+        if (this.#peek() !== 'I') {
+            return print(type);
+        }
+        const position = this.#position;
+        const substitutions = this.#substitutions.length;
+        const templateParams = this.#templateParams;
+        try {
+            this.#templateParams = this.#parseTemplateArguments(false);
+            return print(type);
+        } finally {
+            this.#position = position;
+            this.#substitutions.length = substitutions;
+            this.#templateParams = templateParams;
+        }
+    }
+
+    /**
+     * <substitution> ::= S_ | S <seq-id> _ | Sa | Sb | Ss | Si | So | Sd
+     */
+    #parseSubstitution() {
+        this.#expect('S');
+        const c = this.#peek();
+        if (Object.hasOwn(standardSubstitutions, c)) {
+            this.#position += 1;
+            const [text, base] = standardSubstitutions[c];
+            return createName(text, base);
+        }
+        const id = this.#parseSequenceId();
+        const index = id == null ? 0 : id + 1;
+        if (index >= this.#substitutions.length) {
+            throw new DemangleError(`Substitution ${index} out of range`);
+        }
+        return this.#substitutions[index];
+    }
+
+    /**
+     * <template-param> ::= T_ | T <number> _
+     */
+    #parseTemplateParam() {
+        this.#expect('T');
+        const index = this.#peek() === '_' ? 0 : this.#parseNumber() + 1;
+        this.#expect('_');
+        // Resolved when printed: a substitution of the parameter means the argument of the template being printed, and
+        // the parameter of a generic lambda prints as `auto:1` in its signature.
+        return { kind: 'templateParam', index, lookup: () => this.#templateParams };
+    }
+
+    /**
+     * @param {boolean} encoding The arguments of the encoding name, which become the template parameters.
+     */
+    #parseTemplateArguments(encoding) {
+        this.#expect('I');
+        const list = [];
+        if (encoding) {
+            this.#templateParams = list;
+        }
+        const conversion = this.#conversion;
+        this.#conversion = false;
+        while (!this.#consume('E')) {
+            if (this.#position >= this.#text.length) {
+                throw new DemangleError('Unterminated template arguments');
+            }
+            list.push(this.#parseTemplateArgument());
+        }
+        this.#conversion = conversion;
+        return list;
+    }
+
+    #parseTemplateArgument() {
+        if (this.#consume('X')) {
+            const expression = this.#parseExpression();
+            this.#expect('E');
+            return createName(expression);
+        }
+        if (this.#peek() === 'L') {
+            return createName(this.#parseLiteral());
+        }
+        if (this.#consume('J')) {
+            const pack = [];
+            while (!this.#consume('E')) {
+                pack.push(this.#parseTemplateArgument());
+            }
+            return { kind: 'packArguments', items: pack };
+        }
+        return this.#parseType();
+    }
+
+    #parseQualifiers() {
+        // Mangled as `rVK`, printed as `const volatile restrict`.
+        let qualifiers = '';
+        if (this.#consume('r')) {
+            qualifiers = ' restrict' + qualifiers;
+        }
+        if (this.#consume('V')) {
+            qualifiers = ' volatile' + qualifiers;
+        }
+        if (this.#consume('K')) {
+            qualifiers = ' const' + qualifiers;
+        }
+        return qualifiers;
+    }
+
+    #parseType() {
+        const c = this.#peek();
+        if (Object.hasOwn(builtinTypes, c)) {
+            this.#position += 1;
+            return createName(builtinTypes[c]);
+        }
+        switch (c) {
+            case 'u': {
+                this.#position += 1;
+                return this.#addSubstitution(createName(this.#parseSourceName()));
+            }
+            case 'r':
+            case 'V':
+            case 'K': {
+                const qualifiers = this.#parseQualifiers();
+                // The qualifiers of a member function type are part of the function type, a single substitution.
+                if (this.#peek() === 'F' || /^D[oOwx]/.test(this.#text.substring(this.#position, this.#position + 2))) {
+                    return this.#addSubstitution(this.#parseFunctionType(qualifiers));
+                }
+                const inner = this.#parseType();
+                return this.#addSubstitution({ kind: 'qualified', inner, qualifiers });
+            }
+            case 'U': {
+                this.#position += 1;
+                let qualifier = this.#parseSourceName();
+                if (this.#peek() === 'I') {
+                    qualifier += printTemplateArguments(this.#parseTemplateArguments(false));
+                }
+                const inner = this.#parseType();
+                return this.#addSubstitution({ kind: 'qualified', inner, qualifiers: ` ${qualifier}` });
+            }
+            case 'P':
+                this.#position += 1;
+                return this.#addSubstitution({ kind: 'pointer', inner: this.#parseType(), operator: '*' });
+            case 'R':
+                this.#position += 1;
+                return this.#addSubstitution({ kind: 'pointer', inner: this.#parseType(), operator: '&' });
+            case 'O':
+                this.#position += 1;
+                return this.#addSubstitution({ kind: 'pointer', inner: this.#parseType(), operator: '&&' });
+            case 'C':
+                this.#position += 1;
+                return this.#addSubstitution({ kind: 'qualified', inner: this.#parseType(), qualifiers: ' _Complex' });
+            case 'G':
+                this.#position += 1;
+                return this.#addSubstitution({ kind: 'qualified', inner: this.#parseType(), qualifiers: ' _Imaginary' });
+            case 'F':
+                return this.#addSubstitution(this.#parseFunctionType(''));
+            case 'A':
+                return this.#addSubstitution(this.#parseArrayType());
+            case 'M': {
+                this.#position += 1;
+                const scope = this.#parseType();
+                const inner = this.#parseType();
+                return this.#addSubstitution({ kind: 'memberPointer', scope, inner });
+            }
+            case 'T': {
+                if (/[sue]/.test(this.#peek(1))) {
+                    this.#position += 2;
+                    return this.#addSubstitution(this.#parseName());
+                }
+                let node = this.#addSubstitution(this.#parseTemplateParam());
+                // In the type of a conversion operator, the template arguments are those of the operator.
+                if (this.#peek() === 'I' && !this.#conversion) {
+                    node = this.#addSubstitution(withTemplateArguments(node, this.#parseTemplateArguments(false)));
+                }
+                return node;
+            }
+            case 'S': {
+                if (this.#peek(1) === 't') {
+                    return this.#addSubstitution(this.#parseName());
+                }
+                let node = this.#parseSubstitution();
+                if (this.#peek() === 'I') {
+                    node = this.#addSubstitution(withTemplateArguments(node, this.#parseTemplateArguments(false)));
+                }
+                return node;
+            }
+            case 'D':
+                return this.#parseExtendedType();
+            case 'N':
+            case 'Z':
+                return this.#addSubstitution(this.#parseName());
+            default:
+                if (/[0-9]/.test(c)) {
+                    return this.#addSubstitution(this.#parseName());
+                }
+                throw new DemangleError(`Unexpected ${c} in a type at ${this.#position}`);
+        }
+    }
+
+    #parseExtendedType() {
+        const c = this.#peek(1);
+        if (Object.hasOwn(extendedBuiltinTypes, c)) {
+            this.#position += 2;
+            return createName(extendedBuiltinTypes[c]);
+        }
+        switch (c) {
+            case 'F': {
+                this.#position += 2;
+                const bits = this.#parseNumber();
+                const extended = this.#consume('x') ? 'x' : '';
+                this.#expect('_');
+                return createName(`_Float${bits}${extended}`);
+            }
+            case 'p': {
+                this.#position += 2;
+                return this.#addSubstitution({ kind: 'pack', inner: this.#parseType() });
+            }
+            case 't':
+            case 'T':
+                return this.#addSubstitution(this.#parseDecltype());
+            case 'v': {
+                this.#position += 2;
+                const size = this.#peek() === '_' ? '' : String(this.#parseNumber());
+                this.#expect('_');
+                const inner = this.#parseType();
+                return this.#addSubstitution({ kind: 'qualified', inner, qualifiers: ` __vector(${size})` });
+            }
+            case 'o':
+            case 'O':
+            case 'w':
+            case 'x':
+                return this.#addSubstitution(this.#parseFunctionType(''));
+        }
+        throw new DemangleError(`Unexpected D${c} in a type at ${this.#position}`);
+    }
+
+    #parseDecltype() {
+        this.#expect('D');
+        if (!this.#consume('t') && !this.#consume('T')) {
+            throw new DemangleError('Expected decltype');
+        }
+        const expression = this.#parseExpression();
+        this.#expect('E');
+        return createName(`decltype (${expression})`);
+    }
+
+    /**
+     * <function-type> ::= [<exception-spec>] [Dx] F [Y] <bare-function-type> [<ref-qualifier>] E
+     */
+    #parseFunctionType(qualifiers) {
+        let exception = '';
+        if (this.#consume('Do')) {
+            exception = ' noexcept';
+        } else if (this.#consume('DO')) {
+            exception = ` noexcept(${this.#parseExpression()})`;
+            this.#expect('E');
+        } else if (this.#consume('Dw')) {
+            const types = [];
+            while (!this.#consume('E')) {
+                types.push(print(this.#parseType()));
+            }
+            exception = ` throw(${types.join(', ')})`;
+        }
+        this.#consume('Dx');
+        this.#expect('F');
+        this.#consume('Y');
+        const returns = this.#parseType();
+        const parameters = [];
+        let reference = '';
+        for (;;) {
+            if (this.#consume('E')) {
+                break;
+            }
+            if (this.#peek() === 'R' && this.#peek(1) === 'E') {
+                this.#position += 1;
+                reference = ' &';
+                continue;
+            }
+            if (this.#peek() === 'O' && this.#peek(1) === 'E') {
+                this.#position += 1;
+                reference = ' &&';
+                continue;
+            }
+            if (this.#position >= this.#text.length) {
+                throw new DemangleError('Unterminated function type');
+            }
+            parameters.push(this.#parseType());
+        }
+        return { kind: 'function', returns, parameters, qualifiers: qualifiers + reference + exception };
+    }
+
+    /**
+     * <array-type> ::= A <number> _ <element type> | A [<expression>] _ <element type>
+     */
+    #parseArrayType() {
+        this.#expect('A');
+        let dimension = '';
+        if (/[0-9]/.test(this.#peek())) {
+            dimension = String(this.#parseNumber());
+        } else if (this.#peek() !== '_') {
+            dimension = this.#parseExpression();
+        }
+        this.#expect('_');
+        return { kind: 'array', inner: this.#parseType(), dimension };
+    }
+
+    /**
+     * <expr-primary> ::= L <type> <value> E | L <mangled-name> E
+     */
+    #parseLiteral() {
+        this.#expect('L');
+        if (this.#consume('_Z') || this.#consume('Z')) {
+            const encoding = this.#parseEncoding();
+            this.#expect('E');
+            return encoding;
+        }
+        const type = this.#parseType();
+        const end = this.#text.indexOf('E', this.#position);
+        if (end < 0) {
+            throw new DemangleError('Unterminated literal');
+        }
+        let value = this.#text.substring(this.#position, end);
+        this.#position = end + 1;
+        if (value.startsWith('n')) {
+            value = `-${value.substring(1)}`;
+        }
+        const typeName = print(type);
+        switch (typeName) {
+            case 'bool':
+                return value === '0' ? 'false' : value === '1' ? 'true' : `(bool)${value}`;
+            case 'int':
+                return value;
+            case 'unsigned int':
+                return `${value}u`;
+            case 'long':
+                return `${value}l`;
+            case 'unsigned long':
+                return `${value}ul`;
+            case 'long long':
+                return `${value}ll`;
+            case 'unsigned long long':
+                return `${value}ull`;
+            case 'decltype(nullptr)':
+                return value === '' || value === '0' ? 'nullptr' : `(${typeName})${value}`;
+        }
+        if (type.kind === 'name' && /^(float|double|long double)$/.test(typeName)) {
+            return `(${typeName})[${value}]`;
+        }
+        return `(${typeName})${value}`;
+    }
+
+    /**
+     * A subset of the expression grammar, as found in template arguments, array bounds and decltype.
+     */
+    #parseExpression() {
+        const c = this.#peek();
+        if (c === 'L') {
+            return this.#parseLiteral();
+        }
+        if (c === 'T') {
+            return print(this.#parseTemplateParam());
+        }
+        if (this.#consume('fp')) {
+            this.#parseQualifiers();
+            const index = this.#peek() === '_' ? 1 : this.#parseNumber() + 2;
+            this.#expect('_');
+            return `{parm#${index}}`;
+        }
+        if (this.#consume('fL')) {
+            this.#parseNumber();
+            this.#expect('p');
+            this.#parseQualifiers();
+            const index = this.#peek() === '_' ? 1 : this.#parseNumber() + 2;
+            this.#expect('_');
+            return `{parm#${index}}`;
+        }
+        if (this.#consume('sr')) {
+            return this.#parseUnresolvedName();
+        }
+        if (this.#consume('gs')) {
+            return `::${this.#parseExpression()}`;
+        }
+        if (this.#consume('cl')) {
+            const callee = this.#parseExpression();
+            const args = [];
+            while (!this.#consume('E')) {
+                args.push(this.#parseExpression());
+            }
+            return `${callee}(${args.join(', ')})`;
+        }
+        if (this.#consume('cv')) {
+            const type = print(this.#parseType());
+            if (this.#consume('_')) {
+                const args = [];
+                while (!this.#consume('E')) {
+                    args.push(this.#parseExpression());
+                }
+                return `(${type})(${args.join(', ')})`;
+            }
+            return `(${type})(${this.#parseExpression()})`;
+        }
+        if (this.#consume('st')) {
+            return `sizeof (${print(this.#parseType())})`;
+        }
+        if (this.#consume('sz')) {
+            return `sizeof (${this.#parseExpression()})`;
+        }
+        if (this.#consume('at')) {
+            return `alignof (${print(this.#parseType())})`;
+        }
+        if (this.#consume('az')) {
+            return `alignof (${this.#parseExpression()})`;
+        }
+        if (this.#consume('sZ')) {
+            if (this.#peek() === 'T') {
+                const param = normalize(this.#parseTemplateParam());
+                return param.kind === 'packArguments' ? String(param.items.length) : `sizeof...(${print(param)})`;
+            }
+            return `sizeof...(${this.#parseExpression()})`;
+        }
+        if (this.#consume('sp')) {
+            if (this.#peek() === 'T') {
+                const param = normalize(this.#parseTemplateParam());
+                return param.kind === 'packArguments' ? print(param) : `${print(param)}...`;
+            }
+            return `${this.#parseExpression()}...`;
+        }
+        if (this.#consume('tw')) {
+            return `throw ${this.#parseExpression()}`;
+        }
+        if (this.#consume('tr')) {
+            return 'throw';
+        }
+        if (this.#consume('nx')) {
+            return `noexcept (${this.#parseExpression()})`;
+        }
+        if (this.#consume('dt')) {
+            const object = this.#parseExpression();
+            return `${object}.${this.#parseBaseUnresolvedName()}`;
+        }
+        if (this.#consume('pt')) {
+            const object = this.#parseExpression();
+            return `${object}->${this.#parseBaseUnresolvedName()}`;
+        }
+        if (/[0-9]/.test(c) || c === 'o' && this.#peek(1) === 'n') {
+            return this.#parseBaseUnresolvedName();
+        }
+        const code = this.#text.substring(this.#position, this.#position + 2);
+        if (!Object.hasOwn(operators, code)) {
+            throw new DemangleError(`Unsupported expression ${code} at ${this.#position}`);
+        }
+        this.#position += 2;
+        const [symbol, arity] = operators[code];
+        if (code === 'ad' && this.#peek() === 'L' && /^L_?Z/.test(this.#text.substring(this.#position, this.#position + 3))) {
+            this.#position += this.#peek(1) === '_' ? 3 : 2;
+            const name = this.#parseEncoding(false, true);
+            this.#expect('E');
+            return `&${name}`;
+        }
+        if ((code === 'pp' || code === 'mm') && this.#consume('_')) {
+            return `${symbol}${this.#parseOperand()}`;
+        }
+        if (code === 'ix') {
+            const object = this.#parseOperand();
+            return `${object}[${this.#parseExpression()}]`;
+        }
+        if (arity === 1) {
+            const operand = this.#parseOperand();
+            return code === 'pp' || code === 'mm' ? `${operand}${symbol}` : `${symbol}${operand}`;
+        }
+        if (arity === 2) {
+            const left = this.#parseOperand();
+            return `${left}${symbol}${this.#parseOperand()}`;
+        }
+        const condition = this.#parseOperand();
+        const then = this.#parseOperand();
+        return `${condition}?${then}:${this.#parseOperand()}`;
+    }
+
+    /**
+     * An operand of an operator, in parentheses unless it is a name or a function parameter.
+     */
+    #parseOperand() {
+        const simple = /^(sr|fp|fL|[0-9])/.test(this.#text.substring(this.#position, this.#position + 2));
+        const expression = this.#parseExpression();
+        return simple ? expression : `(${expression})`;
+    }
+
+    /**
+     * <unresolved-name> after `sr`: a type or qualifiers, then the base name.
+     */
+    #parseUnresolvedName() {
+        const qualifiers = [];
+        if (this.#consume('N')) {
+            qualifiers.push(print(this.#parseUnresolvedType()));
+            while (!this.#consume('E')) {
+                qualifiers.push(this.#parseSimpleId());
+            }
+        } else if (/[0-9]/.test(this.#peek())) {
+            while (!this.#consume('E')) {
+                qualifiers.push(this.#parseSimpleId());
+            }
+        } else {
+            qualifiers.push(print(this.#parseUnresolvedType()));
+        }
+        return `${qualifiers.join('::')}::${this.#parseBaseUnresolvedName()}`;
+    }
+
+    #parseUnresolvedType() {
+        if (this.#peek() === 'T') {
+            let node = this.#addSubstitution(this.#parseTemplateParam());
+            if (this.#peek() === 'I') {
+                node = this.#addSubstitution(withTemplateArguments(node, this.#parseTemplateArguments(false)));
+            }
+            return node;
+        }
+        if (this.#peek() === 'D') {
+            return this.#addSubstitution(this.#parseDecltype());
+        }
+        return this.#parseType();
+    }
+
+    #parseSimpleId() {
+        let name = this.#parseSourceName();
+        if (this.#peek() === 'I') {
+            name += printTemplateArguments(this.#parseTemplateArguments(false));
+        }
+        return name;
+    }
+
+    #parseBaseUnresolvedName() {
+        if (this.#consume('on')) {
+            let name = this.#parseOperatorName().text;
+            if (this.#peek() === 'I') {
+                name += printTemplateArguments(this.#parseTemplateArguments(false));
+            }
+            return name;
+        }
+        if (this.#consume('dn')) {
+            return `~${/[0-9]/.test(this.#peek()) ? this.#parseSimpleId() : print(this.#parseUnresolvedType())}`;
+        }
+        return this.#parseSimpleId();
+    }
+}
+
+function createName(text, base = text) {
+    return { kind: 'name', text, base, template: false, special: false, qualifiers: '' };
+}
+
+function joinNames(prefix, component) {
+    return { ...component, text: `${print(prefix)}::${component.text}` };
+}
+
+function withTemplateArguments(name, args) {
+    const text = print(name);
+    return { ...createName(text + printTemplateArguments(args, text), name.base ?? text), template: true, special: name.special ?? false };
+}
+
+function printTemplateArguments(args, name = '') {
+    const printed = args.map(print);
+    let text = printed.filter(arg => arg !== '').join(', ');
+    // Like c++filt, `> >` unless the last argument is an empty pack.
+    if (printed.length > 0 && printed[printed.length - 1].endsWith('>')) {
+        text += ' ';
+    }
+    // `operator< <int>`, not `operator<<int>`.
+    return `${name.endsWith('<') ? ' ' : ''}<${text}>`;
+}
+
+function printParameters(parameters) {
+    if (parameters.length === 1 && parameters[0].kind === 'name' && parameters[0].text === 'void') {
+        return '';
+    }
+    return parameters.map(print).filter(parameter => parameter !== '').join(', ');
+}
+
+/**
+ * The pack and the index of its element being printed, while a pack expansion prints its pattern once per element.
+ *
+ * @type {{pack: object, index: number}|null}
+ */
+let expansion = null;
+
+/**
+ * Whether template parameters print as the `auto` parameters of a generic lambda.
+ */
+let autoParameters = false;
+
+function print(node) {
+    if (node.kind === 'pack') {
+        return printPackExpansion(node);
+    }
+    return printLeft(node) + printRight(node);
+}
+
+function printPackExpansion(node) {
+    const pack = findPack(node.inner);
+    if (pack == null) {
+        return `${print(node.inner)}...`;
+    }
+    const outer = expansion;
+    const items = [];
+    for (let index = 0; index < pack.items.length; ++index) {
+        expansion = { pack, index };
+        items.push(print(node.inner));
+    }
+    expansion = outer;
+    return items.filter(item => item !== '').join(', ');
+}
+
+function findPack(node) {
+    node = normalize(node);
+    switch (node.kind) {
+        case 'packArguments':
+            return node;
+        case 'qualified':
+        case 'pointer':
+        case 'array':
+            return findPack(node.inner);
+        case 'memberPointer':
+            return findPack(node.scope) ?? findPack(node.inner);
+        case 'function':
+            for (const parameter of [node.returns, ...node.parameters]) {
+                const pack = findPack(parameter);
+                if (pack != null) {
+                    return pack;
+                }
+            }
+    }
+    return null;
+}
+
+/**
+ * Resolves the pack element being expanded, collapses references to references and drops repeated qualifiers, as
+ * happens when template parameters are substituted.
+ */
+function normalize(node) {
+    switch (node.kind) {
+        case 'templateParam': {
+            if (autoParameters) {
+                return createName(`auto:${node.index + 1}`);
+            }
+            const params = node.lookup();
+            if (node.index >= params.length) {
+                throw new DemangleError(`Template parameter ${node.index} out of range`);
+            }
+            return normalize(params[node.index]);
+        }
+        case 'packArguments':
+            return expansion?.pack === node ? normalize(node.items[expansion.index]) : node;
+        case 'pointer': {
+            const inner = normalize(node.inner);
+            if (node.operator !== '*' && inner.kind === 'pointer' && inner.operator !== '*') {
+                return { ...inner, operator: node.operator === '&&' ? inner.operator : '&' };
+            }
+            return inner === node.inner ? node : { ...node, inner };
+        }
+        case 'qualified': {
+            const inner = normalize(node.inner);
+            // A qualified array is an array of qualified elements.
+            if (inner.kind === 'array') {
+                return { ...inner, inner: normalize({ ...node, inner: inner.inner }) };
+            }
+            if (inner.kind === 'qualified') {
+                const present = inner.qualifiers.split(' ');
+                const qualifiers = node.qualifiers.split(' ').filter(qualifier => !present.includes(qualifier));
+                if (qualifiers.length === 0) {
+                    return inner;
+                }
+                return { ...node, inner, qualifiers: ` ${qualifiers.join(' ')}` };
+            }
+            return inner === node.inner ? node : { ...node, inner };
+        }
+    }
+    return node;
+}
+
+function hasRightPart(node) {
+    node = normalize(node);
+    switch (node.kind) {
+        case 'function':
+        case 'array':
+            return true;
+        case 'pointer':
+        case 'memberPointer':
+        case 'qualified':
+        case 'pack':
+            return hasRightPart(node.inner);
+    }
+    return false;
+}
+
+function printLeft(node) {
+    node = normalize(node);
+    switch (node.kind) {
+        case 'name':
+            return node.text;
+        case 'packArguments':
+            return node.items.map(print).filter(item => item !== '').join(', ');
+        case 'qualified':
+            return printLeft(node.inner) + node.qualifiers;
+        case 'pack':
+            return printLeft(node.inner);
+        case 'function':
+            return `${printLeft(node.returns)}${hasRightPart(node.returns) ? '' : ' '}`;
+        case 'array':
+            return printLeft(node.inner);
+        case 'pointer':
+        case 'memberPointer': {
+            const operator = node.kind === 'pointer' ? node.operator : `${print(node.scope)}::*`;
+            const inner = normalize(node.inner);
+            if (inner.kind === 'function' || inner.kind === 'array') {
+                return `${printLeft(inner)}${inner.kind === 'array' ? ' ' : ''}(${operator}`;
+            }
+            return `${printLeft(inner)}${node.kind === 'memberPointer' ? ' ' : ''}${operator}`;
+        }
+    }
+    throw new DemangleError(`Unknown node ${node.kind}`);
+}
+
+function printRight(node, nested = false) {
+    node = normalize(node);
+    switch (node.kind) {
+        case 'name':
+        case 'packArguments':
+            return '';
+        case 'qualified':
+            return printRight(node.inner);
+        case 'pack':
+            return `${printRight(node.inner)}...`;
+        case 'function':
+            return `(${printParameters(node.parameters)})${node.qualifiers}${printRight(node.returns)}`;
+        case 'array': {
+            const inner = normalize(node.inner);
+            return `${nested ? '' : ' '}[${node.dimension}]${printRight(inner, inner.kind === 'array')}`;
+        }
+        case 'pointer':
+        case 'memberPointer': {
+            const inner = normalize(node.inner);
+            if (inner.kind === 'function' || inner.kind === 'array') {
+                return `)${printRight(inner)}`;
+            }
+            return printRight(inner);
+        }
+    }
+    throw new DemangleError(`Unknown node ${node.kind}`);
+}
@@ -0,0 +1,1671 @@
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { ParseError } from './elf.js';
+
+const inflate = promisify(zlib.inflate);
+
+/**
+ * The decompressed contents of the debug sections, so each one is decompressed once.
+ * @type {WeakMap<object, Promise<Uint8Array>>}
+ */
+const debugSectionContents = new WeakMap();
+
+export const LineContentTypes = {
+    DW_LNCT_path: 0x1,
+    DW_LNCT_directory_index: 0x2,
+    DW_LNCT_timestamp: 0x3,
+    DW_LNCT_size: 0x4,
+    DW_LNCT_MD5: 0x5
+};
+
+export const Forms = {
+    DW_FORM_addr: 0x01,
+    DW_FORM_block2: 0x03,
+    DW_FORM_block4: 0x04,
+    DW_FORM_data2: 0x05,
+    DW_FORM_data4: 0x06,
+    DW_FORM_data8: 0x07,
+    DW_FORM_string: 0x08,
+    DW_FORM_block: 0x09,
+    DW_FORM_block1: 0x0A,
+    DW_FORM_data1: 0x0B,
+    DW_FORM_flag: 0x0C,
+    DW_FORM_sdata: 0x0D,
+    DW_FORM_strp: 0x0E,
+    DW_FORM_udata: 0x0F,
+    DW_FORM_ref_addr: 0x10,
+    DW_FORM_ref1: 0x11,
+    DW_FORM_ref2: 0x12,
+    DW_FORM_ref4: 0x13,
+    DW_FORM_ref8: 0x14,
+    DW_FORM_ref_udata: 0x15,
+    DW_FORM_indirect: 0x16,
+    DW_FORM_sec_offset: 0x17,
+    DW_FORM_exprloc: 0x18,
+    DW_FORM_flag_present: 0x19,
+    DW_FORM_strx: 0x1A,
+    DW_FORM_addrx: 0x1B,
+    DW_FORM_ref_sup4: 0x1C,
+    DW_FORM_strp_sup: 0x1D,
+    DW_FORM_data16: 0x1E,
+    DW_FORM_line_strp: 0x1F,
+    DW_FORM_ref_sig8: 0x20,
+    DW_FORM_implicit_const: 0x21,
+    DW_FORM_loclistx: 0x22,
+    DW_FORM_rnglistx: 0x23,
+    DW_FORM_ref_sup8: 0x24,
+    DW_FORM_strx1: 0x25,
+    DW_FORM_strx2: 0x26,
+    DW_FORM_strx3: 0x27,
+    DW_FORM_strx4: 0x28,
+    DW_FORM_addrx1: 0x29,
+    DW_FORM_addrx2: 0x2A,
+    DW_FORM_addrx3: 0x2B,
+    DW_FORM_addrx4: 0x2C
+};
+
+export const Tags = {
+    DW_TAG_array_type: 0x01,
+    DW_TAG_class_type: 0x02,
+    DW_TAG_enumeration_type: 0x04,
+    DW_TAG_formal_parameter: 0x05,
+    DW_TAG_member: 0x0D,
+    DW_TAG_pointer_type: 0x0F,
+    DW_TAG_reference_type: 0x10,
+    DW_TAG_compile_unit: 0x11,
+    DW_TAG_structure_type: 0x13,
+    DW_TAG_subroutine_type: 0x15,
+    DW_TAG_typedef: 0x16,
+    DW_TAG_union_type: 0x17,
+    DW_TAG_unspecified_parameters: 0x18,
+    DW_TAG_inheritance: 0x1C,
+    DW_TAG_ptr_to_member_type: 0x1F,
+    DW_TAG_subrange_type: 0x21,
+    DW_TAG_base_type: 0x24,
+    DW_TAG_const_type: 0x26,
+    DW_TAG_enumerator: 0x28,
+    DW_TAG_subprogram: 0x2E,
+    DW_TAG_variable: 0x34,
+    DW_TAG_volatile_type: 0x35,
+    DW_TAG_restrict_type: 0x37,
+    DW_TAG_namespace: 0x39,
+    DW_TAG_unspecified_type: 0x3B,
+    DW_TAG_partial_unit: 0x3C,
+    DW_TAG_type_unit: 0x41,
+    DW_TAG_rvalue_reference_type: 0x42,
+    DW_TAG_atomic_type: 0x47,
+    DW_TAG_skeleton_unit: 0x4A
+};
+
+export const Attributes = {
+    DW_AT_sibling: 0x01,
+    DW_AT_location: 0x02,
+    DW_AT_name: 0x03,
+    DW_AT_byte_size: 0x0B,
+    DW_AT_bit_offset: 0x0C,
+    DW_AT_bit_size: 0x0D,
+    DW_AT_stmt_list: 0x10,
+    DW_AT_low_pc: 0x11,
+    DW_AT_high_pc: 0x12,
+    DW_AT_language: 0x13,
+    DW_AT_comp_dir: 0x1B,
+    DW_AT_const_value: 0x1C,
+    DW_AT_lower_bound: 0x22,
+    DW_AT_producer: 0x25,
+    DW_AT_prototyped: 0x27,
+    DW_AT_upper_bound: 0x2F,
+    DW_AT_abstract_origin: 0x31,
+    DW_AT_artificial: 0x34,
+    DW_AT_count: 0x37,
+    DW_AT_data_member_location: 0x38,
+    DW_AT_declaration: 0x3C,
+    DW_AT_encoding: 0x3E,
+    DW_AT_external: 0x3F,
+    DW_AT_specification: 0x47,
+    DW_AT_type: 0x49,
+    DW_AT_ranges: 0x55,
+    DW_AT_data_bit_offset: 0x6B,
+    DW_AT_linkage_name: 0x6E,
+    DW_AT_str_offsets_base: 0x72,
+    DW_AT_addr_base: 0x73,
+    DW_AT_MIPS_linkage_name: 0x2007
+};
+
+export const BaseTypeEncodings = {
+    DW_ATE_address: 0x1,
+    DW_ATE_boolean: 0x2,
+    DW_ATE_complex_float: 0x3,
+    DW_ATE_float: 0x4,
+    DW_ATE_signed: 0x5,
+    DW_ATE_signed_char: 0x6,
+    DW_ATE_unsigned: 0x7,
+    DW_ATE_unsigned_char: 0x8,
+    DW_ATE_UTF: 0x10
+};
+
+/**
+ * Decodes the line number programs of .debug_line (DWARF 2 to 5) into rows, and into sorted address ranges for
+ * {@link findLine}. Compressed sections (SHF_COMPRESSED, or the older .zdebug_* sections) are decompressed.
+ *
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {object} sections
+ * @returns {Promise<DwarfDebugLine|null>} Null, if the file has no .debug_line section.
+ */
+export async function parseDebugLine(handle, info, sections) {
+    const content = await loadDebugSection(handle, info, sections, '.debug_line');
+    if (content == null) {
+        return null;
+    }
+    const strings = {
+        str: await loadDebugSection(handle, info, sections, '.debug_str'),
+        lineStr: await loadDebugSection(handle, info, sections, '.debug_line_str')
+    };
+    // Before DWARF 5 the compilation directory is not in the line table, but in the unit that refers to it.
+    const compDirs = new Map();
+    const debugInfo = await parseDebugInfo(handle, info, sections).catch(() => null);
+    for (const unit of debugInfo?.units ?? []) {
+        if (unit.stmtList != null && unit.compDir != null) {
+            compDirs.set(Number(unit.stmtList), unit.compDir);
+        }
+    }
+    const reader = new DwarfReader(content, info.littleEndian);
+    const programs = [];
+    while (reader.offset < content.byteLength) {
+        const program = readLineProgram(reader, info, strings, compDirs.get(reader.offset) ?? null);
+        programs.push(program);
+        reader.offset = program._end;
+    }
+    const ranges = programs.flatMap(p => p.ranges);
+    ranges.sort((a, b) => a.start < b.start ? -1 : a.start > b.start ? 1 : 0);
+    const debugLine = Object.create(null);
+    debugLine.programs = programs;
+    debugLine.ranges = ranges;
+    debugLine.addresses = new BigUint64Array(ranges.map(r => r.start));
+    return debugLine;
+}
+
+/**
+ * @param {DwarfDebugLine} debugLine
+ * @param {bigint} address A virtual address of the file.
+ * @returns {DwarfLineRange|null} The line table range containing the address.
+ */
+export function findLine(debugLine, address) {
+    const { addresses, ranges } = debugLine;
+    let low = 0, high = addresses.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (addresses[middle] <= address) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    // Ranges of different sequences may overlap (like discarded functions, all at address 0): the nearest wins.
+    for (let i = low - 1; i >= 0 && addresses[i] === addresses[low - 1]; --i) {
+        if (address < ranges[i].end) {
+            return ranges[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads a debug section, decompressing it if needed.
+ *
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {object} sections
+ * @param {string} name The section name, like `.debug_info`. The `.zdebug_info` section is used when it is absent.
+ * @returns {Promise<Uint8Array|null>}
+ */
+export async function loadDebugSection(handle, info, sections, name) {
+    const section = sections[name] ?? sections[name.replace(/^\.debug_/, '.zdebug_')];
+    if (section == null || section.header.type === 8) {
+        return null;
+    }
+    if (!debugSectionContents.has(section)) {
+        const promise = section.load(handle).then(content => decompressSection(section, info, content.uint8));
+        debugSectionContents.set(section, promise);
+        promise.catch(() => debugSectionContents.delete(section));
+    }
+    return debugSectionContents.get(section);
+}
+
+async function decompressSection(section, info, data) {
+    const name = section._name;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let type, size, offset;
+    if ((section.header.flags & 0x800n) !== 0n) {
+        // Elf32_Chdr or Elf64_Chdr
+        offset = info.bit64 ? 24 : 12;
+        if (data.byteLength < offset) {
+            throw new ParseError(`Section [${name}]: truncated compression header`);
+        }
+        type = view.getUint32(0, info.littleEndian);
+        size = info.bit64 ? view.getBigUint64(8, info.littleEndian) : BigInt(view.getUint32(4, info.littleEndian));
+    } else if (name.startsWith('.zdebug_')) {
+        // The GNU format: "ZLIB", then the uncompressed size as a big endian 64-bit value.
+        if (data.byteLength < 12 || view.getUint32(0, false) !== 0x5A4C4942) {
+            return data;
+        }
+        type = 1;
+        size = view.getBigUint64(4, false);
+        offset = 12;
+    } else {
+        return data;
+    }
+    let result;
+    if (type === 1) {
+        result = await inflate(data.subarray(offset));
+    } else if (type === 2) {
+        if (typeof zlib.zstdDecompress !== 'function') {
+            throw new ParseError(`Section [${name}]: zstd decompression is not available in this Node.js version`);
+        }
+        result = await promisify(zlib.zstdDecompress)(data.subarray(offset));
+    } else {
+        throw new ParseError(`Section [${name}]: unknown compression type ${type}`);
+    }
+    if (BigInt(result.byteLength) !== size) {
+        throw new ParseError(`Section [${name}]: decompressed ${result.byteLength} bytes, expected ${size}`);
+    }
+    return new Uint8Array(result.buffer, result.byteOffset, result.byteLength);
+}
+
+/**
+ * @param {DwarfReader} reader
+ * @param {ElfInformation} info
+ * @param {{str: Uint8Array|null, lineStr: Uint8Array|null}} strings
+ * @param {string|null} compDir The DW_AT_comp_dir of the unit of the program.
+ * @returns {DwarfLineProgram}
+ */
+function readLineProgram(reader, info, strings, compDir) {
+    const program = Object.create(null);
+    program._offset = reader.offset;
+    const [unitLength, offsetSize] = reader.initialLength();
+    program._end = reader.offset + unitLength;
+    if (program._end > reader.byteLength) {
+        throw new ParseError(`.debug_line[0x${program._offset.toString(16)}]: unit length exceeds the section`);
+    }
+    program.offsetSize = offsetSize;
+    program.version = reader.u16();
+    if (program.version < 2 || program.version > 5) {
+        throw new ParseError(`.debug_line[0x${program._offset.toString(16)}]: unsupported version ${program.version}`);
+    }
+    program.addressSize = info.wordSize;
+    if (program.version >= 5) {
+        program.addressSize = reader.u8();
+        program.segmentSelectorSize = reader.u8();
+    }
+    const headerLength = reader.offsetValue(offsetSize);
+    const programStart = reader.offset + headerLength;
+    program.minimumInstructionLength = reader.u8();
+    program.maximumOperationsPerInstruction = program.version >= 4 ? reader.u8() : 1;
+    if (program.maximumOperationsPerInstruction === 0) {
+        throw new ParseError(`.debug_line[0x${program._offset.toString(16)}]: maximum_operations_per_instruction is 0`);
+    }
+    program.defaultIsStmt = reader.u8() !== 0;
+    program.lineBase = reader.i8();
+    program.lineRange = reader.u8();
+    if (program.lineRange === 0) {
+        throw new ParseError(`.debug_line[0x${program._offset.toString(16)}]: line_range is 0`);
+    }
+    program.opcodeBase = reader.u8();
+    program.standardOpcodeLengths = [];
+    for (let i = 1; i < program.opcodeBase; ++i) {
+        program.standardOpcodeLengths.push(reader.u8());
+    }
+    if (program.version >= 5) {
+        const context = { program, strings, littleEndian: info.littleEndian };
+        program.directories = readEntryTable(reader, context).map(entry => entry.path);
+        program.directories = program.directories.map((path, i) => i === 0 ? path : joinPath(program.directories[0], path));
+        program.files = readEntryTable(reader, context).map(entry => createFileEntry(program, entry));
+    } else {
+        // Directory 0 is the compilation directory, and file 0 the primary source file: they are not in the table.
+        program.directories = [compDir];
+        for (let path; (path = reader.cstring()) !== '';) {
+            program.directories.push(joinPath(compDir, path));
+        }
+        program.files = [null];
+        for (let path; (path = reader.cstring()) !== '';) {
+            program.files.push(readFileEntryV2(reader, program, path));
+        }
+    }
+    reader.offset = programStart;
+    runLineProgram(reader, program);
+    return program;
+}
+
+/**
+ * Reads a DWARF 5 directory or file name table: the entry format, then the entries.
+ */
+function readEntryTable(reader, context) {
+    const format = [];
+    const formatCount = reader.u8();
+    for (let i = 0; i < formatCount; ++i) {
+        format.push([reader.uleb(), reader.uleb()]);
+    }
+    const entries = [];
+    const count = reader.uleb();
+    for (let i = 0; i < count; ++i) {
+        const entry = Object.create(null);
+        for (const [type, form] of format) {
+            const value = readFormValue(reader, form, context);
+            switch (type) {
+                case LineContentTypes.DW_LNCT_path:
+                    entry.path = value;
+                    break;
+                case LineContentTypes.DW_LNCT_directory_index:
+                    entry.directory = Number(value);
+                    break;
+                case LineContentTypes.DW_LNCT_timestamp:
+                    entry.mtime = value;
+                    break;
+                case LineContentTypes.DW_LNCT_size:
+                    entry.size = value;
+                    break;
+                case LineContentTypes.DW_LNCT_MD5:
+                    entry.md5 = Buffer.from(value).toString('hex');
+                    break;
+            }
+        }
+        entries.push(entry);
+    }
+    return entries;
+}
+
+function readFileEntryV2(reader, program, path) {
+    const entry = Object.create(null);
+    entry.path = path;
+    entry.directory = reader.uleb();
+    entry.mtime = reader.uleb();
+    entry.size = reader.uleb();
+    return createFileEntry(program, entry);
+}
+
+/**
+ * @returns {DwarfFileEntry}
+ */
+function createFileEntry(program, entry) {
+    const file = Object.create(null);
+    file.name = entry.path ?? null;
+    file.directory = entry.directory ?? 0;
+    file.mtime = entry.mtime ?? null;
+    file.size = entry.size ?? null;
+    file.md5 = entry.md5 ?? null;
+    file.path = file.name == null ? null : joinPath(program.directories[file.directory] ?? null, file.name);
+    return file;
+}
+
+/**
+ * @param {string|null} directory
+ * @param {string|null} path
+ * @returns {string|null} The path, relative to the directory unless it is absolute.
+ */
+function joinPath(directory, path) {
+    return path == null || path.startsWith('/') || directory == null ? path : `${directory}/${path}`;
+}
+
+/**
+ * Reads an attribute value in one of the forms a line table header may use.
+ */
+function readFormValue(reader, form, context) {
+    const { program, strings } = context;
+    switch (form) {
+        case Forms.DW_FORM_string:
+            return reader.cstring();
+        case Forms.DW_FORM_strp:
+            return getString(strings.str, reader.offsetValue(program.offsetSize), '.debug_str');
+        case Forms.DW_FORM_line_strp:
+            return getString(strings.lineStr, reader.offsetValue(program.offsetSize), '.debug_line_str');
+        case Forms.DW_FORM_udata:
+            return reader.uleb();
+        case Forms.DW_FORM_data1:
+            return reader.u8();
+        case Forms.DW_FORM_data2:
+            return reader.u16();
+        case Forms.DW_FORM_data4:
+            return reader.u32();
+        case Forms.DW_FORM_data8:
+            return reader.u64();
+        case Forms.DW_FORM_data16:
+            return reader.bytes(16);
+        case Forms.DW_FORM_block:
+            return reader.bytes(reader.uleb());
+        default:
+            throw new ParseError(`.debug_line[0x${program._offset.toString(16)}]: unsupported form 0x${form.toString(16)} in the file name table`);
+    }
+}
+
+function getString(data, offset, sectionName) {
+    if (data == null) {
+        throw new ParseError(`Missing section [${sectionName}]`);
+    }
+    if (offset >= data.byteLength) {
+        throw new ParseError(`Offset 0x${offset.toString(16)} out of the bounds of [${sectionName}]`);
+    }
+    const end = data.indexOf(0, offset);
+    if (end < 0) {
+        throw new ParseError(`Unterminated string at 0x${offset.toString(16)} in [${sectionName}]`);
+    }
+    return Buffer.from(data.buffer, data.byteOffset + offset, end - offset).toString();
+}
+
+/**
+ * Runs the line number state machine, then pairs each row with the next one in its sequence as an address range.
+ */
+function runLineProgram(reader, program) {
+    const rows = program.rows = [];
+    const ranges = program.ranges = [];
+    const minimumLength = BigInt(program.minimumInstructionLength);
+    const maximumOperations = program.maximumOperationsPerInstruction;
+    let state;
+    let sequenceStart = 0;
+    const reset = () => {
+        state = {
+            address: 0n,
+            opIndex: 0,
+            file: 1,
+            line: 1,
+            column: 0,
+            isStmt: program.defaultIsStmt,
+            basicBlock: false,
+            endSequence: false,
+            prologueEnd: false,
+            epilogueBegin: false,
+            isa: 0,
+            discriminator: 0
+        };
+    };
+    const advance = operationAdvance => {
+        if (maximumOperations === 1) {
+            state.address += minimumLength * BigInt(operationAdvance);
+        } else {
+            const operations = state.opIndex + operationAdvance;
+            state.address += minimumLength * BigInt(Math.floor(operations / maximumOperations));
+            state.opIndex = operations % maximumOperations;
+        }
+    };
+    const emit = () => {
+        const row = Object.create(null);
+        Object.assign(row, state);
+        rows.push(row);
+        state.basicBlock = false;
+        state.prologueEnd = false;
+        state.epilogueBegin = false;
+        state.discriminator = 0;
+        if (row.endSequence) {
+            for (let i = sequenceStart; i < rows.length - 1; ++i) {
+                if (rows[i + 1].address > rows[i].address) {
+                    ranges.push(createLineRange(program, rows[i], rows[i + 1].address));
+                }
+            }
+            sequenceStart = rows.length;
+            reset();
+        }
+    };
+    reset();
+    while (reader.offset < program._end) {
+        const opcode = reader.u8();
+        if (opcode >= program.opcodeBase) {
+            const adjusted = opcode - program.opcodeBase;
+            advance(Math.floor(adjusted / program.lineRange));
+            state.line += program.lineBase + adjusted % program.lineRange;
+            emit();
+            continue;
+        }
+        switch (opcode) {
+            case 0: {
+                const length = reader.uleb();
+                const end = reader.offset + length;
+                const extended = length > 0 ? reader.u8() : 0;
+                switch (extended) {
+                    case 1: // DW_LNE_end_sequence
+                        state.endSequence = true;
+                        emit();
+                        break;
+                    case 2: // DW_LNE_set_address
+                        state.address = reader.address(length - 1);
+                        state.opIndex = 0;
+                        break;
+                    case 3: { // DW_LNE_define_file
+                        program.files.push(readFileEntryV2(reader, program, reader.cstring()));
+                        break;
+                    }
+                    case 4: // DW_LNE_set_discriminator
+                        state.discriminator = reader.uleb();
+                        break;
+                }
+                reader.offset = end;
+                break;
+            }
+            case 1: // DW_LNS_copy
+                emit();
+                break;
+            case 2: // DW_LNS_advance_pc
+                advance(reader.uleb());
+                break;
+            case 3: // DW_LNS_advance_line
+                state.line += reader.sleb();
+                break;
+            case 4: // DW_LNS_set_file
+                state.file = reader.uleb();
+                break;
+            case 5: // DW_LNS_set_column
+                state.column = reader.uleb();
+                break;
+            case 6: // DW_LNS_negate_stmt
+                state.isStmt = !state.isStmt;
+                break;
+            case 7: // DW_LNS_set_basic_block
+                state.basicBlock = true;
+                break;
+            case 8: // DW_LNS_const_add_pc
+                advance(Math.floor((255 - program.opcodeBase) / program.lineRange));
+                break;
+            case 9: // DW_LNS_fixed_advance_pc
+                state.address += BigInt(reader.u16());
+                state.opIndex = 0;
+                break;
+            case 10: // DW_LNS_set_prologue_end
+                state.prologueEnd = true;
+                break;
+            case 11: // DW_LNS_set_epilogue_begin
+                state.epilogueBegin = true;
+                break;
+            case 12: // DW_LNS_set_isa
+                state.isa = reader.uleb();
+                break;
+            default:
+                // An opcode of a later version: its operands are ULEB128 values.
+                for (let i = 0; i < program.standardOpcodeLengths[opcode - 1]; ++i) {
+                    reader.uleb();
+                }
+        }
+    }
+}
+
+/**
+ * @returns {DwarfLineRange}
+ */
+function createLineRange(program, row, end) {
+    const range = Object.create(null);
+    range.start = row.address;
+    range.end = end;
+    range.file = program.files[row.file]?.path ?? null;
+    range.line = row.line;
+    range.column = row.column;
+    range.program = program;
+    return range;
+}
+
+/**
+ * Parses the units of .debug_info, with their abbreviations from .debug_abbrev and their strings from .debug_str,
+ * .debug_line_str and .debug_str_offsets. Only the unit headers and root entries are decoded upfront: the entry tree of
+ * a unit is decoded on first use.
+ *
+ * Relocatable objects are not supported, as their debug sections are only complete once relocated.
+ *
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {object} sections
+ * @returns {Promise<DwarfDebugInfo|null>} Null, if the file has no .debug_info section.
+ */
+export async function parseDebugInfo(handle, info, sections) {
+    const content = await loadDebugSection(handle, info, sections, '.debug_info');
+    if (content == null) {
+        return null;
+    }
+    const data = Object.create(null);
+    data.info = content;
+    data.abbrev = await loadDebugSection(handle, info, sections, '.debug_abbrev');
+    data.str = await loadDebugSection(handle, info, sections, '.debug_str');
+    data.lineStr = await loadDebugSection(handle, info, sections, '.debug_line_str');
+    data.strOffsets = await loadDebugSection(handle, info, sections, '.debug_str_offsets');
+    data.addr = await loadDebugSection(handle, info, sections, '.debug_addr');
+    if (data.abbrev == null) {
+        throw new ParseError('Missing section [.debug_abbrev]');
+    }
+    return new DwarfDebugInfo(info, data);
+}
+
+/**
+ * The debugging information entries of a file, and the description of the types and functions they declare.
+ *
+ * Descriptions are plain objects that follow the references between entries, across units: a struct declared in one
+ * unit is described by its definition in another. They may be cyclic, like a struct with a pointer to itself.
+ */
+export class DwarfDebugInfo {
+    #info;
+    #data;
+    #units = [];
+    #abbreviations = new Map();
+    #entries = new Map();
+    #names = null;
+    #descriptions = new Map();
+
+    /**
+     * @param {ElfInformation} info
+     * @param {object} data The contents of the debug sections.
+     */
+    constructor(info, data) {
+        this.#info = info;
+        this.#data = data;
+        const reader = new DwarfReader(data.info, info.littleEndian);
+        while (reader.offset < data.info.byteLength) {
+            const unit = readUnitHeader(reader);
+            this.#units.push(unit);
+            reader.offset = unit._end;
+        }
+        for (const unit of this.#units) {
+            this.#readRoot(unit);
+        }
+    }
+
+    /**
+     * @type {Array<DwarfUnit>}
+     */
+    get units() {
+        return this.#units;
+    }
+
+    /**
+     * @param {number} offset
+     * @returns {DwarfEntry|null} The entry at an offset of .debug_info.
+     */
+    entry(offset) {
+        const unit = this.#units.find(u => offset >= u._offset && offset < u._end);
+        if (unit == null) {
+            return null;
+        }
+        this.#readEntries(unit);
+        return this.#entries.get(offset) ?? null;
+    }
+
+    /**
+     * @param {DwarfUnit} unit
+     * @returns {Array<DwarfEntry>} The entries of the unit, in order.
+     */
+    entries(unit) {
+        this.#readEntries(unit);
+        const result = [];
+        const visit = entry => {
+            result.push(entry);
+            entry.children?.forEach(visit);
+        };
+        visit(unit.root);
+        return result;
+    }
+
+    /**
+     * @param {DwarfEntry} entry
+     * @param {number} attribute A DW_AT_* value.
+     * @returns {*} The attribute value, inherited through DW_AT_specification and DW_AT_abstract_origin.
+     */
+    attribute(entry, attribute) {
+        for (let depth = 0; entry != null && depth < 8; ++depth) {
+            if (attribute in entry.attributes) {
+                return entry.attributes[attribute];
+            }
+            const origin = entry.attributes[Attributes.DW_AT_specification] ?? entry.attributes[Attributes.DW_AT_abstract_origin];
+            entry = origin == null ? null : this.entry(origin);
+        }
+        return undefined;
+    }
+
+    /**
+     * Finds a struct, class, union, enum, typedef or base type by name, preferring a definition over a declaration.
+     * Names in namespaces and classes are qualified: `ns::name`.
+     *
+     * @param {string} name
+     * @returns {DwarfTypeDescription|null}
+     */
+    findType(name) {
+        const entries = this.#lookup(name).filter(e => typeTags.has(e.tag));
+        const entry = entries.find(e => !e.attributes[Attributes.DW_AT_declaration]) ?? entries[0];
+        return entry == null ? null : this.describe(entry);
+    }
+
+    /**
+     * Finds a function by name or by linkage name, preferring the entry that holds its code.
+     *
+     * @param {string} name
+     * @returns {DwarfFunctionDescription|null}
+     */
+    findFunction(name) {
+        const entries = this.#lookup(name).filter(e => e.tag === Tags.DW_TAG_subprogram);
+        const entry = entries.find(e => e.attributes[Attributes.DW_AT_low_pc] != null) ?? entries.find(e => !e.attributes[Attributes.DW_AT_declaration]) ?? entries[0];
+        return entry == null ? null : this.describe(entry);
+    }
+
+    /**
+     * @param {DwarfEntry|null} entry A type or a function entry, null for `void`.
+     * @returns {DwarfTypeDescription|DwarfFunctionDescription|null}
+     */
+    describe(entry) {
+        if (entry == null) {
+            return null;
+        }
+        if (this.#descriptions.has(entry.offset)) {
+            return this.#descriptions.get(entry.offset);
+        }
+        if (structTags.has(entry.tag) && entry.attributes[Attributes.DW_AT_declaration]) {
+            const definition = this.#findDefinition(entry);
+            if (definition != null) {
+                const description = this.describe(definition);
+                this.#descriptions.set(entry.offset, description);
+                return description;
+            }
+        }
+        const description = Object.create(null);
+        this.#descriptions.set(entry.offset, description);
+        description.kind = entry._tag?.replace(/^DW_TAG_/, '') ?? null;
+        description.name = this.attribute(entry, Attributes.DW_AT_name) ?? null;
+        description.offset = entry.offset;
+        const byteSize = entry.attributes[Attributes.DW_AT_byte_size];
+        const size = typeof byteSize === 'number' ? byteSize : null;
+        switch (entry.tag) {
+            case Tags.DW_TAG_base_type:
+                description.kind = 'base';
+                description.size = size;
+                description.encoding = entry.attributes[Attributes.DW_AT_encoding] ?? null;
+                description.scalar = getScalarName(description.encoding, size);
+                break;
+            case Tags.DW_TAG_pointer_type:
+            case Tags.DW_TAG_reference_type:
+            case Tags.DW_TAG_rvalue_reference_type:
+                description.kind = 'pointer';
+                description.size = size ?? this.#unitOf(entry).addressSize;
+                description.reference = entry.tag !== Tags.DW_TAG_pointer_type;
+                description.target = this.describe(this.#typeOf(entry));
+                break;
+            case Tags.DW_TAG_const_type:
+            case Tags.DW_TAG_volatile_type:
+            case Tags.DW_TAG_restrict_type:
+            case Tags.DW_TAG_atomic_type:
+                description.kind = 'qualified';
+                description.qualifier = entry._tag.replace(/^DW_TAG_(.*)_type$/, '$1');
+                description.type = this.describe(this.#typeOf(entry));
+                break;
+            case Tags.DW_TAG_typedef:
+                description.kind = 'typedef';
+                description.type = this.describe(this.#typeOf(entry));
+                break;
+            case Tags.DW_TAG_structure_type:
+            case Tags.DW_TAG_class_type:
+            case Tags.DW_TAG_union_type:
+                description.kind = entry.tag === Tags.DW_TAG_union_type ? 'union' : entry.tag === Tags.DW_TAG_class_type ? 'class' : 'struct';
+                description.size = size;
+                description.declaration = Boolean(entry.attributes[Attributes.DW_AT_declaration]);
+                description.members = [];
+                description.bases = [];
+                for (const child of entry.children ?? []) {
+                    if (child.tag === Tags.DW_TAG_member && !child.attributes[Attributes.DW_AT_external]) {
+                        description.members.push(this.#describeMember(child));
+                    } else if (child.tag === Tags.DW_TAG_inheritance) {
+                        const base = Object.create(null);
+                        base.type = this.describe(this.#typeOf(child));
+                        base.offset = getMemberLocation(child.attributes[Attributes.DW_AT_data_member_location]);
+                        description.bases.push(base);
+                    }
+                }
+                break;
+            case Tags.DW_TAG_enumeration_type:
+                description.kind = 'enum';
+                description.size = size;
+                description.type = this.describe(this.#typeOf(entry));
+                description.enumerators = (entry.children ?? []).filter(c => c.tag === Tags.DW_TAG_enumerator).map(c => {
+                    const enumerator = Object.create(null);
+                    enumerator.name = c.attributes[Attributes.DW_AT_name] ?? null;
+                    enumerator.value = c.attributes[Attributes.DW_AT_const_value] ?? null;
+                    return enumerator;
+                });
+                break;
+            case Tags.DW_TAG_array_type: {
+                description.kind = 'array';
+                description.type = this.describe(this.#typeOf(entry));
+                description.dimensions = (entry.children ?? []).filter(c => c.tag === Tags.DW_TAG_subrange_type).map(getSubrangeLength);
+                const elementSize = getTypeSize(description.type);
+                description.size = size ?? (elementSize == null || description.dimensions.includes(null) ? null : description.dimensions.reduce((total, length) => total * length, elementSize));
+                break;
+            }
+            case Tags.DW_TAG_subroutine_type:
+            case Tags.DW_TAG_subprogram:
+                this.#describeFunction(entry, description);
+                break;
+        }
+        return description;
+    }
+
+    #describeMember(entry) {
+        const member = Object.create(null);
+        member.name = entry.attributes[Attributes.DW_AT_name] ?? null;
+        member.type = this.describe(this.#typeOf(entry));
+        member.offset = getMemberLocation(entry.attributes[Attributes.DW_AT_data_member_location]) ?? 0;
+        member.bitSize = entry.attributes[Attributes.DW_AT_bit_size] ?? null;
+        member.bitOffset = null;
+        if (member.bitSize != null) {
+            if (Attributes.DW_AT_data_bit_offset in entry.attributes) {
+                member.bitOffset = entry.attributes[Attributes.DW_AT_data_bit_offset];
+            } else {
+                // DWARF 2 and 3 count DW_AT_bit_offset from the most significant bit of the storage unit.
+                const unitSize = entry.attributes[Attributes.DW_AT_byte_size] ?? getTypeSize(member.type) ?? 0;
+                const bitOffset = entry.attributes[Attributes.DW_AT_bit_offset] ?? 0;
+                member.bitOffset = member.offset * 8 + (this.#info.littleEndian ? unitSize * 8 - bitOffset - member.bitSize : bitOffset);
+            }
+            member.offset = Math.floor(member.bitOffset / 8);
+        }
+        return member;
+    }
+
+    #describeFunction(entry, description) {
+        description.kind = 'function';
+        description.returns = this.describe(this.#typeOf(entry));
+        description.parameters = [];
+        description.variadic = false;
+        // The parameters of a concrete instance are in the abstract entry it refers to.
+        let owner = entry;
+        while (owner != null && !(owner.children ?? []).some(c => c.tag === Tags.DW_TAG_formal_parameter || c.tag === Tags.DW_TAG_unspecified_parameters)) {
+            const origin = owner.attributes[Attributes.DW_AT_specification] ?? owner.attributes[Attributes.DW_AT_abstract_origin];
+            owner = origin == null ? null : this.entry(origin);
+        }
+        for (const child of owner?.children ?? []) {
+            if (child.tag === Tags.DW_TAG_formal_parameter) {
+                const parameter = Object.create(null);
+                parameter.name = this.attribute(child, Attributes.DW_AT_name) ?? null;
+                parameter.type = this.describe(this.#typeOf(child));
+                parameter.artificial = Boolean(this.attribute(child, Attributes.DW_AT_artificial));
+                description.parameters.push(parameter);
+            } else if (child.tag === Tags.DW_TAG_unspecified_parameters) {
+                description.variadic = true;
+            }
+        }
+        if (entry.tag === Tags.DW_TAG_subprogram) {
+            description.linkageName = this.attribute(entry, Attributes.DW_AT_linkage_name) ?? this.attribute(entry, Attributes.DW_AT_MIPS_linkage_name) ?? null;
+            description.external = Boolean(this.attribute(entry, Attributes.DW_AT_external));
+            description.address = entry.attributes[Attributes.DW_AT_low_pc] ?? null;
+        }
+    }
+
+    #typeOf(entry) {
+        const offset = this.attribute(entry, Attributes.DW_AT_type);
+        return typeof offset === 'number' ? this.entry(offset) : null;
+    }
+
+    #unitOf(entry) {
+        return this.#units.find(u => entry.offset >= u._offset && entry.offset < u._end);
+    }
+
+    /**
+     * @returns {DwarfEntry|null} The definition of a declared struct, class or union, with the same qualified name.
+     */
+    #findDefinition(entry) {
+        const name = this.#qualifiedName(entry);
+        if (name == null) {
+            return null;
+        }
+        return this.#lookup(name).find(e => e.tag === entry.tag && !e.attributes[Attributes.DW_AT_declaration]) ?? null;
+    }
+
+    #qualifiedName(entry) {
+        const name = entry.attributes[Attributes.DW_AT_name];
+        if (name == null) {
+            // An out-of-line definition is named by its declaration, in the scope of the declaration.
+            const origin = entry.attributes[Attributes.DW_AT_specification] ?? entry.attributes[Attributes.DW_AT_abstract_origin];
+            return origin == null ? null : this.#qualifiedName(this.entry(origin));
+        }
+        const scopes = [];
+        for (let parent = entry.parent; parent != null && scopeTags.has(parent.tag); parent = parent.parent) {
+            scopes.unshift(parent.attributes[Attributes.DW_AT_name] ?? '(anonymous namespace)');
+        }
+        return [...scopes, name].join('::');
+    }
+
+    #lookup(name) {
+        if (this.#names == null) {
+            this.#names = new Map();
+            const add = (key, entry) => {
+                if (!this.#names.has(key)) {
+                    this.#names.set(key, []);
+                }
+                this.#names.get(key).push(entry);
+            };
+            for (const unit of this.#units) {
+                for (const entry of this.entries(unit)) {
+                    if (!typeTags.has(entry.tag) && entry.tag !== Tags.DW_TAG_subprogram) {
+                        continue;
+                    }
+                    const qualifiedName = this.#qualifiedName(entry);
+                    if (qualifiedName != null) {
+                        add(qualifiedName, entry);
+                    }
+                    const linkageName = this.attribute(entry, Attributes.DW_AT_linkage_name) ?? this.attribute(entry, Attributes.DW_AT_MIPS_linkage_name);
+                    if (linkageName != null && linkageName !== qualifiedName) {
+                        add(linkageName, entry);
+                    }
+                }
+            }
+        }
+        return this.#names.get(name) ?? [];
+    }
+
+    #readRoot(unit) {
+        const reader = new DwarfReader(this.#data.info, this.#info.littleEndian);
+        reader.offset = unit._entryOffset;
+        // The string and address bases are attributes of the root entry, which may itself use them.
+        let root = this.#readEntry(reader, unit);
+        if (root == null) {
+            throw new ParseError(`.debug_info[0x${unit._offset.toString(16)}]: the unit has no root entry`);
+        }
+        unit.strOffsetsBase = root.attributes[Attributes.DW_AT_str_offsets_base] ?? null;
+        unit.addrBase = root.attributes[Attributes.DW_AT_addr_base] ?? null;
+        if (unit.strOffsetsBase != null || unit.addrBase != null) {
+            reader.offset = unit._entryOffset;
+            root = this.#readEntry(reader, unit);
+        }
+        unit.root = root;
+        unit.name = root.attributes[Attributes.DW_AT_name] ?? null;
+        unit.compDir = root.attributes[Attributes.DW_AT_comp_dir] ?? null;
+        unit.producer = root.attributes[Attributes.DW_AT_producer] ?? null;
+        unit.language = root.attributes[Attributes.DW_AT_language] ?? null;
+        unit.lowPc = root.attributes[Attributes.DW_AT_low_pc] ?? null;
+        unit.stmtList = root.attributes[Attributes.DW_AT_stmt_list] ?? null;
+        unit._entriesRead = false;
+    }
+
+    #readEntries(unit) {
+        if (unit._entriesRead) {
+            return;
+        }
+        const reader = new DwarfReader(this.#data.info, this.#info.littleEndian);
+        reader.offset = unit._entryOffset;
+        const root = this.#readEntry(reader, unit);
+        this.#entries.set(root.offset, root);
+        const parents = root.children != null ? [root] : [];
+        while (parents.length > 0 && reader.offset < unit._end) {
+            const entry = this.#readEntry(reader, unit);
+            if (entry == null) {
+                parents.pop();
+                continue;
+            }
+            const parent = parents[parents.length - 1];
+            entry.parent = parent;
+            parent.children.push(entry);
+            this.#entries.set(entry.offset, entry);
+            if (entry.children != null) {
+                parents.push(entry);
+            }
+        }
+        unit.root = root;
+        unit._entriesRead = true;
+    }
+
+    /**
+     * @returns {DwarfEntry|null} The entry at the reader offset, or null for the entry that ends a list of children.
+     */
+    #readEntry(reader, unit) {
+        const offset = reader.offset;
+        const code = reader.uleb();
+        if (code === 0) {
+            return null;
+        }
+        const abbreviation = this.#getAbbreviations(unit.abbrevOffset).get(code);
+        if (abbreviation == null) {
+            throw new ParseError(`.debug_info[0x${offset.toString(16)}]: unknown abbreviation code ${code}`);
+        }
+        const entry = Object.create(null);
+        entry.offset = offset;
+        entry.tag = abbreviation.tag;
+        entry._tag = tagNames.get(abbreviation.tag) ?? null;
+        entry.attributes = Object.create(null);
+        for (const [attribute, form, value] of abbreviation.attributes) {
+            entry.attributes[attribute] = this.#readAttribute(reader, unit, form, value);
+        }
+        entry.children = abbreviation.children ? [] : null;
+        entry.parent = null;
+        return entry;
+    }
+
+    #readAttribute(reader, unit, form, implicitValue) {
+        const data = this.#data;
+        switch (form) {
+            case Forms.DW_FORM_addr:
+                return reader.address(unit.addressSize);
+            case Forms.DW_FORM_addrx:
+            case Forms.DW_FORM_addrx1:
+            case Forms.DW_FORM_addrx2:
+            case Forms.DW_FORM_addrx3:
+            case Forms.DW_FORM_addrx4:
+                return this.#readIndexedAddress(unit, readIndex(reader, form));
+            case Forms.DW_FORM_block1:
+                return reader.bytes(reader.u8());
+            case Forms.DW_FORM_block2:
+                return reader.bytes(reader.u16());
+            case Forms.DW_FORM_block4:
+                return reader.bytes(reader.u32());
+            case Forms.DW_FORM_block:
+            case Forms.DW_FORM_exprloc:
+                return reader.bytes(reader.uleb());
+            case Forms.DW_FORM_data1:
+            case Forms.DW_FORM_ref1:
+            case Forms.DW_FORM_flag:
+                return adjustReference(form, unit, reader.u8());
+            case Forms.DW_FORM_data2:
+            case Forms.DW_FORM_ref2:
+                return adjustReference(form, unit, reader.u16());
+            case Forms.DW_FORM_data4:
+            case Forms.DW_FORM_ref4:
+            case Forms.DW_FORM_ref_sup4:
+                return adjustReference(form, unit, reader.u32());
+            case Forms.DW_FORM_data8:
+            case Forms.DW_FORM_ref_sig8:
+            case Forms.DW_FORM_ref_sup8:
+                return reader.u64();
+            case Forms.DW_FORM_ref8:
+                return unit._offset + reader.offsetValue(8);
+            case Forms.DW_FORM_data16:
+                return reader.bytes(16);
+            case Forms.DW_FORM_sdata:
+                return reader.sleb();
+            case Forms.DW_FORM_udata:
+            case Forms.DW_FORM_ref_udata:
+            case Forms.DW_FORM_loclistx:
+            case Forms.DW_FORM_rnglistx:
+                return adjustReference(form, unit, reader.uleb());
+            case Forms.DW_FORM_flag_present:
+                return true;
+            case Forms.DW_FORM_implicit_const:
+                return implicitValue;
+            case Forms.DW_FORM_string:
+                return reader.cstring();
+            case Forms.DW_FORM_strp:
+                return getString(data.str, reader.offsetValue(unit.offsetSize), '.debug_str');
+            case Forms.DW_FORM_line_strp:
+                return getString(data.lineStr, reader.offsetValue(unit.offsetSize), '.debug_line_str');
+            case Forms.DW_FORM_strp_sup:
+                reader.offsetValue(unit.offsetSize);
+                return null;
+            case Forms.DW_FORM_strx:
+            case Forms.DW_FORM_strx1:
+            case Forms.DW_FORM_strx2:
+            case Forms.DW_FORM_strx3:
+            case Forms.DW_FORM_strx4:
+                return this.#readIndexedString(unit, readIndex(reader, form));
+            case Forms.DW_FORM_ref_addr:
+                return reader.offsetValue(unit.version <= 2 ? unit.addressSize : unit.offsetSize);
+            case Forms.DW_FORM_sec_offset:
+                return reader.offsetValue(unit.offsetSize);
+            case Forms.DW_FORM_indirect:
+                return this.#readAttribute(reader, unit, reader.uleb(), implicitValue);
+            default:
+                throw new ParseError(`.debug_info[0x${reader.offset.toString(16)}]: unsupported form 0x${form.toString(16)}`);
+        }
+    }
+
+    /**
+     * @returns {string|null} The string, or null while the root entry is read for the base.
+     */
+    #readIndexedString(unit, index) {
+        if (unit.strOffsetsBase == null || this.#data.strOffsets == null) {
+            return null;
+        }
+        const reader = new DwarfReader(this.#data.strOffsets, this.#info.littleEndian);
+        reader.offset = unit.strOffsetsBase + index * unit.offsetSize;
+        return getString(this.#data.str, reader.offsetValue(unit.offsetSize), '.debug_str');
+    }
+
+    #readIndexedAddress(unit, index) {
+        if (unit.addrBase == null || this.#data.addr == null) {
+            return null;
+        }
+        const reader = new DwarfReader(this.#data.addr, this.#info.littleEndian);
+        reader.offset = unit.addrBase + index * unit.addressSize;
+        return reader.address(unit.addressSize);
+    }
+
+    /**
+     * @returns {Map<number, {tag: number, children: boolean, attributes: Array<[number, number, number?]>}>}
+     */
+    #getAbbreviations(offset) {
+        if (this.#abbreviations.has(offset)) {
+            return this.#abbreviations.get(offset);
+        }
+        const table = new Map();
+        const reader = new DwarfReader(this.#data.abbrev, this.#info.littleEndian);
+        reader.offset = offset;
+        for (let code; (code = reader.uleb()) !== 0;) {
+            const abbreviation = { tag: reader.uleb(), children: reader.u8() !== 0, attributes: [] };
+            for (;;) {
+                const attribute = reader.uleb();
+                const form = reader.uleb();
+                if (attribute === 0 && form === 0) {
+                    break;
+                }
+                abbreviation.attributes.push([attribute, form, form === Forms.DW_FORM_implicit_const ? reader.sleb() : undefined]);
+            }
+            table.set(code, abbreviation);
+        }
+        this.#abbreviations.set(offset, table);
+        return table;
+    }
+}
+
+/**
+ * Converts a type description to a type of a {@link CTypes} data model, to view values of the type. Pointers to
+ * structs become typed pointers, and other pointers untyped ones.
+ *
+ * The layout is computed again for the data model, then checked against the member offsets of the description. A
+ * struct whose layout does not match, even as packed, is not supported.
+ *
+ * @param {CTypes} types
+ * @param {DwarfTypeDescription} description
+ * @param {Map<object, CType>} [cache] The types already converted, to reuse between calls.
+ * @returns {CType}
+ */
+export function toCType(types, description, cache = new Map()) {
+    if (description == null) {
+        throw new TypeError('Type void has no layout');
+    }
+    if (cache.has(description)) {
+        return cache.get(description);
+    }
+    let type;
+    switch (description.kind) {
+        case 'typedef':
+        case 'qualified':
+            type = toCType(types, description.type, cache);
+            break;
+        case 'base':
+        case 'enum': {
+            const scalar = description.kind === 'base' ? description.scalar : getEnumScalarName(description);
+            if (scalar == null) {
+                throw new TypeError(`Unsupported type ${description.name}`);
+            }
+            type = types.type(scalar);
+            break;
+        }
+        case 'pointer': {
+            const target = stripTypedefs(description.target);
+            type = target != null && ['struct', 'class', 'union', 'base', 'enum', 'pointer', 'array'].includes(target.kind) ? types.pointer(() => toCType(types, description.target, cache)) : types.pointer();
+            break;
+        }
+        case 'array': {
+            type = toCType(types, description.type, cache);
+            for (const length of [...description.dimensions].reverse()) {
+                type = types.array(type, length ?? 0);
+            }
+            break;
+        }
+        case 'struct':
+        case 'class':
+        case 'union':
+            type = createStructType(types, description, cache);
+            break;
+        default:
+            throw new TypeError(`Unsupported ${description.kind} type ${description.name ?? ''}`.trimEnd());
+    }
+    cache.set(description, type);
+    return type;
+}
+
+/**
+ * Converts a function description to a signature for {@link FfiSignature} and {@link ffiCall}.
+ *
+ * @param {DwarfFunctionDescription} description
+ * @returns {{returns: string|object, args: Array<string|object>, fixedArgs?: number}}
+ */
+export function toFfiSignature(description) {
+    if (description?.kind !== 'function') {
+        throw new TypeError('Expected a function description');
+    }
+    const signature = {
+        returns: getFfiType(description.returns),
+        args: description.parameters.map(p => getFfiType(p.type))
+    };
+    if (description.variadic) {
+        signature.fixedArgs = signature.args.length;
+    }
+    return signature;
+}
+
+function createStructType(types, description, cache) {
+    if (description.declaration) {
+        throw new TypeError(`Incomplete type ${description.kind} ${description.name ?? ''}`.trimEnd());
+    }
+    if (description.bases.length > 0) {
+        throw new TypeError(`Derived class ${description.name} is not supported`);
+    }
+    // Anonymous struct and union members are named after their position.
+    const members = description.members.map((m, i) => [m.name ?? `_${i}`, toCType(types, m.type, cache), m.bitSize ?? undefined]);
+    const define = options => description.kind === 'union' ? types.union(members, options) : types.struct(members, options);
+    for (const packed of [false, true]) {
+        const type = define({ packed });
+        if (type.size === description.size && type.members.every((m, i) => m.offset === description.members[i].offset && (m.bits == null || m.bitOffset === description.members[i].bitOffset))) {
+            return type;
+        }
+    }
+    const label = [description.kind, description.name].filter(name => name != null).join(' ');
+    throw new TypeError(`The layout of ${label} does not match the data model`);
+}
+
+function stripTypedefs(description) {
+    while (description != null && (description.kind === 'typedef' || description.kind === 'qualified')) {
+        description = description.type;
+    }
+    return description;
+}
+
+function getFfiType(description) {
+    const type = stripTypedefs(description);
+    if (type == null) {
+        return 'void';
+    }
+    switch (type.kind) {
+        case 'base':
+        case 'enum': {
+            const scalar = type.kind === 'base' ? type.scalar : getEnumScalarName(type);
+            if (scalar == null) {
+                break;
+            }
+            return scalar;
+        }
+        case 'pointer':
+            return 'pointer';
+        case 'array':
+            return { array: getFfiType(type.type), length: type.dimensions.reduce((total, length) => total * (length ?? 0), 1) };
+        case 'struct':
+        case 'class':
+            if (type.declaration || type.members.some(m => m.bitSize != null)) {
+                break;
+            }
+            return { struct: type.members.map(m => getFfiType(m.type)) };
+    }
+    throw new TypeError(`Type ${type.name ?? type.kind} cannot be passed through libffi`);
+}
+
+function getScalarName(encoding, size) {
+    if (![1, 2, 4, 8].includes(size)) {
+        return null;
+    }
+    switch (encoding) {
+        case BaseTypeEncodings.DW_ATE_signed:
+        case BaseTypeEncodings.DW_ATE_signed_char:
+            return `int${size * 8}`;
+        case BaseTypeEncodings.DW_ATE_unsigned:
+        case BaseTypeEncodings.DW_ATE_unsigned_char:
+        case BaseTypeEncodings.DW_ATE_boolean:
+        case BaseTypeEncodings.DW_ATE_UTF:
+        case BaseTypeEncodings.DW_ATE_address:
+            return `uint${size * 8}`;
+        case BaseTypeEncodings.DW_ATE_float:
+            return size === 4 ? 'float' : size === 8 ? 'double' : null;
+    }
+    return null;
+}
+
+function getEnumScalarName(description) {
+    const underlying = stripTypedefs(description.type);
+    if (underlying?.scalar != null) {
+        return underlying.scalar;
+    }
+    const signed = description.enumerators.some(e => e.value < 0);
+    return getScalarName(signed ? BaseTypeEncodings.DW_ATE_signed : BaseTypeEncodings.DW_ATE_unsigned, description.size);
+}
+
+function getTypeSize(description) {
+    const type = stripTypedefs(description);
+    return type?.size ?? null;
+}
+
+/**
+ * @returns {number|null} The offset of a member, as a constant or as a DW_OP_plus_uconst expression.
+ */
+function getMemberLocation(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (value instanceof Uint8Array && value[0] === 0x23) {
+        const reader = new DwarfReader(value, true);
+        reader.offset = 1;
+        return reader.uleb();
+    }
+    return null;
+}
+
+function getSubrangeLength(entry) {
+    const count = entry.attributes[Attributes.DW_AT_count];
+    if (typeof count === 'number') {
+        return count;
+    }
+    const upperBound = entry.attributes[Attributes.DW_AT_upper_bound];
+    if (typeof upperBound === 'number') {
+        return upperBound + 1 - (entry.attributes[Attributes.DW_AT_lower_bound] ?? 0);
+    }
+    return null;
+}
+
+function readIndex(reader, form) {
+    switch (form) {
+        case Forms.DW_FORM_strx:
+        case Forms.DW_FORM_addrx:
+            return reader.uleb();
+        case Forms.DW_FORM_strx1:
+        case Forms.DW_FORM_addrx1:
+            return reader.u8();
+        case Forms.DW_FORM_strx2:
+        case Forms.DW_FORM_addrx2:
+            return reader.u16();
+        case Forms.DW_FORM_strx3:
+        case Forms.DW_FORM_addrx3: {
+            const bytes = reader.bytes(3);
+            return reader.littleEndian ? bytes[0] | bytes[1] << 8 | bytes[2] << 16 : bytes[0] << 16 | bytes[1] << 8 | bytes[2];
+        }
+        default:
+            return reader.u32();
+    }
+}
+
+/**
+ * Unit-relative references become offsets in .debug_info.
+ */
+function adjustReference(form, unit, value) {
+    switch (form) {
+        case Forms.DW_FORM_ref1:
+        case Forms.DW_FORM_ref2:
+        case Forms.DW_FORM_ref4:
+        case Forms.DW_FORM_ref_udata:
+            return unit._offset + value;
+        case Forms.DW_FORM_flag:
+            return value !== 0;
+        default:
+            return value;
+    }
+}
+
+/**
+ * @returns {DwarfUnit}
+ */
+function readUnitHeader(reader) {
+    const unit = Object.create(null);
+    unit._offset = reader.offset;
+    const [unitLength, offsetSize] = reader.initialLength();
+    unit._end = reader.offset + unitLength;
+    if (unit._end > reader.byteLength) {
+        throw new ParseError(`.debug_info[0x${unit._offset.toString(16)}]: unit length exceeds the section`);
+    }
+    unit.offsetSize = offsetSize;
+    unit.version = reader.u16();
+    if (unit.version < 2 || unit.version > 5) {
+        throw new ParseError(`.debug_info[0x${unit._offset.toString(16)}]: unsupported version ${unit.version}`);
+    }
+    if (unit.version >= 5) {
+        unit.unitType = reader.u8();
+        unit.addressSize = reader.u8();
+        unit.abbrevOffset = reader.offsetValue(offsetSize);
+        // DW_UT_skeleton and DW_UT_split_compile have a DWO id, DW_UT_type and DW_UT_split_type a type signature.
+        if (unit.unitType === 0x04 || unit.unitType === 0x05) {
+            unit.dwoId = reader.u64();
+        } else if (unit.unitType === 0x02 || unit.unitType === 0x06) {
+            unit.typeSignature = reader.u64();
+            unit.typeOffset = reader.offsetValue(offsetSize);
+        }
+    } else {
+        // DW_UT_compile
+        unit.unitType = 0x01;
+        unit.abbrevOffset = reader.offsetValue(offsetSize);
+        unit.addressSize = reader.u8();
+    }
+    unit._entryOffset = reader.offset;
+    return unit;
+}
+
+const tagNames = new Map(Object.entries(Tags).map(([name, value]) => [value, name]));
+
+const structTags = new Set([Tags.DW_TAG_structure_type, Tags.DW_TAG_class_type, Tags.DW_TAG_union_type]);
+
+const typeTags = new Set([...structTags, Tags.DW_TAG_enumeration_type, Tags.DW_TAG_typedef, Tags.DW_TAG_base_type]);
+
+const scopeTags = new Set([...structTags, Tags.DW_TAG_namespace]);
+
+/**
+ * A cursor over a DWARF section.
+ */
+class DwarfReader {
+    /**
+     * @param {Uint8Array} data
+     * @param {boolean} littleEndian
+     */
+    constructor(data, littleEndian) {
+        this.data = data;
+        this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        this.littleEndian = littleEndian;
+        this.offset = 0;
+    }
+
+    get byteLength() {
+        return this.data.byteLength;
+    }
+
+    #take(size) {
+        const offset = this.offset;
+        if (offset + size > this.data.byteLength) {
+            throw new ParseError(`DWARF: read of ${size} bytes at 0x${offset.toString(16)} exceeds the section`);
+        }
+        this.offset += size;
+        return offset;
+    }
+
+    u8() {
+        return this.view.getUint8(this.#take(1));
+    }
+
+    i8() {
+        return this.view.getInt8(this.#take(1));
+    }
+
+    u16() {
+        return this.view.getUint16(this.#take(2), this.littleEndian);
+    }
+
+    u32() {
+        return this.view.getUint32(this.#take(4), this.littleEndian);
+    }
+
+    u64() {
+        return this.view.getBigUint64(this.#take(8), this.littleEndian);
+    }
+
+    bytes(size) {
+        const offset = this.#take(size);
+        return this.data.subarray(offset, offset + size);
+    }
+
+    /**
+     * @param {number} size
+     * @returns {bigint}
+     */
+    address(size) {
+        switch (size) {
+            case 1:
+                return BigInt(this.u8());
+            case 2:
+                return BigInt(this.u16());
+            case 4:
+                return BigInt(this.u32());
+            case 8:
+                return this.u64();
+            default:
+                throw new ParseError(`DWARF: unsupported address size ${size}`);
+        }
+    }
+
+    /**
+     * @returns {[number, number]} The unit length, and the offset size: 4 for 32-bit DWARF, 8 for 64-bit DWARF.
+     */
+    initialLength() {
+        const length = this.u32();
+        if (length === 0xFFFFFFFF) {
+            return [this.offsetValue(8), 8];
+        }
+        if (length >= 0xFFFFFFF0) {
+            throw new ParseError(`DWARF: reserved unit length 0x${length.toString(16)}`);
+        }
+        return [length, 4];
+    }
+
+    /**
+     * @param {number} offsetSize
+     * @returns {number} A section offset.
+     */
+    offsetValue(offsetSize) {
+        if (offsetSize === 4) {
+            return this.u32();
+        }
+        const value = this.u64();
+        if (value > Number.MAX_SAFE_INTEGER) {
+            throw new ParseError(`DWARF: offset 0x${value.toString(16)} is too large`);
+        }
+        return Number(value);
+    }
+
+    uleb() {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            const byte = this.u8();
+            value += (byte & 0x7F) * scale;
+            scale *= 128;
+            if ((byte & 0x80) === 0) {
+                return value;
+            }
+        }
+    }
+
+    sleb() {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            const byte = this.u8();
+            value += (byte & 0x7F) * scale;
+            scale *= 128;
+            if ((byte & 0x80) === 0) {
+                return (byte & 0x40) !== 0 ? value - scale : value;
+            }
+        }
+    }
+
+    cstring() {
+        const end = this.data.indexOf(0, this.offset);
+        if (end < 0) {
+            throw new ParseError(`DWARF: unterminated string at 0x${this.offset.toString(16)}`);
+        }
+        const value = Buffer.from(this.data.buffer, this.data.byteOffset + this.offset, end - this.offset).toString();
+        this.offset = end + 1;
+        return value;
+    }
+}
+
+/**
+ * @typedef DwarfFileEntry
+ * @property {string|null} name
+ * @property {number} directory The index in the directory table.
+ * @property {number|bigint|null} mtime
+ * @property {number|bigint|null} size
+ * @property {string|null} md5
+ * @property {string|null} path The name, joined with its directory unless absolute.
+ */
+
+/**
+ * @typedef DwarfLineProgram
+ * @property {number} _offset
+ * @property {number} _end
+ * @property {number} offsetSize
+ * @property {number} version
+ * @property {number} addressSize
+ * @property {number} minimumInstructionLength
+ * @property {number} maximumOperationsPerInstruction
+ * @property {boolean} defaultIsStmt
+ * @property {number} lineBase
+ * @property {number} lineRange
+ * @property {number} opcodeBase
+ * @property {Array<number>} standardOpcodeLengths
+ * @property {Array<string|null>} directories Entry 0 is the compilation directory, before DWARF 5 the DW_AT_comp_dir of
+ * the unit, null if there is none. The other directories are joined with it, unless they are absolute.
+ * @property {Array<DwarfFileEntry|null>} files Before DWARF 5, entry 0 (the primary source file) is null.
+ * @property {Array<object>} rows The rows of the line number matrix.
+ * @property {Array<DwarfLineRange>} ranges
+ */
+
+/**
+ * @typedef DwarfLineRange
+ * @property {bigint} start
+ * @property {bigint} end
+ * @property {string|null} file
+ * @property {number} line
+ * @property {number} column
+ * @property {DwarfLineProgram} program
+ */
+
+/**
+ * @typedef DwarfDebugLine
+ * @property {Array<DwarfLineProgram>} programs
+ * @property {Array<DwarfLineRange>} ranges Sorted by start address.
+ * @property {BigUint64Array} addresses The start address of each range.
+ */
+
+/**
+ * @typedef DwarfUnit
+ * @property {number} _offset
+ * @property {number} _end
+ * @property {number} offsetSize
+ * @property {number} version
+ * @property {number} unitType A DW_UT_* value.
+ * @property {number} addressSize
+ * @property {number} abbrevOffset
+ * @property {DwarfEntry} root
+ * @property {string|null} name
+ * @property {string|null} compDir
+ * @property {string|null} producer
+ * @property {number|null} language
+ * @property {bigint|null} lowPc
+ * @property {number|null} stmtList The offset of the line number program in .debug_line.
+ */
+
+/**
+ * @typedef DwarfEntry
+ * @property {number} offset
+ * @property {number} tag
+ * @property {string|null} _tag
+ * @property {Object<number, *>} attributes Values by DW_AT_* attribute. References are offsets in .debug_info.
+ * @property {Array<DwarfEntry>|null} children
+ * @property {DwarfEntry|null} parent
+ */
+
+/**
+ * @typedef DwarfTypeDescription
+ * @property {string} kind One of base, pointer, qualified, typedef, struct, class, union, enum, array, or the tag name
+ * for other entries.
+ * @property {string|null} name
+ * @property {number} offset The entry offset.
+ * @property {number|null} [size]
+ * @property {string|null} [scalar] For base types, the scalar type name of {@link CTypes} and {@link ffiCall}.
+ * @property {DwarfTypeDescription|null} [type] The underlying or element type, null for void.
+ * @property {DwarfTypeDescription|null} [target] The pointed type, null for void.
+ * @property {Array<{name: string|null, type: DwarfTypeDescription, offset: number, bitSize: number|null, bitOffset: number|null}>} [members]
+ * Bitfield offsets are in bits from the start of the struct.
+ * @property {Array<{name: string|null, value: number|bigint}>} [enumerators]
+ * @property {Array<number|null>} [dimensions] The array lengths, null when unknown.
+ */
+
+/**
+ * @typedef DwarfFunctionDescription
+ * @property {string} kind Always `function`.
+ * @property {string|null} name
+ * @property {number} offset
+ * @property {DwarfTypeDescription|null} returns
+ * @property {Array<{name: string|null, type: DwarfTypeDescription, artificial: boolean}>} parameters
+ * @property {boolean} variadic
+ * @property {string|null} [linkageName]
+ * @property {boolean} [external]
+ * @property {bigint|null} [address] The virtual address of the code.
+ */
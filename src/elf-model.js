@@ -0,0 +1,375 @@
+import {
+    FileTypes,
+    fileOffsetToVirtualAddress,
+    getSegmentSections,
+    OsAbiTypes,
+    readVirtualAddress,
+    SectionFlags,
+    SectionTypes,
+    SegmentFlags,
+    SegmentTypes,
+    SpecialSectionIndexes,
+    SymbolBindings,
+    SymbolTypes,
+    SymbolVisibility,
+    virtualAddressToFileOffset
+} from './elf.js';
+import { MachineTypes } from './elf-relocations.js';
+
+/**
+ * The section headers and the sections of the file each section was parsed from, to resolve section indexes.
+ * @type {WeakMap<Section, {headers: Array<ElfSectionHeader>, sections: object}>}
+ */
+const sectionTables = new WeakMap();
+
+/**
+ * A parsed ELF file, as returned by parseFile(). The parsed structures are kept in `header`, `sections`, `symbols` and
+ * the other properties, the getters decode the constants of the file header.
+ */
+export class ElfFile {
+    /**
+     * @returns {string} The e_type constant, like `ET_DYN`.
+     */
+    get type() {
+        return getConstantName(FileTypes, this.header.e.type);
+    }
+
+    /**
+     * @returns {string} The e_machine constant, like `EM_X86_64`.
+     */
+    get machine() {
+        return getConstantName(MachineTypes, this.header.e.machine);
+    }
+
+    /**
+     * @returns {string} The EI_OSABI constant, like `ELFOSABI_SYSV`.
+     */
+    get osAbi() {
+        return getConstantName(OsAbiTypes, this.header.EI.OSABI);
+    }
+
+    /**
+     * @param {string|number} name The section name, or the index of its header.
+     * @returns {Section|null}
+     */
+    getSection(name) {
+        if (typeof name === 'number') {
+            name = this.header.sh[name]?._name;
+        }
+        return name != null ? this.sections[name] ?? null : null;
+    }
+
+    /**
+     * @param {Segment|number} segment A segment, or the index of its program header.
+     * @returns {Array<Section>} The sections in the segment, as readelf's "Section to Segment mapping" lists them.
+     */
+    getSegmentSections(segment) {
+        const programHeader = typeof segment === 'number' ? this.header.ph[segment] : segment.header;
+        return getSegmentSections(this.header.sh, programHeader).filter(h => h._name != null).map(h => this.sections[h._name]);
+    }
+
+    /**
+     * @param {bigint} address
+     * @returns {number|null} The file offset of the address, see {@link virtualAddressToFileOffset}.
+     */
+    addressToOffset(address) {
+        return virtualAddressToFileOffset(this.header.ph, address);
+    }
+
+    /**
+     * @param {number} offset
+     * @returns {bigint|null} The virtual address of the file offset, see {@link fileOffsetToVirtualAddress}.
+     */
+    offsetToAddress(offset) {
+        return fileOffsetToVirtualAddress(this.header.ph, offset);
+    }
+
+    /**
+     * @param {string|fs.FileHandle|ArrayBuffer|ArrayBufferView|bigint|ByteSource} file The file this one was parsed
+     * from.
+     * @param {bigint} address
+     * @param {number} size
+     * @returns {Promise<{buffer: ArrayBuffer, uint8: Uint8Array, data: DataView}>} See {@link readVirtualAddress}.
+     */
+    read(file, address, size) {
+        return readVirtualAddress(file, this.info, this.header.ph, address, size);
+    }
+
+    toJSON() {
+        const json = Object.create(null);
+        json.class = this.info.bit64 ? 'ELFCLASS64' : 'ELFCLASS32';
+        json.data = this.info.littleEndian ? 'ELFDATA2LSB' : 'ELFDATA2MSB';
+        json.osAbi = this.osAbi;
+        json.type = this.type;
+        json.machine = this.machine;
+        json.entry = toHex(this.header.e.entry);
+        json.segments = this.segments;
+        json.sections = this.header.sh.filter(h => h._name != null).map(h => this.sections[h._name]);
+        json.symbols = this.symbols.list;
+        json.needed = this.dynamic?.needed ?? [];
+        json.soname = this.dynamic?.soname ?? null;
+        json.rpath = this.dynamic?.rpath ?? [];
+        json.runpath = this.dynamic?.runpath ?? [];
+        json.buildId = this.notes.buildId;
+        json.diagnostics = this.diagnostics;
+        return json;
+    }
+}
+
+/**
+ * A section, with its header in `header` and its contents, once loaded, in `content`.
+ */
+export class Section {
+    /**
+     * @param {ElfSectionHeader} header
+     * @param {Array<ElfSectionHeader>} headers All section headers of the file, to resolve `link`.
+     * @param {object} sections All sections of the file, keyed by name.
+     */
+    constructor(header, headers, sections) {
+        this.header = header;
+        this._name = header._name;
+        sectionTables.set(this, { headers, sections });
+    }
+
+    /**
+     * @returns {string}
+     */
+    get name() {
+        return this._name;
+    }
+
+    /**
+     * @returns {string} The SHT_* constant, like `SHT_PROGBITS`.
+     */
+    get type() {
+        return getConstantName(SectionTypes, this.header.type);
+    }
+
+    /**
+     * @returns {Array<string>} The SHF_* constants, like `['SHF_ALLOC', 'SHF_EXECINSTR']`.
+     */
+    get flags() {
+        return getFlagNames(SectionFlags, this.header.flags);
+    }
+
+    /**
+     * @returns {Section|null} The section sh_link refers to, like the string table of a symbol table.
+     */
+    get link() {
+        return this.header.link !== 0 ? resolveSection(this, this.header.link) : null;
+    }
+
+    isAllocated() {
+        return (this.header.flags & BigInt(SectionFlags.SHF_ALLOC)) !== 0n;
+    }
+
+    isWritable() {
+        return (this.header.flags & BigInt(SectionFlags.SHF_WRITE)) !== 0n;
+    }
+
+    isExecutable() {
+        return (this.header.flags & BigInt(SectionFlags.SHF_EXECINSTR)) !== 0n;
+    }
+
+    toJSON() {
+        const json = Object.create(null);
+        json.name = this.name;
+        json.type = this.type;
+        json.flags = this.flags;
+        json.address = toHex(this.header.addr);
+        json.offset = this.header.offset;
+        json.size = this.header.size;
+        json.link = this.link?.name ?? null;
+        json.info = this.header.info;
+        json.alignment = Number(this.header.addralign);
+        json.entrySize = this.header.entsize;
+        return json;
+    }
+}
+
+/**
+ * A segment, with its program header in `header`.
+ */
+export class Segment {
+    /**
+     * @param {ElfProgramHeader} header
+     */
+    constructor(header) {
+        this.header = header;
+    }
+
+    /**
+     * @returns {string} The PT_* constant, like `PT_LOAD`.
+     */
+    get type() {
+        return getConstantName(SegmentTypes, this.header.type);
+    }
+
+    /**
+     * @returns {Array<string>} The PF_* constants, like `['PF_X', 'PF_R']`.
+     */
+    get flags() {
+        return getFlagNames(SegmentFlags, BigInt(this.header.flags));
+    }
+
+    isLoadable() {
+        return this.header.type === SegmentTypes.PT_LOAD;
+    }
+
+    isWritable() {
+        return (this.header.flags & SegmentFlags.PF_W) !== 0;
+    }
+
+    isExecutable() {
+        return (this.header.flags & SegmentFlags.PF_X) !== 0;
+    }
+
+    toJSON() {
+        const json = Object.create(null);
+        json.type = this.type;
+        json.flags = this.flags;
+        json.offset = this.header.offset;
+        json.address = toHex(this.header.vaddr);
+        json.physicalAddress = toHex(this.header.paddr);
+        json.fileSize = this.header.filesz;
+        json.memorySize = Number(this.header.memsz);
+        json.alignment = Number(this.header.align);
+        return json;
+    }
+}
+
+/**
+ * A symbol table entry. The fields are kept as they are in the file: `name` is the offset of the name in the string
+ * table, `_name` is the name itself and `_section` the symbol table the entry is in.
+ */
+class ElfSymbol {
+    /**
+     * @returns {string} The STT_* constant, like `STT_FUNC`.
+     */
+    get type() {
+        return getConstantName(SymbolTypes, this.info & 0xF);
+    }
+
+    /**
+     * @returns {string} The STB_* constant, like `STB_GLOBAL`.
+     */
+    get binding() {
+        return getConstantName(SymbolBindings, this.info >> 4);
+    }
+
+    /**
+     * @returns {string} The STV_* constant, like `STV_DEFAULT`.
+     */
+    get visibility() {
+        return getConstantName(SymbolVisibility, this.other & 0x3);
+    }
+
+    /**
+     * @returns {Section|null} The section the symbol is defined in, null for undefined, absolute and common symbols.
+     */
+    get section() {
+        if (this._section == null || this.shndx === SpecialSectionIndexes.SHN_UNDEF || this.shndx >= SpecialSectionIndexes.SHN_LORESERVE) {
+            return null;
+        }
+        return resolveSection(this._section, this.shndx);
+    }
+
+    isFunction() {
+        return (this.info & 0xF) === SymbolTypes.STT_FUNC;
+    }
+
+    isObject() {
+        return (this.info & 0xF) === SymbolTypes.STT_OBJECT;
+    }
+
+    isLocal() {
+        return this.info >> 4 === SymbolBindings.STB_LOCAL;
+    }
+
+    isGlobal() {
+        return this.info >> 4 === SymbolBindings.STB_GLOBAL;
+    }
+
+    isWeak() {
+        return this.info >> 4 === SymbolBindings.STB_WEAK;
+    }
+
+    /**
+     * @returns {boolean} The symbol is defined by the file, rather than referring to a definition elsewhere.
+     */
+    isDefined() {
+        return this.shndx !== SpecialSectionIndexes.SHN_UNDEF;
+    }
+
+    /**
+     * @returns {boolean} The symbol is in the dynamic symbol table (.dynsym), visible to the dynamic linker.
+     */
+    isDynamic() {
+        return this._section?.header.type === SectionTypes.SHT_DYNSYM;
+    }
+
+    toJSON() {
+        const json = Object.create(null);
+        json.name = this._name;
+        json.demangled = this.demangled ?? null;
+        json.version = this._version?.name ?? null;
+        json.value = toHex(this.value);
+        json.size = Number(this.size);
+        json.type = this.type;
+        json.binding = this.binding;
+        json.visibility = this.visibility;
+        json.section = this.section?.name ?? (this.shndx === SpecialSectionIndexes.SHN_UNDEF ? null : getConstantName(SpecialSectionIndexes, this.shndx));
+        return json;
+    }
+}
+
+export { ElfSymbol as Symbol };
+
+/**
+ * @param {object} table A table of constants, like `SectionTypes`.
+ * @param {number} value
+ * @returns {string} The name of the constant, or the value in hexadecimal.
+ */
+export function getConstantName(table, value) {
+    for (const name in table) {
+        if (table[name] === value) {
+            return name;
+        }
+    }
+    return `0x${value.toString(16)}`;
+}
+
+/**
+ * @param {object} flagTable
+ * @param {bigint} value
+ * @returns {Array<string>} The names of the flags set in the value, the unknown bits in hexadecimal.
+ */
+export function getFlagNames(flagTable, value) {
+    const names = [];
+    let remaining = value;
+    for (const [name, bit] of Object.entries(flagTable)) {
+        if ((value & BigInt(bit)) !== 0n) {
+            names.push(name);
+            remaining &= ~BigInt(bit);
+        }
+    }
+    if (remaining !== 0n) {
+        names.push(`0x${remaining.toString(16)}`);
+    }
+    return names;
+}
+
+/**
+ * @param {Section} section
+ * @param {number} index
+ * @returns {Section|null} The section at the index in the headers of the file of the given section.
+ */
+function resolveSection(section, index) {
+    const table = sectionTables.get(section);
+    const name = table?.headers[index]?._name;
+    return name != null ? table.sections[name] ?? null : null;
+}
+
+function toHex(value) {
+    return `0x${value.toString(16)}`;
+}
@@ -0,0 +1,456 @@
+// Relocation type names per e_machine, as defined by the respective processor supplement of the System V ABI.
+
+export const RelocationTypesX86_64 = {
+    R_X86_64_NONE: 0,
+    R_X86_64_64: 1,
+    R_X86_64_PC32: 2,
+    R_X86_64_GOT32: 3,
+    R_X86_64_PLT32: 4,
+    R_X86_64_COPY: 5,
+    R_X86_64_GLOB_DAT: 6,
+    R_X86_64_JUMP_SLOT: 7,
+    R_X86_64_RELATIVE: 8,
+    R_X86_64_GOTPCREL: 9,
+    R_X86_64_32: 10,
+    R_X86_64_32S: 11,
+    R_X86_64_16: 12,
+    R_X86_64_PC16: 13,
+    R_X86_64_8: 14,
+    R_X86_64_PC8: 15,
+    R_X86_64_DTPMOD64: 16,
+    R_X86_64_DTPOFF64: 17,
+    R_X86_64_TPOFF64: 18,
+    R_X86_64_TLSGD: 19,
+    R_X86_64_TLSLD: 20,
+    R_X86_64_DTPOFF32: 21,
+    R_X86_64_GOTTPOFF: 22,
+    R_X86_64_TPOFF32: 23,
+    R_X86_64_PC64: 24,
+    R_X86_64_GOTOFF64: 25,
+    R_X86_64_GOTPC32: 26,
+    R_X86_64_GOT64: 27,
+    R_X86_64_GOTPCREL64: 28,
+    R_X86_64_GOTPC64: 29,
+    R_X86_64_GOTPLT64: 30,
+    R_X86_64_PLTOFF64: 31,
+    R_X86_64_SIZE32: 32,
+    R_X86_64_SIZE64: 33,
+    R_X86_64_GOTPC32_TLSDESC: 34,
+    R_X86_64_TLSDESC_CALL: 35,
+    R_X86_64_TLSDESC: 36,
+    R_X86_64_IRELATIVE: 37,
+    R_X86_64_RELATIVE64: 38,
+    R_X86_64_GOTPCRELX: 41,
+    R_X86_64_REX_GOTPCRELX: 42
+};
+
+export const RelocationTypes386 = {
+    R_386_NONE: 0,
+    R_386_32: 1,
+    R_386_PC32: 2,
+    R_386_GOT32: 3,
+    R_386_PLT32: 4,
+    R_386_COPY: 5,
+    R_386_GLOB_DAT: 6,
+    R_386_JMP_SLOT: 7,
+    R_386_RELATIVE: 8,
+    R_386_GOTOFF: 9,
+    R_386_GOTPC: 10,
+    R_386_32PLT: 11,
+    R_386_TLS_TPOFF: 14,
+    R_386_TLS_IE: 15,
+    R_386_TLS_GOTIE: 16,
+    R_386_TLS_LE: 17,
+    R_386_TLS_GD: 18,
+    R_386_TLS_LDM: 19,
+    R_386_16: 20,
+    R_386_PC16: 21,
+    R_386_8: 22,
+    R_386_PC8: 23,
+    R_386_TLS_GD_32: 24,
+    R_386_TLS_GD_PUSH: 25,
+    R_386_TLS_GD_CALL: 26,
+    R_386_TLS_GD_POP: 27,
+    R_386_TLS_LDM_32: 28,
+    R_386_TLS_LDM_PUSH: 29,
+    R_386_TLS_LDM_CALL: 30,
+    R_386_TLS_LDM_POP: 31,
+    R_386_TLS_LDO_32: 32,
+    R_386_TLS_IE_32: 33,
+    R_386_TLS_LE_32: 34,
+    R_386_TLS_DTPMOD32: 35,
+    R_386_TLS_DTPOFF32: 36,
+    R_386_TLS_TPOFF32: 37,
+    R_386_SIZE32: 38,
+    R_386_TLS_GOTDESC: 39,
+    R_386_TLS_DESC_CALL: 40,
+    R_386_TLS_DESC: 41,
+    R_386_IRELATIVE: 42,
+    R_386_GOT32X: 43
+};
+
+export const RelocationTypesAArch64 = {
+    R_AARCH64_NONE: 0,
+    R_AARCH64_ABS64: 257,
+    R_AARCH64_ABS32: 258,
+    R_AARCH64_ABS16: 259,
+    R_AARCH64_PREL64: 260,
+    R_AARCH64_PREL32: 261,
+    R_AARCH64_PREL16: 262,
+    R_AARCH64_MOVW_UABS_G0: 263,
+    R_AARCH64_MOVW_UABS_G0_NC: 264,
+    R_AARCH64_MOVW_UABS_G1: 265,
+    R_AARCH64_MOVW_UABS_G1_NC: 266,
+    R_AARCH64_MOVW_UABS_G2: 267,
+    R_AARCH64_MOVW_UABS_G2_NC: 268,
+    R_AARCH64_MOVW_UABS_G3: 269,
+    R_AARCH64_MOVW_SABS_G0: 270,
+    R_AARCH64_MOVW_SABS_G1: 271,
+    R_AARCH64_MOVW_SABS_G2: 272,
+    R_AARCH64_LD_PREL_LO19: 273,
+    R_AARCH64_ADR_PREL_LO21: 274,
+    R_AARCH64_ADR_PREL_PG_HI21: 275,
+    R_AARCH64_ADR_PREL_PG_HI21_NC: 276,
+    R_AARCH64_ADD_ABS_LO12_NC: 277,
+    R_AARCH64_LDST8_ABS_LO12_NC: 278,
+    R_AARCH64_TSTBR14: 279,
+    R_AARCH64_CONDBR19: 280,
+    R_AARCH64_JUMP26: 282,
+    R_AARCH64_CALL26: 283,
+    R_AARCH64_LDST16_ABS_LO12_NC: 284,
+    R_AARCH64_LDST32_ABS_LO12_NC: 285,
+    R_AARCH64_LDST64_ABS_LO12_NC: 286,
+    R_AARCH64_MOVW_PREL_G0: 287,
+    R_AARCH64_MOVW_PREL_G0_NC: 288,
+    R_AARCH64_MOVW_PREL_G1: 289,
+    R_AARCH64_MOVW_PREL_G1_NC: 290,
+    R_AARCH64_MOVW_PREL_G2: 291,
+    R_AARCH64_MOVW_PREL_G2_NC: 292,
+    R_AARCH64_MOVW_PREL_G3: 293,
+    R_AARCH64_LDST128_ABS_LO12_NC: 299,
+    R_AARCH64_MOVW_GOTOFF_G0: 300,
+    R_AARCH64_MOVW_GOTOFF_G0_NC: 301,
+    R_AARCH64_MOVW_GOTOFF_G1: 302,
+    R_AARCH64_MOVW_GOTOFF_G1_NC: 303,
+    R_AARCH64_MOVW_GOTOFF_G2: 304,
+    R_AARCH64_MOVW_GOTOFF_G2_NC: 305,
+    R_AARCH64_MOVW_GOTOFF_G3: 306,
+    R_AARCH64_GOTREL64: 307,
+    R_AARCH64_GOTREL32: 308,
+    R_AARCH64_GOT_LD_PREL19: 309,
+    R_AARCH64_LD64_GOTOFF_LO15: 310,
+    R_AARCH64_ADR_GOT_PAGE: 311,
+    R_AARCH64_LD64_GOT_LO12_NC: 312,
+    R_AARCH64_LD64_GOTPAGE_LO15: 313,
+    R_AARCH64_TLSGD_ADR_PREL21: 512,
+    R_AARCH64_TLSGD_ADR_PAGE21: 513,
+    R_AARCH64_TLSGD_ADD_LO12_NC: 514,
+    R_AARCH64_TLSGD_MOVW_G1: 515,
+    R_AARCH64_TLSGD_MOVW_G0_NC: 516,
+    R_AARCH64_TLSLD_ADR_PREL21: 517,
+    R_AARCH64_TLSLD_ADR_PAGE21: 518,
+    R_AARCH64_TLSLD_ADD_LO12_NC: 519,
+    R_AARCH64_TLSLD_MOVW_G1: 520,
+    R_AARCH64_TLSLD_MOVW_G0_NC: 521,
+    R_AARCH64_TLSLD_LD_PREL19: 522,
+    R_AARCH64_TLSLD_MOVW_DTPREL_G2: 523,
+    R_AARCH64_TLSLD_MOVW_DTPREL_G1: 524,
+    R_AARCH64_TLSLD_MOVW_DTPREL_G1_NC: 525,
+    R_AARCH64_TLSLD_MOVW_DTPREL_G0: 526,
+    R_AARCH64_TLSLD_MOVW_DTPREL_G0_NC: 527,
+    R_AARCH64_TLSLD_ADD_DTPREL_HI12: 528,
+    R_AARCH64_TLSLD_ADD_DTPREL_LO12: 529,
+    R_AARCH64_TLSLD_ADD_DTPREL_LO12_NC: 530,
+    R_AARCH64_TLSLD_LDST8_DTPREL_LO12: 531,
+    R_AARCH64_TLSLD_LDST8_DTPREL_LO12_NC: 532,
+    R_AARCH64_TLSLD_LDST16_DTPREL_LO12: 533,
+    R_AARCH64_TLSLD_LDST16_DTPREL_LO12_NC: 534,
+    R_AARCH64_TLSLD_LDST32_DTPREL_LO12: 535,
+    R_AARCH64_TLSLD_LDST32_DTPREL_LO12_NC: 536,
+    R_AARCH64_TLSLD_LDST64_DTPREL_LO12: 537,
+    R_AARCH64_TLSLD_LDST64_DTPREL_LO12_NC: 538,
+    R_AARCH64_TLSIE_MOVW_GOTTPREL_G1: 539,
+    R_AARCH64_TLSIE_MOVW_GOTTPREL_G0_NC: 540,
+    R_AARCH64_TLSIE_ADR_GOTTPREL_PAGE21: 541,
+    R_AARCH64_TLSIE_LD64_GOTTPREL_LO12_NC: 542,
+    R_AARCH64_TLSIE_LD_GOTTPREL_PREL19: 543,
+    R_AARCH64_TLSLE_MOVW_TPREL_G2: 544,
+    R_AARCH64_TLSLE_MOVW_TPREL_G1: 545,
+    R_AARCH64_TLSLE_MOVW_TPREL_G1_NC: 546,
+    R_AARCH64_TLSLE_MOVW_TPREL_G0: 547,
+    R_AARCH64_TLSLE_MOVW_TPREL_G0_NC: 548,
+    R_AARCH64_TLSLE_ADD_TPREL_HI12: 549,
+    R_AARCH64_TLSLE_ADD_TPREL_LO12: 550,
+    R_AARCH64_TLSLE_ADD_TPREL_LO12_NC: 551,
+    R_AARCH64_TLSLE_LDST8_TPREL_LO12: 552,
+    R_AARCH64_TLSLE_LDST8_TPREL_LO12_NC: 553,
+    R_AARCH64_TLSLE_LDST16_TPREL_LO12: 554,
+    R_AARCH64_TLSLE_LDST16_TPREL_LO12_NC: 555,
+    R_AARCH64_TLSLE_LDST32_TPREL_LO12: 556,
+    R_AARCH64_TLSLE_LDST32_TPREL_LO12_NC: 557,
+    R_AARCH64_TLSLE_LDST64_TPREL_LO12: 558,
+    R_AARCH64_TLSLE_LDST64_TPREL_LO12_NC: 559,
+    R_AARCH64_TLSDESC_LD_PREL19: 560,
+    R_AARCH64_TLSDESC_ADR_PREL21: 561,
+    R_AARCH64_TLSDESC_ADR_PAGE21: 562,
+    R_AARCH64_TLSDESC_LD64_LO12: 563,
+    R_AARCH64_TLSDESC_ADD_LO12: 564,
+    R_AARCH64_TLSDESC_OFF_G1: 565,
+    R_AARCH64_TLSDESC_OFF_G0_NC: 566,
+    R_AARCH64_TLSDESC_LDR: 567,
+    R_AARCH64_TLSDESC_ADD: 568,
+    R_AARCH64_TLSDESC_CALL: 569,
+    R_AARCH64_TLSLE_LDST128_TPREL_LO12: 570,
+    R_AARCH64_TLSLE_LDST128_TPREL_LO12_NC: 571,
+    R_AARCH64_TLSLD_LDST128_DTPREL_LO12: 572,
+    R_AARCH64_TLSLD_LDST128_DTPREL_LO12_NC: 573,
+    R_AARCH64_COPY: 1024,
+    R_AARCH64_GLOB_DAT: 1025,
+    R_AARCH64_JUMP_SLOT: 1026,
+    R_AARCH64_RELATIVE: 1027,
+    R_AARCH64_TLS_DTPMOD: 1028,
+    R_AARCH64_TLS_DTPREL: 1029,
+    R_AARCH64_TLS_TPREL: 1030,
+    R_AARCH64_TLSDESC: 1031,
+    R_AARCH64_IRELATIVE: 1032
+};
+
+export const RelocationTypesARM = {
+    R_ARM_NONE: 0,
+    R_ARM_PC24: 1,
+    R_ARM_ABS32: 2,
+    R_ARM_REL32: 3,
+    R_ARM_LDR_PC_G0: 4,
+    R_ARM_ABS16: 5,
+    R_ARM_ABS12: 6,
+    R_ARM_THM_ABS5: 7,
+    R_ARM_ABS8: 8,
+    R_ARM_SBREL32: 9,
+    R_ARM_THM_CALL: 10,
+    R_ARM_THM_PC8: 11,
+    R_ARM_BREL_ADJ: 12,
+    R_ARM_TLS_DESC: 13,
+    R_ARM_THM_SWI8: 14,
+    R_ARM_XPC25: 15,
+    R_ARM_THM_XPC22: 16,
+    R_ARM_TLS_DTPMOD32: 17,
+    R_ARM_TLS_DTPOFF32: 18,
+    R_ARM_TLS_TPOFF32: 19,
+    R_ARM_COPY: 20,
+    R_ARM_GLOB_DAT: 21,
+    R_ARM_JUMP_SLOT: 22,
+    R_ARM_RELATIVE: 23,
+    R_ARM_GOTOFF32: 24,
+    R_ARM_BASE_PREL: 25,
+    R_ARM_GOT_BREL: 26,
+    R_ARM_PLT32: 27,
+    R_ARM_CALL: 28,
+    R_ARM_JUMP24: 29,
+    R_ARM_THM_JUMP24: 30,
+    R_ARM_BASE_ABS: 31,
+    R_ARM_ALU_PCREL_7_0: 32,
+    R_ARM_ALU_PCREL_15_8: 33,
+    R_ARM_ALU_PCREL_23_15: 34,
+    R_ARM_LDR_SBREL_11_0_NC: 35,
+    R_ARM_ALU_SBREL_19_12_NC: 36,
+    R_ARM_ALU_SBREL_27_20_CK: 37,
+    R_ARM_TARGET1: 38,
+    R_ARM_SBREL31: 39,
+    R_ARM_V4BX: 40,
+    R_ARM_TARGET2: 41,
+    R_ARM_PREL31: 42,
+    R_ARM_MOVW_ABS_NC: 43,
+    R_ARM_MOVT_ABS: 44,
+    R_ARM_MOVW_PREL_NC: 45,
+    R_ARM_MOVT_PREL: 46,
+    R_ARM_THM_MOVW_ABS_NC: 47,
+    R_ARM_THM_MOVT_ABS: 48,
+    R_ARM_THM_MOVW_PREL_NC: 49,
+    R_ARM_THM_MOVT_PREL: 50,
+    R_ARM_THM_JUMP19: 51,
+    R_ARM_THM_JUMP6: 52,
+    R_ARM_THM_ALU_PREL_11_0: 53,
+    R_ARM_THM_PC12: 54,
+    R_ARM_ABS32_NOI: 55,
+    R_ARM_REL32_NOI: 56,
+    R_ARM_ALU_PC_G0_NC: 57,
+    R_ARM_ALU_PC_G0: 58,
+    R_ARM_ALU_PC_G1_NC: 59,
+    R_ARM_ALU_PC_G1: 60,
+    R_ARM_ALU_PC_G2: 61,
+    R_ARM_LDR_PC_G1: 62,
+    R_ARM_LDR_PC_G2: 63,
+    R_ARM_LDRS_PC_G0: 64,
+    R_ARM_LDRS_PC_G1: 65,
+    R_ARM_LDRS_PC_G2: 66,
+    R_ARM_LDC_PC_G0: 67,
+    R_ARM_LDC_PC_G1: 68,
+    R_ARM_LDC_PC_G2: 69,
+    R_ARM_ALU_SB_G0_NC: 70,
+    R_ARM_ALU_SB_G0: 71,
+    R_ARM_ALU_SB_G1_NC: 72,
+    R_ARM_ALU_SB_G1: 73,
+    R_ARM_ALU_SB_G2: 74,
+    R_ARM_LDR_SB_G0: 75,
+    R_ARM_LDR_SB_G1: 76,
+    R_ARM_LDR_SB_G2: 77,
+    R_ARM_LDRS_SB_G0: 78,
+    R_ARM_LDRS_SB_G1: 79,
+    R_ARM_LDRS_SB_G2: 80,
+    R_ARM_LDC_SB_G0: 81,
+    R_ARM_LDC_SB_G1: 82,
+    R_ARM_LDC_SB_G2: 83,
+    R_ARM_MOVW_BREL_NC: 84,
+    R_ARM_MOVT_BREL: 85,
+    R_ARM_MOVW_BREL: 86,
+    R_ARM_THM_MOVW_BREL_NC: 87,
+    R_ARM_THM_MOVT_BREL: 88,
+    R_ARM_THM_MOVW_BREL: 89,
+    R_ARM_TLS_GOTDESC: 90,
+    R_ARM_TLS_CALL: 91,
+    R_ARM_TLS_DESCSEQ: 92,
+    R_ARM_THM_TLS_CALL: 93,
+    R_ARM_PLT32_ABS: 94,
+    R_ARM_GOT_ABS: 95,
+    R_ARM_GOT_PREL: 96,
+    R_ARM_GOT_BREL12: 97,
+    R_ARM_GOTOFF12: 98,
+    R_ARM_GOTRELAX: 99,
+    R_ARM_GNU_VTENTRY: 100,
+    R_ARM_GNU_VTINHERIT: 101,
+    R_ARM_THM_JUMP11: 102,
+    R_ARM_THM_JUMP8: 103,
+    R_ARM_TLS_GD32: 104,
+    R_ARM_TLS_LDM32: 105,
+    R_ARM_TLS_LDO32: 106,
+    R_ARM_TLS_IE32: 107,
+    R_ARM_TLS_LE32: 108,
+    R_ARM_TLS_LDO12: 109,
+    R_ARM_TLS_LE12: 110,
+    R_ARM_TLS_IE12GP: 111,
+    R_ARM_ME_TOO: 128,
+    R_ARM_THM_TLS_DESCSEQ16: 129,
+    R_ARM_THM_TLS_DESCSEQ32: 130,
+    R_ARM_THM_GOT_BREL12: 131,
+    R_ARM_IRELATIVE: 160
+};
+
+export const RelocationTypesRISCV = {
+    R_RISCV_NONE: 0,
+    R_RISCV_32: 1,
+    R_RISCV_64: 2,
+    R_RISCV_RELATIVE: 3,
+    R_RISCV_COPY: 4,
+    R_RISCV_JUMP_SLOT: 5,
+    R_RISCV_TLS_DTPMOD32: 6,
+    R_RISCV_TLS_DTPMOD64: 7,
+    R_RISCV_TLS_DTPREL32: 8,
+    R_RISCV_TLS_DTPREL64: 9,
+    R_RISCV_TLS_TPREL32: 10,
+    R_RISCV_TLS_TPREL64: 11,
+    R_RISCV_TLSDESC: 12,
+    R_RISCV_BRANCH: 16,
+    R_RISCV_JAL: 17,
+    R_RISCV_CALL: 18,
+    R_RISCV_CALL_PLT: 19,
+    R_RISCV_GOT_HI20: 20,
+    R_RISCV_TLS_GOT_HI20: 21,
+    R_RISCV_TLS_GD_HI20: 22,
+    R_RISCV_PCREL_HI20: 23,
+    R_RISCV_PCREL_LO12_I: 24,
+    R_RISCV_PCREL_LO12_S: 25,
+    R_RISCV_HI20: 26,
+    R_RISCV_LO12_I: 27,
+    R_RISCV_LO12_S: 28,
+    R_RISCV_TPREL_HI20: 29,
+    R_RISCV_TPREL_LO12_I: 30,
+    R_RISCV_TPREL_LO12_S: 31,
+    R_RISCV_TPREL_ADD: 32,
+    R_RISCV_ADD8: 33,
+    R_RISCV_ADD16: 34,
+    R_RISCV_ADD32: 35,
+    R_RISCV_ADD64: 36,
+    R_RISCV_SUB8: 37,
+    R_RISCV_SUB16: 38,
+    R_RISCV_SUB32: 39,
+    R_RISCV_SUB64: 40,
+    R_RISCV_GOT32_PCREL: 41,
+    R_RISCV_ALIGN: 43,
+    R_RISCV_RVC_BRANCH: 44,
+    R_RISCV_RVC_JUMP: 45,
+    R_RISCV_RELAX: 51,
+    R_RISCV_SUB6: 52,
+    R_RISCV_SET6: 53,
+    R_RISCV_SET8: 54,
+    R_RISCV_SET16: 55,
+    R_RISCV_SET32: 56,
+    R_RISCV_32_PCREL: 57,
+    R_RISCV_IRELATIVE: 58,
+    R_RISCV_PLT32: 59,
+    R_RISCV_SET_ULEB128: 60,
+    R_RISCV_SUB_ULEB128: 61,
+    R_RISCV_TLSDESC_HI20: 62,
+    R_RISCV_TLSDESC_LOAD_LO12: 63,
+    R_RISCV_TLSDESC_ADD_LO12: 64,
+    R_RISCV_TLSDESC_CALL: 65
+};
+
+export const MachineTypes = {
+    EM_NONE: 0,
+    EM_SPARC: 2,
+    EM_386: 3,
+    EM_68K: 4,
+    EM_MIPS: 8,
+    EM_PPC: 20,
+    EM_PPC64: 21,
+    EM_S390: 22,
+    EM_ARM: 40,
+    EM_SH: 42,
+    EM_SPARCV9: 43,
+    EM_IA_64: 50,
+    EM_X86_64: 62,
+    EM_AARCH64: 183,
+    EM_RISCV: 243,
+    EM_BPF: 247,
+    EM_LOONGARCH: 258
+};
+
+/**
+ * Relocation types indexed by e_machine.
+ */
+export const RelocationTypes = {
+    [MachineTypes.EM_386]: RelocationTypes386,
+    [MachineTypes.EM_ARM]: RelocationTypesARM,
+    [MachineTypes.EM_X86_64]: RelocationTypesX86_64,
+    [MachineTypes.EM_AARCH64]: RelocationTypesAArch64,
+    [MachineTypes.EM_RISCV]: RelocationTypesRISCV
+};
+
+/**
+ * The R_*_RELATIVE type for each e_machine, implied by every entry of a packed SHT_RELR table.
+ */
+export const RelativeRelocationTypes = {
+    [MachineTypes.EM_386]: RelocationTypes386.R_386_RELATIVE,
+    [MachineTypes.EM_ARM]: RelocationTypesARM.R_ARM_RELATIVE,
+    [MachineTypes.EM_X86_64]: RelocationTypesX86_64.R_X86_64_RELATIVE,
+    [MachineTypes.EM_AARCH64]: RelocationTypesAArch64.R_AARCH64_RELATIVE,
+    [MachineTypes.EM_RISCV]: RelocationTypesRISCV.R_RISCV_RELATIVE
+};
+
+const relocationTypeNames = new Map();
+for (const machine in RelocationTypes) {
+    const names = new Map();
+    for (const [name, value] of Object.entries(RelocationTypes[machine])) {
+        names.set(value, name);
+    }
+    relocationTypeNames.set(Number(machine), names);
+}
+
+/**
+ * @param {number} machine
+ * @param {number} type
+ * @returns {string|null}
+ */
+export function getRelocationTypeName(machine, type) {
+    return relocationTypeNames.get(machine)?.get(type) ?? null;
+}
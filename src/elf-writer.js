@@ -0,0 +1,923 @@
+import fs from 'fs';
+import { DynamicTableNames } from './elf.js';
+import { Section } from './elf-model.js';
+import { openByteSource } from './source.js';
+
+/**
+ * Sections only the dynamic linker refers to by address, through the program headers and the dynamic section, so they
+ * can be moved to another address. Code refers to the other loaded sections directly.
+ */
+const movableSectionTypes = new Set([
+    3, // SHT_STRTAB
+    4, // SHT_RELA
+    5, // SHT_HASH
+    6, // SHT_DYNAMIC
+    7, // SHT_NOTE
+    9, // SHT_REL
+    11, // SHT_DYNSYM
+    19, // SHT_RELR
+    0x6FFFFFF6, // SHT_GNU_HASH
+    0x6FFFFFFD, // SHT_GNU_verdef
+    0x6FFFFFFE, // SHT_GNU_verneed
+    0x6FFFFFFF // SHT_GNU_versym
+]);
+
+/**
+ * Segments that map exactly the sections they cover, moved with them.
+ */
+const sectionSegmentTypes = new Set([
+    2, // PT_DYNAMIC
+    3, // PT_INTERP
+    4, // PT_NOTE
+    0x6474E553 // PT_GNU_PROPERTY
+]);
+
+/**
+ * Dynamic tables, which are moved with the sections they cover, by their address and size tags.
+ */
+const dynamicTables = [
+    ['DT_STRTAB', 'DT_STRSZ'],
+    ['DT_SYMTAB', null],
+    ['DT_HASH', null],
+    ['DT_GNU_HASH', null],
+    ['DT_VERSYM', null],
+    ['DT_VERDEF', null],
+    ['DT_VERNEED', null],
+    ['DT_RELA', 'DT_RELASZ'],
+    ['DT_REL', 'DT_RELSZ'],
+    ['DT_RELR', 'DT_RELRSZ'],
+    ['DT_JMPREL', 'DT_PLTRELSZ']
+];
+
+/**
+ * Writes the object model of an ELF file, as returned by `parseFile()` and changed since, like `patchelf` does:
+ *
+ * - `dynamic.needed`, `dynamic.soname`, `dynamic.rpath` and `dynamic.runpath` replace the DT_NEEDED, DT_SONAME,
+ *   DT_RPATH and DT_RUNPATH entries, when they differ from the parsed ones. The `value` of the other dynamic entries is
+ *   written as is;
+ * - the `info`, `other` (the visibility, see `SymbolVisibility` in elf.js), `shndx`, `value` and `size` of the symbols in
+ *   `symbols.list` are written to their symbol tables;
+ * - the sections added by {@link addSection} or {@link addNote} are written, the ones removed from `sections` (see
+ *   {@link removeSection}) are not;
+ * - the `content` of a section, if loaded, is written instead of the original content.
+ *
+ * The loaded part of the file keeps its layout. Loaded sections that grow and added loaded sections are placed in a
+ * new PT_LOAD segment, after the highest address of the image. To make room for the new program headers, the sections
+ * after the program header table are moved to that segment too, they must be ones only the dynamic linker reads. The
+ * sections that are not loaded are laid out again after the image, followed by the section header table.
+ *
+ * The object model is not updated, parse the written file to inspect it.
+ *
+ * @param {object} target As returned by parseFile() for the source.
+ * @param {string|fs.FileHandle|ArrayBuffer|ArrayBufferView} source The file parsed into the target.
+ * @param {string|fs.FileHandle} destination A filename, written with the permissions of the source file, or an open file.
+ * @returns {Promise<void>}
+ */
+export async function writeFile(target, source, destination) {
+    const output = await serialize(target, source);
+    if (typeof destination === 'string') {
+        const mode = typeof source === 'string' ? (await fs.promises.stat(source)).mode & 0o7777 : 0o666;
+        await fs.promises.writeFile(destination, output, { mode });
+        await fs.promises.chmod(destination, mode);
+    } else {
+        await destination.truncate(0);
+        await destination.write(output, 0, output.byteLength, 0);
+    }
+}
+
+/**
+ * Like {@link writeFile}, but returns the contents of the file.
+ * @param {object} target
+ * @param {string|fs.FileHandle|ArrayBuffer|ArrayBufferView} source
+ * @returns {Promise<Uint8Array>}
+ */
+export async function serialize(target, source) {
+    const handle = await openByteSource(source);
+    let original;
+    try {
+        if (handle.partial) {
+            throw new WriteError('The source is not a complete file');
+        }
+        const { size } = await handle.stat({ bigint: true });
+        original = new Uint8Array(Number(size));
+        const { bytesRead } = await handle.read(original, 0, original.byteLength, 0);
+        if (bytesRead < original.byteLength) {
+            throw new WriteError('The source is shorter than its reported size');
+        }
+    } finally {
+        if (handle !== source) {
+            await handle.close();
+        }
+    }
+    return layoutFile(target, original);
+}
+
+/**
+ * Adds a section to be written by {@link writeFile}. A loaded section (with SHF_ALLOC in `flags`) gets its address
+ * when it is written.
+ * @param {object} target As returned by parseFile().
+ * @param {string} name
+ * @param {object} [options]
+ * @param {number} [options.type] SHT_PROGBITS by default.
+ * @param {bigint} [options.flags]
+ * @param {Uint8Array} [options.content]
+ * @param {bigint} [options.addralign]
+ * @param {number} [options.entsize]
+ * @param {number} [options.link] The index of a section in the parsed file.
+ * @param {number} [options.info]
+ * @returns {object} The section, as found in `target.sections`.
+ */
+export function addSection(target, name, options = {}) {
+    if (typeof name !== 'string' || name.length === 0 || name.includes('\0')) {
+        throw new TypeError('Expected [string] section name');
+    }
+    if (name in target.sections) {
+        throw new WriteError(`Section [${name}] already exists`);
+    }
+    const content = options.content ?? new Uint8Array(0);
+    const header = Object.create(null);
+    header.name = 0;
+    header.type = options.type ?? 1;
+    header.flags = options.flags ?? 0n;
+    header.addr = 0n;
+    header.offset = 0;
+    header.size = content.byteLength;
+    header.link = options.link ?? 0;
+    header.info = options.info ?? 0;
+    header.addralign = options.addralign ?? 1n;
+    header.entsize = options.entsize ?? 0;
+    header._name = name;
+    const section = new Section(header, target.header.sh, target.sections);
+    section.content = {
+        buffer: content.buffer,
+        uint8: content,
+        data: new DataView(content.buffer, content.byteOffset, content.byteLength)
+    };
+    Object.defineProperties(section, {
+        load: {
+            configurable: true,
+            writable: true,
+            value: async function () {
+                return this.content;
+            }
+        }
+    });
+    target.sections[name] = section;
+    return section;
+}
+
+/**
+ * Adds a section with a single note, loaded and mapped by its own PT_NOTE segment, unless `options.flags` says
+ * otherwise.
+ * @param {object} target As returned by parseFile().
+ * @param {string} name The section name, like `.note.package`.
+ * @param {string} owner
+ * @param {number} type
+ * @param {Uint8Array} descriptor
+ * @param {object} [options]
+ * @param {bigint} [options.flags] SHF_ALLOC by default.
+ * @returns {object} The section, as found in `target.sections`.
+ */
+export function addNote(target, name, owner, type, descriptor, options = {}) {
+    const { littleEndian } = target.info;
+    const ownerBytes = Buffer.from(`${owner}\0`, 'latin1');
+    const descriptorStart = alignUp(12 + ownerBytes.byteLength, 4);
+    const content = new Uint8Array(alignUp(descriptorStart + descriptor.byteLength, 4));
+    const data = new DataView(content.buffer);
+    data.setUint32(0, ownerBytes.byteLength, littleEndian);
+    data.setUint32(4, descriptor.byteLength, littleEndian);
+    data.setUint32(8, type, littleEndian);
+    content.set(ownerBytes, 12);
+    content.set(descriptor, descriptorStart);
+    return addSection(target, name, {
+        type: 7,
+        flags: options.flags ?? 2n,
+        content,
+        addralign: 4n
+    });
+}
+
+/**
+ * Removes a section that is not loaded, like `strip --remove-section`. Relocation sections for it are removed with it.
+ * @param {object} target As returned by parseFile().
+ * @param {string} name
+ */
+export function removeSection(target, name) {
+    const section = target.sections[name];
+    if (section == null) {
+        throw new WriteError(`Section [${name}] does not exist`);
+    }
+    if ((section.header.flags & 2n) !== 0n) {
+        throw new WriteError(`Section [${name}] is loaded, it cannot be removed`);
+    }
+    delete target.sections[name];
+}
+
+/**
+ * @param {object} target
+ * @param {Uint8Array} original
+ * @returns {Uint8Array}
+ */
+function layoutFile(target, original) {
+    const { info } = target;
+    const elfHeader = target.header.e;
+    if (target.header.sh.length === 0) {
+        throw new WriteError('The file has no section headers');
+    }
+    const programHeaders = target.header.ph.map(copyHeader);
+    const loaded = programHeaders.some(h => h.type === 1);
+
+    // The section index 0 and the other null headers are never in target.sections.
+    const parsedHeaders = new Set(target.header.sh);
+    const kept = new Set(target.header.sh.filter(h => h.type === 0 || target.sections[h._name]?.header === h));
+    for (let changed = true; changed;) {
+        changed = false;
+        for (const header of kept) {
+            const linkRemoved = header.link !== 0 && !kept.has(target.header.sh[header.link]);
+            // SHT_REL and SHT_RELA, or SHF_INFO_LINK: sh_info holds the index of the section they apply to.
+            const infoLink = header.type === 4 || header.type === 9 || (header.flags & 0x40n) !== 0n;
+            const infoRemoved = infoLink && header.info !== 0 && !kept.has(target.header.sh[header.info]);
+            if (linkRemoved || infoRemoved) {
+                kept.delete(header);
+                changed = true;
+            }
+        }
+    }
+    for (const header of target.header.sh) {
+        if (!kept.has(header) && (header.flags & 2n) !== 0n) {
+            throw new WriteError(`Section [${header._name}] is loaded, it cannot be removed`);
+        }
+    }
+    const added = Object.values(target.sections).map(s => s.header).filter(h => !parsedHeaders.has(h));
+    const headers = [...target.header.sh.filter(h => kept.has(h)), ...added];
+    const indices = new Map(headers.filter(h => parsedHeaders.has(h)).map((h, i) => [h._index, i]));
+    // The index in the written file of a section in the parsed file, 0 if it was removed.
+    const mapIndex = index => indices.get(index) ?? 0;
+
+    const outputs = headers.map(header => {
+        const output = copyHeader(header);
+        output._source = header;
+        output._content = header.type === 0 || header.type === 8 ? null : getSectionContent(target, header, original);
+        output.link = mapIndex(header.link);
+        if (header.type === 4 || header.type === 9 || (header.flags & 0x40n) !== 0n) {
+            output.info = mapIndex(header.info);
+        }
+        return output;
+    });
+
+    writeSymbols(target, outputs, info, mapIndex);
+    remapGroups(outputs, info, mapIndex);
+    const dynamic = writeDynamic(target, outputs, info);
+    const shstrtab = outputs[mapIndex(elfHeader.shstrndx)];
+    if (shstrtab == null || shstrtab.type !== 3) {
+        throw new WriteError('The section header string table was removed');
+    }
+    {
+        const table = new StringTable(shstrtab._content);
+        for (const output of outputs) {
+            if (output.type !== 0) {
+                output.name = table.add(output._name);
+            }
+        }
+        shstrtab._content = table.content;
+    }
+
+    // Loaded sections stay where they are, unless they grew or must make room for more program headers.
+    const isLoaded = h => loaded && h.type !== 0 && (h.flags & 2n) !== 0n;
+    const moved = new Set(outputs.filter(h => isLoaded(h) && (!parsedHeaders.has(h._source) || (h._content?.byteLength ?? 0) > h._source.size)));
+    const addedNotes = outputs.filter(h => isLoaded(h) && !parsedHeaders.has(h._source) && h.type === 7);
+    let phnum = programHeaders.length;
+    if (moved.size > 0) {
+        phnum += 1 + addedNotes.length;
+        const phEnd = elfHeader.phoff + phnum * elfHeader.phentsize;
+        const segment = programHeaders.find(h => h.type === 1 && h.offset <= elfHeader.phoff && elfHeader.phoff < h.offset + h.filesz);
+        if (segment != null && phEnd > segment.offset + segment.filesz) {
+            throw new WriteError(`The segment at 0x${segment.vaddr.toString(16)} has no room for ${phnum} program headers`);
+        }
+        for (const output of outputs) {
+            if (isLoaded(output) && output.type !== 8 && !moved.has(output) && output.offset < phEnd && output.offset + output.size > elfHeader.phoff) {
+                moveSection(output);
+            }
+        }
+    }
+    const groups = getSectionGroups(programHeaders, target.dynamic?.entries ?? []);
+    for (let changed = true; changed;) {
+        changed = false;
+        for (const [start, end] of groups) {
+            if (!outputs.some(h => moved.has(h) && parsedHeaders.has(h._source) && h.size > 0 && h.addr >= start && h.addr < end)) {
+                continue;
+            }
+            for (const output of outputs) {
+                if (isLoaded(output) && !moved.has(output) && output.addr >= start && output.addr < end) {
+                    moveSection(output);
+                    changed = true;
+                }
+            }
+        }
+    }
+
+    let imageEnd = elfHeader.ehsize;
+    if (loaded) {
+        imageEnd = Math.max(imageEnd, elfHeader.phoff + phnum * elfHeader.phentsize);
+        for (const header of programHeaders) {
+            imageEnd = Math.max(imageEnd, header.offset + header.filesz);
+        }
+        for (const output of outputs) {
+            if (isLoaded(output) && output.type !== 8 && !moved.has(output)) {
+                imageEnd = Math.max(imageEnd, output.offset + output.size);
+            }
+        }
+    }
+
+    let fileEnd = imageEnd;
+    const segmentAddresses = new Map();
+    if (moved.size > 0) {
+        const pageSize = programHeaders.filter(h => h.type === 1).reduce((size, h) => h.align > size ? h.align : size, 0x1000n);
+        let addressEnd = 0n;
+        for (const header of programHeaders) {
+            if (header.type === 1 && header.vaddr + header.memsz > addressEnd) {
+                addressEnd = header.vaddr + header.memsz;
+            }
+        }
+        const placed = [...moved].sort((a, b) => (a.type === 8) - (b.type === 8) || (parsedHeaders.has(b._source) - parsedHeaders.has(a._source)) || compareBigInt(a._source.addr, b._source.addr));
+        const segmentAlign = placed.reduce((align, h) => h.addralign > align ? h.addralign : align, 1n);
+        const segmentOffset = alignUp(imageEnd, Number(segmentAlign));
+        const segmentAddress = alignUpBigInt(addressEnd, pageSize) + BigInt(segmentOffset) % pageSize;
+        let offset = segmentOffset;
+        let memoryEnd = segmentOffset;
+        for (const output of placed) {
+            const align = Math.max(Number(output.addralign), 1);
+            if (output.type === 8) {
+                memoryEnd = alignUp(memoryEnd, align);
+                segmentAddresses.set(output, segmentAddress + BigInt(memoryEnd - segmentOffset));
+                output.offset = offset;
+                memoryEnd += output.size;
+                continue;
+            }
+            offset = alignUp(offset, align);
+            segmentAddresses.set(output, segmentAddress + BigInt(offset - segmentOffset));
+            output.offset = offset;
+            output.size = output._content.byteLength;
+            offset += output.size;
+            memoryEnd = offset;
+        }
+        const segment = Object.create(null);
+        segment.type = 1;
+        segment.flags = 4;
+        for (const output of placed) {
+            if ((output.flags & 1n) !== 0n) {
+                segment.flags |= 2;
+            }
+            if ((output.flags & 4n) !== 0n) {
+                segment.flags |= 1;
+            }
+        }
+        segment.offset = segmentOffset;
+        segment.vaddr = segment.paddr = segmentAddress;
+        segment.filesz = offset - segmentOffset;
+        segment.memsz = BigInt(memoryEnd - segmentOffset);
+        segment.align = pageSize;
+        const lastLoad = programHeaders.findLastIndex(h => h.type === 1);
+        programHeaders.splice(lastLoad + 1, 0, segment);
+        fileEnd = offset;
+
+        relocateSegments(programHeaders, outputs, segmentAddresses);
+        for (const output of addedNotes) {
+            const note = Object.create(null);
+            note.type = 4;
+            note.flags = 4;
+            note.offset = output.offset;
+            note.vaddr = note.paddr = segmentAddresses.get(output);
+            note.filesz = output.size;
+            note.memsz = BigInt(output.size);
+            note.align = output.addralign;
+            programHeaders.push(note);
+        }
+        // The parsed address of each moved section, which the dynamic entries and the section symbols refer to.
+        const addresses = new Map();
+        for (const [output, address] of segmentAddresses) {
+            if (parsedHeaders.has(output._source) && output._source.size > 0) {
+                addresses.set(output.addr, address);
+            }
+            output.addr = address;
+        }
+        relocateDynamic(dynamic, info, addresses);
+        relocateSectionSymbols(outputs, info, addresses);
+    }
+    for (const header of programHeaders) {
+        if (header.type === 6) {
+            header.filesz = programHeaders.length * elfHeader.phentsize;
+            header.memsz = BigInt(header.filesz);
+        }
+    }
+
+    // Sections that are not loaded keep their offset, if nothing before them grew.
+    const floating = outputs.filter(h => h.type !== 0 && !isLoaded(h));
+    floating.sort((a, b) => (parsedHeaders.has(b._source) - parsedHeaders.has(a._source)) || a._source.offset - b._source.offset);
+    for (const output of floating) {
+        if (output.type === 8) {
+            output.offset = alignUp(fileEnd, Math.max(Number(output.addralign), 1));
+            continue;
+        }
+        const size = output._content.byteLength;
+        const unchanged = parsedHeaders.has(output._source) && size === output._source.size;
+        output.offset = unchanged && output._source.offset >= fileEnd ? output._source.offset : alignUp(fileEnd, Math.max(Number(output.addralign), 1));
+        output.size = size;
+        fileEnd = output.offset + size;
+    }
+    for (const output of outputs) {
+        if (isLoaded(output) && !moved.has(output) && output.type !== 8) {
+            output.size = output._content.byteLength;
+        }
+    }
+    const shentsize = elfHeader.shentsize;
+    const shoff = elfHeader.shoff >= fileEnd && outputs.length <= target.header.sh.length ? elfHeader.shoff : alignUp(fileEnd, info.wordSize);
+    fileEnd = shoff + outputs.length * shentsize;
+
+    const result = new Uint8Array(fileEnd);
+    result.set(original.subarray(0, Math.min(imageEnd, original.byteLength)));
+    const data = new DataView(result.buffer);
+    addWordWrite(data, info.bit64);
+    for (const output of moved) {
+        if (parsedHeaders.has(output._source) && output._source.type !== 8) {
+            result.fill(0, output._source.offset, output._source.offset + output._source.size);
+        }
+    }
+    for (const output of outputs) {
+        if (output._content != null) {
+            result.set(output._content, output.offset);
+        }
+    }
+    if (loaded) {
+        for (let i = 0; i < programHeaders.length; ++i) {
+            writeProgramHeader(data, elfHeader.phoff + i * elfHeader.phentsize, info, programHeaders[i]);
+        }
+    }
+    for (let i = 0; i < outputs.length; ++i) {
+        writeSectionHeader(data, shoff + i * shentsize, info, outputs[i]);
+    }
+    const header = copyHeader(elfHeader);
+    header.phnum = loaded ? programHeaders.length : elfHeader.phnum;
+    header.shoff = shoff;
+    header.shnum = outputs.length;
+    header.shstrndx = outputs.indexOf(shstrtab);
+    writeElfHeader(data, info, target.header.EI, header);
+    return result;
+
+    function moveSection(output) {
+        if (!movableSectionTypes.has(output.type) && output._name !== '.interp') {
+            throw new WriteError(`Section [${output._name}] cannot be moved to make room for the program headers`);
+        }
+        moved.add(output);
+    }
+}
+
+/**
+ * A string table, which reuses the strings (or their suffixes) already in it.
+ */
+class StringTable {
+    #content;
+
+    /**
+     * @param {Uint8Array} content
+     */
+    constructor(content) {
+        this.#content = Buffer.from(content.buffer, content.byteOffset, content.byteLength);
+    }
+
+    /**
+     * @param {string} value
+     * @returns {number} The offset of the string.
+     */
+    add(value) {
+        const bytes = Buffer.from(`${value}\0`);
+        const offset = this.#content.indexOf(bytes);
+        if (offset >= 0) {
+            return offset;
+        }
+        this.#content = Buffer.concat([this.#content, bytes]);
+        return this.#content.byteLength - bytes.byteLength;
+    }
+
+    /**
+     * @type {Uint8Array}
+     */
+    get content() {
+        return new Uint8Array(this.#content.buffer, this.#content.byteOffset, this.#content.byteLength);
+    }
+}
+
+/**
+ * @param {object} target
+ * @param {ElfSectionHeader} header
+ * @param {Uint8Array} original
+ * @returns {Uint8Array} A copy of the section content, to be changed by the writer.
+ */
+function getSectionContent(target, header, original) {
+    const content = target.sections[header._name]?.content?.uint8;
+    if (content != null) {
+        return content.slice();
+    }
+    if (header.offset + header.size > original.byteLength) {
+        throw new WriteError(`Section [${header._name}] is out of the bounds of the file`);
+    }
+    return original.slice(header.offset, header.offset + header.size);
+}
+
+/**
+ * @param {object} target
+ * @param {Array<object>} outputs
+ * @param {ElfInformation} info
+ * @param {function(number): number} mapIndex
+ */
+function writeSymbols(target, outputs, info, mapIndex) {
+    const tables = new Map(outputs.filter(h => h.type === 2 || h.type === 11).map(h => [h._source, h]));
+    for (const symbol of target.symbols.list) {
+        const output = tables.get(symbol._section.header);
+        if (output == null) {
+            continue;
+        }
+        const data = new DataView(output._content.buffer, output._content.byteOffset, output._content.byteLength);
+        addWordWrite(data, info.bit64);
+        let shndx = symbol.shndx;
+        // SHN_LORESERVE and above are special indices. A symbol in a removed section is kept as an absolute one.
+        if (shndx !== 0 && shndx < 0xFF00) {
+            shndx = mapIndex(shndx) || 0xFFF1;
+        }
+        writeSymbolEntry(data, symbol._offset - symbol._section.header.offset, info, { ...symbol, shndx });
+    }
+}
+
+/**
+ * SHT_GROUP sections list the indices of their member sections.
+ * @param {Array<object>} outputs
+ * @param {ElfInformation} info
+ * @param {function(number): number} mapIndex
+ */
+function remapGroups(outputs, info, mapIndex) {
+    for (const output of outputs) {
+        if (output.type !== 17) {
+            continue;
+        }
+        const data = new DataView(output._content.buffer, output._content.byteOffset, output._content.byteLength);
+        for (let ptr = 4; ptr + 4 <= data.byteLength; ptr += 4) {
+            data.setUint32(ptr, mapIndex(data.getUint32(ptr, info.littleEndian)), info.littleEndian);
+        }
+    }
+}
+
+/**
+ * Applies the changes of `dynamic.needed`, `dynamic.soname`, `dynamic.rpath` and `dynamic.runpath` to the dynamic
+ * entries and encodes them into the content of the dynamic section. New strings are appended to its string table.
+ * @param {object} target
+ * @param {Array<object>} outputs
+ * @param {ElfInformation} info
+ * @returns {{section: object, entries: Array<{tag: number, value: bigint}>}|null}
+ */
+function writeDynamic(target, outputs, info) {
+    const dynamic = target.dynamic;
+    const output = outputs.find(h => h.type === 6);
+    if (dynamic == null || output == null) {
+        return null;
+    }
+    const stringSection = outputs[output.link];
+    if (stringSection == null || stringSection.type !== 3) {
+        throw new WriteError(`Dynamic section [${output._name}] links to non-string section`);
+    }
+    const strings = new StringTable(stringSection._content);
+    let entries = dynamic.entries.filter(e => e.tag !== DynamicTableNames.DT_NULL).map(e => ({ tag: e.tag, value: e.value }));
+    const parsed = tag => dynamic.entries.filter(e => e.tag === DynamicTableNames[tag]).map(e => e._value);
+    const paths = tag => parsed(tag).flatMap(s => s.split(':')).filter(s => s.length > 0);
+    const changes = [
+        ['DT_NEEDED', parsed('DT_NEEDED'), dynamic.needed],
+        ['DT_SONAME', parsed('DT_SONAME').slice(0, 1), dynamic.soname == null ? [] : [dynamic.soname]],
+        ['DT_RPATH', paths('DT_RPATH'), dynamic.rpath],
+        ['DT_RUNPATH', paths('DT_RUNPATH'), dynamic.runpath]
+    ];
+    for (const [name, before, after] of changes) {
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            continue;
+        }
+        const tag = DynamicTableNames[name];
+        const values = name === 'DT_RPATH' || name === 'DT_RUNPATH' ? (after.length > 0 ? [after.join(':')] : []) : after;
+        let position = entries.findIndex(e => e.tag === tag);
+        if (position < 0) {
+            // DT_NEEDED entries come first, followed by the other string entries.
+            position = name === 'DT_NEEDED' ? 0 : entries.findLastIndex(e => e.tag === DynamicTableNames.DT_NEEDED) + 1;
+        }
+        const replaced = entries.slice(0, position).filter(e => e.tag !== tag);
+        entries = [
+            ...replaced,
+            ...values.map(value => ({ tag, value: BigInt(strings.add(value)) })),
+            ...entries.slice(position).filter(e => e.tag !== tag)
+        ];
+    }
+    stringSection._content = strings.content;
+    for (const entry of entries) {
+        if (entry.tag === DynamicTableNames.DT_STRSZ) {
+            entry.value = BigInt(stringSection._content.byteLength);
+        }
+    }
+    const entrySize = info.wordSize * 2;
+    const count = Math.max(entries.length + 1, Math.floor(output._source.size / entrySize));
+    output._content = new Uint8Array(count * entrySize);
+    const result = { section: output, entries };
+    encodeDynamic(result, info);
+    return result;
+}
+
+/**
+ * @param {{section: object, entries: Array<{tag: number, value: bigint}>}} dynamic
+ * @param {ElfInformation} info
+ */
+function encodeDynamic(dynamic, info) {
+    const content = dynamic.section._content;
+    const data = new DataView(content.buffer, content.byteOffset, content.byteLength);
+    addWordWrite(data, info.bit64);
+    content.fill(0);
+    for (let i = 0; i < dynamic.entries.length; ++i) {
+        const ptr = i * info.wordSize * 2;
+        data.setIntWord(ptr, BigInt(dynamic.entries[i].tag), info.littleEndian);
+        data.setUintWord(ptr + info.wordSize, dynamic.entries[i].value, info.littleEndian);
+    }
+}
+
+/**
+ * @param {Array<ElfProgramHeader>} programHeaders
+ * @param {Array<ElfDynamicEntry>} entries
+ * @returns {Array<[bigint, bigint]>} The address ranges of sections that must be moved together.
+ */
+function getSectionGroups(programHeaders, entries) {
+    const groups = [];
+    for (const header of programHeaders) {
+        if (sectionSegmentTypes.has(header.type)) {
+            groups.push([header.vaddr, header.vaddr + header.memsz]);
+        }
+    }
+    for (const [addressTag, sizeTag] of dynamicTables) {
+        const address = entries.find(e => e.tag === DynamicTableNames[addressTag])?.value;
+        const size = sizeTag == null ? null : entries.find(e => e.tag === DynamicTableNames[sizeTag])?.value;
+        if (address != null && size != null) {
+            groups.push([address, address + size]);
+        }
+    }
+    return groups;
+}
+
+/**
+ * Moves the segments that map moved sections along with them.
+ * @param {Array<ElfProgramHeader>} programHeaders
+ * @param {Array<object>} outputs
+ * @param {Map<object, bigint>} segmentAddresses
+ */
+function relocateSegments(programHeaders, outputs, segmentAddresses) {
+    for (const header of programHeaders) {
+        if (!sectionSegmentTypes.has(header.type)) {
+            continue;
+        }
+        const covered = outputs.filter(h => segmentAddresses.has(h) && h._source.size > 0 && h._source.addr >= header.vaddr && h._source.addr < header.vaddr + header.memsz);
+        if (covered.length === 0) {
+            continue;
+        }
+        const start = covered.reduce((a, b) => segmentAddresses.get(a) < segmentAddresses.get(b) ? a : b);
+        const end = covered.reduce((a, b) => segmentAddresses.get(a) + BigInt(a.size) > segmentAddresses.get(b) + BigInt(b.size) ? a : b);
+        header.offset = start.offset;
+        header.vaddr = header.paddr = segmentAddresses.get(start);
+        header.filesz = end.offset + end.size - start.offset;
+        header.memsz = BigInt(header.filesz);
+    }
+}
+
+/**
+ * Updates the dynamic entries with the new addresses of the moved sections.
+ * @param {{section: object, entries: Array<{tag: number, value: bigint}>}|null} dynamic
+ * @param {ElfInformation} info
+ * @param {Map<bigint, bigint>} addresses The new address of each moved section, by its parsed address.
+ */
+function relocateDynamic(dynamic, info, addresses) {
+    if (dynamic == null) {
+        return;
+    }
+    const addressTags = new Set(dynamicTables.map(([addressTag]) => DynamicTableNames[addressTag]));
+    for (const entry of dynamic.entries) {
+        if (addressTags.has(entry.tag) && addresses.has(entry.value)) {
+            entry.value = addresses.get(entry.value);
+        }
+    }
+    encodeDynamic(dynamic, info);
+}
+
+/**
+ * In executables and shared objects, section symbols hold the address of their section.
+ * @param {Array<object>} outputs
+ * @param {ElfInformation} info
+ * @param {Map<bigint, bigint>} addresses The new address of each moved section, by its parsed address.
+ */
+function relocateSectionSymbols(outputs, info, addresses) {
+    const entrySize = info.bit64 ? 24 : 16;
+    for (const table of outputs) {
+        if (table.type !== 2 && table.type !== 11) {
+            continue;
+        }
+        const data = new DataView(table._content.buffer, table._content.byteOffset, table._content.byteLength);
+        addWordRead(data, info.bit64);
+        addWordWrite(data, info.bit64);
+        for (let ptr = entrySize; ptr + entrySize <= data.byteLength; ptr += entrySize) {
+            const symbol = Object.create(null);
+            readSymbolEntry(data, ptr, info, symbol);
+            // STT_SECTION
+            if ((symbol.info & 0xF) === 3 && addresses.has(symbol.value) && symbol.shndx !== 0 && symbol.shndx < 0xFF00 && outputs[symbol.shndx].addr === addresses.get(symbol.value)) {
+                symbol.value = addresses.get(symbol.value);
+                writeSymbolEntry(data, ptr, info, symbol);
+            }
+        }
+    }
+}
+
+/**
+ * @param {DataView} data
+ * @param {number} ptr
+ * @param {ElfInformation} info
+ * @param {object} symbol
+ */
+function readSymbolEntry(data, ptr, info, symbol) {
+    symbol.name = data.getUint32(ptr, info.littleEndian);
+    ptr += 4;
+    if (!info.bit64) {
+        symbol.value = data.getUintWord(ptr, info.littleEndian);
+        symbol.size = data.getUintWord(ptr + 4, info.littleEndian);
+        ptr += 8;
+    }
+    symbol.info = data.getUint8(ptr++);
+    symbol.other = data.getUint8(ptr++);
+    symbol.shndx = data.getUint16(ptr, info.littleEndian);
+    ptr += 2;
+    if (info.bit64) {
+        symbol.value = data.getUintWord(ptr, info.littleEndian);
+        symbol.size = data.getUintWord(ptr + 8, info.littleEndian);
+    }
+}
+
+/**
+ * Encodes Elf32_Sym or Elf64_Sym, which differ in the order of their fields.
+ * @param {DataView} data
+ * @param {number} ptr
+ * @param {ElfInformation} info
+ * @param {object} symbol
+ */
+function writeSymbolEntry(data, ptr, info, symbol) {
+    data.setUint32(ptr, symbol.name, info.littleEndian);
+    ptr += 4;
+    if (!info.bit64) {
+        data.setUintWord(ptr, symbol.value, info.littleEndian);
+        ptr += info.wordSize;
+        data.setUintWord(ptr, symbol.size, info.littleEndian);
+        ptr += info.wordSize;
+    }
+    data.setUint8(ptr++, symbol.info);
+    data.setUint8(ptr++, symbol.other);
+    data.setUint16(ptr, symbol.shndx, info.littleEndian);
+    ptr += 2;
+    if (info.bit64) {
+        data.setUintWord(ptr, symbol.value, info.littleEndian);
+        ptr += info.wordSize;
+        data.setUintWord(ptr, symbol.size, info.littleEndian);
+    }
+}
+
+/**
+ * @param {DataView} data
+ * @param {ElfInformation} info
+ * @param {ElfIdentificationHeader} identification
+ * @param {ElfHeader} header
+ */
+function writeElfHeader(data, info, identification, header) {
+    data.setUint32(0, identification.MAGIC, false);
+    data.setUint8(4, identification.CLASS);
+    data.setUint8(5, identification.DATA);
+    data.setUint8(6, identification.VERSION);
+    data.setUint8(7, identification.OSABI);
+    data.setUint8(8, identification.ABIVERSION);
+    for (let i = 9; i < 16; ++i) {
+        data.setUint8(i, 0);
+    }
+    let ptr = 16;
+    data.setUint16(ptr, header.type, info.littleEndian);
+    ptr += 2;
+    data.setUint16(ptr, header.machine, info.littleEndian);
+    ptr += 2;
+    data.setUint32(ptr, header.version, info.littleEndian);
+    ptr += 4;
+    data.setUintWord(ptr, header.entry, info.littleEndian);
+    ptr += info.wordSize;
+    data.setUintWord(ptr, BigInt(header.phoff), info.littleEndian);
+    ptr += info.wordSize;
+    data.setUintWord(ptr, BigInt(header.shoff), info.littleEndian);
+    ptr += info.wordSize;
+    data.setUint32(ptr, header.flags, info.littleEndian);
+    ptr += 4;
+    data.setUint16(ptr, header.ehsize, info.littleEndian);
+    ptr += 2;
+    data.setUint16(ptr, header.phentsize, info.littleEndian);
+    ptr += 2;
+    data.setUint16(ptr, header.phnum, info.littleEndian);
+    ptr += 2;
+    data.setUint16(ptr, header.shentsize, info.littleEndian);
+    ptr += 2;
+    data.setUint16(ptr, header.shnum, info.littleEndian);
+    ptr += 2;
+    data.setUint16(ptr, header.shstrndx, info.littleEndian);
+}
+
+/**
+ * @param {DataView} data
+ * @param {number} ptr
+ * @param {ElfInformation} info
+ * @param {ElfProgramHeader} header
+ */
+function writeProgramHeader(data, ptr, info, header) {
+    data.setUint32(ptr, header.type, info.littleEndian);
+    ptr += 4;
+    if (info.bit64) {
+        data.setUint32(ptr, header.flags, info.littleEndian);
+        ptr += 4;
+    }
+    data.setUintWord(ptr, BigInt(header.offset), info.littleEndian);
+    ptr += info.wordSize;
+    data.setUintWord(ptr, header.vaddr, info.littleEndian);
+    ptr += info.wordSize;
+    data.setUintWord(ptr, header.paddr, info.littleEndian);
+    ptr += info.wordSize;
+    data.setUintWord(ptr, BigInt(header.filesz), info.littleEndian);
+    ptr += info.wordSize;
+    data.setUintWord(ptr, header.memsz, info.littleEndian);
+    ptr += info.wordSize;
+    if (!info.bit64) {
+        data.setUint32(ptr, header.flags, info.littleEndian);
+        ptr += 4;
+    }
+    data.setUintWord(ptr, header.align, info.littleEndian);
+}
+
+/**
+ * @param {DataView} data
+ * @param {number} ptr
+ * @param {ElfInformation} info
+ * @param {ElfSectionHeader} header
+ */
+function writeSectionHeader(data, ptr, info, header) {
+    data.setUint32(ptr, header.name, info.littleEndian);
+    ptr += 4;
+    data.setUint32(ptr, header.type, info.littleEndian);
+    ptr += 4;
+    data.setUintWord(ptr, header.flags, info.littleEndian);
+    ptr += info.wordSize;
+    data.setUintWord(ptr, header.addr, info.littleEndian);
+    ptr += info.wordSize;
+    data.setUintWord(ptr, BigInt(header.offset), info.littleEndian);
+    ptr += info.wordSize;
+    data.setUintWord(ptr, BigInt(header.size), info.littleEndian);
+    ptr += info.wordSize;
+    data.setUint32(ptr, header.link, info.littleEndian);
+    ptr += 4;
+    data.setUint32(ptr, header.info, info.littleEndian);
+    ptr += 4;
+    data.setUintWord(ptr, header.addralign, info.littleEndian);
+    ptr += info.wordSize;
+    data.setUintWord(ptr, BigInt(header.entsize), info.littleEndian);
+}
+
+function copyHeader(header) {
+    return Object.assign(Object.create(null), header);
+}
+
+function compareBigInt(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function alignUp(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
+}
+
+function alignUpBigInt(value, alignment) {
+    return (value + alignment - 1n) / alignment * alignment;
+}
+
+function addWordRead(view, bit64) {
+    view.getUintWord = bit64 ? view.getBigUint64 : function (...args) {
+        return BigInt(this.getUint32(...args));
+    };
+}
+
+function addWordWrite(view, bit64) {
+    view.setUintWord = bit64 ? view.setBigUint64 : function (ptr, value, littleEndian) {
+        this.setUint32(ptr, Number(value), littleEndian);
+    };
+
+    view.setIntWord = bit64 ? view.setBigInt64 : function (ptr, value, littleEndian) {
+        this.setInt32(ptr, Number(value), littleEndian);
+    };
+}
+
+export class WriteError extends Error {
+}
@@ -1,4 +1,12 @@
 import fs from 'fs';
+import { openByteSource } from './source.js';
+import { getRelocationTypeName, MachineTypes, RelativeRelocationTypes } from './elf-relocations.js';
+import { parseDebugInfo, parseDebugLine } from './dwarf.js';
+import { demangle } from './demangle.js';
+import { ElfFile, getFlagNames, Section, Segment, Symbol as ElfSymbol } from './elf-model.js';
+
+// Symbol and relocation tables are read in blocks of up to this many bytes.
+const tableChunkSize = 0x100000;
 
 const properties = {
     buffer: Symbol('buffer'),
@@ -19,28 +27,77 @@ const methods = {
 };
 
 /**
- * @param {string} filename
+ * @param {string|fs.FileHandle|ArrayBuffer|ArrayBufferView|bigint|ByteSource} file A filename, an open file, the file
+ * contents, or the base address of an image mapped into the current process.
  * @param {object} options
- * @returns {Promise<object>}
+ * @param {boolean} [options.debugLine] Decode the DWARF line number programs into `debugLine`.
+ * @param {boolean} [options.debugInfo] Read the DWARF debugging information entries into `debugInfo`.
+ * @param {function(object): boolean} [options.symbolFilter] Keep only the symbols for which it returns true in
+ * `symbols`, see {@link iterateSymbols}.
+ * @param {boolean} [options.strict] When false, problems with a malformed file are collected into `diagnostics` and the
+ * parts of the file still readable are returned. Only a file without a valid ELF header fails. True by default.
+ * @returns {Promise<ElfFile>}
  */
-export async function parseFile(filename, options = {}) {
+export async function parseFile(file, options = {}) {
     options = { ...options };
-    const handle = await fs.promises.open(filename, 'r');
-    const target = Object.create(null);
+    const handle = await openByteSource(file);
+    try {
+        return await parseSource(handle, options);
+    } finally {
+        if (handle !== file) {
+            await handle.close();
+        }
+    }
+}
+
+/**
+ * @param {ByteSource} handle
+ * @param {object} options
+ * @returns {Promise<ElfFile>}
+ */
+async function parseSource(handle, options) {
+    const diagnostics = options.strict === false ? [] : null;
+    const target = new ElfFile();
     target.header = Object.create(null);
     [target.header.EI, target.info] = await parseElfIdentificationHeader(handle);
-    target.header.e = await parseElfHeader(handle, target.info);
-    target.header.ph = await parseProgramHeaders(handle, target.info, target.header.e);
-    target.header.sh = await parseSectionHeaders(handle, target.info, target.header.e);
-    target.sections = await parseSections(handle, target.header.sh, target.header.e);
-    target.symbols = await parseSymbols(handle, target.info, target.header.sh, target.sections);
-    target.linkFunctionList = target.symbols.list.filter(s => s.shndx !== 0 && (s.info & 0xF) === 2 && s._section.header.type === 11 && [1, 2].indexOf(s.info >> 4) >= 0).map(s => s._name).sort();
-    await handle.close();
+    target.header.e = await parseElfHeader(handle, target.info, diagnostics);
+    target.header.ph = await parseProgramHeaders(handle, target.info, target.header.e, diagnostics);
+    target.segments = target.header.ph.map(header => new Segment(header));
+    // Section headers are not loaded into memory, a mapped image has only what is reachable through the segments.
+    const { shoff, shnum, shentsize } = target.header.e;
+    if (handle.partial && !await handle.contains(shoff, shnum * shentsize)) {
+        target.header.sh = [];
+    } else {
+        target.header.sh = await parseSectionHeaders(handle, target.info, target.header.e, diagnostics);
+    }
+    let sectionHeaders = target.header.sh;
+    target.sections = await recover(diagnostics, null, () => parseSections(handle, target.header.sh, target.header.e, diagnostics));
+    if (target.sections == null) {
+        // Sections without names cannot be looked up, the rest of the file is parsed as if it had no section headers.
+        target.sections = Object.create(null);
+        sectionHeaders = [];
+    } else {
+        sectionHeaders = skipUnnamedSections(sectionHeaders);
+    }
+    target.symbols = await parseSymbols(handle, target.info, sectionHeaders, target.sections, { filter: options.symbolFilter }, diagnostics);
+    const noVersions = { definitions: [], requirements: [] };
+    target.versions = await recover(diagnostics, noVersions, () => parseSymbolVersions(handle, target.info, sectionHeaders, target.sections, target.symbols, diagnostics));
+    target.relocations = await parseRelocations(handle, target.info, target.header.e, sectionHeaders, target.sections, target.symbols, diagnostics);
+    target.dynamic = await recover(diagnostics, null, () => parseDynamic(handle, target.info, target.header.ph, sectionHeaders, target.sections, diagnostics));
+    target.notes = await parseNotes(handle, target.info, target.header.e, target.header.ph, sectionHeaders, target.sections, diagnostics);
+    if (options.debugLine) {
+        target.debugLine = await recover(diagnostics, null, () => parseDebugLine(handle, target.info, target.sections));
+    }
+    if (options.debugInfo) {
+        target.debugInfo = await recover(diagnostics, null, () => parseDebugInfo(handle, target.info, target.sections));
+    }
+    target.linkFunctionList = target.symbols.list.filter(s => s.isDefined() && s.isFunction() && s.isDynamic() && (s.isGlobal() || s.isWeak())).map(s => s._name).sort();
+    target.diagnostics = diagnostics ?? [];
     return target;
 }
 
 /**
- * @param {fs.FileHandle} handle
+ * @param {ByteSource} handle
  * @returns {Promise<[ElfIdentificationHeader, ElfInformation]>}
  */
 export async function parseElfIdentificationHeader(handle) {
@@ -94,16 +151,17 @@ export async function parseElfIdentificationHeader(handle) {
 }
 
 /**
- * @param {fs.FileHandle} handle
+ * @param {ByteSource} handle
  * @param {ElfInformation} info
+ * @param {Array<ElfDiagnostic>|null} [diagnostics] Collects the problems instead of throwing, see {@link parseFile}.
  * @returns {Promise<ElfHeader>}
  */
-export async function parseElfHeader(handle, info) {
+export async function parseElfHeader(handle, info, diagnostics = null) {
     const headerSize = info.bit64 ? 0x30 : 0x24;
     const source = createBufferView(headerSize);
     const { bytesRead } = await handle.read(source.uint8, 0, headerSize, 16);
     if (bytesRead < headerSize) {
-        throw new ParseError('e');
+        throw new FileBlockError('Insufficient data for the ELF header', 16, headerSize, 16 + bytesRead, 'e');
     }
     const header = Object.create(null);
 
@@ -125,14 +183,20 @@ export async function parseElfHeader(handle, info) {
     header.phoff = source.data.getUintWord(ptr, info.littleEndian);
     ptr += info.wordSize;
     if (header.phoff > Number.MAX_SAFE_INTEGER) {
-        throw new ParseError('e.phoff');
+        throw new ParseError(`e.phoff: 0x${header.phoff.toString(16)} is not a valid file offset`, {
+            path: 'e.phoff',
+            offset: 16 + ptr - info.wordSize
+        });
     }
     header.phoff = Number(header.phoff);
 
     header.shoff = source.data.getUintWord(ptr, info.littleEndian);
     ptr += info.wordSize;
     if (header.shoff > Number.MAX_SAFE_INTEGER) {
-        throw new ParseError('e.shoff');
+        throw new ParseError(`e.shoff: 0x${header.shoff.toString(16)} is not a valid file offset`, {
+            path: 'e.shoff',
+            offset: 16 + ptr - info.wordSize
+        });
     }
     header.shoff = Number(header.shoff);
 
@@ -162,34 +226,48 @@ export async function parseElfHeader(handle, info) {
     }
 
     if (header.version !== 1) {
-        throw new ParseError('e.version');
+        report(diagnostics, new ParseError(`e.version: unknown version ${header.version}`, {
+            path: 'e.version',
+            offset: 0x14
+        }), 'warning');
     }
 
+    // e_ehsize is followed by five more 16-bit fields, e_shstrndx is the last.
     if (header.ehsize !== headerSize + 0x10) {
-        throw new ParseError('e.ehsize');
+        report(diagnostics, new ParseError(`e.ehsize: ${header.ehsize}, expected ${headerSize + 0x10}`, {
+            path: 'e.ehsize',
+            offset: 16 + headerSize - 12
+        }), 'warning');
     }
 
-    if (header.shstrndx >= header.shnum) {
-        throw new ParseError('e.shstrndx');
+    if (header.shnum > 0 && header.shstrndx >= header.shnum) {
+        report(diagnostics, new ParseError(`e.shstrndx: ${header.shstrndx} out of the bounds of ${header.shnum} section headers`, {
+            code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+            path: 'e.shstrndx',
+            offset: 16 + headerSize - 2
+        }));
     }
 
     return header;
 }
 
 /**
- * @param {fs.FileHandle} handle
+ * @param {ByteSource} handle
  * @param {ElfInformation} info
  * @param {ElfHeader} elfHeader
- * @returns {Promise<Array<ElfProgramHeader>>}
+ * @param {Array<ElfDiagnostic>|null} [diagnostics] Collects the problems instead of throwing, see {@link parseFile}.
+ * @returns {Promise<Array<ElfProgramHeader>>} In lenient mode, the headers up to the end of the file, without these
+ * with invalid fields.
  */
-export async function parseProgramHeaders(handle, info, elfHeader) {
+export async function parseProgramHeaders(handle, info, elfHeader, diagnostics = null) {
     let filePointer = elfHeader.phoff;
     let headers = [];
     for (let i = 0; i < elfHeader.phnum; ++i) {
         const source = createBufferView(elfHeader.phentsize);
         const { bytesRead } = await handle.read(source.uint8, 0, elfHeader.phentsize, Number(filePointer));
         if (bytesRead < elfHeader.phentsize) {
-            throw new ParseError('e.phoff');
+            report(diagnostics, new FileBlockError(`Insufficient data for ph[${i}]`, filePointer, elfHeader.phentsize, filePointer + bytesRead, `ph[${i}]`));
+            break;
         }
 
         addWordRead(source.data, info.bit64);
@@ -209,7 +287,12 @@ export async function parseProgramHeaders(handle, info, elfHeader) {
         header.offset = source.data.getUintWord(ptr, info.littleEndian);
         ptr += info.wordSize;
         if (header.offset > Number.MAX_SAFE_INTEGER) {
-            throw new ParseError('ph.offset');
+            report(diagnostics, new ParseError(`ph[${i}].offset: 0x${header.offset.toString(16)} is not a valid file offset`, {
+                path: `ph[${i}].offset`,
+                offset: filePointer
+            }));
+            filePointer += elfHeader.phentsize;
+            continue;
         }
         header.offset = Number(header.offset);
 
@@ -222,7 +305,12 @@ export async function parseProgramHeaders(handle, info, elfHeader) {
         header.filesz = source.data.getUintWord(ptr, info.littleEndian);
         ptr += info.wordSize;
         if (header.filesz > Number.MAX_SAFE_INTEGER) {
-            throw new ParseError('ph.filesz');
+            report(diagnostics, new ParseError(`ph[${i}].filesz: 0x${header.filesz.toString(16)} is not a valid size`, {
+                path: `ph[${i}].filesz`,
+                offset: filePointer
+            }));
+            filePointer += elfHeader.phentsize;
+            continue;
         }
         header.filesz = Number(header.filesz);
 
@@ -235,7 +323,7 @@ export async function parseProgramHeaders(handle, info, elfHeader) {
         }
 
         header.align = source.data.getUintWord(ptr, info.littleEndian);
-        ptr += 8;
+        ptr += info.wordSize;
 
         headers.push(header);
         filePointer += ptr;
@@ -244,19 +332,22 @@ export async function parseProgramHeaders(handle, info, elfHeader) {
 }
 
 /**
- * @param {fs.FileHandle} handle
+ * @param {ByteSource} handle
  * @param {ElfInformation} info
  * @param {ElfHeader} elfHeader
- * @returns {Promise<ElfSectionHeader>}
+ * @param {Array<ElfDiagnostic>|null} [diagnostics] Collects the problems instead of throwing, see {@link parseFile}.
+ * @returns {Promise<ElfSectionHeader>} In lenient mode, the headers up to the end of the file. A section with an invalid
+ * offset or size is empty.
  */
-export async function parseSectionHeaders(handle, info, elfHeader) {
+export async function parseSectionHeaders(handle, info, elfHeader, diagnostics = null) {
     let filePointer = elfHeader.shoff;
     let headers = [];
     for (let i = 0; i < elfHeader.shnum; ++i) {
         const source = createBufferView(elfHeader.shentsize);
         const { bytesRead } = await handle.read(source.uint8, 0, elfHeader.shentsize, Number(filePointer));
         if (bytesRead < elfHeader.shentsize) {
-            throw new ParseError('e.shoff');
+            report(diagnostics, new FileBlockError(`Insufficient data for sh[${i}]`, filePointer, elfHeader.shentsize, filePointer + bytesRead, `sh[${i}]`));
+            break;
         }
 
         addWordRead(source.data, info.bit64);
@@ -278,19 +369,30 @@ export async function parseSectionHeaders(handle, info, elfHeader) {
         header.addr = source.data.getUintWord(ptr, info.littleEndian);
         ptr += info.wordSize;
 
+        // In lenient mode, a section with an invalid offset or size is empty.
+        let empty = false;
         header.offset = source.data.getUintWord(ptr, info.littleEndian);
         ptr += info.wordSize;
         if (header.offset > Number.MAX_SAFE_INTEGER) {
-            throw new ParseError('sh.offset');
+            report(diagnostics, new ParseError(`sh[${i}].offset: 0x${header.offset.toString(16)} is not a valid file offset`, {
+                path: `sh[${i}].offset`,
+                offset: filePointer
+            }));
+            header.offset = 0n;
+            empty = true;
         }
         header.offset = Number(header.offset);
 
         header.size = source.data.getUintWord(ptr, info.littleEndian);
         ptr += info.wordSize;
         if (header.size > Number.MAX_SAFE_INTEGER) {
-            throw new ParseError('sh.size');
+            report(diagnostics, new ParseError(`sh[${i}].size: 0x${header.size.toString(16)} is not a valid size`, {
+                path: `sh[${i}].size`,
+                offset: filePointer
+            }));
+            empty = true;
         }
-        header.size = Number(header.size);
+        header.size = empty ? 0 : Number(header.size);
 
         header.link = source.data.getUint32(ptr, info.littleEndian);
         ptr += 4;
@@ -304,7 +406,11 @@ export async function parseSectionHeaders(handle, info, elfHeader) {
         header.entsize = source.data.getUintWord(ptr, info.littleEndian);
         ptr += info.wordSize;
         if (header.entsize > Number.MAX_SAFE_INTEGER) {
-            throw new ParseError('sh.entsize');
+            report(diagnostics, new ParseError(`sh[${i}].entsize: 0x${header.entsize.toString(16)} is not a valid size`, {
+                path: `sh[${i}].entsize`,
+                offset: filePointer
+            }));
+            header.entsize = 0n;
         }
         header.entsize = Number(header.entsize);
 
@@ -317,7 +423,10 @@ export async function parseSectionHeaders(handle, info, elfHeader) {
             }
             // When non-zero bit is found, the remaining bits must be zero (i.e. the value will have only one bit set ot 1).
             if (align !== 1n) {
-                throw new Error('sh.addralign');
+                report(diagnostics, new ParseError(`sh[${i}].addralign: 0x${header.addralign.toString(16)} is not a power of 2`, {
+                    path: `sh[${i}].addralign`,
+                    offset: filePointer
+                }), 'warning');
             }
         }
 
@@ -328,24 +437,37 @@ export async function parseSectionHeaders(handle, info, elfHeader) {
 }
 
 /**
- * @param {fs.FileHandle} handle
+ * @param {ByteSource} handle
  * @param {Array<ElfSectionHeader>} sectionList
  * @param {ElfHeader} elfHeader
- * @returns {Promise<void>}
+ * @param {Array<ElfDiagnostic>|null} [diagnostics] Collects the problems instead of throwing, see {@link parseFile}.
+ * @returns {Promise<object|null>} The sections keyed by name. In lenient mode, a section with an invalid name is left
+ * out, its header has no `_name`, and an out of range e_shstrndx, already reported by {@link parseElfHeader}, gives
+ * null.
  */
-export async function parseSections(handle, sectionList, elfHeader) {
+export async function parseSections(handle, sectionList, elfHeader, diagnostics = null) {
+    if (sectionList.length === 0) {
+        return Object.create(null);
+    }
     if (elfHeader.shstrndx >= sectionList.length) {
-        throw new ParseError('e.shstrndx');
+        if (diagnostics != null) {
+            return null;
+        }
+        throw new ParseError(`e.shstrndx: ${elfHeader.shstrndx} out of the bounds of ${sectionList.length} section headers`, {
+            code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+            path: 'e.shstrndx'
+        });
     }
     const shStringTable = sectionList[elfHeader.shstrndx];
-    const stat = handle.stat({ bigint: true });
+    const stat = await handle.stat({ bigint: true });
+    const path = `sh[${elfHeader.shstrndx}]`;
     if (shStringTable.offset + shStringTable.size > stat.size) {
-        throw new ParseError('sh.offset');
+        throw new FileBlockError('Insufficient data for the section name string table', shStringTable.offset, shStringTable.size, stat.size, path);
     }
     const shStringData = createBufferView(shStringTable.size);
     const { bytesRead } = await handle.read(shStringData.uint8, 0, Number(shStringTable.size), Number(shStringTable.offset));
     if (bytesRead < shStringTable.size) {
-        throw new ParseError('sh.offset');
+        throw new FileBlockError('Insufficient data for the section name string table', shStringTable.offset, shStringTable.size, shStringTable.offset + bytesRead, path);
     }
     const sections = Object.create(null);
 
@@ -354,19 +476,31 @@ export async function parseSections(handle, sectionList, elfHeader) {
         if (sectionHeader.type === 0) {
             continue;
         }
-        if (sectionHeader.name > shStringData.uint8.byteLength) {
-            throw new ParseError('sh.name');
+        const details = { path: `sh[${i}].name`, offset: sectionHeader._offset };
+        if (sectionHeader.name >= shStringData.uint8.byteLength) {
+            report(diagnostics, new ParseError(`sh[${i}].name: ${sectionHeader.name} out of the bounds of the section name string table`, {
+                ...details,
+                code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS
+            }));
+            continue;
+        }
+        let name;
+        try {
+            name = getNullTerminatedString(shStringData.uint8, sectionHeader.name, details);
+        } catch (error) {
+            report(diagnostics, error);
+            continue;
         }
-        const name = getNullTerminatedString(shStringData.uint8, sectionHeader.name);
         if (!name) {
-            throw new ParseError('sh.name');
+            report(diagnostics, new ParseError(`sh[${i}].name: the section has no name`, details));
+            continue;
         }
         if (name in sections) {
-            // Duplicate section?
-            throw new ParseError('sh.name');
+            report(diagnostics, new ParseError(`sh[${i}].name: duplicate section [${name}]`, details));
+            continue;
         }
-        const section = sections[name] = Object.create(null);
-        section.header = sectionHeader;
+        sectionHeader._name = name;
+        const section = new Section(sectionHeader, sectionList, sections);
         Object.defineProperties(section, {
             load: {
                 configurable: true,
@@ -374,7 +508,6 @@ export async function parseSections(handle, sectionList, elfHeader) {
                 value: loadSection
             }
         });
-        section._name = section.header._name = name;
         sections[name] = section;
         if (i === elfHeader.shstrndx) {
             section.content = shStringData;
@@ -383,114 +516,1272 @@ export async function parseSections(handle, sectionList, elfHeader) {
     return sections;
 }
 
-export async function parseSymbols(handle, info, headers, sections) {
+/**
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {Array<ElfSectionHeader>} headers
+ * @param {object} sections
+ * @param {object} [options]
+ * @param {function(object): boolean} [options.filter] Only the symbols for which it returns true are kept, see
+ * {@link iterateSymbols}.
+ * @param {Array<ElfDiagnostic>|null} [diagnostics] Collects the problems instead of throwing, see {@link parseFile}.
+ * @returns {Promise<{list: Array<object>, map: object, demangledMap: object}>} The `map` is keyed by the symbol name,
+ * the `demangledMap` by the demangled C++ name, with and without the parameters (`v8::Isolate::GetCurrent()` and
+ * `v8::Isolate::GetCurrent`).
+ */
+export async function parseSymbols(handle, info, headers, sections, options = {}, diagnostics = null) {
     const list = [];
     const map = {};
-    const jobs = [];
-    const stat = await handle.stat({ bigint: true });
-    for (let sectionIndex = 0; sectionIndex < headers.length; ++sectionIndex) {
-        const sectionHeader = headers[sectionIndex];
-        if (sectionHeader.type !== 2 && sectionHeader.type !== 11) {
+    const demangledMap = {};
+    // .symtab and .dynsym usually repeat the same names.
+    const demangledNames = new Map();
+    for await (const symbolInfo of readSymbols(handle, info, headers, sections, options.filter ?? null, false, diagnostics)) {
+        symbolInfo._index = list.length;
+        list.push(symbolInfo);
+        if (symbolInfo._name == null) {
+            continue;
+        }
+        addSymbolToMap(map, symbolInfo._name, symbolInfo);
+        let names = demangledNames.get(symbolInfo._name);
+        if (names == null) {
+            const demangled = demangle(symbolInfo._name);
+            names = [demangled, demangled == null ? null : demangle(symbolInfo._name, { params: false })];
+            demangledNames.set(symbolInfo._name, names);
+        }
+        symbolInfo.demangled = names[0];
+        if (names[0] != null) {
+            addSymbolToMap(demangledMap, names[0], symbolInfo);
+            if (names[1] !== names[0]) {
+                addSymbolToMap(demangledMap, names[1], symbolInfo);
+            }
+        }
+    }
+    return { list, map, demangledMap };
+}
+
+/**
+ * Streams the entries of the symbol tables (.symtab and .dynsym) without building the `list` and `map` of
+ * {@link parseFile}. Only the ELF header, the section headers and the symbol string tables are read besides the symbol
+ * tables themselves.
+ * @example
+ * for await (const symbol of iterateSymbols('/usr/lib/libz.so', { filter: s => (s.info & 0xF) === 2 })) {
+ *     console.log(symbol._name);
+ * }
+ * @param {string|fs.FileHandle|ArrayBuffer|ArrayBufferView|bigint|ByteSource} file Anything {@link parseFile} accepts.
+ * @param {object} [options]
+ * @param {function(object): boolean} [options.filter] Called with each symbol before it is demangled, only the symbols
+ * for which it returns true are yielded.
+ * @param {boolean} [options.demangle] Set `demangled` of the yielded symbols, true by default.
+ * @param {Array<ElfDiagnostic>} [options.diagnostics] Collect the problems of a malformed file here and yield the
+ * symbols still readable, instead of throwing.
+ * @returns {AsyncGenerator<object>} The symbols have the same properties as the ones of {@link parseSymbols}, except
+ * `_index` counts every symbol read, not only the selected ones.
+ */
+export async function* iterateSymbols(file, options = {}) {
+    const handle = await openByteSource(file);
+    try {
+        const [, info] = await parseElfIdentificationHeader(handle);
+        const diagnostics = options.diagnostics ?? null;
+        const elfHeader = await parseElfHeader(handle, info, diagnostics);
+        const { shoff, shnum, shentsize } = elfHeader;
+        if (handle.partial && !await handle.contains(shoff, shnum * shentsize)) {
+            return;
+        }
+        const headers = await parseSectionHeaders(handle, info, elfHeader, diagnostics);
+        const sections = await recover(diagnostics, null, () => parseSections(handle, headers, elfHeader, diagnostics));
+        if (sections == null) {
+            return;
+        }
+        yield* readSymbols(handle, info, skipUnnamedSections(headers), sections, options.filter ?? null, options.demangle ?? true, diagnostics);
+    } finally {
+        if (handle !== file) {
+            await handle.close();
+        }
+    }
+}
+
+/**
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {Array<ElfSectionHeader>} headers
+ * @param {object} sections
+ * @param {function(object): boolean|null} filter
+ * @param {boolean} demangleNames
+ * @param {Array<ElfDiagnostic>|null} diagnostics
+ * @returns {AsyncGenerator<object>}
+ */
+async function* readSymbols(handle, info, headers, sections, filter, demangleNames, diagnostics) {
+    const entrySize = 4 + 1 + 1 + 2 + info.wordSize + info.wordSize;
+    const fileSize = Number(info.stat.size);
+    let index = 0;
+    for (const symbolHeader of headers) {
+        if (symbolHeader.type !== 2 && symbolHeader.type !== 11) {
+            continue;
+        }
+        const symbolSection = sections[symbolHeader._name];
+        const path = `sections[${symbolSection._name}]`;
+        try {
+            const stringHeader = headers[symbolHeader.link];
+            if (stringHeader == null || stringHeader.type !== 3) {
+                throw new ParseError(`Symbol section [${symbolSection._name}] links to non-string section [${stringHeader?._name}]`, {
+                    path: `sh[${symbolHeader._index}].link`,
+                    offset: symbolHeader._offset
+                });
+            }
+            const stringSection = sections[stringHeader._name];
+            const stringData = await stringSection.load(handle);
+            let { offset, size } = symbolHeader;
+            if (size < entrySize) {
+                throw new FileBlockError('Insufficient data for symbol[0]', offset, entrySize, offset + size, path);
+            }
+            if (size % entrySize !== 0) {
+                report(diagnostics, new ParseError(`Symbol section [${symbolSection._name}] size is not a multiple of ${entrySize}`, {
+                    path: `sh[${symbolHeader._index}].size`,
+                    offset: symbolHeader._offset
+                }), 'warning');
+                size -= size % entrySize;
+            }
+            if (offset + size > fileSize) {
+                report(diagnostics, new FileBlockError(`Insufficient data for symbols of [${symbolSection._name}]`, offset, size, fileSize, path));
+                size = Math.max(0, fileSize - offset);
+                size -= size % entrySize;
+            }
+            for await (const [chunkOffset, source] of readTableChunks(handle, info, offset, size, entrySize, `symbols of [${symbolSection._name}]`)) {
+                let ptr = 0;
+                if (chunkOffset === offset) {
+                    if (source.uint8.subarray(0, entrySize).some(byte => byte !== 0)) {
+                        report(diagnostics, new ParseError(`Section [${symbolSection._name}] contains non-zero byte in the null entry`, {
+                            path: `${path}[0]`,
+                            offset
+                        }), 'warning');
+                    }
+                    ptr = entrySize;
+                }
+                for (; ptr < source.uint8.byteLength; ptr += entrySize) {
+                    const symbolInfo = new ElfSymbol();
+                    symbolInfo._offset = chunkOffset + ptr;
+                    symbolInfo._size = entrySize;
+                    symbolInfo._index = index++;
+                    symbolInfo._section = symbolSection;
+                    readSymbolEntry(source.data, ptr, info, symbolInfo);
+                    symbolInfo._name = null;
+                    if (symbolInfo.name !== 0) {
+                        const details = { path: `${path}[${(symbolInfo._offset - offset) / entrySize}].name`, offset: symbolInfo._offset };
+                        try {
+                            if (symbolInfo.name >= stringData.uint8.length) {
+                                throw new ParseError(`Section [${symbolSection._name}]: symbol entry name ${symbolInfo.name} out of the bounds of [${stringSection._name}] section ${stringData.uint8.length}`, {
+                                    ...details,
+                                    code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS
+                                });
+                            }
+                            symbolInfo._name = getNullTerminatedString(stringData.uint8, symbolInfo.name, details);
+                        } catch (error) {
+                            report(diagnostics, error);
+                        }
+                    }
+                    symbolInfo.demangled = null;
+                    if (filter != null && !filter(symbolInfo)) {
+                        continue;
+                    }
+                    if (demangleNames && symbolInfo._name != null) {
+                        symbolInfo.demangled = demangle(symbolInfo._name);
+                    }
+                    yield symbolInfo;
+                }
+            }
+        } catch (error) {
+            report(diagnostics, error);
+        }
+    }
+}
+
+/**
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {Array<ElfSectionHeader>} headers
+ * @param {object} sections
+ * @param {{list: Array<object>, map: object}} symbols
+ * @param {Array<ElfDiagnostic>|null} [diagnostics] Collects the problems instead of throwing, see {@link parseFile}.
+ * @returns {Promise<ElfSymbolVersions>} In lenient mode, symbols with a missing or an unknown version have no
+ * `_version`.
+ */
+export async function parseSymbolVersions(handle, info, headers, sections, symbols, diagnostics = null) {
+    const versions = Object.create(null);
+    versions.definitions = [];
+    versions.requirements = [];
+    const names = new Map();
+    const symbolTables = indexSymbolTables(symbols);
+
+    for (const sectionHeader of headers) {
+        if (sectionHeader.type !== 0x6FFFFFFD) {
             continue;
         }
         const section = sections[sectionHeader._name];
-        jobs.push(loadSymbols(section));
+        const content = await section.load(handle);
+        const stringData = await loadLinkedStrings(section);
+        for (let ptr = 0, i = 0; i < sectionHeader.info; ++i) {
+            if (ptr + 20 > content.uint8.byteLength) {
+                throw new ParseError(`Section [${section._name}]: verdef entry ${i} out of the bounds of the section`, {
+                    code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+                    path: `sections[${section._name}][${i}]`,
+                    offset: sectionHeader.offset + ptr
+                });
+            }
+            const definition = Object.create(null);
+            definition._offset = sectionHeader.offset + ptr;
+            definition.version = content.data.getUint16(ptr, info.littleEndian);
+            definition.flags = content.data.getUint16(ptr + 2, info.littleEndian);
+            definition.index = content.data.getUint16(ptr + 4, info.littleEndian);
+            definition.count = content.data.getUint16(ptr + 6, info.littleEndian);
+            definition.hash = content.data.getUint32(ptr + 8, info.littleEndian);
+            const auxOffset = content.data.getUint32(ptr + 12, info.littleEndian);
+            const next = content.data.getUint32(ptr + 16, info.littleEndian);
+            definition._flags = getFlagNames(VersionFlags, BigInt(definition.flags));
+            definition._name = null;
+            definition._parents = [];
+            for (let auxPtr = ptr + auxOffset, j = 0; j < definition.count; ++j) {
+                if (auxPtr + 8 > content.uint8.byteLength) {
+                    throw new ParseError(`Section [${section._name}]: verdaux entry ${j} of ${i} out of the bounds of the section`, {
+                        code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+                        path: `sections[${section._name}][${i}].aux[${j}]`,
+                        offset: sectionHeader.offset + ptr
+                    });
+                }
+                const name = getNullTerminatedString(stringData.uint8, content.data.getUint32(auxPtr, info.littleEndian));
+                if (j === 0) {
+                    definition._name = name;
+                } else {
+                    definition._parents.push(name);
+                }
+                auxPtr += content.data.getUint32(auxPtr + 4, info.littleEndian);
+            }
+            versions.definitions.push(definition);
+            // The base definition (VER_FLG_BASE) names the file itself, symbols using it are not versioned.
+            if ((definition.flags & VersionFlags.VER_FLG_BASE) === 0) {
+                names.set(definition.index, { name: definition._name, file: null });
+            }
+            if (next === 0) {
+                break;
+            }
+            ptr += next;
+        }
     }
-    await Promise.all(jobs);
-    return { list, map };
 
-    async function loadSymbols(symbolSection) {
-        const stringHeader = headers[symbolSection.header.link];
-        if (stringHeader.type !== 3) {
-            throw new ParseError(`Symbol section [${symbolSection.header._name}] links to non-string section [${stringHeader._name}]`);
-        }
-        const stringSection = sections[stringHeader._name];
-        const stringData = await stringSection.load(handle);
-        let filePointer = symbolSection.header.offset;
-        let index = 0;
-        const sectionEnd = filePointer + symbolSection.header.size;
-        const entrySize = 4 + 1 + 1 + 2 + info.wordSize + info.wordSize;
-        {
-            const nullEntry = new Uint8Array(new ArrayBuffer(Number(entrySize)));
-            if (filePointer + entrySize > sectionEnd) {
-                throw new FileBlockError('Insufficient data for symbol[0]', filePointer, entrySize, sectionEnd);
-            }
-            const { bytesRead } = await handle.read(nullEntry, 0, Number(entrySize), Number(filePointer));
-            if (bytesRead < entrySize) {
-                throw new FileBlockError('Insufficient data for symbol[0]', filePointer, entrySize, sectionEnd);
-            }
-            for (let i = 0; i < entrySize; ++i) {
-                if (nullEntry[i] !== 0) {
-                    throw new ParseError(`Section [${symbolSection._name}] contains non-zero byte in the null entry`);
+    for (const sectionHeader of headers) {
+        if (sectionHeader.type !== 0x6FFFFFFE) {
+            continue;
+        }
+        const section = sections[sectionHeader._name];
+        const content = await section.load(handle);
+        const stringData = await loadLinkedStrings(section);
+        for (let ptr = 0, i = 0; i < sectionHeader.info; ++i) {
+            if (ptr + 16 > content.uint8.byteLength) {
+                throw new ParseError(`Section [${section._name}]: verneed entry ${i} out of the bounds of the section`, {
+                    code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+                    path: `sections[${section._name}][${i}]`,
+                    offset: sectionHeader.offset + ptr
+                });
+            }
+            const requirement = Object.create(null);
+            requirement._offset = sectionHeader.offset + ptr;
+            requirement.version = content.data.getUint16(ptr, info.littleEndian);
+            requirement.count = content.data.getUint16(ptr + 2, info.littleEndian);
+            requirement.file = content.data.getUint32(ptr + 4, info.littleEndian);
+            const auxOffset = content.data.getUint32(ptr + 8, info.littleEndian);
+            const next = content.data.getUint32(ptr + 12, info.littleEndian);
+            requirement._file = getNullTerminatedString(stringData.uint8, requirement.file);
+            requirement.versions = [];
+            for (let auxPtr = ptr + auxOffset, j = 0; j < requirement.count; ++j) {
+                if (auxPtr + 16 > content.uint8.byteLength) {
+                    throw new ParseError(`Section [${section._name}]: vernaux entry ${j} of ${i} out of the bounds of the section`, {
+                        code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+                        path: `sections[${section._name}][${i}].aux[${j}]`,
+                        offset: sectionHeader.offset + ptr
+                    });
                 }
+                const version = Object.create(null);
+                version.hash = content.data.getUint32(auxPtr, info.littleEndian);
+                version.flags = content.data.getUint16(auxPtr + 4, info.littleEndian);
+                version.index = content.data.getUint16(auxPtr + 6, info.littleEndian);
+                version.name = content.data.getUint32(auxPtr + 8, info.littleEndian);
+                version._flags = getFlagNames(VersionFlags, BigInt(version.flags));
+                version._name = getNullTerminatedString(stringData.uint8, version.name);
+                requirement.versions.push(version);
+                names.set(version.index, { name: version._name, file: requirement._file });
+                const auxNext = content.data.getUint32(auxPtr + 12, info.littleEndian);
+                if (auxNext === 0) {
+                    break;
+                }
+                auxPtr += auxNext;
+            }
+            versions.requirements.push(requirement);
+            if (next === 0) {
+                break;
             }
+            ptr += next;
         }
-        filePointer += entrySize;
-        const jobs = [];
-        while (filePointer < sectionEnd) {
-            const symbolInfo = Object.create(null);
-            symbolInfo._offset = Number(filePointer);
-            symbolInfo._size = Number(entrySize);
-            symbolInfo._index = list.length;
-            symbolInfo._section = symbolSection;
-            list.push(symbolInfo);
-            jobs.push(loadSymbol(symbolInfo));
-            filePointer += entrySize;
+    }
+
+    const baseDefinition = versions.definitions.find(d => (d.flags & VersionFlags.VER_FLG_BASE) !== 0);
+    for (const sectionHeader of headers) {
+        if (sectionHeader.type !== 0x6FFFFFFF) {
+            continue;
         }
-        return Promise.all(jobs);
+        const section = sections[sectionHeader._name];
+        const symbolHeader = headers[sectionHeader.link];
+        if (symbolHeader == null || symbolHeader.type !== 11) {
+            throw new ParseError(`Section [${section._name}] links to non-dynamic symbol section`, {
+                path: `sh[${sectionHeader._index}].link`,
+                offset: sectionHeader._offset
+            });
+        }
+        const symbolTable = symbolTables.get(sections[symbolHeader._name]) ?? [];
+        const content = await section.load(handle);
+        for (let index = 1; index < symbolTable.length; ++index) {
+            const symbol = symbolTable[index];
+            if (symbol == null) {
+                continue;
+            }
+            if (index * 2 + 2 > content.uint8.byteLength) {
+                report(diagnostics, new ParseError(`Section [${section._name}]: missing version of symbol ${index}`, {
+                    code: DiagnosticCodes.ERR_ELF_TRUNCATED,
+                    path: `sections[${section._name}][${index}]`,
+                    offset: sectionHeader.offset + index * 2
+                }));
+                break;
+            }
+            const value = content.data.getUint16(index * 2, info.littleEndian);
+            const version = Object.create(null);
+            version.index = value & 0x7FFF;
+            // VERSYM_HIDDEN: the symbol is not the default version, only reachable by an explicit version.
+            version.hidden = (value & 0x8000) !== 0;
+            version.name = null;
+            version.file = null;
+            version.required = false;
+            if (version.index > 1) {
+                const entry = names.get(version.index);
+                if (entry == null) {
+                    report(diagnostics, new ParseError(`Section [${section._name}]: symbol ${index} refers to unknown version ${version.index}`, {
+                        code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+                        path: `sections[${section._name}][${index}]`,
+                        offset: sectionHeader.offset + index * 2
+                    }));
+                    continue;
+                }
+                version.name = entry.name;
+                // Definitions are made by this file, named by its base definition (usually the DT_SONAME).
+                version.file = entry.file ?? baseDefinition?._name ?? null;
+                version.required = entry.file != null;
+            }
+            symbol._version = version;
+            if (symbol._name == null || version.name == null) {
+                continue;
+            }
+            addSymbolToMap(symbols.map, `${symbol._name}@${version.name}`, symbol);
+            if (symbol.shndx !== 0 && !version.hidden) {
+                addSymbolToMap(symbols.map, `${symbol._name}@@${version.name}`, symbol);
+            }
+        }
+    }
+    return versions;
+
+    async function loadLinkedStrings(section) {
+        const stringHeader = headers[section.header.link];
+        if (stringHeader == null || stringHeader.type !== 3) {
+            throw new ParseError(`Section [${section._name}] links to non-string section`, {
+                path: `sh[${section.header._index}].link`,
+                offset: section.header._offset
+            });
+        }
+        return sections[stringHeader._name].load(handle);
+    }
+}
 
-        async function loadSymbol(symbolInfo) {
-            if (symbolInfo._offset + symbolInfo._size > sectionEnd) {
-                throw new FileBlockError('Insufficient data for symbol[0]', symbolInfo._offset, entrySize, sectionEnd);
+/**
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {Array<ElfProgramHeader>} programHeaders
+ * @param {Array<ElfSectionHeader>} sectionHeaders
+ * @param {object} sections
+ * @param {Array<ElfDiagnostic>|null} [diagnostics] Collects the problems instead of throwing, see {@link parseFile}.
+ * @returns {Promise<ElfDynamic|null>} In lenient mode, the strings that cannot be read are null in `entries` and left
+ * out of the other properties.
+ */
+export async function parseDynamic(handle, info, programHeaders, sectionHeaders, sections, diagnostics = null) {
+    let offset, size;
+    const dynamicHeader = sectionHeaders.find(h => h.type === 6);
+    if (dynamicHeader != null) {
+        offset = dynamicHeader.offset;
+        size = dynamicHeader.size;
+    } else {
+        const dynamicSegment = programHeaders.find(h => h.type === 2);
+        if (dynamicSegment == null) {
+            return null;
+        }
+        offset = dynamicSegment.offset;
+        size = dynamicSegment.filesz;
+    }
+    const dynamic = Object.create(null);
+    const entries = dynamic.entries = await readDynamicEntries(handle, info, offset, size);
+    const tags = getDynamicTags(entries);
+
+    // DT_STRTAB is a virtual address, which must be translated to file offset through the loadable segments.
+    // Relocatable objects might not have segments, in which case the string table is the one linked to the section.
+    const tagEntry = name => entries.find(e => e._name === name);
+    const stringData = await recover(diagnostics, null, async () => {
+        if (tags.DT_STRTAB != null && tags.DT_STRSZ != null) {
+            const details = { path: `dynamic[${tagEntry('DT_STRTAB')._index}]`, offset: tagEntry('DT_STRTAB')._offset };
+            const stringOffset = dynamicAddressToFileOffset(handle, programHeaders, tags.DT_STRTAB);
+            if (stringOffset == null) {
+                throw new ParseError(`DT_STRTAB: address 0x${tags.DT_STRTAB.toString(16)} is not mapped by any PT_LOAD segment`, {
+                    ...details,
+                    code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS
+                });
+            }
+            if (tags.DT_STRSZ > Number.MAX_SAFE_INTEGER) {
+                throw new ParseError(`DT_STRSZ: 0x${tags.DT_STRSZ.toString(16)} is not a valid size`, {
+                    path: `dynamic[${tagEntry('DT_STRSZ')._index}]`,
+                    offset: tagEntry('DT_STRSZ')._offset
+                });
+            }
+            const stringSize = Number(tags.DT_STRSZ);
+            const stringData = createBufferView(stringSize);
+            const { bytesRead } = await handle.read(stringData.uint8, 0, stringSize, stringOffset);
+            if (bytesRead < stringSize) {
+                throw new FileBlockError('Insufficient data for DT_STRTAB', stringOffset, stringSize, stringOffset + bytesRead, details.path);
             }
-            const source = createBufferView(entrySize);
-            const { bytesRead } = await handle.read(source.uint8, 0, Number(entrySize), symbolInfo._offset);
-            if (bytesRead < entrySize) {
-                throw new FileBlockError('Insufficient data for symbol[0]', symbolInfo._offset, entrySize, sectionEnd);
+            return stringData;
+        } else if (dynamicHeader != null && dynamicHeader.link !== 0) {
+            const stringHeader = sectionHeaders[dynamicHeader.link];
+            if (stringHeader == null || stringHeader.type !== 3) {
+                throw new ParseError(`Dynamic section [${dynamicHeader._name}] links to non-string section`, {
+                    path: `sh[${dynamicHeader._index}].link`,
+                    offset: dynamicHeader._offset
+                });
+            }
+            return sections[stringHeader._name].load(handle);
+        }
+        return null;
+    });
+
+    for (const entry of entries) {
+        if (dynamicStringTags.has(entry.tag)) {
+            const details = { path: `dynamic[${entry._index}]`, offset: entry._offset };
+            entry._value = null;
+            if (stringData == null) {
+                report(diagnostics, new ParseError(`${entry._name}: missing DT_STRTAB`, details));
+            } else if (entry.value >= stringData.uint8.byteLength) {
+                report(diagnostics, new ParseError(`${entry._name}: string offset ${entry.value} out of the bounds of DT_STRTAB`, {
+                    ...details,
+                    code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS
+                }));
+            } else {
+                try {
+                    entry._value = getNullTerminatedString(stringData.uint8, Number(entry.value), details);
+                } catch (error) {
+                    report(diagnostics, error);
+                }
             }
+        } else if (dynamicFlagTags.has(entry.tag)) {
+            entry._value = getFlagNames(dynamicFlagTags.get(entry.tag), entry.value);
+        } else if (entry.tag === DynamicTableNames.DT_PLTREL) {
+            entry._value = dynamicTagNames.get(Number(entry.value)) ?? null;
+        } else {
+            entry._value = entry.value;
+        }
+    }
 
-            addWordRead(source.data, info.bit64);
-            let ptr = 0;
+    const strings = tag => entries.filter(e => e.tag === DynamicTableNames[tag] && e._value != null).map(e => e._value);
+    const paths = tag => strings(tag).flatMap(s => s.split(':')).filter(s => s.length > 0);
+    const flags = tag => entries.filter(e => e.tag === DynamicTableNames[tag]).flatMap(e => e._value);
+    const table = (address, size, entrySize) => {
+        if (tags[address] == null) {
+            return null;
+        }
+        const value = Object.create(null);
+        value.address = tags[address];
+        value.size = tags[size] ?? null;
+        if (entrySize != null) {
+            value.entrySize = tags[entrySize] ?? null;
+        }
+        return value;
+    };
 
-            symbolInfo.name = source.data.getUint32(ptr, info.littleEndian);
-            ptr += 4;
-            if (!info.bit64) {
-                symbolInfo.value = source.data.getUintWord(ptr, info.littleEndian);
-                ptr += info.wordSize;
-                symbolInfo.size = source.data.getUintWord(ptr, info.littleEndian);
-                ptr += info.wordSize;
-            }
-            symbolInfo.info = source.data.getUint8(ptr++);
-            symbolInfo.other = source.data.getUint8(ptr++);
-            symbolInfo.shndx = source.data.getUint16(ptr, info.littleEndian);
-            ptr += 2;
-            if (info.bit64) {
-                symbolInfo.value = source.data.getUintWord(ptr, info.littleEndian);
-                ptr += info.wordSize;
-                symbolInfo.size = source.data.getUintWord(ptr, info.littleEndian);
-                ptr += info.wordSize;
-            }
-            if (ptr !== entrySize) {
-                throw new Error(`Bug: Section [${symbolSection._name}], symbol entry is ${entrySize} bytes, but only ${ptr} bytes read at ${symbolInfo._index}`);
-            }
-            if (symbolInfo.name > stringData.uint8.length) {
-                throw new ParseError(`Section [${symbolSection._name}]: symbol entry name ${symbolInfo.name} out of the bounds of [${stringSection._name}] section ${stringData.uint8.length}`);
-            }
-            if (symbolInfo.name === 0) {
-                symbolInfo._name = null;
+    dynamic.needed = strings('DT_NEEDED');
+    dynamic.soname = strings('DT_SONAME')[0] ?? null;
+    dynamic.rpath = paths('DT_RPATH');
+    dynamic.runpath = paths('DT_RUNPATH');
+    dynamic.auxiliary = strings('DT_AUXILIARY');
+    dynamic.filter = strings('DT_FILTER');
+    dynamic.audit = paths('DT_AUDIT');
+    dynamic.depaudit = paths('DT_DEPAUDIT');
+    dynamic.flags = flags('DT_FLAGS');
+    dynamic.flags1 = flags('DT_FLAGS_1');
+    dynamic.init = tags.DT_INIT ?? null;
+    dynamic.fini = tags.DT_FINI ?? null;
+    dynamic.initArray = table('DT_INIT_ARRAY', 'DT_INIT_ARRAYSZ');
+    dynamic.finiArray = table('DT_FINI_ARRAY', 'DT_FINI_ARRAYSZ');
+    dynamic.preinitArray = table('DT_PREINIT_ARRAY', 'DT_PREINIT_ARRAYSZ');
+    dynamic.hash = tags.DT_HASH ?? null;
+    dynamic.gnuHash = tags.DT_GNU_HASH ?? null;
+    dynamic.strtab = table('DT_STRTAB', 'DT_STRSZ');
+    dynamic.symtab = table('DT_SYMTAB', null, 'DT_SYMENT');
+    dynamic.rel = table('DT_REL', 'DT_RELSZ', 'DT_RELENT');
+    dynamic.rela = table('DT_RELA', 'DT_RELASZ', 'DT_RELAENT');
+    dynamic.relr = table('DT_RELR', 'DT_RELRSZ', 'DT_RELRENT');
+    dynamic.jmprel = table('DT_JMPREL', 'DT_PLTRELSZ');
+    if (dynamic.jmprel != null) {
+        dynamic.jmprel.type = dynamicTagNames.get(Number(tags.DT_PLTREL)) ?? null;
+    }
+    dynamic.pltgot = tags.DT_PLTGOT ?? null;
+    dynamic.versym = tags.DT_VERSYM ?? null;
+    dynamic.verdef = tags.DT_VERDEF == null ? null : { address: tags.DT_VERDEF, count: Number(tags.DT_VERDEFNUM ?? 0n) };
+    dynamic.verneed = tags.DT_VERNEED == null ? null : { address: tags.DT_VERNEED, count: Number(tags.DT_VERNEEDNUM ?? 0n) };
+    dynamic.textrel = 'DT_TEXTREL' in tags || dynamic.flags.includes('DF_TEXTREL');
+    dynamic.bindNow = 'DT_BIND_NOW' in tags || dynamic.flags.includes('DF_BIND_NOW') || dynamic.flags1.includes('DF_1_NOW');
+    dynamic.symbolic = 'DT_SYMBOLIC' in tags || dynamic.flags.includes('DF_SYMBOLIC');
+    return dynamic;
+}
+
+/**
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {ElfHeader} elfHeader
+ * @param {Array<ElfSectionHeader>} headers
+ * @param {object} sections
+ * @param {{list: Array<object>, map: object}} symbols
+ * @param {Array<ElfDiagnostic>|null} [diagnostics] Collects the problems instead of throwing, see {@link parseFile}.
+ * @returns {Promise<{list: Array<ElfRelocation>, map: object}>} In lenient mode, the relocations of a malformed
+ * section up to the first problem.
+ */
+export async function parseRelocations(handle, info, elfHeader, headers, sections, symbols, diagnostics = null) {
+    const fileSize = Number(info.stat.size);
+    const list = [];
+    const map = Object.create(null);
+    const symbolTables = indexSymbolTables(symbols);
+    for (const sectionHeader of headers) {
+        if (sectionHeader.type !== 4 && sectionHeader.type !== 9 && sectionHeader.type !== 19) {
+            continue;
+        }
+        const section = sections[sectionHeader._name];
+        const relocations = map[section._name] = [];
+        // SHF_INFO_LINK: sh_info holds the index of the section to which the relocations apply.
+        const target = sectionHeader.info !== 0 ? headers[sectionHeader.info]?._name ?? null : null;
+        try {
+            if (sectionHeader.type === 19) {
+                const content = await section.load(handle);
+                addWordRead(content.data, info.bit64);
+                const type = RelativeRelocationTypes[elfHeader.machine] ?? null;
+                for (const offset of decodeRelr(content.data, info)) {
+                    relocations.push(createRelocation(section, target, offset, type));
+                }
             } else {
-                symbolInfo._name = getNullTerminatedString(stringData.uint8, symbolInfo.name);
-                if (symbolInfo._name in map) {
-                    if (!Array.isArray(map[symbolInfo._name])) {
-                        map[symbolInfo._name] = [map[symbolInfo._name]];
+                let symbolTable = null, symbolCount = 0;
+                if (sectionHeader.link !== 0) {
+                    const symbolHeader = headers[sectionHeader.link];
+                    if (symbolHeader == null || (symbolHeader.type !== 2 && symbolHeader.type !== 11)) {
+                        throw new ParseError(`Relocation section [${section._name}] links to non-symbol section`, {
+                            path: `sh[${sectionHeader._index}].link`,
+                            offset: sectionHeader._offset
+                        });
+                    }
+                    symbolTable = symbolTables.get(sections[symbolHeader._name]) ?? [];
+                    symbolCount = Math.floor(symbolHeader.size / (4 + 1 + 1 + 2 + info.wordSize + info.wordSize));
+                }
+                const withAddend = sectionHeader.type === 4;
+                const entrySize = info.wordSize * (withAddend ? 3 : 2);
+                let { offset: tableOffset, size: tableSize } = sectionHeader;
+                if (tableSize % entrySize !== 0) {
+                    report(diagnostics, new ParseError(`Relocation section [${section._name}] size is not a multiple of ${entrySize}`, {
+                        path: `sh[${sectionHeader._index}].size`,
+                        offset: sectionHeader._offset
+                    }), 'warning');
+                    tableSize -= tableSize % entrySize;
+                }
+                if (tableOffset + tableSize > fileSize) {
+                    report(diagnostics, new FileBlockError(`Insufficient data for relocations of [${section._name}]`, tableOffset, tableSize, fileSize, `sections[${section._name}]`));
+                    tableSize = Math.max(0, fileSize - tableOffset);
+                    tableSize -= tableSize % entrySize;
+                }
+                for await (const [chunkOffset, source] of readTableChunks(handle, info, tableOffset, tableSize, entrySize, `relocations of [${section._name}]`)) {
+                    for (let ptr = 0; ptr < source.uint8.byteLength; ptr += entrySize) {
+                        const offset = source.data.getUintWord(ptr, info.littleEndian);
+                        const relocationInfo = source.data.getUintWord(ptr + info.wordSize, info.littleEndian);
+                        // ELF64 splits r_info into 32-bit symbol and type, ELF32 into 24-bit symbol and 8-bit type.
+                        const symbolIndex = Number(info.bit64 ? relocationInfo >> 32n : relocationInfo >> 8n);
+                        const type = Number(info.bit64 ? relocationInfo & 0xFFFFFFFFn : relocationInfo & 0xFFn);
+                        const relocation = createRelocation(section, target, offset, type);
+                        relocation._offset = chunkOffset + ptr;
+                        relocation._size = entrySize;
+                        relocation.info = relocationInfo;
+                        relocation.symbol = symbolIndex;
+                        if (withAddend) {
+                            relocation.addend = source.data.getIntWord(ptr + info.wordSize * 2, info.littleEndian);
+                        }
+                        if (symbolIndex !== 0) {
+                            if (symbolTable == null || symbolIndex >= symbolCount) {
+                                report(diagnostics, new ParseError(`Relocation section [${section._name}]: symbol index ${symbolIndex} out of the bounds of the symbol table`, {
+                                    code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+                                    path: `sections[${section._name}][${(relocation._offset - tableOffset) / entrySize}].info`,
+                                    offset: relocation._offset
+                                }));
+                            }
+                            // Symbols left out by the symbol filter or by a malformed symbol table are not resolved.
+                            relocation._symbol = symbolTable?.[symbolIndex] ?? null;
+                        }
+                        relocations.push(relocation);
                     }
-                    map[symbolInfo._name].push(symbolInfo);
+                }
+            }
+        } catch (error) {
+            report(diagnostics, error);
+        }
+        for (const relocation of relocations) {
+            relocation._index = list.length;
+            list.push(relocation);
+        }
+    }
+    if (elfHeader.type !== 1) {
+        // In executable and shared objects r_offset is a virtual address, find which section will be patched.
+        // SHF_ALLOC sections only, except .tbss, which has an address but occupies no memory of its own.
+        const allocated = headers
+            .filter(h => (h.flags & 0x2n) !== 0n && !(h.type === 8 && (h.flags & 0x400n) !== 0n) && h.size > 0)
+            .sort((a, b) => a.addr < b.addr ? -1 : a.addr > b.addr ? 1 : 0);
+        for (const relocation of list) {
+            // The last section starting at or below the offset, allocated sections do not overlap.
+            let low = 0, high = allocated.length;
+            while (low < high) {
+                const middle = (low + high) >>> 1;
+                if (allocated[middle].addr <= relocation.offset) {
+                    low = middle + 1;
                 } else {
-                    map[symbolInfo._name] = symbolInfo;
+                    high = middle;
+                }
+            }
+            const place = allocated[low - 1];
+            relocation._place = place != null && relocation.offset < place.addr + BigInt(place.size) ? place._name ?? null : null;
+        }
+    }
+    return { list, map };
+
+    function createRelocation(section, target, offset, type) {
+        const relocation = Object.create(null);
+        relocation._section = section;
+        relocation._target = target;
+        relocation._place = target;
+        relocation.offset = offset;
+        relocation.type = type;
+        relocation.symbol = 0;
+        relocation.addend = null;
+        relocation._type = getRelocationTypeName(elfHeader.machine, type);
+        relocation._symbol = null;
+        return relocation;
+    }
+}
+
+/**
+ * Decodes SHT_RELR packed relative relocations: an even word is an address to relocate, an odd word is a bitmap of
+ * the next (wordSize * 8 - 1) words following the last relocated address.
+ * @param {DataView} data
+ * @param {ElfInformation} info
+ * @returns {Array<bigint>}
+ */
+function decodeRelr(data, info) {
+    const offsets = [];
+    const wordSize = BigInt(info.wordSize);
+    const bitmapBits = BigInt(info.wordSize * 8 - 1);
+    let base = 0n;
+    for (let ptr = 0; ptr + info.wordSize <= data.byteLength; ptr += info.wordSize) {
+        const entry = data.getUintWord(ptr, info.littleEndian);
+        if ((entry & 1n) === 0n) {
+            offsets.push(entry);
+            base = entry + wordSize;
+        } else {
+            for (let bitmap = entry >> 1n, address = base; bitmap !== 0n; bitmap >>= 1n, address += wordSize) {
+                if ((bitmap & 1n) !== 0n) {
+                    offsets.push(address);
                 }
             }
+            base += bitmapBits * wordSize;
         }
     }
+    return offsets;
+}
+
+/**
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {ElfHeader} elfHeader
+ * @param {Array<ElfProgramHeader>} programHeaders
+ * @param {Array<ElfSectionHeader>} sectionHeaders
+ * @param {object} sections
+ * @param {Array<ElfDiagnostic>|null} [diagnostics] Collects the problems instead of throwing, see {@link parseFile}.
+ * @returns {Promise<ElfNotes>} In lenient mode, the notes of a malformed section or segment up to the first problem.
+ */
+export async function parseNotes(handle, info, elfHeader, programHeaders, sectionHeaders, sections, diagnostics = null) {
+    const notes = Object.create(null);
+    const list = notes.list = [];
+    const covered = [];
+    for (const sectionHeader of sectionHeaders) {
+        if (sectionHeader.type !== 7) {
+            continue;
+        }
+        const section = sections[sectionHeader._name];
+        covered.push([sectionHeader.offset, sectionHeader.offset + sectionHeader.size]);
+        await recover(diagnostics, null, async () => {
+            const content = await section.load(handle);
+            readNotes(content, sectionHeader.offset, Number(sectionHeader.addralign), section._name, `sections[${section._name}]`);
+        });
+    }
+    // Stripped files might have no section headers, the same notes can still be found through PT_NOTE.
+    for (const [index, segment] of programHeaders.entries()) {
+        if (segment.type !== 4 || covered.some(([start, end]) => segment.offset >= start && segment.offset < end)) {
+            continue;
+        }
+        await recover(diagnostics, null, async () => {
+            const content = await readFileBlock(handle, info, segment.offset, segment.filesz, 'PT_NOTE segment', `ph[${index}]`);
+            readNotes(content, segment.offset, Number(segment.align), null, `ph[${index}]`);
+        });
+    }
+
+    const stapsdtBase = sections['.stapsdt.base']?.header.addr ?? null;
+    for (const note of list) {
+        note._value = null;
+        try {
+            note._value = decodeNote(note);
+        } catch (error) {
+            report(diagnostics, error);
+        }
+    }
+    const find = (owner, type) => list.find(n => n.owner === owner && n.type === type)?._value ?? null;
+    notes.buildId = find('GNU', NoteTypesGNU.NT_GNU_BUILD_ID);
+    notes.abiTag = find('GNU', NoteTypesGNU.NT_GNU_ABI_TAG);
+    notes.properties = find('GNU', NoteTypesGNU.NT_GNU_PROPERTY_TYPE_0) ?? [];
+    notes.probes = list.filter(n => n.owner === 'stapsdt' && n.type === NoteTypesStapsdt.NT_STAPSDT && n._value != null).map(n => n._value);
+    return notes;
+
+    function readNotes(content, offset, align, sectionName, path) {
+        // Notes are 4-byte aligned, except these with 8-byte alignment, like .note.gnu.property in ELF64.
+        const alignment = align === 8 ? 8 : 4;
+        let ptr = 0;
+        while (ptr + 12 <= content.uint8.byteLength) {
+            const nameSize = content.data.getUint32(ptr, info.littleEndian);
+            const descriptorSize = content.data.getUint32(ptr + 4, info.littleEndian);
+            const note = Object.create(null);
+            note._offset = offset + ptr;
+            note._section = sectionName;
+            note.type = content.data.getUint32(ptr + 8, info.littleEndian);
+            const nameStart = ptr + 12;
+            const descriptorStart = alignUp(nameStart + nameSize, alignment);
+            const end = alignUp(descriptorStart + descriptorSize, alignment);
+            if (descriptorStart + descriptorSize > content.uint8.byteLength) {
+                throw new FileBlockError('Insufficient data for note', note._offset, descriptorStart + descriptorSize - ptr, offset + content.uint8.byteLength, path);
+            }
+            let name = content.uint8.subarray(nameStart, nameStart + nameSize);
+            if (name.length > 0 && name[name.length - 1] === 0) {
+                name = name.subarray(0, name.length - 1);
+            }
+            note.owner = Buffer.from(name).toString('latin1');
+            note.descriptor = content.uint8.slice(descriptorStart, descriptorStart + descriptorSize);
+            note._type = getNoteTypeName(note.owner, note.type);
+            list.push(note);
+            ptr = end;
+        }
+    }
+
+    function decodeNote(note) {
+        const data = new DataView(note.descriptor.buffer, note.descriptor.byteOffset, note.descriptor.byteLength);
+        addWordRead(data, info.bit64);
+        if (note.owner === 'GNU') {
+            if (note.type === NoteTypesGNU.NT_GNU_BUILD_ID) {
+                return Buffer.from(note.descriptor).toString('hex');
+            }
+            if (note.type === NoteTypesGNU.NT_GNU_ABI_TAG && note.descriptor.byteLength >= 16) {
+                const value = Object.create(null);
+                const os = data.getUint32(0, info.littleEndian);
+                value.os = AbiTagOperatingSystems[os] ?? os;
+                value.version = [4, 8, 12].map(offset => data.getUint32(offset, info.littleEndian));
+                value.kernel = value.version.join('.');
+                return value;
+            }
+            if (note.type === NoteTypesGNU.NT_GNU_GOLD_VERSION) {
+                return Buffer.from(note.descriptor).toString().replace(/\0+$/, '');
+            }
+            if (note.type === NoteTypesGNU.NT_GNU_PROPERTY_TYPE_0) {
+                return decodeProperties(data, note._offset);
+            }
+        } else if (note.owner === 'stapsdt' && note.type === NoteTypesStapsdt.NT_STAPSDT) {
+            const probe = Object.create(null);
+            probe.pc = data.getUintWord(0, info.littleEndian);
+            probe.base = data.getUintWord(info.wordSize, info.littleEndian);
+            probe.semaphore = data.getUintWord(info.wordSize * 2, info.littleEndian);
+            let ptr = info.wordSize * 3;
+            for (const key of ['provider', 'name', 'arguments']) {
+                probe[key] = getNullTerminatedString(note.descriptor, ptr, { offset: note._offset });
+                ptr += Buffer.byteLength(probe[key]) + 1;
+            }
+            // The recorded base is the link-time address of .stapsdt.base, if the file was prelinked, pc and
+            // semaphore move by the same amount as the section did.
+            const adjustment = stapsdtBase != null ? stapsdtBase - probe.base : 0n;
+            probe._pc = probe.pc + adjustment;
+            probe._semaphore = probe.semaphore !== 0n ? probe.semaphore + adjustment : 0n;
+            return probe;
+        }
+        return note.descriptor;
+    }
+
+    function decodeProperties(data, offset) {
+        const properties = [];
+        let ptr = 0;
+        while (ptr + 8 <= data.byteLength) {
+            const property = Object.create(null);
+            property.type = data.getUint32(ptr, info.littleEndian);
+            const size = data.getUint32(ptr + 4, info.littleEndian);
+            if (ptr + 8 + size > data.byteLength) {
+                throw new ParseError(`NT_GNU_PROPERTY_TYPE_0: property 0x${property.type.toString(16)} out of the bounds of the note`, {
+                    code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+                    offset
+                });
+            }
+            const definition = getPropertyDefinition(elfHeader.machine, property.type);
+            property._type = definition?.name ?? null;
+            property.data = new Uint8Array(data.buffer, data.byteOffset + ptr + 8, size).slice();
+            if (definition?.flags != null && size === 4) {
+                property._value = getFlagNames(definition.flags, BigInt(data.getUint32(ptr + 8, info.littleEndian)));
+            } else if (definition?.word && size === info.wordSize) {
+                property._value = data.getUintWord(ptr + 8, info.littleEndian);
+            } else if (size === 0) {
+                property._value = true;
+            } else {
+                property._value = property.data;
+            }
+            properties.push(property);
+            ptr += 8 + alignUp(size, info.wordSize);
+        }
+        return properties;
+    }
+}
+
+/**
+ * @param {Array<ElfProgramHeader>} programHeaders
+ * @param {bigint} address A virtual address, like the `value` of a symbol or the `addr` of a section.
+ * @returns {number|null} The file offset of the byte at the address, null if no PT_LOAD segment maps the address to the
+ * file (like .bss, which is only in memory).
+ */
+export function virtualAddressToFileOffset(programHeaders, address) {
+    for (const header of programHeaders) {
+        if (header.type !== 1) {
+            continue;
+        }
+        if (address >= header.vaddr && address < header.vaddr + BigInt(header.filesz)) {
+            return header.offset + Number(address - header.vaddr);
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {Array<ElfProgramHeader>} programHeaders
+ * @param {number} offset
+ * @returns {bigint|null} The virtual address the byte at the file offset is loaded at, null if no PT_LOAD segment
+ * loads it.
+ */
+export function fileOffsetToVirtualAddress(programHeaders, offset) {
+    for (const header of programHeaders) {
+        if (header.type !== 1) {
+            continue;
+        }
+        if (offset >= header.offset && offset < header.offset + header.filesz) {
+            return header.vaddr + BigInt(offset - header.offset);
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists the sections a segment contains, by the rules of readelf's "Section to Segment mapping": allocated sections are
+ * in a segment by address (and, unless SHT_NOBITS, by file offset), the other sections by file offset, only in
+ * segments other than PT_LOAD. TLS sections are only in PT_TLS and the PT_LOAD segments holding their initial data.
+ * @param {Array<ElfSectionHeader>} sectionHeaders
+ * @param {ElfProgramHeader} programHeader
+ * @returns {Array<ElfSectionHeader>}
+ */
+export function getSegmentSections(sectionHeaders, programHeader) {
+    const result = [];
+    for (const header of sectionHeaders) {
+        if (header.type === SectionTypes.SHT_NULL) {
+            continue;
+        }
+        const tls = (header.flags & BigInt(SectionFlags.SHF_TLS)) !== 0n;
+        const nobits = header.type === SectionTypes.SHT_NOBITS;
+        // .tbss occupies no memory of its own, outside of the PT_TLS segment.
+        if (programHeader.type === SegmentTypes.PT_TLS ? !tls : tls && nobits) {
+            continue;
+        }
+        const inFile = header.offset >= programHeader.offset && header.offset + header.size <= programHeader.offset + programHeader.filesz;
+        if ((header.flags & BigInt(SectionFlags.SHF_ALLOC)) !== 0n) {
+            const size = BigInt(header.size);
+            const end = programHeader.vaddr + programHeader.memsz;
+            // An empty section at the end of the segment belongs to the next one.
+            const inMemory = header.addr >= programHeader.vaddr && header.addr + size <= end && (size > 0n || header.addr < end);
+            if (inMemory && (nobits || inFile)) {
+                result.push(header);
+            }
+        } else if (programHeader.type !== SegmentTypes.PT_LOAD && header.size > 0 && inFile) {
+            result.push(header);
+        }
+    }
+    return result;
+}
+
+/**
+ * Reads the bytes at a virtual address, as the PT_LOAD segment containing it loads them: the part of the segment beyond
+ * its file size (like .bss) reads as zeros.
+ * @example
+ * const elf = await parseFile('/usr/lib/libz.so');
+ * const symbol = elf.symbols.list.find(s => s._name === 'z_errmsg');
+ * const { uint8 } = await readVirtualAddress('/usr/lib/libz.so', elf.info, elf.header.ph, symbol.value, Number(symbol.size));
+ * @param {string|fs.FileHandle|ArrayBuffer|ArrayBufferView|bigint|ByteSource} file Anything {@link parseFile} accepts.
+ * @param {ElfInformation} info
+ * @param {Array<ElfProgramHeader>} programHeaders
+ * @param {bigint} address
+ * @param {number} size
+ * @returns {Promise<{buffer: ArrayBuffer, uint8: Uint8Array, data: DataView}>}
+ */
+export async function readVirtualAddress(file, info, programHeaders, address, size) {
+    const segment = programHeaders.find(h => h.type === 1 && address >= h.vaddr && address < h.vaddr + h.memsz);
+    if (segment == null) {
+        throw new ParseError(`Address 0x${address.toString(16)} is not in a PT_LOAD segment`, {
+            code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS
+        });
+    }
+    if (address + BigInt(size) > segment.vaddr + segment.memsz) {
+        throw new ParseError(`Address range 0x${address.toString(16)}+${size} exceeds its PT_LOAD segment`, {
+            code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS,
+            path: `ph[${programHeaders.indexOf(segment)}]`
+        });
+    }
+    const start = Number(address - segment.vaddr);
+    const fileSize = Math.min(size, Math.max(0, segment.filesz - start));
+    const handle = await openByteSource(file);
+    try {
+        const source = createBufferView(size);
+        const { bytesRead } = await handle.read(source.uint8, 0, fileSize, segment.offset + start);
+        if (bytesRead < fileSize) {
+            throw new FileBlockError(`Insufficient data for address 0x${address.toString(16)}`, segment.offset + start, fileSize, segment.offset + start + bytesRead);
+        }
+        addWordRead(source.data, info.bit64);
+        return source;
+    } finally {
+        if (handle !== file) {
+            await handle.close();
+        }
+    }
+}
+
+const lookupTables = new WeakMap();
+
+/**
+ * Finds a defined dynamic symbol through the DT_GNU_HASH or DT_HASH table, the way the dynamic linker does, reading
+ * only the hash buckets, chains and symbol entries the lookup visits.
+ * @param {string|fs.FileHandle|ArrayBuffer|ArrayBufferView|bigint|ByteSource} file Anything {@link parseFile} accepts.
+ * Open handles, sources and buffers cache the hash table between lookups.
+ * @param {string} name Symbol name, optionally versioned as `name@version` or `name@@version`.
+ * @returns {Promise<object|null>}
+ */
+export async function lookupSymbol(file, name) {
+    if (typeof file === 'string' || typeof file === 'bigint') {
+        const handle = await openByteSource(file);
+        try {
+            return await lookupSymbol(handle, name);
+        } finally {
+            await handle.close();
+        }
+    }
+    if (!lookupTables.has(file)) {
+        const promise = openByteSource(file).then(loadLookupTable);
+        lookupTables.set(file, promise);
+        promise.catch(() => lookupTables.delete(file));
+    }
+    const table = await lookupTables.get(file);
+    const handle = table.handle;
+
+    let symbolName = name, versionName = null, defaultOnly = false;
+    const at = name.indexOf('@');
+    if (at >= 0) {
+        symbolName = name.substring(0, at);
+        defaultOnly = name.startsWith('@@', at);
+        versionName = name.substring(at + (defaultOnly ? 2 : 1));
+    }
+    let versionIndex = null;
+    if (versionName != null) {
+        versionIndex = (await getVersionIndices(table)).get(versionName);
+        if (versionIndex == null) {
+            return null;
+        }
+    }
+
+    for await (const index of table.gnuHash != null ? walkGnuHash(table, symbolName) : walkSysvHash(table, symbolName)) {
+        const symbol = await readDynamicSymbol(table, index);
+        if (symbol.shndx === 0 || symbol._name !== symbolName) {
+            continue;
+        }
+        if (table.versym != null) {
+            const { data } = await readFileBlock(handle, table.info, table.versym + index * 2, 2, 'DT_VERSYM');
+            const value = data.getUint16(0, table.info.littleEndian);
+            const version = symbol._version = Object.create(null);
+            version.index = value & 0x7FFF;
+            version.hidden = (value & 0x8000) !== 0;
+            if (versionIndex != null ? version.index !== versionIndex || (defaultOnly && version.hidden) : version.hidden) {
+                continue;
+            }
+            await getVersionIndices(table);
+            // As set by parseSymbolVersions(): only indexes above VER_NDX_GLOBAL name a version.
+            const entry = version.index > 1 ? table.versionEntries.get(version.index) ?? null : null;
+            version.name = entry?.name ?? null;
+            version.file = entry == null ? null : entry.file ?? table.baseVersion;
+            version.required = entry?.file != null;
+        }
+        return symbol;
+    }
+    return null;
+}
+
+async function loadLookupTable(handle) {
+    const table = Object.create(null);
+    table.handle = handle;
+    [, table.info] = await parseElfIdentificationHeader(handle);
+    const elfHeader = await parseElfHeader(handle, table.info);
+    table.programHeaders = await parseProgramHeaders(handle, table.info, elfHeader);
+    const dynamicSegment = table.programHeaders.find(h => h.type === 2);
+    if (dynamicSegment == null) {
+        throw new ParseError('Missing PT_DYNAMIC segment');
+    }
+    const tags = getDynamicTags(await readDynamicEntries(handle, table.info, dynamicSegment.offset, dynamicSegment.filesz));
+    const toOffset = name => {
+        if (tags[name] == null) {
+            return null;
+        }
+        const offset = dynamicAddressToFileOffset(handle, table.programHeaders, tags[name]);
+        if (offset == null) {
+            throw new ParseError(`${name}: address 0x${tags[name].toString(16)} is not mapped by any PT_LOAD segment`);
+        }
+        return offset;
+    };
+    table.symtab = toOffset('DT_SYMTAB');
+    table.strtab = toOffset('DT_STRTAB');
+    table.strsz = Number(tags.DT_STRSZ ?? 0n);
+    table.syment = Number(tags.DT_SYMENT ?? BigInt(4 + 1 + 1 + 2 + table.info.wordSize * 2));
+    table.versym = toOffset('DT_VERSYM');
+    table.verdef = toOffset('DT_VERDEF');
+    table.verdefnum = Number(tags.DT_VERDEFNUM ?? 0n);
+    table.verneed = toOffset('DT_VERNEED');
+    table.verneednum = Number(tags.DT_VERNEEDNUM ?? 0n);
+    table.versionIndices = null;
+    table.versionEntries = null;
+    table.baseVersion = null;
+    if (table.symtab == null || table.strtab == null) {
+        throw new ParseError('Missing DT_SYMTAB or DT_STRTAB');
+    }
+    const gnuHash = toOffset('DT_GNU_HASH');
+    const hash = toOffset('DT_HASH');
+    const { info } = table;
+    if (gnuHash != null) {
+        const header = await readFileBlock(handle, info, gnuHash, 16, 'DT_GNU_HASH');
+        const bucketCount = header.data.getUint32(0, info.littleEndian);
+        const bloomSize = header.data.getUint32(8, info.littleEndian);
+        const bloomOffset = gnuHash + 16;
+        const bucketOffset = bloomOffset + bloomSize * info.wordSize;
+        table.gnuHash = Object.create(null);
+        table.gnuHash.symbolOffset = header.data.getUint32(4, info.littleEndian);
+        table.gnuHash.bloomShift = BigInt(header.data.getUint32(12, info.littleEndian));
+        table.gnuHash.bloom = await readFileBlock(handle, info, bloomOffset, bloomSize * info.wordSize, 'DT_GNU_HASH bloom filter');
+        table.gnuHash.bloomSize = bloomSize;
+        table.gnuHash.buckets = await readFileBlock(handle, info, bucketOffset, bucketCount * 4, 'DT_GNU_HASH buckets');
+        table.gnuHash.bucketCount = bucketCount;
+        table.gnuHash.chainOffset = bucketOffset + bucketCount * 4;
+    } else if (hash != null) {
+        const header = await readFileBlock(handle, info, hash, 8, 'DT_HASH');
+        table.hash = Object.create(null);
+        table.hash.bucketCount = header.data.getUint32(0, info.littleEndian);
+        table.hash.chainCount = header.data.getUint32(4, info.littleEndian);
+        table.hash.buckets = await readFileBlock(handle, info, hash + 8, table.hash.bucketCount * 4, 'DT_HASH buckets');
+        table.hash.chainOffset = hash + 8 + table.hash.bucketCount * 4;
+    } else {
+        throw new ParseError('Missing DT_GNU_HASH or DT_HASH');
+    }
+    return table;
+}
+
+async function* walkGnuHash(table, name) {
+    const { handle, info, gnuHash } = table;
+    const hash = gnuHashOf(name);
+    // The bloom filter rejects most of the missing names without touching the buckets.
+    const wordBits = info.wordSize * 8;
+    const word = gnuHash.bloom.data.getUintWord(Math.floor(hash / wordBits) % gnuHash.bloomSize * info.wordSize, info.littleEndian);
+    const mask = (1n << BigInt(hash % wordBits)) | (1n << ((BigInt(hash) >> gnuHash.bloomShift) % BigInt(wordBits)));
+    if ((word & mask) !== mask) {
+        return;
+    }
+    let index = gnuHash.buckets.data.getUint32(hash % gnuHash.bucketCount * 4, info.littleEndian);
+    if (index < gnuHash.symbolOffset) {
+        return;
+    }
+    // Chains are read in small blocks, as they usually end in a few entries.
+    const chunk = 16;
+    let chain = null, chainStart = 0;
+    while (true) {
+        const position = index - gnuHash.symbolOffset;
+        if (chain == null || position >= chainStart + chunk) {
+            chainStart = position;
+            chain = createBufferView(chunk * 4);
+            const { bytesRead } = await handle.read(chain.uint8, 0, chunk * 4, gnuHash.chainOffset + position * 4);
+            if (bytesRead < 4) {
+                throw new FileBlockError('Insufficient data for DT_GNU_HASH chain', gnuHash.chainOffset + position * 4, 4, gnuHash.chainOffset + position * 4 + bytesRead);
+            }
+        }
+        const value = chain.data.getUint32((position - chainStart) * 4, info.littleEndian);
+        if (((value ^ hash) >>> 1) === 0) {
+            yield index;
+        }
+        if ((value & 1) !== 0) {
+            return;
+        }
+        ++index;
+    }
+}
+
+async function* walkSysvHash(table, name) {
+    const { handle, info, hash: sysvHash } = table;
+    const hash = sysvHashOf(name);
+    let index = sysvHash.buckets.data.getUint32(hash % sysvHash.bucketCount * 4, info.littleEndian);
+    while (index !== 0) {
+        if (index >= sysvHash.chainCount) {
+            throw new ParseError(`DT_HASH: chain index ${index} out of the bounds of ${sysvHash.chainCount}`);
+        }
+        yield index;
+        const { data } = await readFileBlock(handle, info, sysvHash.chainOffset + index * 4, 4, 'DT_HASH chain');
+        index = data.getUint32(0, info.littleEndian);
+    }
+}
+
+async function readDynamicSymbol(table, index) {
+    const { handle, info } = table;
+    const offset = table.symtab + index * table.syment;
+    const source = await readFileBlock(handle, info, offset, table.syment, 'DT_SYMTAB entry');
+    const symbol = new ElfSymbol();
+    symbol._offset = offset;
+    symbol._size = table.syment;
+    symbol._index = index;
+    readSymbolEntry(source.data, 0, info, symbol);
+    symbol._name = symbol.name === 0 ? null : await readDynamicString(table, symbol.name);
+    symbol.demangled = demangle(symbol._name);
+    return symbol;
+}
+
+async function readDynamicString(table, offset) {
+    if (offset >= table.strsz) {
+        throw new ParseError(`DT_STRTAB: string offset ${offset} out of the bounds of ${table.strsz}`);
+    }
+    const chunks = [];
+    for (let position = offset, size = 64; position < table.strsz; position += size, size *= 2) {
+        size = Math.min(size, table.strsz - position);
+        const source = createBufferView(size);
+        const { bytesRead } = await table.handle.read(source.uint8, 0, size, table.strtab + position);
+        const end = source.uint8.subarray(0, bytesRead).indexOf(0);
+        if (end >= 0) {
+            chunks.push(source.uint8.subarray(0, end));
+            return Buffer.concat(chunks).toString();
+        }
+        if (bytesRead < size) {
+            break;
+        }
+        chunks.push(source.uint8);
+    }
+    throw new ParseError('string.length');
+}
+
+/**
+ * Reads DT_VERDEF and DT_VERNEED once, into `versionIndices` (the defined version names to their index),
+ * `versionEntries` (each index to its name and, for a required version, the file it is required from) and
+ * `baseVersion` (the name of the base definition, usually the DT_SONAME).
+ */
+async function getVersionIndices(table) {
+    if (table.versionIndices != null) {
+        return table.versionIndices;
+    }
+    const { handle, info } = table;
+    const indices = new Map();
+    const entries = new Map();
+    for (let offset = table.verdef, i = 0; offset != null && i < table.verdefnum; ++i) {
+        const { data } = await readFileBlock(handle, info, offset, 20, 'DT_VERDEF entry');
+        const flags = data.getUint16(2, info.littleEndian);
+        const index = data.getUint16(4, info.littleEndian);
+        const aux = data.getUint32(12, info.littleEndian);
+        const next = data.getUint32(16, info.littleEndian);
+        const auxData = (await readFileBlock(handle, info, offset + aux, 8, 'DT_VERDEF auxiliary entry')).data;
+        const name = await readDynamicString(table, auxData.getUint32(0, info.littleEndian));
+        if ((flags & VersionFlags.VER_FLG_BASE) === 0) {
+            indices.set(name, index);
+            entries.set(index, { name, file: null });
+        } else {
+            table.baseVersion = name;
+        }
+        if (next === 0) {
+            break;
+        }
+        offset += next;
+    }
+    for (let offset = table.verneed, i = 0; offset != null && i < table.verneednum; ++i) {
+        const { data } = await readFileBlock(handle, info, offset, 16, 'DT_VERNEED entry');
+        const count = data.getUint16(2, info.littleEndian);
+        const file = await readDynamicString(table, data.getUint32(4, info.littleEndian));
+        const next = data.getUint32(12, info.littleEndian);
+        for (let auxOffset = offset + data.getUint32(8, info.littleEndian), j = 0; j < count; ++j) {
+            const auxData = (await readFileBlock(handle, info, auxOffset, 16, 'DT_VERNEED auxiliary entry')).data;
+            entries.set(auxData.getUint16(6, info.littleEndian), { name: await readDynamicString(table, auxData.getUint32(8, info.littleEndian)), file });
+            const auxNext = auxData.getUint32(12, info.littleEndian);
+            if (auxNext === 0) {
+                break;
+            }
+            auxOffset += auxNext;
+        }
+        if (next === 0) {
+            break;
+        }
+        offset += next;
+    }
+    table.versionEntries = entries;
+    return table.versionIndices = indices;
+}
+
+/**
+ * @param {string} name
+ * @returns {number} The DT_GNU_HASH hash (DJB hash) of the name.
+ */
+export function gnuHashOf(name) {
+    let hash = 5381;
+    for (const byte of Buffer.from(name)) {
+        hash = (Math.imul(hash, 33) + byte) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * @param {string} name
+ * @returns {number} The DT_HASH hash (System V ABI) of the name.
+ */
+export function sysvHashOf(name) {
+    let hash = 0;
+    for (const byte of Buffer.from(name)) {
+        hash = ((hash << 4) + byte) >>> 0;
+        const high = hash & 0xF0000000;
+        if (high !== 0) {
+            hash ^= high >>> 24;
+        }
+        hash = (hash & ~high) >>> 0;
+    }
+    return hash;
 }
 
 /*export async function parseSymbols(handle, info, sections) {
@@ -597,37 +1888,248 @@ export async function parseSymbols(handle, info, headers, sections) {
 }*/
 
 /**
- * @param {fs.FileHandle} handle
+ * @param {ByteSource} handle
  */
 async function loadSection(handle) {
     if (this.content != null) {
         return this.content;
     }
     const stat = await handle.stat({ bigint: true });
-    if (this.header.offset + this.header.size > stat.size) {
-        throw new ParseError('sh.offset');
+    const { offset, size, _index: index } = this.header;
+    if (offset + size > stat.size) {
+        throw new FileBlockError(`Insufficient data for section [${this._name}]`, offset, size, stat.size, `sh[${index}]`);
     }
-    const content = createBufferView(this.header.size);
-    const { bytesRead } = await handle.read(content.uint8, 0, Number(this.header.size), Number(this.header.offset));
-    if (bytesRead < this.header.size) {
-        throw new ParseError('sh.offset');
+    const content = createBufferView(size);
+    const { bytesRead } = await handle.read(content.uint8, 0, size, offset);
+    if (bytesRead < size) {
+        throw new FileBlockError(`Insufficient data for section [${this._name}]`, offset, size, offset + bytesRead, `sh[${index}]`);
     }
     return this.content = content;
 }
 
-function getNullTerminatedString(buffer, offset) {
-    let chars = [];
-    let ptr = offset;
-    while (true) {
-        if (ptr >= buffer.byteLength) {
-            throw new ParseError('string.length');
+/**
+ * @param {Uint8Array} buffer
+ * @param {number} offset
+ * @param {object} [details] The `path` and the `offset` of the field, for the error of an unterminated string.
+ * @returns {string}
+ */
+function getNullTerminatedString(buffer, offset, details = {}) {
+    const end = buffer.indexOf(0, offset);
+    if (end < 0 || offset >= buffer.byteLength) {
+        throw new ParseError(`Unterminated string at ${offset} of ${buffer.byteLength} bytes`, {
+            ...details,
+            code: DiagnosticCodes.ERR_ELF_OUT_OF_BOUNDS
+        });
+    }
+    return Buffer.from(buffer.buffer, buffer.byteOffset + offset, end - offset).toString();
+}
+
+/**
+ * Decodes Elf32_Sym or Elf64_Sym, which differ in the order of their fields.
+ * @param {DataView} data
+ * @param {number} ptr
+ * @param {ElfInformation} info
+ * @param {object} symbolInfo
+ * @returns {number} The position after the entry.
+ */
+function readSymbolEntry(data, ptr, info, symbolInfo) {
+    symbolInfo.name = data.getUint32(ptr, info.littleEndian);
+    ptr += 4;
+    if (!info.bit64) {
+        symbolInfo.value = data.getUintWord(ptr, info.littleEndian);
+        ptr += info.wordSize;
+        symbolInfo.size = data.getUintWord(ptr, info.littleEndian);
+        ptr += info.wordSize;
+    }
+    symbolInfo.info = data.getUint8(ptr++);
+    symbolInfo.other = data.getUint8(ptr++);
+    symbolInfo.shndx = data.getUint16(ptr, info.littleEndian);
+    ptr += 2;
+    if (info.bit64) {
+        symbolInfo.value = data.getUintWord(ptr, info.littleEndian);
+        ptr += info.wordSize;
+        symbolInfo.size = data.getUintWord(ptr, info.littleEndian);
+        ptr += info.wordSize;
+    }
+    return ptr;
+}
+
+/**
+ * @param {object} map
+ * @param {string} key
+ * @param {object} symbol
+ */
+function addSymbolToMap(map, key, symbol) {
+    if (key in map) {
+        if (!Array.isArray(map[key])) {
+            map[key] = [map[key]];
         }
-        if (buffer[ptr] === 0) {
+        map[key].push(symbol);
+    } else {
+        map[key] = symbol;
+    }
+}
+
+/**
+ * Groups the parsed symbols by their symbol section, at the index they have in that section.
+ * @param {{list: Array<object>}} symbols
+ * @returns {Map<object, Array<object>>}
+ */
+function indexSymbolTables(symbols) {
+    const symbolTables = new Map();
+    for (const symbol of symbols.list) {
+        const symbolSection = symbol._section;
+        if (!symbolTables.has(symbolSection)) {
+            symbolTables.set(symbolSection, []);
+        }
+        symbolTables.get(symbolSection)[(symbol._offset - symbolSection.header.offset) / symbol._size] = symbol;
+    }
+    return symbolTables;
+}
+
+/**
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {number} offset
+ * @param {number} size
+ * @returns {Promise<Array<ElfDynamicEntry>>}
+ */
+async function readDynamicEntries(handle, info, offset, size) {
+    const entrySize = info.wordSize * 2;
+    const source = await readFileBlock(handle, info, offset, size, 'dynamic section', 'dynamic');
+    const entries = [];
+    for (let ptr = 0; ptr + entrySize <= size; ptr += entrySize) {
+        const entry = Object.create(null);
+        entry._offset = offset + ptr;
+        entry._size = entrySize;
+        entry._index = entries.length;
+        entry.tag = Number(source.data.getIntWord(ptr, info.littleEndian));
+        entry.value = source.data.getUintWord(ptr + info.wordSize, info.littleEndian);
+        entry._name = dynamicTagNames.get(entry.tag) ?? null;
+        entries.push(entry);
+        if (entry.tag === DynamicTableNames.DT_NULL) {
             break;
         }
-        chars.push(buffer[ptr++]);
     }
-    return Buffer.from(chars).toString();
+    return entries;
+}
+
+/**
+ * @param {Array<ElfDynamicEntry>} entries
+ * @returns {object} The value of the first entry of each known tag, keyed by the tag name.
+ */
+function getDynamicTags(entries) {
+    const tags = Object.create(null);
+    for (const entry of entries) {
+        if (entry._name != null && !(entry._name in tags)) {
+            tags[entry._name] = entry.value;
+        }
+    }
+    return tags;
+}
+
+/**
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {number} offset
+ * @param {number} size
+ * @param {string} what
+ * @param {string} [path] The field path for the error, when the block is not in the file.
+ * @returns {Promise<{buffer: ArrayBuffer, uint8: Uint8Array, data: DataView}>}
+ */
+async function readFileBlock(handle, info, offset, size, what, path) {
+    const source = createBufferView(size);
+    const { bytesRead } = await handle.read(source.uint8, 0, size, offset);
+    if (bytesRead < size) {
+        throw new FileBlockError(`Insufficient data for ${what}`, offset, size, offset + bytesRead, path);
+    }
+    addWordRead(source.data, info.bit64);
+    return source;
+}
+
+/**
+ * Reads a table of fixed size entries in blocks of whole entries, so large tables are decoded from a few buffers
+ * instead of a read per entry.
+ * @param {ByteSource} handle
+ * @param {ElfInformation} info
+ * @param {number} offset
+ * @param {number} size
+ * @param {number} entrySize
+ * @param {string} what
+ * @returns {AsyncGenerator<[number, {buffer: ArrayBuffer, uint8: Uint8Array, data: DataView}]>} The file offset of each
+ * block and its contents.
+ */
+async function* readTableChunks(handle, info, offset, size, entrySize, what) {
+    const chunkSize = Math.max(1, Math.floor(tableChunkSize / entrySize)) * entrySize;
+    for (let position = offset; position < offset + size; position += chunkSize) {
+        const blockSize = Math.min(chunkSize, offset + size - position);
+        yield [position, await readFileBlock(handle, info, position, blockSize, what)];
+    }
+}
+
+/**
+ * @param {ByteSource} handle
+ * @param {Array<ElfProgramHeader>} programHeaders
+ * @param {bigint} address An address from the dynamic section.
+ * @returns {number|null}
+ */
+function dynamicAddressToFileOffset(handle, programHeaders, address) {
+    const offset = virtualAddressToFileOffset(programHeaders, address);
+    // In a mapped image, the dynamic linker might have already relocated the dynamic entries in place.
+    if (offset == null && handle.bias != null) {
+        return virtualAddressToFileOffset(programHeaders, address - handle.bias);
+    }
+    return offset;
+}
+
+/**
+ * Replaces the headers of the sections left out of `sections` for their name (in lenient mode) by SHT_NULL stand-ins,
+ * which keep the indices of the others, but are not parsed any further.
+ * @param {Array<ElfSectionHeader>} headers
+ * @returns {Array<ElfSectionHeader>}
+ */
+function skipUnnamedSections(headers) {
+    return headers.map(h => h.type === 0 || h._name != null ? h : Object.assign(Object.create(null), h, { type: 0 }));
+}
+
+/**
+ * Throws the error, unless diagnostics are collected (lenient mode), in which case it is recorded and the parser goes
+ * on with whatever is still usable.
+ * @param {Array<ElfDiagnostic>|null} diagnostics
+ * @param {Error} error Only a {@link ParseError} can be recorded, anything else is a bug and always thrown.
+ * @param {'error'|'warning'} [severity] An `error` leaves something out of the result, a `warning` does not.
+ */
+function report(diagnostics, error, severity = 'error') {
+    if (diagnostics == null || !(error instanceof ParseError)) {
+        throw error;
+    }
+    const diagnostic = Object.create(null);
+    diagnostic.severity = severity;
+    diagnostic.code = error.code;
+    diagnostic.path = error.path;
+    diagnostic.offset = error.offset;
+    diagnostic.message = error.message;
+    diagnostics.push(diagnostic);
+}
+
+/**
+ * @template T
+ * @param {Array<ElfDiagnostic>|null} diagnostics
+ * @param {T} fallback The result when the step fails in lenient mode.
+ * @param {function(): Promise<T>} callback
+ * @returns {Promise<T>}
+ */
+async function recover(diagnostics, fallback, callback) {
+    try {
+        return await callback();
+    } catch (error) {
+        report(diagnostics, error);
+        return fallback;
+    }
+}
+
+function alignUp(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
 }
 
 function createBufferView(size) {
@@ -649,25 +2151,56 @@ function addWordRead(bufferView, bit64) {
     };
 }
 
+/**
+ * A problem with the contents of the parsed file. In lenient mode (`strict: false`) it is reported as an
+ * {@link ElfDiagnostic} instead.
+ */
 export class ParseError extends Error {
-}
-
-export class FileBlockError extends ParseError {
-    constructor(message, offset, size, limit) {
-        super();
-        for (let i = 1; i < Math.min(arguments.length, 4); ++i) {
-            if (typeof arguments[i] === 'number') {
-                arguments[i] = BigInt(arguments[i]);
-            }
-        }
-        const errorMessage = `${message}: block [0x${arguments[1].toString(16)}; 0x${(arguments[1] + arguments[2]).toString(16)}] exceeds [${arguments[3].toString(
-            16)}}]`;
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.code] One of {@link DiagnosticCodes}, `ERR_ELF_INVALID` by default.
+     * @param {string} [details.path] The field with the problem, like `sh[3].offset`.
+     * @param {number} [details.offset] The file offset of the field, or of the entry containing it.
+     */
+    constructor(message, details = {}) {
+        super(message);
         Object.defineProperties(this, {
-            offset: {
+            code: {
+                configurable: true,
+                writable: true,
+                value: details.code ?? DiagnosticCodes.ERR_ELF_INVALID
+            },
+            path: {
                 configurable: true,
                 writable: true,
-                value: offset
+                value: details.path ?? null
             },
+            offset: {
+                configurable: true,
+                writable: true,
+                value: details.offset ?? null
+            }
+        });
+    }
+}
+
+export class FileBlockError extends ParseError {
+    /**
+     * @param {string} message
+     * @param {number|bigint} offset
+     * @param {number|bigint} size
+     * @param {number|bigint} limit The end of the available data.
+     * @param {string} [path]
+     */
+    constructor(message, offset, size, limit, path) {
+        const start = BigInt(offset);
+        super(`${message}: block [0x${start.toString(16)}; 0x${(start + BigInt(size)).toString(16)}] exceeds 0x${BigInt(limit).toString(16)}`, {
+            code: DiagnosticCodes.ERR_ELF_TRUNCATED,
+            path,
+            offset: Number(offset)
+        });
+        Object.defineProperties(this, {
             size: {
                 configurable: true,
                 writable: true,
@@ -682,12 +2215,423 @@ export class FileBlockError extends ParseError {
     }
 }
 
+export const DiagnosticCodes = {
+    // The data lies (partly) past the end of the file.
+    ERR_ELF_TRUNCATED: 'ERR_ELF_TRUNCATED',
+    // An offset or an index points outside of the table or the section it refers to.
+    ERR_ELF_OUT_OF_BOUNDS: 'ERR_ELF_OUT_OF_BOUNDS',
+    // A field has a value not allowed by the specification.
+    ERR_ELF_INVALID: 'ERR_ELF_INVALID'
+};
+
 export const DynamicTableNames = {
     DT_NULL: 0,
     DT_NEEDED: 1,
-    DT_PLTRELSZ: 2
+    DT_PLTRELSZ: 2,
+    DT_PLTGOT: 3,
+    DT_HASH: 4,
+    DT_STRTAB: 5,
+    DT_SYMTAB: 6,
+    DT_RELA: 7,
+    DT_RELASZ: 8,
+    DT_RELAENT: 9,
+    DT_STRSZ: 10,
+    DT_SYMENT: 11,
+    DT_INIT: 12,
+    DT_FINI: 13,
+    DT_SONAME: 14,
+    DT_RPATH: 15,
+    DT_SYMBOLIC: 16,
+    DT_REL: 17,
+    DT_RELSZ: 18,
+    DT_RELENT: 19,
+    DT_PLTREL: 20,
+    DT_DEBUG: 21,
+    DT_TEXTREL: 22,
+    DT_JMPREL: 23,
+    DT_BIND_NOW: 24,
+    DT_INIT_ARRAY: 25,
+    DT_FINI_ARRAY: 26,
+    DT_INIT_ARRAYSZ: 27,
+    DT_FINI_ARRAYSZ: 28,
+    DT_RUNPATH: 29,
+    DT_FLAGS: 30,
+    DT_PREINIT_ARRAY: 32,
+    DT_ENCODING: 32,
+    DT_PREINIT_ARRAYSZ: 33,
+    DT_SYMTAB_SHNDX: 34,
+    DT_RELRSZ: 35,
+    DT_RELR: 36,
+    DT_RELRENT: 37,
+    DT_GNU_PRELINKED: 0x6FFFFDF5,
+    DT_GNU_CONFLICTSZ: 0x6FFFFDF6,
+    DT_GNU_LIBLISTSZ: 0x6FFFFDF7,
+    DT_CHECKSUM: 0x6FFFFDF8,
+    DT_PLTPADSZ: 0x6FFFFDF9,
+    DT_MOVEENT: 0x6FFFFDFA,
+    DT_MOVESZ: 0x6FFFFDFB,
+    DT_FEATURE_1: 0x6FFFFDFC,
+    DT_POSFLAG_1: 0x6FFFFDFD,
+    DT_SYMINSZ: 0x6FFFFDFE,
+    DT_SYMINENT: 0x6FFFFDFF,
+    DT_GNU_HASH: 0x6FFFFEF5,
+    DT_TLSDESC_PLT: 0x6FFFFEF6,
+    DT_TLSDESC_GOT: 0x6FFFFEF7,
+    DT_GNU_CONFLICT: 0x6FFFFEF8,
+    DT_GNU_LIBLIST: 0x6FFFFEF9,
+    DT_CONFIG: 0x6FFFFEFA,
+    DT_DEPAUDIT: 0x6FFFFEFB,
+    DT_AUDIT: 0x6FFFFEFC,
+    DT_PLTPAD: 0x6FFFFEFD,
+    DT_MOVETAB: 0x6FFFFEFE,
+    DT_SYMINFO: 0x6FFFFEFF,
+    DT_VERSYM: 0x6FFFFFF0,
+    DT_RELACOUNT: 0x6FFFFFF9,
+    DT_RELCOUNT: 0x6FFFFFFA,
+    DT_FLAGS_1: 0x6FFFFFFB,
+    DT_VERDEF: 0x6FFFFFFC,
+    DT_VERDEFNUM: 0x6FFFFFFD,
+    DT_VERNEED: 0x6FFFFFFE,
+    DT_VERNEEDNUM: 0x6FFFFFFF,
+    DT_AUXILIARY: 0x7FFFFFFD,
+    DT_USED: 0x7FFFFFFE,
+    DT_FILTER: 0x7FFFFFFF
+};
+
+export const VersionFlags = {
+    VER_FLG_BASE: 0x1,
+    VER_FLG_WEAK: 0x2,
+    VER_FLG_INFO: 0x4
+};
+
+// The type of the file, in e_type.
+export const FileTypes = {
+    ET_NONE: 0,
+    ET_REL: 1,
+    ET_EXEC: 2,
+    ET_DYN: 3,
+    ET_CORE: 4
+};
+
+// The ABI of the operating system, in EI_OSABI.
+export const OsAbiTypes = {
+    ELFOSABI_SYSV: 0,
+    ELFOSABI_HPUX: 1,
+    ELFOSABI_NETBSD: 2,
+    ELFOSABI_GNU: 3,
+    ELFOSABI_SOLARIS: 6,
+    ELFOSABI_AIX: 7,
+    ELFOSABI_IRIX: 8,
+    ELFOSABI_FREEBSD: 9,
+    ELFOSABI_TRU64: 10,
+    ELFOSABI_MODESTO: 11,
+    ELFOSABI_OPENBSD: 12,
+    ELFOSABI_ARM_AEABI: 64,
+    ELFOSABI_ARM: 97,
+    ELFOSABI_STANDALONE: 255
+};
+
+// Section indexes with a special meaning, in the `shndx` field of a symbol.
+export const SpecialSectionIndexes = {
+    SHN_UNDEF: 0,
+    SHN_LORESERVE: 0xFF00,
+    SHN_ABS: 0xFFF1,
+    SHN_COMMON: 0xFFF2,
+    SHN_XINDEX: 0xFFFF
+};
+
+export const SectionTypes = {
+    SHT_NULL: 0,
+    SHT_PROGBITS: 1,
+    SHT_SYMTAB: 2,
+    SHT_STRTAB: 3,
+    SHT_RELA: 4,
+    SHT_HASH: 5,
+    SHT_DYNAMIC: 6,
+    SHT_NOTE: 7,
+    SHT_NOBITS: 8,
+    SHT_REL: 9,
+    SHT_SHLIB: 10,
+    SHT_DYNSYM: 11,
+    SHT_INIT_ARRAY: 14,
+    SHT_FINI_ARRAY: 15,
+    SHT_PREINIT_ARRAY: 16,
+    SHT_GROUP: 17,
+    SHT_SYMTAB_SHNDX: 18,
+    SHT_RELR: 19,
+    SHT_GNU_ATTRIBUTES: 0x6FFFFFF5,
+    SHT_GNU_HASH: 0x6FFFFFF6,
+    SHT_GNU_LIBLIST: 0x6FFFFFF7,
+    SHT_CHECKSUM: 0x6FFFFFF8,
+    SHT_GNU_verdef: 0x6FFFFFFD,
+    SHT_GNU_verneed: 0x6FFFFFFE,
+    SHT_GNU_versym: 0x6FFFFFFF
+};
+
+export const SectionFlags = {
+    SHF_WRITE: 0x1,
+    SHF_ALLOC: 0x2,
+    SHF_EXECINSTR: 0x4,
+    SHF_MERGE: 0x10,
+    SHF_STRINGS: 0x20,
+    SHF_INFO_LINK: 0x40,
+    SHF_LINK_ORDER: 0x80,
+    SHF_OS_NONCONFORMING: 0x100,
+    SHF_GROUP: 0x200,
+    SHF_TLS: 0x400,
+    SHF_COMPRESSED: 0x800,
+    SHF_GNU_RETAIN: 0x200000,
+    SHF_EXCLUDE: 0x80000000
+};
+
+export const SegmentTypes = {
+    PT_NULL: 0,
+    PT_LOAD: 1,
+    PT_DYNAMIC: 2,
+    PT_INTERP: 3,
+    PT_NOTE: 4,
+    PT_SHLIB: 5,
+    PT_PHDR: 6,
+    PT_TLS: 7,
+    PT_GNU_EH_FRAME: 0x6474E550,
+    PT_GNU_STACK: 0x6474E551,
+    PT_GNU_RELRO: 0x6474E552,
+    PT_GNU_PROPERTY: 0x6474E553,
+    PT_GNU_SFRAME: 0x6474E554
+};
+
+export const SegmentFlags = {
+    PF_X: 0x1,
+    PF_W: 0x2,
+    PF_R: 0x4
+};
+
+// The type of a symbol, in the low 4 bits of its `info` field.
+export const SymbolTypes = {
+    STT_NOTYPE: 0,
+    STT_OBJECT: 1,
+    STT_FUNC: 2,
+    STT_SECTION: 3,
+    STT_FILE: 4,
+    STT_COMMON: 5,
+    STT_TLS: 6,
+    STT_GNU_IFUNC: 10
+};
+
+// The binding of a symbol, in the high 4 bits of its `info` field.
+export const SymbolBindings = {
+    STB_LOCAL: 0,
+    STB_GLOBAL: 1,
+    STB_WEAK: 2,
+    STB_GNU_UNIQUE: 10
+};
+
+// The visibility of a symbol, in the low 2 bits of its `other` field.
+export const SymbolVisibility = {
+    STV_DEFAULT: 0,
+    STV_INTERNAL: 1,
+    STV_HIDDEN: 2,
+    STV_PROTECTED: 3
+};
+
+export const DynamicFlags = {
+    DF_ORIGIN: 0x1,
+    DF_SYMBOLIC: 0x2,
+    DF_TEXTREL: 0x4,
+    DF_BIND_NOW: 0x8,
+    DF_STATIC_TLS: 0x10
+};
+
+export const DynamicFlags1 = {
+    DF_1_NOW: 0x1,
+    DF_1_GLOBAL: 0x2,
+    DF_1_GROUP: 0x4,
+    DF_1_NODELETE: 0x8,
+    DF_1_LOADFLTR: 0x10,
+    DF_1_INITFIRST: 0x20,
+    DF_1_NOOPEN: 0x40,
+    DF_1_ORIGIN: 0x80,
+    DF_1_DIRECT: 0x100,
+    DF_1_TRANS: 0x200,
+    DF_1_INTERPOSE: 0x400,
+    DF_1_NODEFLIB: 0x800,
+    DF_1_NODUMP: 0x1000,
+    DF_1_CONFALT: 0x2000,
+    DF_1_ENDFILTEE: 0x4000,
+    DF_1_DISPRELDNE: 0x8000,
+    DF_1_DISPRELPND: 0x10000,
+    DF_1_NODIRECT: 0x20000,
+    DF_1_IGNMULDEF: 0x40000,
+    DF_1_NOKSYMS: 0x80000,
+    DF_1_NOHDR: 0x100000,
+    DF_1_EDITED: 0x200000,
+    DF_1_NORELOC: 0x400000,
+    DF_1_SYMINTPOSE: 0x800000,
+    DF_1_GLOBAUDIT: 0x1000000,
+    DF_1_SINGLETON: 0x2000000,
+    DF_1_STUB: 0x4000000,
+    DF_1_PIE: 0x8000000,
+    DF_1_KMOD: 0x10000000,
+    DF_1_WEAKFILTER: 0x20000000,
+    DF_1_NOCOMMON: 0x40000000
+};
+
+export const DynamicPositionalFlags1 = {
+    DF_P1_LAZYLOAD: 0x1,
+    DF_P1_GROUPPERM: 0x2
+};
+
+export const DynamicFeatureFlags1 = {
+    DTF_1_PARINIT: 0x1,
+    DTF_1_CONFEXP: 0x2
+};
+
+export const NoteTypesGNU = {
+    NT_GNU_ABI_TAG: 1,
+    NT_GNU_HWCAP: 2,
+    NT_GNU_BUILD_ID: 3,
+    NT_GNU_GOLD_VERSION: 4,
+    NT_GNU_PROPERTY_TYPE_0: 5
+};
+
+export const NoteTypesStapsdt = {
+    NT_STAPSDT: 3
 };
 
+export const AbiTagOperatingSystems = ['Linux', 'Hurd', 'Solaris', 'FreeBSD', 'NetBSD', 'Syllable'];
+
+export const GnuPropertyTypes = {
+    GNU_PROPERTY_STACK_SIZE: 1,
+    GNU_PROPERTY_NO_COPY_ON_PROTECTED: 2,
+    GNU_PROPERTY_1_NEEDED: 0xB0008000
+};
+
+export const GnuPropertyTypesX86 = {
+    GNU_PROPERTY_X86_FEATURE_1_AND: 0xC0000002,
+    GNU_PROPERTY_X86_FEATURE_2_NEEDED: 0xC0008001,
+    GNU_PROPERTY_X86_ISA_1_NEEDED: 0xC0008002,
+    GNU_PROPERTY_X86_FEATURE_2_USED: 0xC0010001,
+    GNU_PROPERTY_X86_ISA_1_USED: 0xC0010002
+};
+
+export const GnuPropertyTypesAArch64 = {
+    GNU_PROPERTY_AARCH64_FEATURE_1_AND: 0xC0000000
+};
+
+export const GnuPropertyFlags1Needed = {
+    GNU_PROPERTY_1_NEEDED_INDIRECT_EXTERN_ACCESS: 0x1
+};
+
+export const GnuPropertyX86Feature1 = {
+    GNU_PROPERTY_X86_FEATURE_1_IBT: 0x1,
+    GNU_PROPERTY_X86_FEATURE_1_SHSTK: 0x2,
+    GNU_PROPERTY_X86_FEATURE_1_LAM_U48: 0x4,
+    GNU_PROPERTY_X86_FEATURE_1_LAM_U57: 0x8
+};
+
+export const GnuPropertyX86Feature2 = {
+    GNU_PROPERTY_X86_FEATURE_2_X86: 0x1,
+    GNU_PROPERTY_X86_FEATURE_2_X87: 0x2,
+    GNU_PROPERTY_X86_FEATURE_2_MMX: 0x4,
+    GNU_PROPERTY_X86_FEATURE_2_XMM: 0x8,
+    GNU_PROPERTY_X86_FEATURE_2_YMM: 0x10,
+    GNU_PROPERTY_X86_FEATURE_2_ZMM: 0x20,
+    GNU_PROPERTY_X86_FEATURE_2_FXSR: 0x40,
+    GNU_PROPERTY_X86_FEATURE_2_XSAVE: 0x80,
+    GNU_PROPERTY_X86_FEATURE_2_XSAVEOPT: 0x100,
+    GNU_PROPERTY_X86_FEATURE_2_XSAVEC: 0x200,
+    GNU_PROPERTY_X86_FEATURE_2_TMM: 0x400,
+    GNU_PROPERTY_X86_FEATURE_2_MASK: 0x800
+};
+
+export const GnuPropertyX86Isa1 = {
+    GNU_PROPERTY_X86_ISA_1_BASELINE: 0x1,
+    GNU_PROPERTY_X86_ISA_1_V2: 0x2,
+    GNU_PROPERTY_X86_ISA_1_V3: 0x4,
+    GNU_PROPERTY_X86_ISA_1_V4: 0x8
+};
+
+export const GnuPropertyAArch64Feature1 = {
+    GNU_PROPERTY_AARCH64_FEATURE_1_BTI: 0x1,
+    GNU_PROPERTY_AARCH64_FEATURE_1_PAC: 0x2,
+    GNU_PROPERTY_AARCH64_FEATURE_1_GCS: 0x4
+};
+
+function getNoteTypeName(owner, type) {
+    const table = owner === 'GNU' ? NoteTypesGNU : owner === 'stapsdt' ? NoteTypesStapsdt : null;
+    if (table != null) {
+        for (const name in table) {
+            if (table[name] === type) {
+                return name;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Property types from 0xC0000000 to 0xDFFFFFFF are processor specific, so they are resolved through e_machine.
+ * @param {number} machine
+ * @param {number} type
+ * @returns {{name: string, flags?: object, word?: boolean}|null}
+ */
+function getPropertyDefinition(machine, type) {
+    switch (type) {
+        case GnuPropertyTypes.GNU_PROPERTY_STACK_SIZE:
+            return { name: 'GNU_PROPERTY_STACK_SIZE', word: true };
+        case GnuPropertyTypes.GNU_PROPERTY_NO_COPY_ON_PROTECTED:
+            return { name: 'GNU_PROPERTY_NO_COPY_ON_PROTECTED' };
+        case GnuPropertyTypes.GNU_PROPERTY_1_NEEDED:
+            return { name: 'GNU_PROPERTY_1_NEEDED', flags: GnuPropertyFlags1Needed };
+    }
+    if (machine === MachineTypes.EM_X86_64 || machine === MachineTypes.EM_386) {
+        switch (type) {
+            case GnuPropertyTypesX86.GNU_PROPERTY_X86_FEATURE_1_AND:
+                return { name: 'GNU_PROPERTY_X86_FEATURE_1_AND', flags: GnuPropertyX86Feature1 };
+            case GnuPropertyTypesX86.GNU_PROPERTY_X86_FEATURE_2_NEEDED:
+                return { name: 'GNU_PROPERTY_X86_FEATURE_2_NEEDED', flags: GnuPropertyX86Feature2 };
+            case GnuPropertyTypesX86.GNU_PROPERTY_X86_FEATURE_2_USED:
+                return { name: 'GNU_PROPERTY_X86_FEATURE_2_USED', flags: GnuPropertyX86Feature2 };
+            case GnuPropertyTypesX86.GNU_PROPERTY_X86_ISA_1_NEEDED:
+                return { name: 'GNU_PROPERTY_X86_ISA_1_NEEDED', flags: GnuPropertyX86Isa1 };
+            case GnuPropertyTypesX86.GNU_PROPERTY_X86_ISA_1_USED:
+                return { name: 'GNU_PROPERTY_X86_ISA_1_USED', flags: GnuPropertyX86Isa1 };
+        }
+    } else if (machine === MachineTypes.EM_AARCH64) {
+        if (type === GnuPropertyTypesAArch64.GNU_PROPERTY_AARCH64_FEATURE_1_AND) {
+            return { name: 'GNU_PROPERTY_AARCH64_FEATURE_1_AND', flags: GnuPropertyAArch64Feature1 };
+        }
+    }
+    return null;
+}
+
+// DT_ENCODING shares its value with DT_PREINIT_ARRAY, the first name defined wins.
+const dynamicTagNames = new Map();
+for (const [name, value] of Object.entries(DynamicTableNames)) {
+    if (!dynamicTagNames.has(value)) {
+        dynamicTagNames.set(value, name);
+    }
+}
+
+const dynamicStringTags = new Set([
+    DynamicTableNames.DT_NEEDED,
+    DynamicTableNames.DT_SONAME,
+    DynamicTableNames.DT_RPATH,
+    DynamicTableNames.DT_RUNPATH,
+    DynamicTableNames.DT_CONFIG,
+    DynamicTableNames.DT_DEPAUDIT,
+    DynamicTableNames.DT_AUDIT,
+    DynamicTableNames.DT_AUXILIARY,
+    DynamicTableNames.DT_FILTER
+]);
+
+const dynamicFlagTags = new Map([
+    [DynamicTableNames.DT_FLAGS, DynamicFlags],
+    [DynamicTableNames.DT_FLAGS_1, DynamicFlags1],
+    [DynamicTableNames.DT_POSFLAG_1, DynamicPositionalFlags1],
+    [DynamicTableNames.DT_FEATURE_1, DynamicFeatureFlags1]
+]);
+
 /**
  * @typedef ElfIdentificationHeader
  * @property {number} MAGIC
@@ -704,7 +2648,7 @@ export const DynamicTableNames = {
  * @property {number} wordSize
  * @property {bigint} maxPointerValue
  * @property {boolean} littleEndian
- * @property {fs.StatsBase<bigint>} stat
+ * @property {{size: bigint}} stat
  */
 
 /**
@@ -750,3 +2694,97 @@ export const DynamicTableNames = {
  * @property {bigint} addralign
  * @property {bigint} entsize
  */
+
+/**
+ * @typedef ElfDynamicEntry
+ * @property {number} tag
+ * @property {bigint} value
+ * @property {string|null} _name
+ * @property {bigint|string|Array<string>|null} _value
+ */
+
+/**
+ * @typedef ElfDynamicTable
+ * @property {bigint} address
+ * @property {bigint|null} size
+ * @property {bigint|null} [entrySize]
+ */
+
+/**
+ * @typedef ElfDynamic
+ * @property {Array<ElfDynamicEntry>} entries
+ * @property {Array<string>} needed
+ * @property {string|null} soname
+ * @property {Array<string>} rpath
+ * @property {Array<string>} runpath
+ * @property {Array<string>} flags
+ * @property {Array<string>} flags1
+ * @property {bigint|null} init
+ * @property {bigint|null} fini
+ * @property {ElfDynamicTable|null} initArray
+ * @property {ElfDynamicTable|null} finiArray
+ * @property {ElfDynamicTable|null} preinitArray
+ * @property {bigint|null} hash
+ * @property {bigint|null} gnuHash
+ * @property {ElfDynamicTable|null} rel
+ * @property {ElfDynamicTable|null} rela
+ * @property {ElfDynamicTable|null} relr
+ * @property {ElfDynamicTable|null} jmprel
+ */
+
+/**
+ * @typedef ElfRelocation
+ * @property {bigint} offset
+ * @property {bigint} [info]
+ * @property {number} type
+ * @property {number} symbol
+ * @property {bigint|null} addend
+ * @property {string|null} _type
+ * @property {object|null} _symbol
+ * @property {string|null} _target
+ * @property {string|null} _place
+ */
+
+/**
+ * @typedef ElfSymbolVersion
+ * @property {number} index
+ * @property {boolean} hidden
+ * @property {string|null} name
+ * @property {string|null} file
+ * @property {boolean} required
+ */
+
+/**
+ * @typedef ElfSymbolVersions
+ * @property {Array<object>} definitions
+ * @property {Array<object>} requirements
+ */
+
+/**
+ * @typedef ElfDiagnostic
+ * @property {'error'|'warning'} severity An `error` leaves a part of the file out of the result, after a `warning` the
+ * value is still used.
+ * @property {string} code One of {@link DiagnosticCodes}.
+ * @property {string|null} path The field with the problem, like `sh[3].offset` or `sections[.dynsym][12].name`.
+ * @property {number|null} offset The file offset of the field, or of the entry containing it.
+ * @property {string} message
+ */
+
+/**
+ * @typedef ElfNote
+ * @property {string} owner
+ * @property {number} type
+ * @property {Uint8Array} descriptor
+ * @property {string|null} _type
+ * @property {string|null} _section
+ * @property {*} _value
+ */
+
+/**
+ * @typedef ElfNotes
+ * @property {Array<ElfNote>} list
+ * @property {string|null} buildId
+ * @property {{os: string|number, version: Array<number>, kernel: string}|null} abiTag
+ * @property {Array<object>} properties
+ * @property {Array<object>} probes
+ */
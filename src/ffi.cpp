@@ -0,0 +1,615 @@
+#include <v8.h>
+#include <node.h>
+#include "js-helper.h"
+#include "config.h"
+#include "ffi.h"
+#include "memory.h"
+#include <cmath>
+#include <cstdint>
+#include <cstring>
+#include <limits>
+#include <string>
+#include <utility>
+
+namespace {
+    struct SignatureHolder {
+        std::shared_ptr<FfiSignature> signature;
+        v8::Global<v8::Object> object;
+    };
+
+    /**
+     * Tags FfiSignature instances in their second internal field.
+     */
+    alignas(8) const char signatureTag = 0;
+
+    void OnSignatureCollected(const v8::WeakCallbackInfo<SignatureHolder> &info) {
+        auto holder = info.GetParameter();
+        holder->object.Reset();
+        delete holder;
+    }
+
+    /**
+     * C types with the size of the platform ABI, mapped to the fixed-size kinds.
+     */
+    template<typename T>
+    constexpr FfiKind IntegerKind() {
+        if constexpr (sizeof(T) == 1) {
+            return std::is_signed_v<T> ? FfiKind::Int8 : FfiKind::Uint8;
+        } else if constexpr (sizeof(T) == 2) {
+            return std::is_signed_v<T> ? FfiKind::Int16 : FfiKind::Uint16;
+        } else if constexpr (sizeof(T) == 4) {
+            return std::is_signed_v<T> ? FfiKind::Int32 : FfiKind::Uint32;
+        } else {
+            return std::is_signed_v<T> ? FfiKind::Int64 : FfiKind::Uint64;
+        }
+    }
+
+    ffi_type *GetScalarType(FfiKind kind) {
+        switch (kind) {
+            case FfiKind::Void: return &ffi_type_void;
+            case FfiKind::Int8: return &ffi_type_sint8;
+            case FfiKind::Uint8: return &ffi_type_uint8;
+            case FfiKind::Int16: return &ffi_type_sint16;
+            case FfiKind::Uint16: return &ffi_type_uint16;
+            case FfiKind::Int32: return &ffi_type_sint32;
+            case FfiKind::Uint32: return &ffi_type_uint32;
+            case FfiKind::Int64: return &ffi_type_sint64;
+            case FfiKind::Uint64: return &ffi_type_uint64;
+            case FfiKind::Float: return &ffi_type_float;
+            case FfiKind::Double: return &ffi_type_double;
+            case FfiKind::Pointer: return &ffi_type_pointer;
+            default: return nullptr;
+        }
+    }
+
+    const std::pair<const char *, FfiKind> scalarTypes[] = {
+        { "void", FfiKind::Void },
+        { "int8", FfiKind::Int8 },
+        { "uint8", FfiKind::Uint8 },
+        { "int16", FfiKind::Int16 },
+        { "uint16", FfiKind::Uint16 },
+        { "int32", FfiKind::Int32 },
+        { "uint32", FfiKind::Uint32 },
+        { "int64", FfiKind::Int64 },
+        { "uint64", FfiKind::Uint64 },
+        { "float", FfiKind::Float },
+        { "double", FfiKind::Double },
+        { "pointer", FfiKind::Pointer },
+        { "bool", IntegerKind<bool>() },
+        { "char", IntegerKind<char>() },
+        { "short", IntegerKind<short>() },
+        { "ushort", IntegerKind<unsigned short>() },
+        { "int", IntegerKind<int>() },
+        { "uint", IntegerKind<unsigned int>() },
+        { "long", IntegerKind<long>() },
+        { "ulong", IntegerKind<unsigned long>() },
+        { "longlong", IntegerKind<long long>() },
+        { "ulonglong", IntegerKind<unsigned long long>() },
+        { "size_t", IntegerKind<size_t>() },
+        { "ssize_t", IntegerKind<std::make_signed_t<size_t>>() },
+        { "intptr", IntegerKind<intptr_t>() },
+        { "uintptr", IntegerKind<uintptr_t>() }
+    };
+
+    void ThrowTypeError(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Value> value, const char *what, const char *expected) {
+        auto maybeMessage = ToDetailString(context, "Invalid ", what, ": expected ", expected, ", got ", value);
+        if (!maybeMessage.IsEmpty()) {
+            isolate->ThrowException(v8::Exception::TypeError(maybeMessage.ToLocalChecked()));
+        }
+    }
+
+    void ThrowRangeError(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Value> value, const char *what) {
+        auto maybeMessage = ToDetailString(context, "Value of ", what, " out of range: ", value);
+        if (!maybeMessage.IsEmpty()) {
+            isolate->ThrowException(v8::Exception::RangeError(maybeMessage.ToLocalChecked()));
+        }
+    }
+
+    bool GetProperty(v8::Local<v8::Context> context, v8::Local<v8::Object> object, const char *key, v8::Local<v8::Value> &value) {
+        auto maybeName = ToString(context, key);
+        if (maybeName.IsEmpty()) {
+            return false;
+        }
+        auto maybeValue = object->Get(context, maybeName.ToLocalChecked());
+        if (maybeValue.IsEmpty()) {
+            return false;
+        }
+        value = maybeValue.ToLocalChecked();
+        return true;
+    }
+
+    bool ReadType(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Value> value, FfiSignature &signature, FfiValueType &type, std::vector<ffi_type *> *elements, int depth);
+
+    bool ReadStructMembers(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Array> members, FfiSignature &signature, std::vector<ffi_type *> &elements, int depth) {
+        for (uint32_t i = 0; i < members->Length(); ++i) {
+            JS_EXECUTE_RETURN_HANDLE(false, v8::Value, member, members->Get(context, i));
+            FfiValueType memberType;
+            if (!ReadType(isolate, context, member, signature, memberType, &elements, depth + 1)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Reads a type, appending it to the elements of the enclosing struct, if any. Arrays are only valid as struct
+     * members, libffi describes them as repeated elements.
+     */
+    bool ReadType(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Value> value, FfiSignature &signature, FfiValueType &type, std::vector<ffi_type *> *elements, int depth) {
+        if (depth > 32) {
+            ThrowTypeError(isolate, context, value, "type", "a struct nested at most 32 levels");
+            return false;
+        }
+        if (value->IsString()) {
+            v8::String::Utf8Value name(isolate, value);
+            for (const auto &[typeName, kind] : scalarTypes) {
+                if (std::strcmp(*name, typeName) == 0) {
+                    type.kind = kind;
+                    type.type = GetScalarType(kind);
+                    if (elements != nullptr) {
+                        if (kind == FfiKind::Void) {
+                            ThrowTypeError(isolate, context, value, "struct member type", "a non-void type");
+                            return false;
+                        }
+                        elements->push_back(type.type);
+                    }
+                    return true;
+                }
+            }
+            ThrowTypeError(isolate, context, value, "type", "a known type name");
+            return false;
+        }
+        if (!value->IsObject()) {
+            ThrowTypeError(isolate, context, value, "type", "[string] or [object]");
+            return false;
+        }
+        auto object = value.As<v8::Object>();
+        v8::Local<v8::Value> members;
+        if (!GetProperty(context, object, "struct", members)) {
+            return false;
+        }
+        if (members->IsArray()) {
+            auto structElements = std::make_unique<std::vector<ffi_type *>>();
+            if (!ReadStructMembers(isolate, context, members.As<v8::Array>(), signature, *structElements, depth)) {
+                return false;
+            }
+            if (structElements->empty()) {
+                ThrowTypeError(isolate, context, value, "type", "a struct with at least one member");
+                return false;
+            }
+            structElements->push_back(nullptr);
+            auto structType = std::make_unique<ffi_type>();
+            structType->size = 0;
+            structType->alignment = 0;
+            structType->type = FFI_TYPE_STRUCT;
+            structType->elements = structElements->data();
+            type.kind = FfiKind::Struct;
+            type.type = structType.get();
+            signature.structElements.push_back(std::move(structElements));
+            signature.structTypes.push_back(std::move(structType));
+            if (elements != nullptr) {
+                elements->push_back(type.type);
+            }
+            return true;
+        }
+        v8::Local<v8::Value> element, length;
+        if (!GetProperty(context, object, "array", element) || !GetProperty(context, object, "length", length)) {
+            return false;
+        }
+        if (elements == nullptr || element->IsUndefined()) {
+            ThrowTypeError(isolate, context, value, "type", elements == nullptr ? "a type name or { struct }" : "a type name, { struct } or { array, length }");
+            return false;
+        }
+        if (!length->IsUint32() || length.As<v8::Uint32>()->Value() == 0) {
+            ThrowTypeError(isolate, context, length, "array length", "a positive [uint32]");
+            return false;
+        }
+        FfiValueType elementType;
+        std::vector<ffi_type *> single;
+        if (!ReadType(isolate, context, element, signature, elementType, &single, depth + 1)) {
+            return false;
+        }
+        for (uint32_t i = 0; i < length.As<v8::Uint32>()->Value(); ++i) {
+            elements->insert(elements->end(), single.begin(), single.end());
+        }
+        type = elementType;
+        return true;
+    }
+
+    template<typename T>
+    bool ReadInteger(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Value> value, void *target, bool returnValue, const char *what) {
+        if (!value->IsNumber()) {
+            ThrowTypeError(isolate, context, value, what, "[number]");
+            return false;
+        }
+        auto number = value.As<v8::Number>()->Value();
+        if (std::trunc(number) != number || number < static_cast<double>(std::numeric_limits<T>::min()) || number > static_cast<double>(std::numeric_limits<T>::max())) {
+            ThrowRangeError(isolate, context, value, what);
+            return false;
+        }
+        if (returnValue) {
+            // libffi expects integer return values of callbacks widened to a full register.
+            if constexpr (std::is_signed_v<T>) {
+                *static_cast<ffi_sarg *>(target) = static_cast<ffi_sarg>(number);
+            } else {
+                *static_cast<ffi_arg *>(target) = static_cast<ffi_arg>(number);
+            }
+        } else {
+            *static_cast<T *>(target) = static_cast<T>(number);
+        }
+        return true;
+    }
+
+    template<typename T>
+    bool ReadBigInt(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Value> value, void *target, const char *what) {
+        if (!value->IsBigInt()) {
+            ThrowTypeError(isolate, context, value, what, "[bigint]");
+            return false;
+        }
+        bool lossless;
+        if constexpr (std::is_signed_v<T>) {
+            auto result = value.As<v8::BigInt>()->Int64Value(&lossless);
+            *static_cast<T *>(target) = static_cast<T>(result);
+        } else {
+            auto result = value.As<v8::BigInt>()->Uint64Value(&lossless);
+            *static_cast<T *>(target) = static_cast<T>(result);
+        }
+        if (!lossless) {
+            ThrowRangeError(isolate, context, value, what);
+            return false;
+        }
+        return true;
+    }
+
+    template<typename T>
+    v8::Local<v8::Value> IntegerToValue(v8::Isolate *isolate, const void *source, bool returnValue) {
+        T value;
+        if (returnValue && sizeof(T) < sizeof(ffi_arg)) {
+            value = static_cast<T>(*static_cast<const ffi_arg *>(source));
+        } else {
+            std::memcpy(&value, source, sizeof(T));
+        }
+        if constexpr (std::is_signed_v<T>) {
+            return v8::Integer::New(isolate, value);
+        } else {
+            return v8::Integer::NewFromUnsigned(isolate, value);
+        }
+    }
+}
+
+namespace {
+    struct CallState {
+        int depth = 0;
+        v8::Global<v8::Value> exception;
+    };
+
+    thread_local CallState callState;
+}
+
+FfiCallScope::FfiCallScope() {
+    ++callState.depth;
+}
+
+FfiCallScope::~FfiCallScope() {
+    if (--callState.depth == 0) {
+        callState.exception.Reset();
+    }
+}
+
+bool FfiCallScope::IsActive() {
+    return callState.depth > 0;
+}
+
+void FfiCallScope::SetException(v8::Isolate *isolate, v8::Local<v8::Value> exception) {
+    if (callState.exception.IsEmpty()) {
+        callState.exception.Reset(isolate, exception);
+    }
+}
+
+v8::MaybeLocal<v8::Value> FfiCallScope::TakeException(v8::Isolate *isolate) {
+    if (callState.exception.IsEmpty()) {
+        return v8::MaybeLocal<v8::Value>();
+    }
+    auto exception = callState.exception.Get(isolate);
+    callState.exception.Reset();
+    return exception;
+}
+
+std::shared_ptr<FfiSignature> ReadFfiSignature(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Value> value) {
+    v8::HandleScope scope(isolate);
+    if (!value->IsObject()) {
+        ThrowTypeError(isolate, context, value, "signature", "[object]");
+        return nullptr;
+    }
+    auto object = value.As<v8::Object>();
+    auto signature = std::make_shared<FfiSignature>();
+    v8::Local<v8::Value> returns, args, fixedArgs;
+    if (!GetProperty(context, object, "returns", returns) || !GetProperty(context, object, "args", args) || !GetProperty(context, object, "fixedArgs", fixedArgs)) {
+        return nullptr;
+    }
+    if (returns->IsUndefined()) {
+        signature->returns = { FfiKind::Void, &ffi_type_void };
+    } else if (!ReadType(isolate, context, returns, *signature, signature->returns, nullptr, 0)) {
+        return nullptr;
+    }
+    if (!args->IsUndefined() && !args->IsArray()) {
+        ThrowTypeError(isolate, context, args, "signature arguments", "[Array]");
+        return nullptr;
+    }
+    uint32_t argCount = args->IsArray() ? args.As<v8::Array>()->Length() : 0;
+    signature->variadic = !fixedArgs->IsUndefined();
+    signature->fixedArgs = argCount;
+    if (signature->variadic) {
+        if (!fixedArgs->IsUint32() || fixedArgs.As<v8::Uint32>()->Value() > argCount) {
+            ThrowTypeError(isolate, context, fixedArgs, "signature fixedArgs", "a [uint32] not greater than the number of arguments");
+            return nullptr;
+        }
+        signature->fixedArgs = fixedArgs.As<v8::Uint32>()->Value();
+    }
+    for (uint32_t i = 0; i < argCount; ++i) {
+        JS_EXECUTE_RETURN_HANDLE(nullptr, v8::Value, arg, args.As<v8::Array>()->Get(context, i));
+        FfiValueType type;
+        if (!ReadType(isolate, context, arg, *signature, type, nullptr, 0)) {
+            return nullptr;
+        }
+        if (type.kind == FfiKind::Void) {
+            ThrowTypeError(isolate, context, arg, "argument type", "a non-void type");
+            return nullptr;
+        }
+        // Default argument promotions apply to the variadic arguments.
+        if (i >= signature->fixedArgs) {
+            if (type.kind == FfiKind::Float) {
+                type = { FfiKind::Double, &ffi_type_double };
+            } else if (type.kind == FfiKind::Int8 || type.kind == FfiKind::Int16) {
+                type = { FfiKind::Int32, &ffi_type_sint32 };
+            } else if (type.kind == FfiKind::Uint8 || type.kind == FfiKind::Uint16) {
+                type = { FfiKind::Uint32, &ffi_type_uint32 };
+            }
+        }
+        signature->args.push_back(type);
+        signature->argTypes.push_back(type.type);
+    }
+    ffi_status status;
+    if (signature->variadic) {
+        status = ffi_prep_cif_var(&signature->cif, FFI_DEFAULT_ABI, signature->fixedArgs, argCount, signature->returns.type, signature->argTypes.data());
+    } else {
+        status = ffi_prep_cif(&signature->cif, FFI_DEFAULT_ABI, argCount, signature->returns.type, signature->argTypes.data());
+    }
+    if (status != FFI_OK) {
+        auto maybeMessage = ToDetailString(context, "Unable to prepare the call interface, status ", static_cast<int>(status));
+        if (!maybeMessage.IsEmpty()) {
+            isolate->ThrowException(v8::Exception::Error(maybeMessage.ToLocalChecked()));
+        }
+        return nullptr;
+    }
+    return signature;
+}
+
+std::shared_ptr<FfiSignature> GetFfiSignature(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Value> value) {
+    v8::HandleScope scope(isolate);
+    if (value->IsObject() && value.As<v8::Object>()->InternalFieldCount() == 2 && value.As<v8::Object>()->GetAlignedPointerFromInternalField(1) == &signatureTag) {
+        auto holder = static_cast<SignatureHolder *>(value.As<v8::Object>()->GetAlignedPointerFromInternalField(0));
+        return holder->signature;
+    }
+    return ReadFfiSignature(isolate, context, value);
+}
+
+size_t GetFfiStorageSize(const FfiValueType &type) {
+    return type.type->size > sizeof(ffi_arg) ? type.type->size : sizeof(ffi_arg);
+}
+
+bool FfiValueToNative(v8::Isolate *isolate, v8::Local<v8::Context> context, const FfiValueType &type, v8::Local<v8::Value> value, void *target, bool returnValue, const char *what) {
+    switch (type.kind) {
+        case FfiKind::Void:
+            return true;
+        case FfiKind::Int8: return ReadInteger<int8_t>(isolate, context, value, target, returnValue, what);
+        case FfiKind::Uint8: return ReadInteger<uint8_t>(isolate, context, value, target, returnValue, what);
+        case FfiKind::Int16: return ReadInteger<int16_t>(isolate, context, value, target, returnValue, what);
+        case FfiKind::Uint16: return ReadInteger<uint16_t>(isolate, context, value, target, returnValue, what);
+        case FfiKind::Int32: return ReadInteger<int32_t>(isolate, context, value, target, returnValue, what);
+        case FfiKind::Uint32: return ReadInteger<uint32_t>(isolate, context, value, target, returnValue, what);
+        case FfiKind::Int64: return ReadBigInt<int64_t>(isolate, context, value, target, what);
+        case FfiKind::Uint64: return ReadBigInt<uint64_t>(isolate, context, value, target, what);
+        case FfiKind::Float:
+        case FfiKind::Double:
+            if (!value->IsNumber()) {
+                ThrowTypeError(isolate, context, value, what, "[number]");
+                return false;
+            }
+            if (type.kind == FfiKind::Float) {
+                *static_cast<float *>(target) = static_cast<float>(value.As<v8::Number>()->Value());
+            } else {
+                *static_cast<double *>(target) = value.As<v8::Number>()->Value();
+            }
+            return true;
+        case FfiKind::Pointer: {
+            uintptr_t pointer = 0;
+            if (value->IsNull()) {
+                pointer = 0;
+            } else if (value->IsArrayBuffer()) {
+                pointer = reinterpret_cast<uintptr_t>(value.As<v8::ArrayBuffer>()->Data());
+            } else if (value->IsArrayBufferView()) {
+                auto view = value.As<v8::ArrayBufferView>();
+                pointer = reinterpret_cast<uintptr_t>(view->Buffer()->Data()) + view->ByteOffset();
+            } else if (value->IsBigInt()) {
+                // The same range as the pointer helpers: [INTPTR_MIN; UINTPTR_MAX].
+                bool lossless;
+                auto signedValue = value.As<v8::BigInt>()->Int64Value(&lossless);
+                if (lossless && signedValue < 0 && signedValue >= INTPTR_MIN) {
+                    pointer = static_cast<uintptr_t>(static_cast<intptr_t>(signedValue));
+                } else {
+                    auto unsignedValue = value.As<v8::BigInt>()->Uint64Value(&lossless);
+                    if (!lossless || unsignedValue > UINTPTR_MAX) {
+                        ThrowRangeError(isolate, context, value, what);
+                        return false;
+                    }
+                    pointer = static_cast<uintptr_t>(unsignedValue);
+                }
+            } else {
+                ThrowTypeError(isolate, context, value, what, "[bigint], null, [ArrayBuffer] or [ArrayBufferView]");
+                return false;
+            }
+            if (returnValue) {
+                *static_cast<ffi_arg *>(target) = static_cast<ffi_arg>(pointer);
+            } else {
+                *static_cast<void **>(target) = reinterpret_cast<void *>(pointer);
+            }
+            return true;
+        }
+        case FfiKind::Struct: {
+            const uint8_t *data;
+            size_t length;
+            if (value->IsArrayBuffer()) {
+                data = static_cast<const uint8_t *>(value.As<v8::ArrayBuffer>()->Data());
+                length = value.As<v8::ArrayBuffer>()->ByteLength();
+            } else if (value->IsArrayBufferView()) {
+                auto view = value.As<v8::ArrayBufferView>();
+                data = static_cast<const uint8_t *>(view->Buffer()->Data()) + view->ByteOffset();
+                length = view->ByteLength();
+            } else {
+                ThrowTypeError(isolate, context, value, what, "[ArrayBuffer] or [ArrayBufferView]");
+                return false;
+            }
+            if (length < type.type->size) {
+                ThrowRangeError(isolate, context, value, what);
+                return false;
+            }
+            std::memcpy(target, data, type.type->size);
+            return true;
+        }
+    }
+    return false;
+}
+
+v8::Local<v8::Value> FfiNativeToValue(v8::Isolate *isolate, const FfiValueType &type, const void *source, bool returnValue) {
+    switch (type.kind) {
+        case FfiKind::Void: return v8::Undefined(isolate);
+        case FfiKind::Int8: return IntegerToValue<int8_t>(isolate, source, returnValue);
+        case FfiKind::Uint8: return IntegerToValue<uint8_t>(isolate, source, returnValue);
+        case FfiKind::Int16: return IntegerToValue<int16_t>(isolate, source, returnValue);
+        case FfiKind::Uint16: return IntegerToValue<uint16_t>(isolate, source, returnValue);
+        case FfiKind::Int32: return IntegerToValue<int32_t>(isolate, source, returnValue);
+        case FfiKind::Uint32: return IntegerToValue<uint32_t>(isolate, source, returnValue);
+        case FfiKind::Int64: {
+            int64_t value;
+            std::memcpy(&value, source, sizeof(value));
+            return v8::BigInt::New(isolate, value);
+        }
+        case FfiKind::Uint64: {
+            uint64_t value;
+            std::memcpy(&value, source, sizeof(value));
+            return v8::BigInt::NewFromUnsigned(isolate, value);
+        }
+        case FfiKind::Float: {
+            float value;
+            std::memcpy(&value, source, sizeof(value));
+            return v8::Number::New(isolate, value);
+        }
+        case FfiKind::Double: {
+            double value;
+            std::memcpy(&value, source, sizeof(value));
+            return v8::Number::New(isolate, value);
+        }
+        case FfiKind::Pointer: {
+            void *value;
+            std::memcpy(&value, source, sizeof(value));
+            return v8::BigInt::NewFromUnsigned(isolate, reinterpret_cast<uintptr_t>(value));
+        }
+        case FfiKind::Struct: {
+            auto buffer = v8::ArrayBuffer::New(isolate, type.type->size);
+            std::memcpy(buffer->Data(), source, type.type->size);
+            return buffer;
+        }
+    }
+    return v8::Undefined(isolate);
+}
+
+void js_FfiSignature(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (!info.IsConstructCall()) {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToString(context, "Class constructor FfiSignature cannot be invoked without 'new'"));
+        isolate->ThrowException(v8::Exception::TypeError(message));
+        return;
+    }
+    if (info.Length() < 1) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 1);
+    }
+    auto signature = ReadFfiSignature(isolate, context, info[0]);
+    if (signature == nullptr) {
+        return;
+    }
+    auto holder = new SignatureHolder();
+    holder->signature = std::move(signature);
+    holder->object.Reset(isolate, info.This());
+    holder->object.SetWeak(holder, OnSignatureCollected, v8::WeakCallbackType::kParameter);
+    info.This()->SetAlignedPointerInInternalField(0, holder);
+    info.This()->SetAlignedPointerInInternalField(1, const_cast<char *>(&signatureTag));
+    {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "argumentCount"));
+        JS_EXECUTE_IGNORE(NOTHING, info.This()->DefineOwnProperty(context, name, v8::Integer::NewFromUnsigned(isolate, static_cast<uint32_t>(holder->signature->args.size())), JS_PROPERTY_ATTRIBUTE_CONSTANT));
+    }
+}
+
+/**
+ * ffiCall(address, signature, ...values): calls the function at address with the C calling convention of the platform.
+ */
+void js_FfiCall(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (info.Length() < 2) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 2);
+    }
+    uintptr_t address;
+    if (!ReadPointerArgument(info, 0, address) || !ValidateMappedRange(isolate, context, address, 1)) {
+        return;
+    }
+    auto signature = GetFfiSignature(isolate, context, info[1]);
+    if (signature == nullptr) {
+        return;
+    }
+    auto argCount = signature->args.size();
+    if (static_cast<size_t>(info.Length() - 2) != argCount) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, static_cast<int>(argCount + 2));
+    }
+    std::vector<std::unique_ptr<uint8_t[]>> storage;
+    std::vector<void *> values(argCount);
+    for (size_t i = 0; i < argCount; ++i) {
+        storage.push_back(std::make_unique<uint8_t[]>(GetFfiStorageSize(signature->args[i])));
+        values[i] = storage.back().get();
+        auto what = "argument " + std::to_string(i);
+        if (!FfiValueToNative(isolate, context, signature->args[i], info[static_cast<int>(i) + 2], values[i], false, what.c_str())) {
+            return;
+        }
+    }
+    auto result = std::make_unique<uint8_t[]>(GetFfiStorageSize(signature->returns));
+    {
+        FfiCallScope callScope;
+        ffi_call(&signature->cif, reinterpret_cast<void (*)()>(address), result.get(), values.data());
+        v8::Local<v8::Value> exception;
+        if (FfiCallScope::TakeException(isolate).ToLocal(&exception)) {
+            isolate->ThrowException(exception);
+            return;
+        }
+    }
+    info.GetReturnValue().Set(FfiNativeToValue(isolate, signature->returns, result.get(), true));
+}
+
+v8::Maybe<void> InitFfi(v8::Local<v8::Context> context, v8::Local<v8::Object> exports) {
+    auto isolate = context->GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto classTemplate = v8::FunctionTemplate::New(isolate, js_FfiSignature, v8::Local<v8::Value>(), v8::Local<v8::Signature>(), 1);
+    JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, className, ToString(context, "FfiSignature"));
+    classTemplate->SetClassName(className);
+    classTemplate->InstanceTemplate()->SetInternalFieldCount(2);
+    JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::Function, classFunction, classTemplate->GetFunction(context));
+    JS_EXECUTE_IGNORE(VOID_NOTHING, exports->DefineOwnProperty(context, className, classFunction, JS_PROPERTY_ATTRIBUTE_FROZEN));
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "ffiCall"));
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::Function, value, v8::Function::New(context, js_FfiCall, exports, 2, v8::ConstructorBehavior::kThrow));
+        JS_EXECUTE_IGNORE(VOID_NOTHING, exports->DefineOwnProperty(context, name, value, JS_PROPERTY_ATTRIBUTE_FROZEN));
+    }
+    return v8::JustVoid();
+}
@@ -0,0 +1,97 @@
+#ifndef FFI_H
+#define FFI_H
+
+#include <v8.h>
+#include <ffi.h>
+#include <cstddef>
+#include <memory>
+#include <vector>
+
+enum class FfiKind {
+    Void,
+    Int8,
+    Uint8,
+    Int16,
+    Uint16,
+    Int32,
+    Uint32,
+    Int64,
+    Uint64,
+    Float,
+    Double,
+    Pointer,
+    Struct
+};
+
+struct FfiValueType {
+    FfiKind kind;
+    ffi_type *type;
+};
+
+/**
+ * A prepared call interface, with the ffi_type of every struct it passes by value.
+ */
+struct FfiSignature {
+    ffi_cif cif;
+    FfiValueType returns;
+    std::vector<FfiValueType> args;
+    std::vector<ffi_type *> argTypes;
+    unsigned int fixedArgs;
+    bool variadic;
+    std::vector<std::unique_ptr<ffi_type>> structTypes;
+    std::vector<std::unique_ptr<std::vector<ffi_type *>>> structElements;
+};
+
+/**
+ * Reads a signature object: { returns: type, args: [type...], fixedArgs?: number }, where a type is a scalar type name
+ * or { struct: [type...] } with { array: type, length: number } members. Throws and returns nullptr on error.
+ */
+std::shared_ptr<FfiSignature> ReadFfiSignature(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Value> value);
+
+/**
+ * Returns the signature of an FfiSignature instance, or reads a signature object.
+ */
+std::shared_ptr<FfiSignature> GetFfiSignature(v8::Isolate *isolate, v8::Local<v8::Context> context, v8::Local<v8::Value> value);
+
+/**
+ * The storage needed for a value of the type: libffi widens integer return values to ffi_arg.
+ */
+size_t GetFfiStorageSize(const FfiValueType &type);
+
+/**
+ * Converts a JavaScript value to the native representation at target, or throws and returns false.
+ */
+bool FfiValueToNative(v8::Isolate *isolate, v8::Local<v8::Context> context, const FfiValueType &type, v8::Local<v8::Value> value, void *target, bool returnValue, const char *what);
+
+/**
+ * Converts a native value to JavaScript, reading integer return values as ffi_arg.
+ */
+v8::Local<v8::Value> FfiNativeToValue(v8::Isolate *isolate, const FfiValueType &type, const void *source, bool returnValue);
+
+/**
+ * Marks a synchronous ffiCall() on the current thread: an exception thrown by a callback during the call is kept and
+ * rethrown when the call returns, instead of being reported as uncaught.
+ */
+class FfiCallScope {
+public:
+    FfiCallScope();
+    ~FfiCallScope();
+    FfiCallScope(const FfiCallScope &) = delete;
+    FfiCallScope &operator=(const FfiCallScope &) = delete;
+
+    static bool IsActive();
+
+    /**
+     * Keeps the first exception thrown by a callback during the call.
+     */
+    static void SetException(v8::Isolate *isolate, v8::Local<v8::Value> exception);
+
+    /**
+     * Returns and clears the kept exception, if any.
+     */
+    static v8::MaybeLocal<v8::Value> TakeException(v8::Isolate *isolate);
+};
+
+v8::Maybe<void> InitFfi(v8::Local<v8::Context> context, v8::Local<v8::Object> exports);
+
+#endif // FFI_H
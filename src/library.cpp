@@ -0,0 +1,307 @@
+#include <v8.h>
+#include <node.h>
+#include "js-helper.h"
+#include "config.h"
+#include "library.h"
+#include <cstdint>
+#include <climits>
+#include <cerrno>
+#include <string>
+#include <string_view>
+#include <utility>
+
+#ifdef HAVE_DLFCN_H
+#include <dlfcn.h>
+#include <link.h>
+#endif
+
+#ifdef HAVE_UNISTD_H
+#include <unistd.h>
+#endif
+
+namespace {
+    struct LibraryHandle {
+        void *handle;
+        v8::Global<v8::Object> object;
+    };
+
+    void CloseHandle(LibraryHandle *library) {
+        if (library->handle != nullptr) {
+            dlclose(library->handle);
+            library->handle = nullptr;
+        }
+    }
+
+    void OnLibraryCollected(const v8::WeakCallbackInfo<LibraryHandle> &info) {
+        auto library = info.GetParameter();
+        library->object.Reset();
+        CloseHandle(library);
+        delete library;
+    }
+
+    void ThrowDlError(v8::Isolate *isolate, v8::Local<v8::Context> context, const char *fallback) {
+        const char *error = dlerror();
+        auto maybeMessage = ToString(context, error != nullptr ? error : fallback);
+        if (maybeMessage.IsEmpty()) {
+            return;
+        }
+        isolate->ThrowException(v8::Exception::Error(maybeMessage.ToLocalChecked()));
+    }
+
+    /**
+     * Returns the open handle of the receiver, or throws if the library is closed.
+     */
+    LibraryHandle *GetOpenHandle(const v8::FunctionCallbackInfo<v8::Value> &info) {
+        auto isolate = info.GetIsolate();
+        auto library = static_cast<LibraryHandle *>(info.This()->GetAlignedPointerFromInternalField(0));
+        if (library == nullptr || library->handle == nullptr) {
+            auto context = isolate->GetCurrentContext();
+            auto maybeMessage = ToString(context, "Library is closed");
+            if (!maybeMessage.IsEmpty()) {
+                isolate->ThrowException(v8::Exception::Error(maybeMessage.ToLocalChecked()));
+            }
+            return nullptr;
+        }
+        return library;
+    }
+}
+
+void js_Library(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (!info.IsConstructCall()) {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToString(context, "Class constructor Library cannot be invoked without 'new'"));
+        isolate->ThrowException(v8::Exception::TypeError(message));
+        return;
+    }
+    if (info.Length() < 1) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 1);
+    }
+    if (!info[0]->IsString() && !info[0]->IsNull()) {
+        JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 0, "[string] or null");
+    }
+    int flags = RTLD_NOW | RTLD_LOCAL;
+    if (info.Length() >= 2 && !info[1]->IsUndefined()) {
+        if (!info[1]->IsInt32()) {
+            JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 1, "[int32]");
+        }
+        flags = info[1].As<v8::Int32>()->Value();
+    }
+
+    void *handle;
+    dlerror();
+    if (info[0]->IsNull()) {
+        handle = dlopen(nullptr, flags);
+    } else {
+        v8::String::Utf8Value filename(isolate, info[0]);
+        handle = dlopen(*filename, flags);
+    }
+    if (handle == nullptr) {
+        ThrowDlError(isolate, context, "Unable to open library");
+        return;
+    }
+
+    auto library = new LibraryHandle();
+    library->handle = handle;
+    library->object.Reset(isolate, info.This());
+    library->object.SetWeak(library, OnLibraryCollected, v8::WeakCallbackType::kParameter);
+    info.This()->SetAlignedPointerInInternalField(0, library);
+    {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "filename"));
+        JS_EXECUTE_IGNORE(NOTHING, info.This()->DefineOwnProperty(context, name, info[0], JS_PROPERTY_ATTRIBUTE_CONSTANT));
+    }
+    {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "flags"));
+        JS_EXECUTE_IGNORE(NOTHING, info.This()->DefineOwnProperty(context, name, v8::Integer::New(isolate, flags), JS_PROPERTY_ATTRIBUTE_CONSTANT));
+    }
+}
+
+void js_Library_symbol(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    auto library = GetOpenHandle(info);
+    if (library == nullptr) {
+        return;
+    }
+    if (info.Length() < 1) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 1);
+    }
+    if (!info[0]->IsString()) {
+        JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 0, "[string]");
+    }
+    bool versioned = info.Length() >= 2 && !info[1]->IsUndefined() && !info[1]->IsNull();
+    if (versioned && !info[1]->IsString()) {
+        JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 1, "[string]");
+    }
+    v8::String::Utf8Value name(isolate, info[0]);
+    void *address;
+    dlerror();
+    if (versioned) {
+#ifdef HAVE_DLVSYM
+        v8::String::Utf8Value version(isolate, info[1]);
+        address = dlvsym(library->handle, *name, *version);
+#else
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToString(context, "Versioned symbols are not supported on this platform"));
+        isolate->ThrowException(v8::Exception::Error(message));
+        return;
+#endif
+    } else {
+        address = dlsym(library->handle, *name);
+    }
+    // A symbol can legitimately resolve to NULL (for example, an undefined weak symbol), only dlerror() tells.
+    const char *error = dlerror();
+    if (error != nullptr) {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToString(context, error));
+        isolate->ThrowException(v8::Exception::Error(message));
+        return;
+    }
+    info.GetReturnValue().Set(v8::BigInt::NewFromUnsigned(isolate, reinterpret_cast<uintptr_t>(address)));
+}
+
+void js_Library_linkMap(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    auto library = GetOpenHandle(info);
+    if (library == nullptr) {
+        return;
+    }
+#ifdef HAVE_DLINFO
+    struct link_map *map = nullptr;
+    dlerror();
+    if (dlinfo(library->handle, RTLD_DI_LINKMAP, &map) != 0 || map == nullptr) {
+        ThrowDlError(isolate, context, "Unable to get the link map");
+        return;
+    }
+    auto result = v8::Object::New(isolate);
+    {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "address"));
+        JS_EXECUTE_IGNORE(NOTHING, result->CreateDataProperty(context, name, v8::BigInt::NewFromUnsigned(isolate, static_cast<uint64_t>(map->l_addr))));
+    }
+    JS_DEFINE_STRING(NOTHING, context, result, "name", map->l_name != nullptr ? map->l_name : "");
+    {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "dynamic"));
+        JS_EXECUTE_IGNORE(NOTHING, result->CreateDataProperty(context, name, v8::BigInt::NewFromUnsigned(isolate, reinterpret_cast<uintptr_t>(map->l_ld))));
+    }
+    info.GetReturnValue().Set(result);
+#else
+    JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToString(context, "dlinfo() is not supported on this platform"));
+    isolate->ThrowException(v8::Exception::Error(message));
+#endif
+}
+
+void js_Library_origin(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    auto library = GetOpenHandle(info);
+    if (library == nullptr) {
+        return;
+    }
+#ifdef HAVE_DLINFO
+    struct link_map *map = nullptr;
+    dlerror();
+    if (dlinfo(library->handle, RTLD_DI_LINKMAP, &map) != 0 || map == nullptr) {
+        ThrowDlError(isolate, context, "Unable to get the origin");
+        return;
+    }
+    char origin[PATH_MAX + 1] = { 0 };
+    if (map->l_name == nullptr || map->l_name[0] == '\0') {
+        // The main program has no l_origin, for which glibc's RTLD_DI_ORIGIN copies from a null pointer.
+        auto length = readlink("/proc/self/exe", origin, PATH_MAX);
+        if (length < 0) {
+            isolate->ThrowException(node::ErrnoException(isolate, errno, "readlink"));
+            return;
+        }
+        // The directory of the executable, as $ORIGIN is expanded for it; "/" keeps its slash.
+        auto slash = std::string_view(origin, static_cast<size_t>(length)).rfind('/');
+        if (slash != std::string_view::npos) {
+            origin[slash == 0 ? 1 : slash] = '\0';
+        }
+    } else if (dlinfo(library->handle, RTLD_DI_ORIGIN, origin) != 0) {
+        ThrowDlError(isolate, context, "Unable to get the origin");
+        return;
+    }
+    JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, result, ToString(context, static_cast<const char *>(origin)));
+    info.GetReturnValue().Set(result);
+#else
+    JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToString(context, "dlinfo() is not supported on this platform"));
+    isolate->ThrowException(v8::Exception::Error(message));
+#endif
+}
+
+void js_Library_close(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    auto library = static_cast<LibraryHandle *>(info.This()->GetAlignedPointerFromInternalField(0));
+    if (library == nullptr || library->handle == nullptr) {
+        return;
+    }
+    dlerror();
+    auto handle = library->handle;
+    library->handle = nullptr;
+    if (dlclose(handle) != 0) {
+        ThrowDlError(isolate, context, "Unable to close library");
+    }
+}
+
+void js_Library_closed(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto library = static_cast<LibraryHandle *>(info.This()->GetAlignedPointerFromInternalField(0));
+    info.GetReturnValue().Set(library == nullptr || library->handle == nullptr);
+}
+
+v8::Maybe<void> InitLibrary(v8::Local<v8::Context> context, v8::Local<v8::Object> exports) {
+    auto isolate = context->GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto classTemplate = v8::FunctionTemplate::New(isolate, js_Library, v8::Local<v8::Value>(), v8::Local<v8::Signature>(), 1);
+    JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, className, ToString(context, "Library"));
+    classTemplate->SetClassName(className);
+    classTemplate->InstanceTemplate()->SetInternalFieldCount(1);
+    auto signature = v8::Signature::New(isolate, classTemplate);
+    auto prototype = classTemplate->PrototypeTemplate();
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "symbol"));
+        prototype->Set(name, v8::FunctionTemplate::New(isolate, js_Library_symbol, v8::Local<v8::Value>(), signature, 1, v8::ConstructorBehavior::kThrow), v8::DontEnum);
+    }
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "linkMap"));
+        prototype->Set(name, v8::FunctionTemplate::New(isolate, js_Library_linkMap, v8::Local<v8::Value>(), signature, 0, v8::ConstructorBehavior::kThrow), v8::DontEnum);
+    }
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "origin"));
+        prototype->Set(name, v8::FunctionTemplate::New(isolate, js_Library_origin, v8::Local<v8::Value>(), signature, 0, v8::ConstructorBehavior::kThrow), v8::DontEnum);
+    }
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "close"));
+        prototype->Set(name, v8::FunctionTemplate::New(isolate, js_Library_close, v8::Local<v8::Value>(), signature, 0, v8::ConstructorBehavior::kThrow), v8::DontEnum);
+    }
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "closed"));
+        prototype->SetAccessorProperty(name, v8::FunctionTemplate::New(isolate, js_Library_closed, v8::Local<v8::Value>(), signature, 0, v8::ConstructorBehavior::kThrow), v8::Local<v8::FunctionTemplate>(), v8::DontEnum);
+    }
+    const std::pair<const char *, int> constants[] = {
+        { "RTLD_LAZY", RTLD_LAZY },
+        { "RTLD_NOW", RTLD_NOW },
+        { "RTLD_GLOBAL", RTLD_GLOBAL },
+        { "RTLD_LOCAL", RTLD_LOCAL },
+#ifdef RTLD_NODELETE
+        { "RTLD_NODELETE", RTLD_NODELETE },
+#endif
+#ifdef RTLD_NOLOAD
+        { "RTLD_NOLOAD", RTLD_NOLOAD },
+#endif
+#ifdef RTLD_DEEPBIND
+        { "RTLD_DEEPBIND", RTLD_DEEPBIND },
+#endif
+    };
+    for (const auto &[constantName, constantValue] : constants) {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, constantName));
+        classTemplate->Set(name, v8::Integer::New(isolate, constantValue), JS_PROPERTY_ATTRIBUTE_CONSTANT);
+    }
+    JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::Function, classFunction, classTemplate->GetFunction(context));
+    JS_EXECUTE_IGNORE(VOID_NOTHING, exports->DefineOwnProperty(context, className, classFunction, JS_PROPERTY_ATTRIBUTE_FROZEN));
+    return v8::JustVoid();
+}
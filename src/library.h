@@ -0,0 +1,8 @@
+#ifndef LIBRARY_H
+#define LIBRARY_H
+
+#include <v8.h>
+
+v8::Maybe<void> InitLibrary(v8::Local<v8::Context> context, v8::Local<v8::Object> exports);
+
+#endif // LIBRARY_H
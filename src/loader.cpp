@@ -0,0 +1,64 @@
+#include <v8.h>
+#include <node.h>
+#include "js-helper.h"
+#include "config.h"
+#include "loader.h"
+#include "memory.h"
+#include <cstdint>
+#include <vector>
+
+#ifdef HAVE_UNISTD_H
+#include <unistd.h>
+#endif
+
+namespace {
+    using ImageFunction = void (*)(int, char **, char **);
+
+    char *emptyArguments[] = { nullptr };
+}
+
+/**
+ * Calls each address of an array as a DT_INIT/DT_INIT_ARRAY function: void (*)(int argc, char **argv, char **envp).
+ * DT_FINI/DT_FINI_ARRAY functions take no arguments, which the calling convention tolerates. Every address is checked
+ * before any function is called.
+ */
+void js_RunImageFunctions(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (info.Length() < 1) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 1);
+    }
+    if (!info[0]->IsArray()) {
+        JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 0, "[Array]");
+    }
+    auto array = info[0].As<v8::Array>();
+    std::vector<ImageFunction> functions;
+    functions.reserve(array->Length());
+    for (uint32_t i = 0; i < array->Length(); ++i) {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::Value, value, array->Get(context, i));
+        bool lossless = false;
+        auto address = value->IsBigInt() ? value.As<v8::BigInt>()->Uint64Value(&lossless) : 0;
+        if (!lossless || address > UINTPTR_MAX) {
+            JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToDetailString(context, "Invalid function address [", i, "]: ", value));
+            isolate->ThrowException(v8::Exception::TypeError(message));
+            return;
+        }
+        if (!ValidateMappedRange(isolate, context, static_cast<uintptr_t>(address), 1)) {
+            return;
+        }
+        functions.push_back(reinterpret_cast<ImageFunction>(static_cast<uintptr_t>(address)));
+    }
+    for (auto function : functions) {
+        function(0, emptyArguments, environ);
+    }
+}
+
+v8::Maybe<void> InitLoader(v8::Local<v8::Context> context, v8::Local<v8::Object> exports) {
+    auto isolate = context->GetIsolate();
+    v8::HandleScope scope(isolate);
+    JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "runImageFunctions"));
+    JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::Function, value, v8::Function::New(context, js_RunImageFunctions, exports, 1, v8::ConstructorBehavior::kThrow));
+    JS_EXECUTE_IGNORE(VOID_NOTHING, exports->DefineOwnProperty(context, name, value, JS_PROPERTY_ATTRIBUTE_FROZEN));
+    return v8::JustVoid();
+}
@@ -0,0 +1,8 @@
+#ifndef LOADER_H
+#define LOADER_H
+
+#include <v8.h>
+
+v8::Maybe<void> InitLoader(v8::Local<v8::Context> context, v8::Local<v8::Object> exports);
+
+#endif // LOADER_H
@@ -0,0 +1,641 @@
+import os from 'os';
+import { gnuHashOf, parseFile, sysvHashOf } from './elf.js';
+import { openByteSource } from './source.js';
+import {
+    getRelocationTypeName,
+    MachineTypes,
+    RelativeRelocationTypes,
+    RelocationTypes386,
+    RelocationTypesAArch64,
+    RelocationTypesARM,
+    RelocationTypesRISCV,
+    RelocationTypesX86_64
+} from './elf-relocations.js';
+import { Library, MemoryMapping, runImageFunctions } from './native.js';
+
+/**
+ * The images that are not unloaded. The init functions may have handed pointers into an image to native code, so its
+ * pages must outlive the LoadedImage object, until unload() is called.
+ * @type {Set<LoadedImage>}
+ */
+const loadedImages = new Set();
+
+/**
+ * A position-independent ELF image mapped by {@link loadImage}, outside the dynamic linker: it is not in the link map,
+ * and dlsym() cannot see its symbols.
+ */
+export class LoadedImage {
+    #mapping;
+    #file;
+    #base;
+    #image;
+
+    /**
+     * @param {MemoryMapping} mapping
+     * @param {object} file
+     * @param {bigint} base
+     */
+    constructor(mapping, file, base) {
+        this.#mapping = mapping;
+        this.#file = file;
+        this.#base = base;
+        this.#image = createImage(file, mapping, mapping.address - base);
+    }
+
+    /**
+     * The difference between the runtime addresses and the virtual addresses in the file.
+     * @type {bigint}
+     */
+    get base() {
+        return this.#base;
+    }
+
+    /**
+     * @type {MemoryMapping}
+     */
+    get mapping() {
+        return this.#mapping;
+    }
+
+    /**
+     * The image, as parsed by {@link parseFile}.
+     * @type {object}
+     */
+    get file() {
+        return this.#file;
+    }
+
+    /**
+     * Looks the symbol up through the DT_GNU_HASH or DT_HASH table of the image, which works without section headers.
+     * @param {string} name The symbol name, optionally with a version: `name@version` or `name@@version`.
+     * @returns {bigint|null} The runtime address of a symbol defined by the image, null after unload().
+     */
+    symbol(name) {
+        if (this.#mapping.unmapped) {
+            return null;
+        }
+        const symbol = lookupImageSymbol(this.#image, name);
+        return symbol == null ? null : symbolAddress(symbol, this.#base);
+    }
+
+    /**
+     * Releases the pages of the image. DT_FINI and DT_FINI_ARRAY functions are not called, as pointers into the image
+     * may still be held elsewhere.
+     */
+    unload() {
+        loadedImages.delete(this);
+        this.#mapping.unmap();
+    }
+}
+
+/**
+ * Maps a shared object into the current process: each PT_LOAD segment is copied at its virtual address relative to the
+ * base, the bss is left zero-filled, relocations are applied, the segments get the protection of p_flags and PT_GNU_RELRO
+ * becomes read-only, then DT_INIT and DT_INIT_ARRAY functions are called.
+ *
+ * Symbols are resolved first within the image (as with -Bsymbolic), then through the global namespace of the process
+ * and the DT_NEEDED libraries, which must already be loaded. An undefined weak symbol resolves to 0.
+ *
+ * TLS segments and IFUNC symbols are not supported.
+ *
+ * Unloading is manual: the image stays mapped, even when the returned object is no longer reachable, until
+ * {@link LoadedImage#unload} is called.
+ *
+ * @param {string|fs.FileHandle|ArrayBuffer|ArrayBufferView|ByteSource} input A filename, an open file or the file
+ * contents.
+ * @param {object} [options]
+ * @param {bigint} [options.address] The preferred address of the lowest segment.
+ * @param {Array<Library>} [options.libraries] Libraries to search for undefined symbols, instead of the DT_NEEDED ones.
+ * @returns {Promise<LoadedImage>}
+ */
+export async function loadImage(input, options = {}) {
+    const handle = await openByteSource(input);
+    try {
+        const file = await parseFile(handle);
+        checkCompatibility(file);
+        const segments = file.header.ph.filter(h => h.type === 1 && h.memsz > 0n);
+        if (segments.length === 0) {
+            throw new LoadError('The image has no PT_LOAD segments');
+        }
+        if (file.header.ph.some(h => h.type === 7)) {
+            throw new LoadError('Thread-local storage (PT_TLS) is not supported');
+        }
+        const pageSize = BigInt(MemoryMapping.PAGE_SIZE);
+        const start = alignDown(segments.reduce((min, h) => h.vaddr < min ? h.vaddr : min, segments[0].vaddr), pageSize);
+        const end = alignUp(segments.reduce((max, h) => h.vaddr + h.memsz > max ? h.vaddr + h.memsz : max, 0n), pageSize);
+
+        const mappingOptions = {};
+        if (options.address != null) {
+            mappingOptions.address = options.address;
+        }
+        const mapping = new MemoryMapping(Number(end - start), mappingOptions);
+        try {
+            const base = mapping.address - start;
+            const memory = new Uint8Array(mapping.buffer);
+            for (const segment of segments) {
+                const size = Number(segment.filesz);
+                const { bytesRead } = await handle.read(memory, Number(segment.vaddr - start), size, Number(segment.offset));
+                if (bytesRead < size) {
+                    throw new LoadError(`Insufficient data for the segment at offset ${segment.offset}`);
+                }
+            }
+            const libraries = options.libraries ?? openDependencies(file);
+            applyRelocations(createImage(file, mapping, start), base, libraries);
+            protectSegments(file, mapping, start, pageSize);
+
+            const functions = [];
+            if (file.dynamic?.init != null) {
+                functions.push(base + file.dynamic.init);
+            }
+            const initArray = file.dynamic?.initArray;
+            if (initArray != null && initArray.size != null) {
+                const view = new DataView(mapping.buffer);
+                const wordSize = BigInt(file.info.wordSize);
+                for (let address = initArray.address; address < initArray.address + initArray.size; address += wordSize) {
+                    const entry = readWord(view, file.info, Number(address - start));
+                    // 0 and -1 are placeholders, which the dynamic linker skips as well.
+                    if (entry !== 0n && entry !== file.info.maxPointerValue) {
+                        functions.push(entry);
+                    }
+                }
+            }
+            runImageFunctions(functions);
+            const image = new LoadedImage(mapping, file, base);
+            loadedImages.add(image);
+            return image;
+        } catch (e) {
+            mapping.unmap();
+            throw e;
+        }
+    } finally {
+        if (handle !== input) {
+            await handle.close();
+        }
+    }
+}
+
+export class LoadError extends Error {
+}
+
+const hostMachines = {
+    ia32: MachineTypes.EM_386,
+    arm: MachineTypes.EM_ARM,
+    x64: MachineTypes.EM_X86_64,
+    arm64: MachineTypes.EM_AARCH64,
+    riscv64: MachineTypes.EM_RISCV
+};
+
+/**
+ * Computes the relocated value from S (the symbol address), A (the addend), B (the base) and P (the place), and the
+ * number of bytes it occupies at the place. Absent types are not supported. A field narrower than the addresses has
+ * an `overflow` check: the value must fit as a `signed` or an `unsigned` number, or as either of them (`bitfield`).
+ */
+const relocationKinds = {
+    [MachineTypes.EM_X86_64]: {
+        [RelocationTypesX86_64.R_X86_64_64]: { size: 8, value: ({ S, A }) => S + A },
+        [RelocationTypesX86_64.R_X86_64_PC32]: { size: 4, overflow: 'signed', value: ({ S, A, P }) => S + A - P },
+        [RelocationTypesX86_64.R_X86_64_GLOB_DAT]: { size: 8, value: ({ S }) => S },
+        [RelocationTypesX86_64.R_X86_64_JUMP_SLOT]: { size: 8, value: ({ S }) => S },
+        [RelocationTypesX86_64.R_X86_64_RELATIVE]: { size: 8, value: ({ B, A }) => B + A },
+        [RelocationTypesX86_64.R_X86_64_32]: { size: 4, overflow: 'unsigned', value: ({ S, A }) => S + A },
+        [RelocationTypesX86_64.R_X86_64_32S]: { size: 4, overflow: 'signed', value: ({ S, A }) => S + A },
+        [RelocationTypesX86_64.R_X86_64_PC64]: { size: 8, value: ({ S, A, P }) => S + A - P },
+        [RelocationTypesX86_64.R_X86_64_RELATIVE64]: { size: 8, value: ({ B, A }) => B + A }
+    },
+    [MachineTypes.EM_386]: {
+        [RelocationTypes386.R_386_32]: { size: 4, value: ({ S, A }) => S + A },
+        [RelocationTypes386.R_386_PC32]: { size: 4, value: ({ S, A, P }) => S + A - P },
+        [RelocationTypes386.R_386_GLOB_DAT]: { size: 4, value: ({ S }) => S },
+        [RelocationTypes386.R_386_JMP_SLOT]: { size: 4, value: ({ S }) => S },
+        [RelocationTypes386.R_386_RELATIVE]: { size: 4, value: ({ B, A }) => B + A }
+    },
+    [MachineTypes.EM_AARCH64]: {
+        [RelocationTypesAArch64.R_AARCH64_ABS64]: { size: 8, value: ({ S, A }) => S + A },
+        [RelocationTypesAArch64.R_AARCH64_GLOB_DAT]: { size: 8, value: ({ S, A }) => S + A },
+        [RelocationTypesAArch64.R_AARCH64_JUMP_SLOT]: { size: 8, value: ({ S, A }) => S + A },
+        [RelocationTypesAArch64.R_AARCH64_RELATIVE]: { size: 8, value: ({ B, A }) => B + A }
+    },
+    [MachineTypes.EM_ARM]: {
+        [RelocationTypesARM.R_ARM_ABS32]: { size: 4, value: ({ S, A }) => S + A },
+        [RelocationTypesARM.R_ARM_GLOB_DAT]: { size: 4, value: ({ S }) => S },
+        [RelocationTypesARM.R_ARM_JUMP_SLOT]: { size: 4, value: ({ S }) => S },
+        [RelocationTypesARM.R_ARM_RELATIVE]: { size: 4, value: ({ B, A }) => B + A }
+    },
+    [MachineTypes.EM_RISCV]: {
+        [RelocationTypesRISCV.R_RISCV_32]: { size: 4, overflow: 'bitfield', value: ({ S, A }) => S + A },
+        [RelocationTypesRISCV.R_RISCV_64]: { size: 8, value: ({ S, A }) => S + A },
+        [RelocationTypesRISCV.R_RISCV_RELATIVE]: { size: 8, value: ({ B, A }) => B + A },
+        [RelocationTypesRISCV.R_RISCV_JUMP_SLOT]: { size: 8, value: ({ S }) => S }
+    }
+};
+
+function checkCompatibility(file) {
+    if (file.header.e.type !== 3) {
+        throw new LoadError('Only shared objects (ET_DYN) can be loaded');
+    }
+    if (file.header.e.machine !== hostMachines[process.arch]) {
+        throw new LoadError(`The image machine ${file.header.e.machine} does not match the host architecture ${process.arch}`);
+    }
+    if (file.info.wordSize * 8 !== (process.arch === 'ia32' || process.arch === 'arm' ? 32 : 64)) {
+        throw new LoadError(`The image word size does not match the host architecture ${process.arch}`);
+    }
+    if (file.info.littleEndian !== (os.endianness() === 'LE')) {
+        throw new LoadError('The image byte order does not match the host');
+    }
+}
+
+/**
+ * @returns {Array<Library>} The global namespace, followed by the DT_NEEDED libraries already loaded in the process.
+ */
+function openDependencies(file) {
+    const libraries = [new Library(null)];
+    for (const name of file.dynamic?.needed ?? []) {
+        try {
+            libraries.push(new Library(name, Library.RTLD_NOW | Library.RTLD_LOCAL | Library.RTLD_NOLOAD));
+        } catch {
+            // Not loaded, the global namespace might still define the symbols.
+        }
+    }
+    return libraries;
+}
+
+/**
+ * @returns {{file: object, view: DataView, start: bigint, versions: Map<number, string>|null}} The mapped image, as
+ * read by the functions below: `start` is the virtual address at the start of the mapping.
+ */
+function createImage(file, mapping, start) {
+    return { file, view: new DataView(mapping.buffer), start, versions: null };
+}
+
+function applyRelocations(image, base, libraries) {
+    const { file, view, start } = image;
+    const kinds = relocationKinds[file.header.e.machine];
+    const resolved = new Map();
+    for (const relocation of readDynamicRelocations(image)) {
+        const kind = kinds[relocation.type];
+        if (kind == null) {
+            throw new LoadError(`Relocation ${getRelocationTypeName(file.header.e.machine, relocation.type) ?? relocation.type} at 0x${relocation.offset.toString(16)} is not supported`);
+        }
+        const place = Number(relocation.offset - start);
+        if (place < 0 || place + kind.size > view.byteLength) {
+            throw new LoadError(`Relocation at 0x${relocation.offset.toString(16)} is outside of the image`);
+        }
+        let S = 0n;
+        if (relocation.symbol !== 0) {
+            if (!resolved.has(relocation.symbol)) {
+                resolved.set(relocation.symbol, resolveSymbol(image, readImageSymbol(image, relocation.symbol), base, libraries));
+            }
+            S = resolved.get(relocation.symbol);
+        }
+        // DT_REL and DT_RELR store the addend at the place.
+        const A = relocation.addend ?? readValue(view, file.info, place, kind.size);
+        const value = kind.value({ S, A, B: base, P: base + relocation.offset });
+        if (kind.overflow != null && !fitsField(value, kind.size * 8, kind.overflow)) {
+            throw new LoadError(`Relocation ${getRelocationTypeName(file.header.e.machine, relocation.type) ?? relocation.type} at 0x${relocation.offset.toString(16)}: value ${value < 0n ? '-' : ''}0x${(value < 0n ? -value : value).toString(16)} does not fit in ${kind.size * 8} bits`);
+        }
+        writeValue(view, file.info, place, kind.size, value);
+    }
+}
+
+/**
+ * Reads the relocations the way the dynamic linker does: through DT_RELR, DT_REL, DT_RELA and DT_JMPREL, from the
+ * mapped image, so that images with stripped section headers are relocated as well.
+ * @returns {Array<{offset: bigint, type: number, symbol: number, addend: bigint|null}>}
+ */
+function readDynamicRelocations(image) {
+    const { file, view } = image;
+    const { info, dynamic } = file;
+    const relocations = [];
+    if (dynamic == null) {
+        return relocations;
+    }
+    const wordSize = info.wordSize;
+    if (dynamic.relr != null) {
+        const [place, size] = getImageTable(image, dynamic.relr, 'DT_RELR');
+        const type = RelativeRelocationTypes[file.header.e.machine];
+        const wordBits = BigInt(wordSize * 8);
+        let next = 0n;
+        // An even entry is an address to relocate, an odd one a bitmap of the words that follow the last address.
+        for (let ptr = place; ptr + wordSize <= place + size; ptr += wordSize) {
+            const entry = readWord(view, info, ptr);
+            if ((entry & 1n) === 0n) {
+                relocations.push({ offset: entry, type, symbol: 0, addend: null });
+                next = entry + BigInt(wordSize);
+            } else {
+                for (let bit = 1n; bit < wordBits; ++bit) {
+                    if ((entry >> bit & 1n) !== 0n) {
+                        relocations.push({ offset: next + (bit - 1n) * BigInt(wordSize), type, symbol: 0, addend: null });
+                    }
+                }
+                next += (wordBits - 1n) * BigInt(wordSize);
+            }
+        }
+    }
+    const tables = [[dynamic.rel, false, 'DT_REL'], [dynamic.rela, true, 'DT_RELA']];
+    if (dynamic.jmprel != null) {
+        if (dynamic.jmprel.type !== 'DT_REL' && dynamic.jmprel.type !== 'DT_RELA') {
+            throw new LoadError('DT_PLTREL is neither DT_REL nor DT_RELA');
+        }
+        const withAddend = dynamic.jmprel.type === 'DT_RELA';
+        const table = withAddend ? dynamic.rela : dynamic.rel;
+        // Some linkers count the PLT relocations in DT_RELASZ (or DT_RELSZ) as well, they must not be applied twice.
+        const included = table?.size != null && dynamic.jmprel.size != null && dynamic.jmprel.address >= table.address && dynamic.jmprel.address + dynamic.jmprel.size <= table.address + table.size;
+        if (!included) {
+            tables.push([dynamic.jmprel, withAddend, 'DT_JMPREL']);
+        }
+    }
+    for (const [table, withAddend, name] of tables) {
+        if (table == null) {
+            continue;
+        }
+        const [place, size] = getImageTable(image, table, name);
+        const entrySize = Number(table.entrySize ?? BigInt(wordSize * (withAddend ? 3 : 2)));
+        for (let ptr = place; ptr + entrySize <= place + size; ptr += entrySize) {
+            const relocationInfo = readWord(view, info, ptr + wordSize);
+            relocations.push({
+                offset: readWord(view, info, ptr),
+                // ELF64 splits r_info into 32-bit symbol and type, ELF32 into 24-bit symbol and 8-bit type.
+                type: Number(info.bit64 ? relocationInfo & 0xFFFFFFFFn : relocationInfo & 0xFFn),
+                symbol: Number(info.bit64 ? relocationInfo >> 32n : relocationInfo >> 8n),
+                addend: withAddend ? BigInt.asIntN(wordSize * 8, readWord(view, info, ptr + wordSize * 2)) : null
+            });
+        }
+    }
+    return relocations;
+}
+
+/**
+ * Reads a DT_SYMTAB entry of the mapped image, with its name from DT_STRTAB and its version from DT_VERSYM.
+ */
+function readImageSymbol(image, index) {
+    const { file, view } = image;
+    const { info, dynamic } = file;
+    if (dynamic.symtab == null) {
+        throw new LoadError('The image has symbol relocations, but no DT_SYMTAB');
+    }
+    const entrySize = Number(dynamic.symtab.entrySize ?? BigInt(4 + 1 + 1 + 2 + info.wordSize * 2));
+    let ptr = getImagePlace(image, dynamic.symtab.address + BigInt(index * entrySize), entrySize, `DT_SYMTAB entry ${index}`);
+    const symbol = Object.create(null);
+    const name = view.getUint32(ptr, info.littleEndian);
+    if (info.bit64) {
+        symbol.info = view.getUint8(ptr + 4);
+        symbol.shndx = view.getUint16(ptr + 6, info.littleEndian);
+        symbol.value = view.getBigUint64(ptr + 8, info.littleEndian);
+    } else {
+        symbol.value = BigInt(view.getUint32(ptr + 4, info.littleEndian));
+        symbol.info = view.getUint8(ptr + 12);
+        symbol.shndx = view.getUint16(ptr + 14, info.littleEndian);
+    }
+    symbol._name = readImageString(image, name);
+    symbol._version = null;
+    if (dynamic.versym != null) {
+        ptr = getImagePlace(image, dynamic.versym + BigInt(index * 2), 2, `DT_VERSYM entry ${index}`);
+        const value = view.getUint16(ptr, info.littleEndian);
+        symbol._version = Object.create(null);
+        symbol._version.index = value & 0x7FFF;
+        symbol._version.hidden = (value & 0x8000) !== 0;
+        symbol._version.name = symbol._version.index > 1 ? getImageVersionNames(image).get(symbol._version.index) ?? null : null;
+    }
+    return symbol;
+}
+
+/**
+ * Finds a defined symbol of the mapped image through DT_GNU_HASH or DT_HASH, as lookupSymbol() does in a file.
+ * @param {string} name Symbol name, optionally versioned as `name@version` or `name@@version`.
+ * @returns {object|null}
+ */
+function lookupImageSymbol(image, name) {
+    let symbolName = name, versionName = null, defaultOnly = false;
+    const at = name.indexOf('@');
+    if (at >= 0) {
+        symbolName = name.substring(0, at);
+        defaultOnly = name.startsWith('@@', at);
+        versionName = name.substring(at + (defaultOnly ? 2 : 1));
+    }
+    for (const index of walkImageHash(image, symbolName)) {
+        const symbol = readImageSymbol(image, index);
+        if (symbol.shndx === 0 || symbol.info >> 4 === 0 || symbol._name !== symbolName) {
+            continue;
+        }
+        const version = symbol._version;
+        if (versionName != null ? version?.name !== versionName || (defaultOnly && version.hidden) : version?.hidden) {
+            continue;
+        }
+        return symbol;
+    }
+    return null;
+}
+
+/**
+ * @returns {Iterable<number>} The DT_SYMTAB indexes in the hash chain of the name.
+ */
+function* walkImageHash(image, name) {
+    const { file: { info, dynamic }, view } = image;
+    const readUint32 = (address, what) => view.getUint32(getImagePlace(image, address, 4, what), info.littleEndian);
+    if (dynamic.gnuHash != null) {
+        const hash = gnuHashOf(name);
+        const bucketCount = readUint32(dynamic.gnuHash, 'DT_GNU_HASH');
+        const symbolOffset = readUint32(dynamic.gnuHash + 4n, 'DT_GNU_HASH');
+        const bloomSize = readUint32(dynamic.gnuHash + 8n, 'DT_GNU_HASH');
+        if (bucketCount === 0) {
+            return;
+        }
+        const buckets = dynamic.gnuHash + 16n + BigInt(bloomSize * info.wordSize);
+        const chain = buckets + BigInt(bucketCount * 4);
+        for (let index = readUint32(buckets + BigInt(hash % bucketCount * 4), 'DT_GNU_HASH bucket'); index >= symbolOffset && index !== 0; ++index) {
+            const value = readUint32(chain + BigInt((index - symbolOffset) * 4), 'DT_GNU_HASH chain');
+            // The low bit ends the chain, the other bits are the hash.
+            if (((value ^ hash) >>> 1) === 0) {
+                yield index;
+            }
+            if ((value & 1) !== 0) {
+                return;
+            }
+        }
+    } else if (dynamic.hash != null) {
+        const hash = sysvHashOf(name);
+        const bucketCount = readUint32(dynamic.hash, 'DT_HASH');
+        const chainCount = readUint32(dynamic.hash + 4n, 'DT_HASH');
+        if (bucketCount === 0) {
+            return;
+        }
+        const chain = dynamic.hash + 8n + BigInt(bucketCount * 4);
+        for (let index = readUint32(dynamic.hash + 8n + BigInt(hash % bucketCount * 4), 'DT_HASH bucket'); index !== 0; index = readUint32(chain + BigInt(index * 4), 'DT_HASH chain')) {
+            if (index >= chainCount) {
+                throw new LoadError(`DT_HASH: chain index ${index} out of the bounds of ${chainCount}`);
+            }
+            yield index;
+        }
+    } else {
+        throw new LoadError('The image has no DT_GNU_HASH or DT_HASH');
+    }
+}
+
+/**
+ * @returns {Map<number, string>} The version names by their DT_VERSYM index, from DT_VERDEF and DT_VERNEED.
+ */
+function getImageVersionNames(image) {
+    if (image.versions != null) {
+        return image.versions;
+    }
+    const { file: { info, dynamic }, view } = image;
+    const versions = image.versions = new Map();
+    let address = dynamic.verdef?.address;
+    for (let i = 0; address != null && i < dynamic.verdef.count; ++i) {
+        const ptr = getImagePlace(image, address, 20, 'DT_VERDEF entry');
+        // The base definition (VER_FLG_BASE) names the file, not a version.
+        if ((view.getUint16(ptr + 2, info.littleEndian) & 0x1) === 0) {
+            const aux = getImagePlace(image, address + BigInt(view.getUint32(ptr + 12, info.littleEndian)), 8, 'DT_VERDEF auxiliary entry');
+            versions.set(view.getUint16(ptr + 4, info.littleEndian), readImageString(image, view.getUint32(aux, info.littleEndian)));
+        }
+        const next = view.getUint32(ptr + 16, info.littleEndian);
+        address = next === 0 ? null : address + BigInt(next);
+    }
+    address = dynamic.verneed?.address;
+    for (let i = 0; address != null && i < dynamic.verneed.count; ++i) {
+        const ptr = getImagePlace(image, address, 16, 'DT_VERNEED entry');
+        let auxAddress = address + BigInt(view.getUint32(ptr + 8, info.littleEndian));
+        for (let j = view.getUint16(ptr + 2, info.littleEndian); j > 0; --j) {
+            const aux = getImagePlace(image, auxAddress, 16, 'DT_VERNEED auxiliary entry');
+            versions.set(view.getUint16(aux + 6, info.littleEndian), readImageString(image, view.getUint32(aux + 8, info.littleEndian)));
+            auxAddress += BigInt(view.getUint32(aux + 12, info.littleEndian));
+        }
+        const next = view.getUint32(ptr + 12, info.littleEndian);
+        address = next === 0 ? null : address + BigInt(next);
+    }
+    return versions;
+}
+
+function readImageString(image, offset) {
+    const [place, size] = getImageTable(image, image.file.dynamic.strtab, 'DT_STRTAB');
+    const strings = new Uint8Array(image.view.buffer, place, size);
+    const end = strings.indexOf(0, offset);
+    if (offset >= size || end < 0) {
+        throw new LoadError(`DT_STRTAB: string offset ${offset} out of the bounds of ${size}`);
+    }
+    return Buffer.from(strings.buffer, place + offset, end - offset).toString();
+}
+
+/**
+ * @returns {[number, number]} The offset in the mapping and the size of a table the dynamic entries point to.
+ */
+function getImageTable(image, table, name) {
+    if (table?.size == null) {
+        throw new LoadError(`${name} has no size`);
+    }
+    return [getImagePlace(image, table.address, Number(table.size), name), Number(table.size)];
+}
+
+function getImagePlace(image, address, size, what) {
+    const place = Number(address - image.start);
+    if (place < 0 || place + size > image.view.byteLength) {
+        throw new LoadError(`${what} at 0x${address.toString(16)} is outside of the image`);
+    }
+    return place;
+}
+
+function resolveSymbol(image, symbol, base, libraries) {
+    const type = symbol.info & 0xF;
+    const bind = symbol.info >> 4;
+    if (type === 10) {
+        throw new LoadError(`Symbol ${symbol._name}: STT_GNU_IFUNC is not supported`);
+    }
+    if (type === 6) {
+        throw new LoadError(`Symbol ${symbol._name}: STT_TLS is not supported`);
+    }
+    if (symbol.shndx !== 0) {
+        return symbolAddress(symbol, base);
+    }
+    const version = symbol._version?.name ?? null;
+    const definition = lookupImageSymbol(image, version == null ? symbol._name : `${symbol._name}@${version}`);
+    if (definition != null) {
+        return symbolAddress(definition, base);
+    }
+    for (const library of libraries) {
+        try {
+            return library.symbol(symbol._name, version ?? undefined);
+        } catch {
+            // Not defined by this library.
+        }
+    }
+    if (bind === 2) {
+        return 0n;
+    }
+    throw new LoadError(`Undefined symbol: ${symbol._name}${version == null ? '' : `@${version}`}`);
+}
+
+function symbolAddress(symbol, base) {
+    // SHN_ABS symbols are not relative to the image.
+    return symbol.shndx === 0xFFF1 ? symbol.value : base + symbol.value;
+}
+
+/**
+ * Applies p_flags to the pages of each PT_LOAD segment, joining the protections of pages shared by two segments. Pages
+ * between the segments are inaccessible, and PT_GNU_RELRO pages are made read-only after the relocations.
+ */
+function protectSegments(file, mapping, start, pageSize) {
+    const pages = new Uint8Array(mapping.length / MemoryMapping.PAGE_SIZE);
+    const pageRange = (address, size) => [Number((alignDown(address, pageSize) - start) / pageSize), Number((alignUp(address + size, pageSize) - start) / pageSize)];
+    for (const segment of file.header.ph) {
+        if (segment.type !== 1 || segment.memsz === 0n) {
+            continue;
+        }
+        let protection = MemoryMapping.PROT_NONE;
+        protection |= (segment.flags & 4) !== 0 ? MemoryMapping.PROT_READ : 0;
+        protection |= (segment.flags & 2) !== 0 ? MemoryMapping.PROT_WRITE : 0;
+        protection |= (segment.flags & 1) !== 0 ? MemoryMapping.PROT_EXEC : 0;
+        const [first, last] = pageRange(segment.vaddr, segment.memsz);
+        for (let page = first; page < last; ++page) {
+            pages[page] |= protection;
+        }
+    }
+    for (const segment of file.header.ph) {
+        // PT_GNU_RELRO: only whole pages, the end of the last one may still be writable data.
+        if (segment.type !== 0x6474E552) {
+            continue;
+        }
+        const first = Number((alignUp(segment.vaddr, pageSize) - start) / pageSize);
+        const last = Number((alignDown(segment.vaddr + segment.memsz, pageSize) - start) / pageSize);
+        for (let page = first; page < last; ++page) {
+            pages[page] &= ~MemoryMapping.PROT_WRITE;
+        }
+    }
+    for (let first = 0; first < pages.length;) {
+        let last = first + 1;
+        while (last < pages.length && pages[last] === pages[first]) {
+            ++last;
+        }
+        mapping.protect(pages[first], first * MemoryMapping.PAGE_SIZE, (last - first) * MemoryMapping.PAGE_SIZE);
+        first = last;
+    }
+}
+
+function readWord(view, info, offset) {
+    return readValue(view, info, offset, info.wordSize);
+}
+
+function readValue(view, info, offset, size) {
+    return size === 8 ? view.getBigUint64(offset, info.littleEndian) : BigInt(view.getUint32(offset, info.littleEndian));
+}
+
+function writeValue(view, info, offset, size, value) {
+    if (size === 8) {
+        view.setBigUint64(offset, BigInt.asUintN(64, value), info.littleEndian);
+    } else {
+        view.setUint32(offset, Number(BigInt.asUintN(32, value)), info.littleEndian);
+    }
+}
+
+function fitsField(value, bits, overflow) {
+    const signed = BigInt.asIntN(bits, value) === value;
+    const unsigned = BigInt.asUintN(bits, value) === value;
+    return overflow === 'signed' ? signed : overflow === 'unsigned' ? unsigned : signed || unsigned;
+}
+
+function alignDown(value, alignment) {
+    return value - value % alignment;
+}
+
+function alignUp(value, alignment) {
+    return alignDown(value + alignment - 1n, alignment);
+}
@@ -2,6 +2,15 @@
 #include <node.h>
 #include "js-helper.h"
 #include "config.h"
+#include "library.h"
+#include "memory.h"
+#include "mapping.h"
+#include "loader.h"
+#include "modules.h"
+#ifdef HAVE_LIBFFI
+#include "ffi.h"
+#include "callback.h"
+#endif
 #include <cstdint>
 
 #ifdef HAVE_UNISTD_H
@@ -26,33 +35,23 @@ void js_IsValidPointer(const v8::FunctionCallbackInfo<v8::Value> &info) {
     if (!info[0]->IsBigInt()) {
         JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 0, "[bigint]");
     }
-    bool lossless;
-    auto ptrJsValue = info[0].As<v8::BigInt>()->Uint64Value(&lossless);
-    if (!lossless || ptrJsValue > UINTPTR_MAX) {
-        auto maxValue = v8::BigInt::NewFromUnsigned(isolate, UINTPTR_MAX);
-        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToDetailString(context, "Pointer value overflow: ", info[0], " > ", maxValue.As<v8::Value>(), ""));
-        isolate->ThrowException(v8::Exception::RangeError(message));
+    uintptr_t address;
+    if (!ReadPointerArgument(info, 0, address)) {
         return;
     }
-    if (ptrJsValue == 0) {
+    if (address == 0) {
         info.GetReturnValue().Set(false);
         return;
     }
 
 #if defined(HAVE_MINCORE) && defined(HAVE_SYSCONF) && defined(HAVE_SYSCONF_SC_PAGESIZE)
-    errno = 0;
-    auto pageSize = sysconf(_SC_PAGESIZE);
-    auto mask = ~(pageSize - 1);
-    unsigned char ignored;
-    info.GetReturnValue().Set(true);
-    if (mincore(reinterpret_cast<void *>(ptrJsValue & mask), pageSize, &ignored) < 0) {
-        if (errno != ENOMEM) {
-            JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToDetailString(context, "Unable to validate pointer value"));
-            isolate->ThrowException(v8::Exception::Error(message));
-            return;
-        }
-        info.GetReturnValue().Set(false);
+    auto error = CheckMappedRange(address, 1);
+    if (error != 0 && error != ENOMEM) {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToDetailString(context, "Unable to validate pointer value"));
+        isolate->ThrowException(v8::Exception::Error(message));
+        return;
     }
+    info.GetReturnValue().Set(error == 0);
 #elif defined(HAVE_VIRTUAL_QUERY)
     JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToDetailString(context, "[Win32]: Not implemented"));
     isolate->ThrowException(v8::Exception::Error(message));
@@ -85,4 +84,21 @@ NODE_MODULE_INIT() {
         JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::Function, value, v8::Function::New(context, js_IsValidPointer, exports, 1, v8::ConstructorBehavior::kThrow));
         JS_EXECUTE_IGNORE(NOTHING, exports->DefineOwnProperty(context, name, value, JS_PROPERTY_ATTRIBUTE_FROZEN));
     }
+#if defined(HAVE_DLOPEN) && defined(HAVE_DLCLOSE) && defined(HAVE_DLSYM)
+    JS_EXECUTE_IGNORE(NOTHING, InitLibrary(context, exports));
+#endif
+#ifdef HAVE_DL_ITERATE_PHDR
+    JS_EXECUTE_IGNORE(NOTHING, InitModules(context, exports));
+#endif
+#ifdef HAVE_LIBFFI
+    JS_EXECUTE_IGNORE(NOTHING, InitFfi(context, exports));
+    JS_EXECUTE_IGNORE(NOTHING, InitCallback(context, exports));
+#endif
+#if defined(HAVE_MINCORE) && defined(HAVE_SYSCONF) && defined(HAVE_SYSCONF_SC_PAGESIZE)
+    JS_EXECUTE_IGNORE(NOTHING, InitMemory(context, exports));
+    JS_EXECUTE_IGNORE(NOTHING, InitLoader(context, exports));
+#endif
+#if defined(HAVE_MMAP) && defined(HAVE_MUNMAP) && defined(HAVE_MLOCK) && defined(HAVE_MUNLOCK)
+    JS_EXECUTE_IGNORE(NOTHING, InitMapping(context, exports));
+#endif
 }
\ No newline at end of file
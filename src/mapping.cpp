@@ -0,0 +1,535 @@
+#include <v8.h>
+#include <node.h>
+#include "js-helper.h"
+#include "config.h"
+#include "mapping.h"
+#include <atomic>
+#include <cerrno>
+#include <cmath>
+#include <cstdint>
+#include <utility>
+#include <vector>
+
+#ifdef HAVE_UNISTD_H
+#include <unistd.h>
+#endif
+
+#ifdef HAVE_SYS_MMAN_H
+#include <sys/mman.h>
+#endif
+
+namespace {
+    /**
+     * The mapping is shared by the MemoryMapping object and the backing store of its ArrayBuffer. The pages are
+     * released by unmap(), or when both of them are collected, whichever comes first.
+     */
+    struct MappingHandle {
+        void *address;
+        size_t length;
+        // Only the pages of an anonymous private mapping can be replaced by commit() and decommit().
+        bool anonymousPrivate;
+        // The protection of each page, as set through the MemoryMapping object.
+        std::vector<int> pages;
+        std::atomic<int> references;
+        v8::Global<v8::Object> object;
+        v8::Global<v8::ArrayBuffer> buffer;
+    };
+
+    void ReleaseHandle(MappingHandle *mapping) {
+        if (--mapping->references == 0) {
+            if (mapping->address != nullptr) {
+                munmap(mapping->address, mapping->length);
+            }
+            delete mapping;
+        }
+    }
+
+    void OnBackingStoreDeleted(void *, size_t, void *deleterData) {
+        ReleaseHandle(static_cast<MappingHandle *>(deleterData));
+    }
+
+    void OnMappingCollected(const v8::WeakCallbackInfo<MappingHandle> &info) {
+        auto mapping = info.GetParameter();
+        mapping->object.Reset();
+        mapping->buffer.Reset();
+        ReleaseHandle(mapping);
+    }
+
+    size_t GetPageSize() {
+        return static_cast<size_t>(sysconf(_SC_PAGESIZE));
+    }
+
+    /**
+     * Returns the mapping of the receiver, or throws if it is unmapped.
+     */
+    MappingHandle *GetMappedHandle(const v8::FunctionCallbackInfo<v8::Value> &info) {
+        auto isolate = info.GetIsolate();
+        auto mapping = static_cast<MappingHandle *>(info.This()->GetAlignedPointerFromInternalField(0));
+        if (mapping == nullptr || mapping->address == nullptr) {
+            auto context = isolate->GetCurrentContext();
+            auto maybeMessage = ToString(context, "Memory mapping is unmapped");
+            if (!maybeMessage.IsEmpty()) {
+                isolate->ThrowException(v8::Exception::Error(maybeMessage.ToLocalChecked()));
+            }
+            return nullptr;
+        }
+        return mapping;
+    }
+
+    /**
+     * Returns the mapping of the receiver, or throws if it is unmapped or not an anonymous private mapping. The pages
+     * of a file or a shared mapping would be replaced by private zero-filled pages, detached from the file or from the
+     * other processes.
+     */
+    MappingHandle *GetAnonymousPrivateHandle(const v8::FunctionCallbackInfo<v8::Value> &info, const char *method) {
+        auto mapping = GetMappedHandle(info);
+        if (mapping == nullptr || mapping->anonymousPrivate) {
+            return mapping;
+        }
+        auto isolate = info.GetIsolate();
+        auto context = isolate->GetCurrentContext();
+        auto maybeMessage = ToDetailString(context, method, "() applies only to anonymous private mappings, not to file-backed or shared ones");
+        if (!maybeMessage.IsEmpty()) {
+            isolate->ThrowException(v8::Exception::Error(maybeMessage.ToLocalChecked()));
+        }
+        return nullptr;
+    }
+
+    void SetPageProtection(MappingHandle *mapping, size_t offset, size_t length, int protection) {
+        auto pageSize = GetPageSize();
+        for (size_t page = offset / pageSize; page < (offset + length + pageSize - 1) / pageSize; ++page) {
+            mapping->pages[page] = protection;
+        }
+    }
+
+    /**
+     * Reads the optional (offset, length) arguments at [index; index + 1] as a page-aligned range within the mapping.
+     * The offset defaults to 0 and the length to the rest of the mapping.
+     */
+    bool ReadRangeArguments(const v8::FunctionCallbackInfo<v8::Value> &info, int index, MappingHandle *mapping, size_t &offset, size_t &length) {
+        auto isolate = info.GetIsolate();
+        v8::HandleScope scope(isolate);
+        auto context = isolate->GetCurrentContext();
+        double values[2] = { 0, -1 };
+        for (int i = 0; i < 2; ++i) {
+            if (info.Length() <= index + i || info[index + i]->IsUndefined()) {
+                continue;
+            }
+            if (!info[index + i]->IsNumber()) {
+                JS_THROW_INVALID_ARG_TYPE(false, context, info, index + i, "[number]");
+            }
+            values[i] = info[index + i].As<v8::Number>()->Value();
+            if (!(values[i] >= 0) || std::trunc(values[i]) != values[i]) {
+                JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Invalid ", i == 0 ? "offset" : "length", ": ", info[index + i]));
+                isolate->ThrowException(v8::Exception::RangeError(message));
+                return false;
+            }
+        }
+        if (values[0] > static_cast<double>(mapping->length) || (values[1] >= 0 && values[0] + values[1] > static_cast<double>(mapping->length))) {
+            JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Range is outside of the mapping"));
+            isolate->ThrowException(v8::Exception::RangeError(message));
+            return false;
+        }
+        offset = static_cast<size_t>(values[0]);
+        length = values[1] >= 0 ? static_cast<size_t>(values[1]) : mapping->length - offset;
+        if (offset % GetPageSize() != 0) {
+            JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Offset is not aligned to the page size: ", info[index]));
+            isolate->ThrowException(v8::Exception::RangeError(message));
+            return false;
+        }
+        return true;
+    }
+
+    bool ReadProtectionArgument(const v8::FunctionCallbackInfo<v8::Value> &info, int index, int &protection) {
+        auto isolate = info.GetIsolate();
+        v8::HandleScope scope(isolate);
+        auto context = isolate->GetCurrentContext();
+        if (info.Length() <= index || info[index]->IsUndefined()) {
+            return true;
+        }
+        if (!info[index]->IsInt32()) {
+            JS_THROW_INVALID_ARG_TYPE(false, context, info, index, "[int32]");
+        }
+        protection = info[index].As<v8::Int32>()->Value();
+        return true;
+    }
+
+    /**
+     * Reads an optional property of the options object, leaving the value empty if the property is undefined.
+     */
+    bool GetOption(v8::Local<v8::Context> context, v8::Local<v8::Object> options, const char *key, v8::Local<v8::Value> &value) {
+        auto maybeName = ToString(context, key);
+        if (maybeName.IsEmpty()) {
+            return false;
+        }
+        auto maybeValue = options->Get(context, maybeName.ToLocalChecked());
+        if (maybeValue.IsEmpty()) {
+            return false;
+        }
+        value = maybeValue.ToLocalChecked();
+        if (value->IsUndefined()) {
+            value = v8::Local<v8::Value>();
+        }
+        return true;
+    }
+}
+
+void js_MemoryMapping(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (!info.IsConstructCall()) {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToString(context, "Class constructor MemoryMapping cannot be invoked without 'new'"));
+        isolate->ThrowException(v8::Exception::TypeError(message));
+        return;
+    }
+    if (info.Length() < 1) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 1);
+    }
+    if (!info[0]->IsNumber()) {
+        JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 0, "[number]");
+    }
+    auto requestedLength = info[0].As<v8::Number>()->Value();
+    if (!(requestedLength > 0) || std::trunc(requestedLength) != requestedLength || requestedLength > static_cast<double>(v8::TypedArray::kMaxLength)) {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToDetailString(context, "Invalid length: ", info[0]));
+        isolate->ThrowException(v8::Exception::RangeError(message));
+        return;
+    }
+    auto length = static_cast<size_t>(requestedLength);
+
+    uintptr_t hint = 0;
+    bool fixed = false;
+    bool shared = false;
+    bool reserve = false;
+    int protection = PROT_READ | PROT_WRITE;
+    int fd = -1;
+    off_t fileOffset = 0;
+    if (info.Length() >= 2 && !info[1]->IsUndefined()) {
+        if (!info[1]->IsObject()) {
+            JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 1, "[object]");
+        }
+        auto options = info[1].As<v8::Object>();
+        v8::Local<v8::Value> value;
+        if (!GetOption(context, options, "address", value)) {
+            return;
+        }
+        if (!value.IsEmpty()) {
+            bool lossless;
+            auto address = value->IsBigInt() ? value.As<v8::BigInt>()->Uint64Value(&lossless) : 0;
+            if (!value->IsBigInt() || !lossless || address > UINTPTR_MAX) {
+                JS_THROW_INVALID_PROPERTY_TYPE(NOTHING, context, "address", "bigint");
+            }
+            hint = static_cast<uintptr_t>(address);
+        }
+        if (!GetOption(context, options, "protection", value)) {
+            return;
+        }
+        if (!value.IsEmpty()) {
+            if (!value->IsInt32()) {
+                JS_THROW_INVALID_PROPERTY_TYPE(NOTHING, context, "protection", "int32_t");
+            }
+            protection = value.As<v8::Int32>()->Value();
+        }
+        if (!GetOption(context, options, "fd", value)) {
+            return;
+        }
+        if (!value.IsEmpty()) {
+            if (!value->IsInt32() || value.As<v8::Int32>()->Value() < 0) {
+                JS_THROW_INVALID_PROPERTY_TYPE(NOTHING, context, "fd", "int32_t");
+            }
+            fd = value.As<v8::Int32>()->Value();
+        }
+        if (!GetOption(context, options, "offset", value)) {
+            return;
+        }
+        if (!value.IsEmpty()) {
+            auto number = value->IsNumber() ? value.As<v8::Number>()->Value() : -1;
+            if (!(number >= 0) || std::trunc(number) != number || number > static_cast<double>(INT64_MAX)) {
+                JS_THROW_INVALID_PROPERTY_TYPE(NOTHING, context, "offset", "number");
+            }
+            fileOffset = static_cast<off_t>(number);
+        }
+        const std::pair<const char *, bool *> flags[] = {
+            { "fixed", &fixed },
+            { "shared", &shared },
+            { "reserve", &reserve }
+        };
+        for (const auto &[key, target] : flags) {
+            if (!GetOption(context, options, key, value)) {
+                return;
+            }
+            *target = !value.IsEmpty() && value->BooleanValue(isolate);
+        }
+    }
+    if (fixed && (hint == 0 || hint % GetPageSize() != 0)) {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToString(context, "A fixed mapping requires a page-aligned address"));
+        isolate->ThrowException(v8::Exception::RangeError(message));
+        return;
+    }
+
+    int flags = shared ? MAP_SHARED : MAP_PRIVATE;
+    if (fd < 0) {
+        flags |= MAP_ANONYMOUS;
+    }
+    if (reserve) {
+        // Reserved address space is not backed until committed, so it does not count against the memory limits.
+        protection = PROT_NONE;
+        flags |= MAP_NORESERVE;
+    }
+    if (fixed) {
+#ifdef MAP_FIXED_NOREPLACE
+        flags |= MAP_FIXED_NOREPLACE;
+#endif
+    }
+    auto address = mmap(reinterpret_cast<void *>(hint), length, protection, flags, fd, fileOffset);
+    if (address == MAP_FAILED) {
+        isolate->ThrowException(node::ErrnoException(isolate, errno, "mmap"));
+        return;
+    }
+    // Kernels before 4.17 do not know MAP_FIXED_NOREPLACE and treat the address as a hint, it must be checked anyway.
+    if (fixed && reinterpret_cast<uintptr_t>(address) != hint) {
+        munmap(address, length);
+        isolate->ThrowException(node::ErrnoException(isolate, EEXIST, "mmap"));
+        return;
+    }
+
+    auto mapping = new MappingHandle();
+    mapping->address = address;
+    mapping->length = length;
+    mapping->anonymousPrivate = fd < 0 && !shared;
+    mapping->pages.assign((length + GetPageSize() - 1) / GetPageSize(), protection);
+    mapping->references = 2;
+    auto backingStore = v8::ArrayBuffer::NewBackingStore(address, length, OnBackingStoreDeleted, mapping);
+    auto buffer = v8::ArrayBuffer::New(isolate, std::move(backingStore));
+    mapping->buffer.Reset(isolate, buffer);
+    mapping->object.Reset(isolate, info.This());
+    mapping->object.SetWeak(mapping, OnMappingCollected, v8::WeakCallbackType::kParameter);
+    info.This()->SetAlignedPointerInInternalField(0, mapping);
+    {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "address"));
+        JS_EXECUTE_IGNORE(NOTHING, info.This()->DefineOwnProperty(context, name, v8::BigInt::NewFromUnsigned(isolate, reinterpret_cast<uintptr_t>(address)), JS_PROPERTY_ATTRIBUTE_CONSTANT));
+    }
+    {
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "length"));
+        JS_EXECUTE_IGNORE(NOTHING, info.This()->DefineOwnProperty(context, name, v8::Number::New(isolate, static_cast<double>(length)), JS_PROPERTY_ATTRIBUTE_CONSTANT));
+    }
+}
+
+void js_MemoryMapping_protect(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    auto mapping = GetMappedHandle(info);
+    if (mapping == nullptr) {
+        return;
+    }
+    if (info.Length() < 1) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 1);
+    }
+    int protection = PROT_NONE;
+    size_t offset, length;
+    if (!ReadProtectionArgument(info, 0, protection) || !ReadRangeArguments(info, 1, mapping, offset, length)) {
+        return;
+    }
+    if (mprotect(static_cast<uint8_t *>(mapping->address) + offset, length, protection) != 0) {
+        isolate->ThrowException(node::ErrnoException(isolate, errno, "mprotect"));
+        return;
+    }
+    SetPageProtection(mapping, offset, length, protection);
+}
+
+void js_MemoryMapping_commit(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto mapping = GetAnonymousPrivateHandle(info, "commit");
+    if (mapping == nullptr) {
+        return;
+    }
+    int protection = PROT_READ | PROT_WRITE;
+    size_t offset, length;
+    if (!ReadRangeArguments(info, 0, mapping, offset, length) || !ReadProtectionArgument(info, 2, protection)) {
+        return;
+    }
+    if (length == 0) {
+        return;
+    }
+    // Replacing the pages gives them fresh, zero-filled and accounted memory.
+    auto address = static_cast<uint8_t *>(mapping->address) + offset;
+    if (mmap(address, length, protection, MAP_PRIVATE | MAP_ANONYMOUS | MAP_FIXED, -1, 0) == MAP_FAILED) {
+        isolate->ThrowException(node::ErrnoException(isolate, errno, "mmap"));
+        return;
+    }
+    SetPageProtection(mapping, offset, length, protection);
+}
+
+void js_MemoryMapping_decommit(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto mapping = GetAnonymousPrivateHandle(info, "decommit");
+    if (mapping == nullptr) {
+        return;
+    }
+    size_t offset, length;
+    if (!ReadRangeArguments(info, 0, mapping, offset, length)) {
+        return;
+    }
+    if (length == 0) {
+        return;
+    }
+    // The contents are discarded, and the address space stays reserved.
+    auto address = static_cast<uint8_t *>(mapping->address) + offset;
+    if (mmap(address, length, PROT_NONE, MAP_PRIVATE | MAP_ANONYMOUS | MAP_NORESERVE | MAP_FIXED, -1, 0) == MAP_FAILED) {
+        isolate->ThrowException(node::ErrnoException(isolate, errno, "mmap"));
+        return;
+    }
+    SetPageProtection(mapping, offset, length, PROT_NONE);
+}
+
+void js_MemoryMapping_lock(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto mapping = GetMappedHandle(info);
+    if (mapping == nullptr) {
+        return;
+    }
+    size_t offset, length;
+    if (!ReadRangeArguments(info, 0, mapping, offset, length)) {
+        return;
+    }
+    if (mlock(static_cast<uint8_t *>(mapping->address) + offset, length) != 0) {
+        isolate->ThrowException(node::ErrnoException(isolate, errno, "mlock"));
+    }
+}
+
+void js_MemoryMapping_unlock(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto mapping = GetMappedHandle(info);
+    if (mapping == nullptr) {
+        return;
+    }
+    size_t offset, length;
+    if (!ReadRangeArguments(info, 0, mapping, offset, length)) {
+        return;
+    }
+    if (munlock(static_cast<uint8_t *>(mapping->address) + offset, length) != 0) {
+        isolate->ThrowException(node::ErrnoException(isolate, errno, "munlock"));
+    }
+}
+
+void js_MemoryMapping_unmap(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto mapping = static_cast<MappingHandle *>(info.This()->GetAlignedPointerFromInternalField(0));
+    if (mapping == nullptr || mapping->address == nullptr) {
+        return;
+    }
+    // The buffer (and every view on it) must not reach the pages after they are gone.
+    if (!mapping->buffer.IsEmpty()) {
+        auto buffer = mapping->buffer.Get(isolate);
+        JS_EXECUTE_IGNORE(NOTHING, buffer->Detach(v8::Local<v8::Value>()));
+        mapping->buffer.Reset();
+    }
+    auto address = mapping->address;
+    mapping->address = nullptr;
+    if (munmap(address, mapping->length) != 0) {
+        isolate->ThrowException(node::ErrnoException(isolate, errno, "munmap"));
+    }
+}
+
+/**
+ * The ArrayBuffer over the whole mapping, including the pages that are reserved, decommitted or protected with
+ * PROT_NONE. Accessing such a page through the buffer, or writing a page without PROT_WRITE, is not an exception but a
+ * SIGSEGV that ends the process. Use view() to get a Uint8Array over a range that is checked to be readable.
+ */
+void js_MemoryMapping_buffer(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto mapping = GetMappedHandle(info);
+    if (mapping == nullptr) {
+        return;
+    }
+    info.GetReturnValue().Set(mapping->buffer.Get(isolate));
+}
+
+/**
+ * view(offset?, length?): a Uint8Array over a range of the mapping, throws a RangeError unless every page of the range
+ * is readable, as committed or protected through this object. Protection changed by other means (a direct mprotect)
+ * is not seen.
+ */
+void js_MemoryMapping_view(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    auto mapping = GetMappedHandle(info);
+    if (mapping == nullptr) {
+        return;
+    }
+    size_t offset, length;
+    if (!ReadRangeArguments(info, 0, mapping, offset, length)) {
+        return;
+    }
+    auto pageSize = GetPageSize();
+    for (size_t page = offset / pageSize; page < (offset + length + pageSize - 1) / pageSize; ++page) {
+        if ((mapping->pages[page] & PROT_READ) == 0) {
+            JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToDetailString(context, "Page at offset ", v8::Number::New(isolate, static_cast<double>(page * pageSize)), " is not readable"));
+            isolate->ThrowException(v8::Exception::RangeError(message));
+            return;
+        }
+    }
+    info.GetReturnValue().Set(v8::Uint8Array::New(mapping->buffer.Get(isolate), offset, length));
+}
+
+void js_MemoryMapping_unmapped(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto mapping = static_cast<MappingHandle *>(info.This()->GetAlignedPointerFromInternalField(0));
+    info.GetReturnValue().Set(mapping == nullptr || mapping->address == nullptr);
+}
+
+v8::Maybe<void> InitMapping(v8::Local<v8::Context> context, v8::Local<v8::Object> exports) {
+    auto isolate = context->GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto classTemplate = v8::FunctionTemplate::New(isolate, js_MemoryMapping, v8::Local<v8::Value>(), v8::Local<v8::Signature>(), 1);
+    JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, className, ToString(context, "MemoryMapping"));
+    classTemplate->SetClassName(className);
+    classTemplate->InstanceTemplate()->SetInternalFieldCount(1);
+    auto signature = v8::Signature::New(isolate, classTemplate);
+    auto prototype = classTemplate->PrototypeTemplate();
+    const std::pair<const char *, std::pair<v8::FunctionCallback, int>> methods[] = {
+        { "protect", { js_MemoryMapping_protect, 1 } },
+        { "commit", { js_MemoryMapping_commit, 0 } },
+        { "decommit", { js_MemoryMapping_decommit, 0 } },
+        { "lock", { js_MemoryMapping_lock, 0 } },
+        { "unlock", { js_MemoryMapping_unlock, 0 } },
+        { "view", { js_MemoryMapping_view, 0 } },
+        { "unmap", { js_MemoryMapping_unmap, 0 } }
+    };
+    for (const auto &[methodName, method] : methods) {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, methodName));
+        prototype->Set(name, v8::FunctionTemplate::New(isolate, method.first, v8::Local<v8::Value>(), signature, method.second, v8::ConstructorBehavior::kThrow), v8::DontEnum);
+    }
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "buffer"));
+        prototype->SetAccessorProperty(name, v8::FunctionTemplate::New(isolate, js_MemoryMapping_buffer, v8::Local<v8::Value>(), signature, 0, v8::ConstructorBehavior::kThrow), v8::Local<v8::FunctionTemplate>(), v8::DontEnum);
+    }
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "unmapped"));
+        prototype->SetAccessorProperty(name, v8::FunctionTemplate::New(isolate, js_MemoryMapping_unmapped, v8::Local<v8::Value>(), signature, 0, v8::ConstructorBehavior::kThrow), v8::Local<v8::FunctionTemplate>(), v8::DontEnum);
+    }
+    const std::pair<const char *, int> constants[] = {
+        { "PROT_NONE", PROT_NONE },
+        { "PROT_READ", PROT_READ },
+        { "PROT_WRITE", PROT_WRITE },
+        { "PROT_EXEC", PROT_EXEC }
+    };
+    for (const auto &[constantName, constantValue] : constants) {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, constantName));
+        classTemplate->Set(name, v8::Integer::New(isolate, constantValue), JS_PROPERTY_ATTRIBUTE_CONSTANT);
+    }
+    {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "PAGE_SIZE"));
+        classTemplate->Set(name, v8::Number::New(isolate, static_cast<double>(GetPageSize())), JS_PROPERTY_ATTRIBUTE_CONSTANT);
+    }
+    JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::Function, classFunction, classTemplate->GetFunction(context));
+    JS_EXECUTE_IGNORE(VOID_NOTHING, exports->DefineOwnProperty(context, className, classFunction, JS_PROPERTY_ATTRIBUTE_FROZEN));
+    return v8::JustVoid();
+}
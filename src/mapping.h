@@ -0,0 +1,8 @@
+#ifndef MAPPING_H
+#define MAPPING_H
+
+#include <v8.h>
+
+v8::Maybe<void> InitMapping(v8::Local<v8::Context> context, v8::Local<v8::Object> exports);
+
+#endif // MAPPING_H
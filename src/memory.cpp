@@ -0,0 +1,436 @@
+#include <v8.h>
+#include <node.h>
+#include "js-helper.h"
+#include "config.h"
+#include "memory.h"
+#include <cerrno>
+#include <cmath>
+#include <cstdint>
+#include <cstring>
+#include <limits>
+#include <type_traits>
+#include <vector>
+
+#ifdef HAVE_UNISTD_H
+#include <unistd.h>
+#endif
+
+#ifdef HAVE_SYS_MMAN_H
+#include <sys/mman.h>
+#endif
+
+#if defined(HAVE_PROCESS_VM_READV) && defined(HAVE_PROCESS_VM_WRITEV)
+#include <sys/uio.h>
+#endif
+
+bool ReadPointerArgument(const v8::FunctionCallbackInfo<v8::Value> &info, int index, uintptr_t &address) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (info.Length() <= index) {
+        JS_THROW_INVALID_ARG_COUNT(false, context, info, index + 1);
+    }
+    if (!info[index]->IsBigInt()) {
+        JS_THROW_INVALID_ARG_TYPE(false, context, info, index, "[bigint]");
+    }
+    bool lossless;
+    auto value = info[index].As<v8::BigInt>()->Uint64Value(&lossless);
+    if (!lossless || value > UINTPTR_MAX) {
+        auto maxValue = v8::BigInt::NewFromUnsigned(isolate, UINTPTR_MAX);
+        JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Pointer value overflow: ", info[index], " > ", maxValue.As<v8::Value>(), ""));
+        isolate->ThrowException(v8::Exception::RangeError(message));
+        return false;
+    }
+    address = static_cast<uintptr_t>(value);
+    return true;
+}
+
+int CheckMappedRange(uintptr_t address, size_t size) {
+#if defined(HAVE_MINCORE) && defined(HAVE_SYSCONF) && defined(HAVE_SYSCONF_SC_PAGESIZE)
+    errno = 0;
+    auto pageSize = static_cast<uintptr_t>(sysconf(_SC_PAGESIZE));
+    auto mask = ~(pageSize - 1);
+    // mincore() fills one byte per page, so large ranges are checked in blocks.
+    constexpr size_t blockPages = 256;
+    unsigned char ignored[blockPages];
+    uintptr_t end = address + (size > 0 ? size : 1);
+    for (uintptr_t page = address & mask; page < end; page += blockPages * pageSize) {
+        uintptr_t length = end - page < blockPages * pageSize ? end - page : blockPages * pageSize;
+        if (mincore(reinterpret_cast<void *>(page), length, ignored) < 0) {
+            return errno;
+        }
+        if (page + blockPages * pageSize < page) {
+            break;
+        }
+    }
+    return 0;
+#else
+#error The current platform is missing required features
+#endif
+}
+
+bool ValidateMappedRange(v8::Isolate *isolate, v8::Local<v8::Context> context, uintptr_t address, size_t size) {
+    v8::HandleScope scope(isolate);
+    auto start = v8::BigInt::NewFromUnsigned(isolate, address);
+    if (address == 0) {
+        JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Null pointer access"));
+        isolate->ThrowException(v8::Exception::RangeError(message));
+        return false;
+    }
+    if (size > UINTPTR_MAX - address) {
+        JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Memory range at ", start.As<v8::Value>(), " overflows the address space"));
+        isolate->ThrowException(v8::Exception::RangeError(message));
+        return false;
+    }
+    auto error = CheckMappedRange(address, size);
+    if (error == ENOMEM) {
+        auto length = v8::Number::New(isolate, static_cast<double>(size));
+        JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Memory range at ", start.As<v8::Value>(), " of ", length, " bytes is not mapped"));
+        isolate->ThrowException(v8::Exception::RangeError(message));
+        return false;
+    }
+    if (error != 0) {
+        JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Unable to validate pointer value"));
+        isolate->ThrowException(v8::Exception::Error(message));
+        return false;
+    }
+    return true;
+}
+
+namespace {
+    /**
+     * Copies between the memory of the current process and a local buffer through process_vm_readv() or
+     * process_vm_writev(). The kernel checks the protection of each page, so an unreadable (or unwritable) page fails
+     * with EFAULT instead of SIGSEGV, which mincore() alone cannot tell. Returns 0 or the errno value.
+     */
+    template<bool Write>
+    int CopyProcessMemory(uintptr_t address, void *local, size_t size) {
+#if defined(HAVE_PROCESS_VM_READV) && defined(HAVE_PROCESS_VM_WRITEV)
+        struct iovec localVector = { local, size };
+        struct iovec remoteVector = { reinterpret_cast<void *>(address), size };
+        auto pid = getpid();
+        while (localVector.iov_len > 0) {
+            errno = 0;
+            auto result = Write ? process_vm_writev(pid, &localVector, 1, &remoteVector, 1, 0) : process_vm_readv(pid, &localVector, 1, &remoteVector, 1, 0);
+            if (result < 0) {
+                if (errno == EINTR) {
+                    continue;
+                }
+                return errno;
+            }
+            if (result == 0) {
+                return EFAULT;
+            }
+            // A partial transfer stops at the first inaccessible page, the next call reports it.
+            localVector.iov_base = static_cast<uint8_t *>(localVector.iov_base) + result;
+            localVector.iov_len -= result;
+            remoteVector.iov_base = static_cast<uint8_t *>(remoteVector.iov_base) + result;
+            remoteVector.iov_len -= result;
+        }
+        return 0;
+#else
+#error The current platform is missing required features
+#endif
+    }
+
+    /**
+     * Copies [address; address + size) into or from the local buffer, or throws RangeError and returns false when the
+     * range is not mapped with the access required.
+     */
+    template<bool Write>
+    bool AccessMappedRange(v8::Isolate *isolate, v8::Local<v8::Context> context, uintptr_t address, void *local, size_t size) {
+        v8::HandleScope scope(isolate);
+        auto start = v8::BigInt::NewFromUnsigned(isolate, address);
+        if (address == 0) {
+            JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Null pointer access"));
+            isolate->ThrowException(v8::Exception::RangeError(message));
+            return false;
+        }
+        if (size > UINTPTR_MAX - address) {
+            JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Memory range at ", start.As<v8::Value>(), " overflows the address space"));
+            isolate->ThrowException(v8::Exception::RangeError(message));
+            return false;
+        }
+        if (size == 0) {
+            return true;
+        }
+        auto error = CopyProcessMemory<Write>(address, local, size);
+        if (error == EFAULT) {
+            auto length = v8::Number::New(isolate, static_cast<double>(size));
+            JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Memory range at ", start.As<v8::Value>(), " of ", length, Write ? " bytes is not mapped writable" : " bytes is not mapped readable"));
+            isolate->ThrowException(v8::Exception::RangeError(message));
+            return false;
+        }
+        if (error != 0) {
+            isolate->ThrowException(node::ErrnoException(isolate, error, Write ? "process_vm_writev" : "process_vm_readv"));
+            return false;
+        }
+        return true;
+    }
+
+    bool ReadLengthArgument(const v8::FunctionCallbackInfo<v8::Value> &info, int index, size_t &length) {
+        auto isolate = info.GetIsolate();
+        v8::HandleScope scope(isolate);
+        auto context = isolate->GetCurrentContext();
+        if (!info[index]->IsNumber()) {
+            JS_THROW_INVALID_ARG_TYPE(false, context, info, index, "[number]");
+        }
+        auto value = info[index].As<v8::Number>()->Value();
+        if (!(value >= 0) || std::trunc(value) != value || value > static_cast<double>(v8::TypedArray::kMaxLength)) {
+            JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Invalid length: ", info[index]));
+            isolate->ThrowException(v8::Exception::RangeError(message));
+            return false;
+        }
+        length = static_cast<size_t>(value);
+        return true;
+    }
+
+    /**
+     * Values of 64 bits (and pointers) are [bigint], everything else is [number].
+     */
+    template<typename T, bool BigIntValue>
+    v8::Local<v8::Value> ScalarToValue(v8::Isolate *isolate, T value) {
+        if constexpr (std::is_floating_point_v<T>) {
+            return v8::Number::New(isolate, value);
+        } else if constexpr (BigIntValue && std::is_signed_v<T>) {
+            return v8::BigInt::New(isolate, static_cast<int64_t>(value));
+        } else if constexpr (BigIntValue) {
+            return v8::BigInt::NewFromUnsigned(isolate, static_cast<uint64_t>(value));
+        } else if constexpr (std::is_signed_v<T>) {
+            return v8::Integer::New(isolate, static_cast<int32_t>(value));
+        } else {
+            return v8::Integer::NewFromUnsigned(isolate, static_cast<uint32_t>(value));
+        }
+    }
+
+    /**
+     * Converts a value to the scalar type, or throws and returns false. Integers must fit the type exactly, pointers
+     * accept the range [INTPTR_MIN; UINTPTR_MAX].
+     */
+    template<typename T, bool BigIntValue, bool Pointer>
+    bool ValueToScalar(const v8::FunctionCallbackInfo<v8::Value> &info, int index, T &target) {
+        auto isolate = info.GetIsolate();
+        v8::HandleScope scope(isolate);
+        auto context = isolate->GetCurrentContext();
+        auto value = info[index];
+        if constexpr (BigIntValue) {
+            if (!value->IsBigInt()) {
+                JS_THROW_INVALID_ARG_TYPE(false, context, info, index, "[bigint]");
+            }
+            bool lossless;
+            auto signedValue = value.As<v8::BigInt>()->Int64Value(&lossless);
+            if (lossless && signedValue < 0 && (std::is_signed_v<T> || Pointer) && signedValue >= static_cast<int64_t>(std::numeric_limits<std::make_signed_t<T>>::min())) {
+                target = static_cast<T>(signedValue);
+                return true;
+            }
+            auto unsignedValue = value.As<v8::BigInt>()->Uint64Value(&lossless);
+            if (lossless && unsignedValue <= static_cast<uint64_t>(std::numeric_limits<T>::max())) {
+                target = static_cast<T>(unsignedValue);
+                return true;
+            }
+        } else {
+            if (!value->IsNumber()) {
+                JS_THROW_INVALID_ARG_TYPE(false, context, info, index, "[number]");
+            }
+            auto number = value.As<v8::Number>()->Value();
+            if constexpr (std::is_floating_point_v<T>) {
+                target = static_cast<T>(number);
+                return true;
+            } else {
+                if (std::trunc(number) == number && number >= static_cast<double>(std::numeric_limits<T>::min()) && number <= static_cast<double>(std::numeric_limits<T>::max())) {
+                    target = static_cast<T>(number);
+                    return true;
+                }
+            }
+        }
+        JS_EXECUTE_RETURN_HANDLE(false, v8::String, message, ToDetailString(context, "Value out of range: ", value));
+        isolate->ThrowException(v8::Exception::RangeError(message));
+        return false;
+    }
+}
+
+void js_ReadMemory(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (info.Length() < 2) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 2);
+    }
+    uintptr_t address;
+    size_t length;
+    if (!ReadPointerArgument(info, 0, address) || !ReadLengthArgument(info, 1, length)) {
+        return;
+    }
+    auto buffer = v8::ArrayBuffer::New(isolate, length);
+    if (!AccessMappedRange<false>(isolate, context, address, buffer->GetBackingStore()->Data(), length)) {
+        return;
+    }
+    info.GetReturnValue().Set(buffer);
+}
+
+void js_WriteMemory(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (info.Length() < 2) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 2);
+    }
+    uintptr_t address;
+    if (!ReadPointerArgument(info, 0, address)) {
+        return;
+    }
+    uint8_t *data;
+    size_t length;
+    if (info[1]->IsArrayBuffer()) {
+        auto buffer = info[1].As<v8::ArrayBuffer>();
+        data = static_cast<uint8_t *>(buffer->Data());
+        length = buffer->ByteLength();
+    } else if (info[1]->IsArrayBufferView()) {
+        auto view = info[1].As<v8::ArrayBufferView>();
+        data = static_cast<uint8_t *>(view->Buffer()->Data()) + view->ByteOffset();
+        length = view->ByteLength();
+    } else {
+        JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 1, "[ArrayBuffer] or [ArrayBufferView]");
+    }
+    AccessMappedRange<true>(isolate, context, address, data, length);
+}
+
+template<typename T, bool BigIntValue = (std::is_integral_v<T> && sizeof(T) == 8)>
+void js_ReadScalar(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    uintptr_t address;
+    T value;
+    if (!ReadPointerArgument(info, 0, address) || !AccessMappedRange<false>(isolate, context, address, &value, sizeof(T))) {
+        return;
+    }
+    info.GetReturnValue().Set(ScalarToValue<T, BigIntValue>(isolate, value));
+}
+
+template<typename T, bool BigIntValue = (std::is_integral_v<T> && sizeof(T) == 8), bool Pointer = false>
+void js_WriteScalar(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (info.Length() < 2) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 2);
+    }
+    uintptr_t address;
+    T value;
+    if (!ReadPointerArgument(info, 0, address) || !ValueToScalar<T, BigIntValue, Pointer>(info, 1, value)) {
+        return;
+    }
+    AccessMappedRange<true>(isolate, context, address, &value, sizeof(T));
+}
+
+void js_ReadCString(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (info.Length() < 2) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 2);
+    }
+    uintptr_t address;
+    size_t maxLength;
+    if (!ReadPointerArgument(info, 0, address) || !ReadLengthArgument(info, 1, maxLength)) {
+        return;
+    }
+    // The terminator is not known in advance, so the string is copied a page at a time until it is found.
+    auto pageSize = static_cast<uintptr_t>(sysconf(_SC_PAGESIZE));
+    std::vector<char> string;
+    size_t length = 0;
+    while (length < maxLength) {
+        uintptr_t position = address + length;
+        uintptr_t pageEnd = (position & ~(pageSize - 1)) + pageSize;
+        size_t available = pageEnd - position < maxLength - length ? pageEnd - position : maxLength - length;
+        string.resize(length + available);
+        if (!AccessMappedRange<false>(isolate, context, position, string.data() + length, available)) {
+            return;
+        }
+        auto terminator = static_cast<const char *>(std::memchr(string.data() + length, 0, available));
+        if (terminator != nullptr) {
+            length = terminator - string.data();
+            break;
+        }
+        length += available;
+    }
+    JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, result, v8::String::NewFromUtf8(isolate, string.data(), v8::NewStringType::kNormal, static_cast<int>(length)));
+    info.GetReturnValue().Set(result);
+}
+
+void js_WriteCString(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    if (info.Length() < 3) {
+        JS_THROW_INVALID_ARG_COUNT(NOTHING, context, info, 3);
+    }
+    uintptr_t address;
+    size_t maxLength;
+    if (!ReadPointerArgument(info, 0, address)) {
+        return;
+    }
+    if (!info[1]->IsString()) {
+        JS_THROW_INVALID_ARG_TYPE(NOTHING, context, info, 1, "[string]");
+    }
+    if (!ReadLengthArgument(info, 2, maxLength)) {
+        return;
+    }
+    v8::String::Utf8Value string(isolate, info[1]);
+    size_t size = static_cast<size_t>(string.length()) + 1;
+    if (size > maxLength) {
+        auto required = v8::Number::New(isolate, static_cast<double>(size));
+        JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, message, ToDetailString(context, "String requires ", required, " bytes, which exceeds the maximum length ", info[2]));
+        isolate->ThrowException(v8::Exception::RangeError(message));
+        return;
+    }
+    if (!AccessMappedRange<true>(isolate, context, address, *string, size)) {
+        return;
+    }
+    info.GetReturnValue().Set(v8::Number::New(isolate, static_cast<double>(size)));
+}
+
+v8::Maybe<void> InitMemory(v8::Local<v8::Context> context, v8::Local<v8::Object> exports) {
+    auto isolate = context->GetIsolate();
+    v8::HandleScope scope(isolate);
+    struct Method {
+        const char *name;
+        v8::FunctionCallback callback;
+        int length;
+    };
+    const Method methods[] = {
+        { "readMemory", js_ReadMemory, 2 },
+        { "writeMemory", js_WriteMemory, 2 },
+        { "readInt8", js_ReadScalar<int8_t>, 1 },
+        { "readUint8", js_ReadScalar<uint8_t>, 1 },
+        { "readInt16", js_ReadScalar<int16_t>, 1 },
+        { "readUint16", js_ReadScalar<uint16_t>, 1 },
+        { "readInt32", js_ReadScalar<int32_t>, 1 },
+        { "readUint32", js_ReadScalar<uint32_t>, 1 },
+        { "readInt64", js_ReadScalar<int64_t>, 1 },
+        { "readUint64", js_ReadScalar<uint64_t>, 1 },
+        { "readFloat", js_ReadScalar<float>, 1 },
+        { "readDouble", js_ReadScalar<double>, 1 },
+        { "readPointer", js_ReadScalar<uintptr_t, true>, 1 },
+        { "readCString", js_ReadCString, 2 },
+        { "writeInt8", js_WriteScalar<int8_t>, 2 },
+        { "writeUint8", js_WriteScalar<uint8_t>, 2 },
+        { "writeInt16", js_WriteScalar<int16_t>, 2 },
+        { "writeUint16", js_WriteScalar<uint16_t>, 2 },
+        { "writeInt32", js_WriteScalar<int32_t>, 2 },
+        { "writeUint32", js_WriteScalar<uint32_t>, 2 },
+        { "writeInt64", js_WriteScalar<int64_t>, 2 },
+        { "writeUint64", js_WriteScalar<uint64_t>, 2 },
+        { "writeFloat", js_WriteScalar<float>, 2 },
+        { "writeDouble", js_WriteScalar<double>, 2 },
+        { "writePointer", js_WriteScalar<uintptr_t, true, true>, 2 },
+        { "writeCString", js_WriteCString, 3 }
+    };
+    for (const auto &method : methods) {
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, method.name));
+        JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::Function, value, v8::Function::New(context, method.callback, exports, method.length, v8::ConstructorBehavior::kThrow));
+        JS_EXECUTE_IGNORE(VOID_NOTHING, exports->DefineOwnProperty(context, name, value, JS_PROPERTY_ATTRIBUTE_FROZEN));
+    }
+    return v8::JustVoid();
+}
@@ -0,0 +1,26 @@
+#ifndef MEMORY_H
+#define MEMORY_H
+
+#include <v8.h>
+#include <cstddef>
+#include <cstdint>
+
+/**
+ * Reads a [bigint] pointer argument in the range of uintptr_t, or throws and returns false.
+ */
+bool ReadPointerArgument(const v8::FunctionCallbackInfo<v8::Value> &info, int index, uintptr_t &address);
+
+/**
+ * Returns 0 when every page of [address; address + size) is mapped, ENOMEM when some page is not, or another errno
+ * value when the mapping cannot be checked.
+ */
+int CheckMappedRange(uintptr_t address, size_t size);
+
+/**
+ * Checks [address; address + size) with CheckMappedRange(), or throws RangeError and returns false.
+ */
+bool ValidateMappedRange(v8::Isolate *isolate, v8::Local<v8::Context> context, uintptr_t address, size_t size);
+
+v8::Maybe<void> InitMemory(v8::Local<v8::Context> context, v8::Local<v8::Object> exports);
+
+#endif // MEMORY_H
@@ -0,0 +1,110 @@
+#include <v8.h>
+#include <node.h>
+#include "js-helper.h"
+#include "config.h"
+#include "modules.h"
+#include <cstdint>
+#include <string>
+#include <vector>
+
+#ifdef HAVE_DL_ITERATE_PHDR
+#include <link.h>
+#endif
+
+namespace {
+    struct ModuleInfo {
+        std::string name;
+        uintptr_t address;
+        uintptr_t phdr;
+        size_t tlsModule;
+        std::vector<ElfW(Phdr)> headers;
+    };
+
+    int CollectModule(struct dl_phdr_info *info, size_t size, void *data) {
+        auto modules = static_cast<std::vector<ModuleInfo> *>(data);
+        ModuleInfo module;
+        module.name = info->dlpi_name != nullptr ? info->dlpi_name : "";
+        module.address = static_cast<uintptr_t>(info->dlpi_addr);
+        module.phdr = reinterpret_cast<uintptr_t>(info->dlpi_phdr);
+        module.tlsModule = size >= offsetof(struct dl_phdr_info, dlpi_tls_modid) + sizeof(info->dlpi_tls_modid) ? info->dlpi_tls_modid : 0;
+        module.headers.assign(info->dlpi_phdr, info->dlpi_phdr + info->dlpi_phnum);
+        modules->push_back(std::move(module));
+        return 0;
+    }
+
+    /**
+     * The same shape as the result of parseProgramHeaders(): offset and filesz are [number], addresses are [bigint].
+     */
+    v8::MaybeLocal<v8::Object> CreateProgramHeader(v8::Local<v8::Context> context, const ElfW(Phdr) &header) {
+        auto isolate = context->GetIsolate();
+        v8::EscapableHandleScope scope(isolate);
+        auto result = v8::Object::New(isolate, v8::Null(isolate), nullptr, nullptr, 0);
+        const std::pair<const char *, v8::Local<v8::Value>> fields[] = {
+            { "type", v8::Integer::NewFromUnsigned(isolate, header.p_type) },
+            { "flags", v8::Integer::NewFromUnsigned(isolate, header.p_flags) },
+            { "offset", v8::Number::New(isolate, static_cast<double>(header.p_offset)) },
+            { "vaddr", v8::BigInt::NewFromUnsigned(isolate, header.p_vaddr) },
+            { "paddr", v8::BigInt::NewFromUnsigned(isolate, header.p_paddr) },
+            { "filesz", v8::Number::New(isolate, static_cast<double>(header.p_filesz)) },
+            { "memsz", v8::BigInt::NewFromUnsigned(isolate, header.p_memsz) },
+            { "align", v8::BigInt::NewFromUnsigned(isolate, header.p_align) }
+        };
+        for (const auto &[fieldName, fieldValue] : fields) {
+            JS_EXECUTE_RETURN_HANDLE(JS_NOTHING(v8::Object), v8::String, name, ToString(context, fieldName));
+            JS_EXECUTE_IGNORE(JS_NOTHING(v8::Object), result->CreateDataProperty(context, name, fieldValue));
+        }
+        return scope.Escape(result);
+    }
+}
+
+/**
+ * Lists the modules in the link map of the process, in load order: the main program first (with an empty name), then
+ * the shared objects and the vDSO. Each module has its load bias as address, the runtime address of its program
+ * headers and the program headers themselves.
+ */
+void js_ListLoadedModules(const v8::FunctionCallbackInfo<v8::Value> &info) {
+    auto isolate = info.GetIsolate();
+    v8::HandleScope scope(isolate);
+    auto context = isolate->GetCurrentContext();
+    // No JavaScript runs while the loader lock is held: the modules are copied first.
+    std::vector<ModuleInfo> modules;
+    dl_iterate_phdr(CollectModule, &modules);
+    auto result = v8::Array::New(isolate, static_cast<int>(modules.size()));
+    for (uint32_t i = 0; i < modules.size(); ++i) {
+        const auto &module = modules[i];
+        auto object = v8::Object::New(isolate, v8::Null(isolate), nullptr, nullptr, 0);
+        JS_DEFINE_STRING(NOTHING, context, object, "name", module.name.c_str());
+        {
+            JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "address"));
+            JS_EXECUTE_IGNORE(NOTHING, object->CreateDataProperty(context, name, v8::BigInt::NewFromUnsigned(isolate, module.address)));
+        }
+        {
+            JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "phdr"));
+            JS_EXECUTE_IGNORE(NOTHING, object->CreateDataProperty(context, name, v8::BigInt::NewFromUnsigned(isolate, module.phdr)));
+        }
+        {
+            JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "tlsModule"));
+            JS_EXECUTE_IGNORE(NOTHING, object->CreateDataProperty(context, name, v8::Number::New(isolate, static_cast<double>(module.tlsModule))));
+        }
+        auto headers = v8::Array::New(isolate, static_cast<int>(module.headers.size()));
+        for (uint32_t j = 0; j < module.headers.size(); ++j) {
+            JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::Object, header, CreateProgramHeader(context, module.headers[j]));
+            JS_EXECUTE_IGNORE(NOTHING, headers->Set(context, j, header));
+        }
+        {
+            JS_EXECUTE_RETURN_HANDLE(NOTHING, v8::String, name, ToString(context, "headers"));
+            JS_EXECUTE_IGNORE(NOTHING, object->CreateDataProperty(context, name, headers));
+        }
+        JS_EXECUTE_IGNORE(NOTHING, result->Set(context, i, object));
+    }
+    info.GetReturnValue().Set(result);
+}
+
+v8::Maybe<void> InitModules(v8::Local<v8::Context> context, v8::Local<v8::Object> exports) {
+    auto isolate = context->GetIsolate();
+    v8::HandleScope scope(isolate);
+    JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::String, name, ToString(context, "listLoadedModules"));
+    JS_EXECUTE_RETURN_HANDLE(VOID_NOTHING, v8::Function, value, v8::Function::New(context, js_ListLoadedModules, exports, 0, v8::ConstructorBehavior::kThrow));
+    JS_EXECUTE_IGNORE(VOID_NOTHING, exports->DefineOwnProperty(context, name, value, JS_PROPERTY_ATTRIBUTE_FROZEN));
+    return v8::JustVoid();
+}
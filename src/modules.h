@@ -0,0 +1,8 @@
+#ifndef MODULES_H
+#define MODULES_H
+
+#include <v8.h>
+
+v8::Maybe<void> InitModules(v8::Local<v8::Context> context, v8::Local<v8::Object> exports);
+
+#endif // MODULES_H
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import { lookupSymbol, parseFile } from './elf.js';
+import { listLoadedModules } from './native.js';
+
+/**
+ * Pairs each module loaded in the current process with its parsed ELF image, so that `symbol.value + module.address`
+ * is the runtime address of a symbol, including the ones only present in .symtab.
+ *
+ * A module is parsed from its file, when it has one (the main program through /proc/self/exe), otherwise from memory,
+ * as for the vDSO.
+ *
+ * @param {object} [options]
+ * @param {function(LoadedModule): boolean} [options.filter] Selects the modules to parse, all by default.
+ * @returns {Promise<Array<LoadedModule>>}
+ */
+export async function parseLoadedModules(options = {}) {
+    const filter = options.filter ?? (() => true);
+    const modules = getLoadedModules().filter(module => filter(module));
+    for (const module of modules) {
+        module.file = await parseLoadedModule(module);
+    }
+    return modules;
+}
+
+/**
+ * Lists the modules loaded in the current process, without parsing them.
+ * @returns {Array<LoadedModule>}
+ */
+export function getLoadedModules() {
+    return listLoadedModules().map(createLoadedModule);
+}
+
+/**
+ * @param {LoadedModule} module
+ * @param {bigint} address
+ * @returns {boolean} Whether a PT_LOAD segment of the module maps the address.
+ */
+export function moduleContains(module, address) {
+    return module.headers.some(h => h.type === 1 && address >= module.address + h.vaddr && address < module.address + h.vaddr + h.memsz);
+}
+
+/**
+ * @param {Array<LoadedModule>} modules As returned by {@link parseLoadedModules}.
+ * @param {string} name
+ * @returns {Promise<{module: LoadedModule, symbol: object, address: bigint}|null>} The first module defining the
+ * symbol in its .symtab or .dynsym, and the runtime address of the symbol. Modules parsed without section headers are
+ * searched through their dynamic hash table.
+ */
+export async function findLoadedSymbol(modules, name) {
+    for (const module of modules) {
+        if (module.file == null) {
+            continue;
+        }
+        let symbol = null;
+        if (module.file.header.sh.length === 0) {
+            const first = module.headers.find(h => h.type === 1 && h.offset === 0);
+            symbol = first == null ? null : await lookupSymbol(module.address + first.vaddr, name);
+        } else if (Object.hasOwn(module.file.symbols.map, name)) {
+            symbol = [].concat(module.file.symbols.map[name]).find(s => s.shndx !== 0) ?? null;
+        }
+        if (symbol != null) {
+            return { module, symbol, address: getSymbolAddress(module, symbol) };
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {LoadedModule} module
+ * @param {object} symbol A defined symbol of the module file.
+ * @returns {bigint}
+ */
+export function getSymbolAddress(module, symbol) {
+    // SHN_ABS symbols are not relative to the load bias.
+    return symbol.shndx === 0xFFF1 ? symbol.value : module.address + symbol.value;
+}
+
+function createLoadedModule(entry) {
+    const module = Object.create(null);
+    module.name = entry.name;
+    module.path = entry.name === '' ? '/proc/self/exe' : entry.name;
+    module.address = entry.address;
+    module.phdr = entry.phdr;
+    module.tlsModule = entry.tlsModule;
+    module.headers = entry.headers;
+    module.file = null;
+    return module;
+}
+
+/**
+ * @param {LoadedModule} module
+ * @returns {Promise<object|null>} The parsed image of the module, or null if neither its file nor its ELF header in
+ * memory can be read.
+ */
+export async function parseLoadedModule(module) {
+    if (module.path.startsWith('/')) {
+        try {
+            await fs.promises.access(module.path, fs.constants.R_OK);
+            return await parseFile(module.path);
+        } catch (e) {
+            if (e.code == null) {
+                throw e;
+            }
+        }
+    }
+    // The ELF header is at the start of the segment that maps the file from offset 0.
+    const first = module.headers.find(h => h.type === 1 && h.offset === 0);
+    if (first == null) {
+        return null;
+    }
+    return parseFile(module.address + first.vaddr);
+}
+
+/**
+ * @typedef LoadedModule
+ * @property {string} name The name in the link map, empty for the main program.
+ * @property {string} path
+ * @property {bigint} address The load bias: the difference between the runtime and the virtual addresses.
+ * @property {bigint} phdr The runtime address of the program headers.
+ * @property {number} tlsModule The TLS module ID, or 0 if the module has no PT_TLS segment.
+ * @property {Array<ElfProgramHeader>} headers
+ * @property {object|null} file The image parsed by {@link parseFile}.
+ */
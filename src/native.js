@@ -0,0 +1,51 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * The native addon, as built by cmake-js.
+ */
+const native = require('../build/Release/pointer.node');
+
+export default native;
+
+export const {
+    isValidPointer,
+    UINTPTR_MAX,
+    INTPTR_MAX,
+    INTPTR_MIN,
+    Library,
+    MemoryMapping,
+    listLoadedModules,
+    FfiSignature,
+    ffiCall,
+    createCallback,
+    freeCallback,
+    readMemory,
+    writeMemory,
+    readInt8,
+    readUint8,
+    readInt16,
+    readUint16,
+    readInt32,
+    readUint32,
+    readInt64,
+    readUint64,
+    readFloat,
+    readDouble,
+    readPointer,
+    readCString,
+    writeInt8,
+    writeUint8,
+    writeInt16,
+    writeUint16,
+    writeInt32,
+    writeUint32,
+    writeInt64,
+    writeUint64,
+    writeFloat,
+    writeDouble,
+    writePointer,
+    writeCString,
+    runImageFunctions
+} = native;
@@ -0,0 +1,295 @@
+import fs from 'fs';
+import { parseElfHeader, parseElfIdentificationHeader, ParseError, parseProgramHeaders } from './elf.js';
+
+/**
+ * Random access to the bytes of an ELF image. The interface is the subset of {@link fs.FileHandle} used by the
+ * parsers, so a file handle can be used wherever a source is expected.
+ */
+export class ByteSource {
+    /**
+     * True, if the source holds only parts of the file, like the loaded segments of a mapped image.
+     * @type {boolean}
+     */
+    get partial() {
+        return false;
+    }
+
+    /**
+     * @param {Uint8Array} buffer
+     * @param {number} offset
+     * @param {number} length
+     * @param {number} position
+     * @returns {Promise<{bytesRead: number, buffer: Uint8Array}>}
+     */
+    async read(buffer, offset, length, position) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * @returns {Promise<{size: bigint}>}
+     */
+    async stat() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * @param {number} position
+     * @param {number} length
+     * @returns {Promise<boolean>}
+     */
+    async contains(position, length) {
+        const { size } = await this.stat({ bigint: true });
+        return BigInt(position) + BigInt(length) <= size;
+    }
+
+    async close() {
+    }
+}
+
+export class FileSource extends ByteSource {
+    #handle;
+    #owned;
+
+    /**
+     * @param {fs.FileHandle} handle
+     * @param {boolean} owned Whether closing the source closes the handle.
+     */
+    constructor(handle, owned = false) {
+        super();
+        this.#handle = handle;
+        this.#owned = owned;
+    }
+
+    /**
+     * @param {string} filename
+     * @returns {Promise<FileSource>}
+     */
+    static async open(filename) {
+        return new this(await fs.promises.open(filename, 'r'), true);
+    }
+
+    get handle() {
+        return this.#handle;
+    }
+
+    read(buffer, offset, length, position) {
+        return this.#handle.read(buffer, offset, length, position);
+    }
+
+    stat() {
+        return this.#handle.stat({ bigint: true });
+    }
+
+    async close() {
+        if (this.#owned) {
+            await this.#handle.close();
+        }
+    }
+}
+
+export class BufferSource extends ByteSource {
+    #bytes;
+
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} data
+     */
+    constructor(data) {
+        super();
+        if (data instanceof ArrayBuffer || (typeof SharedArrayBuffer === 'function' && data instanceof SharedArrayBuffer)) {
+            this.#bytes = new Uint8Array(data);
+        } else if (ArrayBuffer.isView(data)) {
+            this.#bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        } else {
+            throw new TypeError('Expected ArrayBuffer or ArrayBufferView');
+        }
+    }
+
+    async read(buffer, offset, length, position) {
+        position = Number(position);
+        const available = Math.max(0, Math.min(length, this.#bytes.byteLength - position));
+        buffer.set(this.#bytes.subarray(position, position + available), offset);
+        return { bytesRead: available, buffer };
+    }
+
+    async stat() {
+        return { size: BigInt(this.#bytes.byteLength) };
+    }
+}
+
+/**
+ * An ELF image mapped into the current process, as the dynamic linker maps it. The header is read at the base address,
+ * and each file offset is translated to memory through the PT_LOAD segments. Parts of the file that are not loaded
+ * (usually the section headers and the non-allocated sections) cannot be read.
+ *
+ * Memory is read through /proc/self/mem, after every page is checked with the native isValidPointer, so an invalid
+ * address fails the read instead of the process.
+ */
+export class MemorySource extends ByteSource {
+    #address;
+    #segments = null;
+    #bias = null;
+    #memory = null;
+    #isValidPointer = null;
+
+    /**
+     * @param {bigint} address The address of the ELF header.
+     */
+    constructor(address) {
+        super();
+        if (typeof address !== 'bigint') {
+            throw new TypeError('Expected [bigint] address');
+        }
+        this.#address = address;
+    }
+
+    /**
+     * @param {bigint} address
+     * @returns {Promise<MemorySource>}
+     */
+    static async open(address) {
+        const source = new this(address);
+        try {
+            await source.#initialize();
+        } catch (e) {
+            await source.close();
+            throw e;
+        }
+        return source;
+    }
+
+    get partial() {
+        return true;
+    }
+
+    /**
+     * @type {bigint}
+     */
+    get address() {
+        return this.#address;
+    }
+
+    /**
+     * The difference between the runtime addresses and the virtual addresses in the file.
+     * @type {bigint|null}
+     */
+    get bias() {
+        return this.#bias;
+    }
+
+    async #initialize() {
+        const { isValidPointer } = await import('./native.js');
+        this.#isValidPointer = isValidPointer;
+        this.#memory = await fs.promises.open('/proc/self/mem', 'r');
+        // Until the program headers are known, offsets are read directly from the base address.
+        const [, info] = await parseElfIdentificationHeader(this);
+        const elfHeader = await parseElfHeader(this, info);
+        const programHeaders = await parseProgramHeaders(this, info, elfHeader);
+        const segments = programHeaders.filter(h => h.type === 1);
+        const first = segments.find(h => h.offset === 0);
+        if (first == null) {
+            throw new ParseError('No PT_LOAD segment maps the ELF header');
+        }
+        this.#bias = this.#address - first.vaddr;
+        this.#segments = segments.map(h => ({
+            offset: h.offset,
+            size: h.filesz,
+            address: this.#bias + h.vaddr
+        }));
+    }
+
+    async read(buffer, offset, length, position) {
+        position = Number(position);
+        let bytesRead = 0;
+        while (bytesRead < length) {
+            const address = this.#translate(position + bytesRead, length - bytesRead);
+            if (address == null) {
+                break;
+            }
+            const [start, size] = address;
+            this.#validate(start, size);
+            // User space addresses fit in 47 bits, and the asynchronous read does not handle bigint positions well.
+            if (start + BigInt(size) > Number.MAX_SAFE_INTEGER) {
+                throw new RangeError(`Address 0x${start.toString(16)} cannot be read through /proc/self/mem`);
+            }
+            const result = await this.#memory.read(buffer, offset + bytesRead, size, Number(start));
+            bytesRead += result.bytesRead;
+            if (result.bytesRead < size) {
+                break;
+            }
+        }
+        return { bytesRead, buffer };
+    }
+
+    async stat() {
+        const segments = this.#segments ?? [];
+        return { size: BigInt(segments.reduce((size, s) => Math.max(size, s.offset + s.size), 0)) };
+    }
+
+    async contains(position, length) {
+        if (length <= 0) {
+            return true;
+        }
+        for (let ptr = position; ptr < position + length;) {
+            const address = this.#translate(ptr, position + length - ptr);
+            if (address == null) {
+                return false;
+            }
+            ptr += address[1];
+        }
+        return true;
+    }
+
+    async close() {
+        if (this.#memory != null) {
+            await this.#memory.close();
+            this.#memory = null;
+        }
+    }
+
+    #translate(position, length) {
+        if (this.#segments == null) {
+            return [this.#address + BigInt(position), length];
+        }
+        for (const segment of this.#segments) {
+            if (position >= segment.offset && position < segment.offset + segment.size) {
+                const available = Math.min(length, segment.offset + segment.size - position);
+                return [segment.address + BigInt(position - segment.offset), available];
+            }
+        }
+        return null;
+    }
+
+    #validate(address, size) {
+        const pageSize = 0x1000n;
+        const end = address + BigInt(size);
+        for (let page = address & ~(pageSize - 1n); page < end; page += pageSize) {
+            if (!this.#isValidPointer(page > address ? page : address)) {
+                throw new RangeError(`Address 0x${address.toString(16)} is not mapped`);
+            }
+        }
+    }
+}
+
+/**
+ * @param {string|fs.FileHandle|ArrayBuffer|ArrayBufferView|bigint|ByteSource} input A filename, an open file, the
+ * file contents, or the base address of an image mapped into the current process.
+ * @returns {Promise<ByteSource>} A source, which the caller must close.
+ */
+export async function openByteSource(input) {
+    if (input instanceof ByteSource) {
+        return input;
+    }
+    if (typeof input === 'string') {
+        return FileSource.open(input);
+    }
+    if (typeof input === 'bigint') {
+        return MemorySource.open(input);
+    }
+    if (input instanceof ArrayBuffer || ArrayBuffer.isView(input) || (typeof SharedArrayBuffer === 'function' && input instanceof SharedArrayBuffer)) {
+        return new BufferSource(input);
+    }
+    if (input != null && typeof input.read === 'function' && typeof input.stat === 'function') {
+        return new FileSource(input);
+    }
+    throw new TypeError('Expected a filename, a file handle, a buffer or a [bigint] address');
+}
@@ -0,0 +1,980 @@
+import { createRequire } from 'module';
+import os from 'os';
+import { MachineTypes } from './elf-relocations.js';
+
+const require = createRequire(import.meta.url);
+
+const properties = {
+    types: Symbol('types'),
+    type: Symbol('type'),
+    storage: Symbol('storage'),
+    offset: Symbol('offset'),
+    resolve: Symbol('resolve'),
+    prototype: Symbol('prototype')
+};
+
+/**
+ * The fixed-size scalar kinds: the DataView accessor, the suffix of the native memory accessors, and the value range.
+ * Integers of 64 bits are bigint values, as in {@link ffiCall}.
+ */
+const scalarKinds = {
+    int8: createIntegerKind('Int8', 1, true),
+    uint8: createIntegerKind('Uint8', 1, false),
+    int16: createIntegerKind('Int16', 2, true),
+    uint16: createIntegerKind('Uint16', 2, false),
+    int32: createIntegerKind('Int32', 4, true),
+    uint32: createIntegerKind('Uint32', 4, false),
+    int64: createIntegerKind('Int64', 8, true),
+    uint64: createIntegerKind('Uint64', 8, false),
+    float: createFloatKind('Float32', 'Float', 4),
+    double: createFloatKind('Float64', 'Double', 8)
+};
+
+/**
+ * Machines where plain `char` is unsigned.
+ */
+const unsignedCharMachines = new Set([MachineTypes.EM_ARM, MachineTypes.EM_AARCH64, MachineTypes.EM_RISCV]);
+
+/**
+ * The word size of the host, by the architectures Node.js runs on, which are 64-bit unless listed here.
+ */
+const hostWordSize = ['arm', 'ia32', 'mips', 'mipsel', 'ppc', 's390'].includes(process.arch) ? 4 : 8;
+
+const hostMachines = {
+    ia32: MachineTypes.EM_386,
+    arm: MachineTypes.EM_ARM,
+    x64: MachineTypes.EM_X86_64,
+    arm64: MachineTypes.EM_AARCH64,
+    riscv64: MachineTypes.EM_RISCV
+};
+
+/**
+ * A C type, with its layout computed for the data model of a {@link CTypes}.
+ */
+export class CType {
+    /**
+     * @param {CTypes} types
+     * @param {string|null} name
+     * @param {number} size
+     * @param {number} align The alignment as a member of a struct.
+     */
+    constructor(types, name, size, align) {
+        this[properties.types] = types;
+        this.name = name;
+        this.size = size;
+        this.align = align;
+    }
+
+    /**
+     * @type {CTypes}
+     */
+    get types() {
+        return this[properties.types];
+    }
+}
+
+export class ScalarType extends CType {
+    /**
+     * @param {CTypes} types
+     * @param {string} name
+     * @param {string} kind A key of the scalar kinds: int8 to uint64, float or double.
+     * @param {number} align
+     */
+    constructor(types, name, kind, align) {
+        super(types, name, scalarKinds[kind].size, align);
+        this.kind = kind;
+    }
+
+    /**
+     * @type {boolean}
+     */
+    get integer() {
+        return scalarKinds[this.kind].integer;
+    }
+
+    /**
+     * @type {boolean}
+     */
+    get signed() {
+        return scalarKinds[this.kind].signed;
+    }
+}
+
+/**
+ * A pointer of the data model word size. An untyped pointer (`void *`) is read as a bigint address, a typed one as a
+ * {@link TypedPointer}.
+ */
+export class PointerType extends CType {
+    #target;
+
+    /**
+     * @param {CTypes} types
+     * @param {CType|string|function(): CType|null} target The pointed type, its name, or a function returning it.
+     * Names and functions are resolved on first use, so a struct can point to itself or to a type defined later.
+     */
+    constructor(types, target) {
+        super(types, null, types.wordSize, types.wordSize);
+        this.#target = target;
+    }
+
+    /**
+     * @type {CType|null}
+     */
+    get target() {
+        if (typeof this.#target === 'function') {
+            this.#target = this.#target();
+        }
+        if (this.#target != null && !(this.#target instanceof CType)) {
+            this.#target = this.types.type(this.#target);
+        }
+        return this.#target;
+    }
+}
+
+export class ArrayType extends CType {
+    /**
+     * @param {CTypes} types
+     * @param {CType} element
+     * @param {number} length
+     */
+    constructor(types, element, length) {
+        super(types, null, element.size * length, element.align);
+        this.element = element;
+        this.length = length;
+    }
+}
+
+export class StructType extends CType {
+    /**
+     * @param {CTypes} types
+     * @param {string|null} name
+     * @param {boolean} union
+     * @param {Array<StructMember>} members
+     * @param {number} size
+     * @param {number} align
+     */
+    constructor(types, name, union, members, size, align) {
+        super(types, name, size, align);
+        this.union = union;
+        this.members = members;
+        this.memberMap = Object.create(null);
+        for (const member of members) {
+            if (member.name != null) {
+                this.memberMap[member.name] = member;
+            }
+        }
+    }
+}
+
+/**
+ * Declares C types and computes their layout for one data model: ILP32 or LP64, with the byte order, the `char`
+ * signedness and the alignment rules of the machine, as the System V ABI and GCC define them.
+ *
+ * Views read and write the values of a type either in the memory of the current process, through a bigint address,
+ * or in an ArrayBuffer, like the contents of a foreign ELF file.
+ */
+export class CTypes {
+    #named = new Map();
+
+    /**
+     * @param {object} [model] The data model. Missing properties are taken from the host, unless implied by the given
+     * ones. An {@link ElfInformation} can be passed as is.
+     * @param {boolean} [model.bit64]
+     * @param {number} [model.wordSize]
+     * @param {boolean} [model.littleEndian]
+     * @param {number} [model.machine] The e_machine value.
+     */
+    constructor(model = {}) {
+        this.wordSize = model.wordSize ?? (model.bit64 != null ? (model.bit64 ? 8 : 4) : hostWordSize);
+        if (this.wordSize !== 4 && this.wordSize !== 8) {
+            throw new RangeError(`Unsupported word size: ${this.wordSize}`);
+        }
+        this.bit64 = this.wordSize === 8;
+        this.littleEndian = model.littleEndian ?? os.endianness() === 'LE';
+        this.machine = model.machine ?? (this.wordSize === hostWordSize ? hostMachines[process.arch] ?? null : null);
+        this.host = this.wordSize === hostWordSize && this.littleEndian === (os.endianness() === 'LE');
+        this.#defineScalars();
+        Object.freeze(this);
+    }
+
+    /**
+     * @param {object} file An image parsed by {@link parseFile}.
+     * @returns {CTypes} The data model of the image.
+     */
+    static forFile(file) {
+        return new this({ ...file.info, machine: file.header.e.machine });
+    }
+
+    #defineScalars() {
+        // The i386 ABI aligns 8-byte scalars to 4 bytes within structs.
+        const align8 = this.machine === MachineTypes.EM_386 ? 4 : 8;
+        const word = this.wordSize === 8 ? '64' : '32';
+        const scalars = {
+            int8: 'int8',
+            uint8: 'uint8',
+            int16: 'int16',
+            uint16: 'uint16',
+            int32: 'int32',
+            uint32: 'uint32',
+            int64: 'int64',
+            uint64: 'uint64',
+            float: 'float',
+            double: 'double',
+            bool: 'uint8',
+            char: unsignedCharMachines.has(this.machine) ? 'uint8' : 'int8',
+            short: 'int16',
+            ushort: 'uint16',
+            int: 'int32',
+            uint: 'uint32',
+            long: `int${word}`,
+            ulong: `uint${word}`,
+            longlong: 'int64',
+            ulonglong: 'uint64',
+            size_t: `uint${word}`,
+            ssize_t: `int${word}`,
+            intptr: `int${word}`,
+            uintptr: `uint${word}`
+        };
+        for (const [name, kind] of Object.entries(scalars)) {
+            const { size } = scalarKinds[kind];
+            this.#named.set(name, new ScalarType(this, name, kind, size === 8 ? align8 : size));
+        }
+        this.#named.set('pointer', new PointerType(this, null));
+    }
+
+    /**
+     * @param {CType|string} type A type of this data model, or the name of a scalar or a named struct.
+     * @returns {CType}
+     */
+    type(type) {
+        if (type instanceof CType) {
+            if (type.types !== this) {
+                throw new TypeError('The type belongs to another data model');
+            }
+            return type;
+        }
+        if (typeof type === 'string') {
+            const value = this.#named.get(type);
+            if (value == null) {
+                throw new TypeError(`Unknown type: ${type}`);
+            }
+            return value;
+        }
+        throw new TypeError('Expected a [CType] or a type name');
+    }
+
+    /**
+     * Declares a struct. Members are laid out in order, each at the next offset aligned to its type, and the size is
+     * padded to the largest alignment. A bitfield takes the next bits of the current storage unit of its type, or
+     * starts the next unit if it does not fit; a zero-width bitfield closes the current unit.
+     *
+     * @param {string} [name] Registers the struct, so pointers can refer to it by name.
+     * @param {Array<[string|null, CType|string, number?]>} members The name (null for padding bitfields), the type and
+     * the bitfield width of each member.
+     * @param {object} [options]
+     * @param {boolean} [options.packed] As `__attribute__((packed))`: no padding, and bitfields cross storage units.
+     * @param {number} [options.align] As `__attribute__((aligned(n)))`: the minimal alignment of the struct.
+     * @returns {StructType}
+     */
+    struct(name, members, options) {
+        return this.#defineStruct(false, name, members, options);
+    }
+
+    /**
+     * Declares a union: all members start at offset 0, and the size is the largest one, padded to the alignment.
+     *
+     * @param {string} [name]
+     * @param {Array<[string|null, CType|string, number?]>} members
+     * @param {object} [options]
+     * @param {number} [options.align]
+     * @returns {StructType}
+     */
+    union(name, members, options) {
+        return this.#defineStruct(true, name, members, options);
+    }
+
+    /**
+     * @param {CType|string} element
+     * @param {number} length
+     * @returns {ArrayType}
+     */
+    array(element, length) {
+        element = this.type(element);
+        if (!Number.isSafeInteger(length) || length < 0) {
+            throw new RangeError(`Invalid array length: ${length}`);
+        }
+        return new ArrayType(this, element, length);
+    }
+
+    /**
+     * @param {CType|string|function(): CType} [target] The pointed type, resolved on first dereference when given by
+     * name or by function. Without a target, the pointer is untyped.
+     * @returns {PointerType}
+     */
+    pointer(target = null) {
+        if (target instanceof CType) {
+            this.type(target);
+        }
+        return new PointerType(this, target);
+    }
+
+    /**
+     * @param {CType|string} type
+     * @returns {number}
+     */
+    sizeof(type) {
+        return this.type(type).size;
+    }
+
+    /**
+     * @param {CType|string} type
+     * @returns {number}
+     */
+    alignof(type) {
+        return this.type(type).align;
+    }
+
+    /**
+     * @param {CType|string} type
+     * @param {string} path A member designator, as for the C offsetof(): `header.entries[2].name`.
+     * @returns {number}
+     */
+    offsetof(type, path) {
+        return resolvePath(this.type(type), path).offset;
+    }
+
+    /**
+     * Creates an accessor over a struct, union or array: each member is a property, which reads or writes the backing
+     * storage on every access. Nested structs and arrays are views themselves.
+     *
+     * @param {CType|string} type
+     * @param {bigint|ArrayBuffer|ArrayBufferView} target The address of the value in the current process, or a buffer.
+     * @param {number} [offset] The byte offset of the value within the target.
+     * @param {object} [options]
+     * @param {function(bigint): [bigint|ArrayBuffer|ArrayBufferView, number]} [options.resolve] Translates the address
+     * of a typed pointer to the target and offset to dereference. Without it, addresses are dereferenced in the
+     * current process.
+     * @returns {StructView|ArrayView}
+     */
+    view(type, target, offset = 0, options = {}) {
+        type = this.type(type);
+        if (!(type instanceof StructType) && !(type instanceof ArrayType)) {
+            throw new TypeError('Expected a struct, union or array type');
+        }
+        return createView(type, this.#openStorage(type, target, offset), offset, options.resolve ?? null);
+    }
+
+    /**
+     * Reads a value: a number or a bigint for scalars, a bigint or a {@link TypedPointer} for pointers, and a plain
+     * object or array copy for structs, unions and arrays.
+     *
+     * @param {CType|string} type
+     * @param {bigint|ArrayBuffer|ArrayBufferView} target
+     * @param {number} [offset]
+     * @param {object} [options] As for {@link CTypes#view}.
+     * @returns {*}
+     */
+    read(type, target, offset = 0, options = {}) {
+        type = this.type(type);
+        return readValue(type, this.#openStorage(type, target, offset), offset, options.resolve ?? null, true);
+    }
+
+    /**
+     * Writes a value. A struct or union is written from an object, member by member, and an array from an iterable of
+     * at most its length. A pointer takes a bigint address, null, a {@link TypedPointer} or a view in memory.
+     *
+     * @param {CType|string} type
+     * @param {bigint|ArrayBuffer|ArrayBufferView} target
+     * @param {*} value
+     * @param {number} [offset]
+     */
+    write(type, target, value, offset = 0) {
+        type = this.type(type);
+        writeValue(type, this.#openStorage(type, target, offset), offset, value);
+    }
+
+    /**
+     * @param {StructView|ArrayView} view
+     * @returns {bigint|null} The address of the viewed value, if it is in the memory of the current process.
+     */
+    addressOf(view) {
+        const storage = view?.[properties.storage];
+        if (storage == null) {
+            throw new TypeError('Expected a [StructView] or an [ArrayView]');
+        }
+        return storage instanceof MemoryStorage ? storage.address + BigInt(view[properties.offset]) : null;
+    }
+
+    #defineStruct(union, name, members, options = {}) {
+        if (typeof name !== 'string' && name != null) {
+            [name, members, options = {}] = [null, name, members ?? {}];
+        }
+        if (name != null && this.#named.has(name)) {
+            throw new TypeError(`Type ${name} is already defined`);
+        }
+        if (!Array.isArray(members)) {
+            throw new TypeError('Expected an array of members');
+        }
+        const packed = Boolean(options.packed);
+        const layout = [];
+        const names = new Set();
+        let bitOffset = 0;
+        let size = 0;
+        let align = 1;
+        for (const [memberName, memberType, bits] of members) {
+            const type = this.type(memberType);
+            if (memberName != null) {
+                if (names.has(memberName)) {
+                    throw new TypeError(`Duplicate member: ${memberName}`);
+                }
+                names.add(memberName);
+            }
+            if (union) {
+                bitOffset = 0;
+            }
+            const member = Object.create(null);
+            member.name = memberName ?? null;
+            member.type = type;
+            member.bits = null;
+            member.bitOffset = null;
+            if (bits == null) {
+                if (memberName == null) {
+                    throw new TypeError('Only bitfields can be unnamed');
+                }
+                const memberAlign = packed ? 1 : type.align;
+                member.offset = alignUp(Math.ceil(bitOffset / 8), memberAlign);
+                bitOffset = (member.offset + type.size) * 8;
+                align = Math.max(align, memberAlign);
+            } else {
+                if (!(type instanceof ScalarType) || !type.integer) {
+                    throw new TypeError(`Bitfield ${memberName ?? '(unnamed)'} must have an integer type`);
+                }
+                if (!Number.isInteger(bits) || bits < 0 || bits > type.size * 8 || (bits === 0 && memberName != null)) {
+                    throw new RangeError(`Invalid width for bitfield ${memberName ?? '(unnamed)'}: ${bits}`);
+                }
+                const unit = type.align * 8;
+                if (bits === 0) {
+                    bitOffset = alignUp(bitOffset, unit);
+                    continue;
+                }
+                if (!packed && Math.floor(bitOffset / unit) !== Math.floor((bitOffset + bits - 1) / unit)) {
+                    bitOffset = alignUp(bitOffset, unit);
+                }
+                member.offset = Math.floor(bitOffset / 8);
+                member.bits = bits;
+                member.bitOffset = bitOffset;
+                bitOffset += bits;
+                if (!packed && memberName != null) {
+                    align = Math.max(align, type.align);
+                }
+            }
+            size = Math.max(size, Math.ceil(bitOffset / 8));
+            if (memberName != null) {
+                layout.push(member);
+            }
+        }
+        if (options.align != null) {
+            if (!Number.isInteger(options.align) || options.align <= 0 || (options.align & (options.align - 1)) !== 0) {
+                throw new RangeError(`Invalid alignment: ${options.align}`);
+            }
+            align = Math.max(align, options.align);
+        }
+        const type = new StructType(this, name ?? null, union, layout, alignUp(size, align), align);
+        if (name != null) {
+            this.#named.set(name, type);
+        }
+        return type;
+    }
+
+    #openStorage(type, target, offset) {
+        if (!Number.isSafeInteger(offset) || offset < 0) {
+            throw new RangeError(`Invalid offset: ${offset}`);
+        }
+        if (typeof target === 'bigint') {
+            if (!this.host) {
+                throw new RangeError('Only types of the host data model can be accessed in memory');
+            }
+            return new MemoryStorage(target);
+        }
+        const storage = new BufferStorage(target, this.littleEndian);
+        if (offset + type.size > storage.view.byteLength) {
+            throw new RangeError(`The buffer of ${storage.view.byteLength} bytes cannot hold ${type.size} bytes at offset ${offset}`);
+        }
+        return storage;
+    }
+}
+
+/**
+ * The address held by a typed pointer member. The pointed value is only read when dereferenced.
+ */
+export class TypedPointer {
+    #type;
+    #address;
+    #resolve;
+
+    /**
+     * @param {PointerType} type
+     * @param {bigint} address
+     * @param {function(bigint): [bigint|ArrayBuffer|ArrayBufferView, number]|null} [resolve]
+     */
+    constructor(type, address, resolve = null) {
+        this.#type = type;
+        this.#address = address;
+        this.#resolve = resolve;
+    }
+
+    /**
+     * @type {bigint}
+     */
+    get address() {
+        return this.#address;
+    }
+
+    /**
+     * @type {PointerType}
+     */
+    get type() {
+        return this.#type;
+    }
+
+    /**
+     * @type {boolean}
+     */
+    get isNull() {
+        return this.#address === 0n;
+    }
+
+    /**
+     * Reads the pointed value, or the one `index` elements after it: a view for structs, unions and arrays, a value
+     * otherwise.
+     *
+     * @param {number} [index]
+     * @returns {*}
+     */
+    deref(index = 0) {
+        if (this.#address === 0n) {
+            throw new RangeError('Null pointer dereference');
+        }
+        const target = this.#type.target;
+        if (target == null) {
+            throw new TypeError('Cannot dereference an untyped pointer');
+        }
+        if (target.size === 0) {
+            throw new TypeError(`Cannot dereference a pointer to the empty type ${target.name ?? ''}`.trimEnd());
+        }
+        const address = this.#address + BigInt(index * target.size);
+        const [data, offset] = this.#resolve != null ? this.#resolve(address) : [address, 0];
+        const options = { resolve: this.#resolve ?? undefined };
+        if (target instanceof StructType || target instanceof ArrayType) {
+            return target.types.view(target, data, offset, options);
+        }
+        return target.types.read(target, data, offset, options);
+    }
+}
+
+/**
+ * Accessor over a struct or union. Members are properties of the prototype shared by all views of the type.
+ */
+export class StructView {
+    /**
+     * @type {string}
+     */
+    get [Symbol.toStringTag]() {
+        return this[properties.type].name == null ? 'StructView' : `StructView ${this[properties.type].name}`;
+    }
+}
+
+/**
+ * Accessor over an array.
+ */
+export class ArrayView {
+    /**
+     * @type {number}
+     */
+    get length() {
+        return this[properties.type].length;
+    }
+
+    /**
+     * @param {number} index
+     * @returns {*} The element value, or a view for elements that are structs, unions or arrays.
+     */
+    at(index) {
+        return getMember(this, this[properties.type].element, getElementOffset(this, index), null, null);
+    }
+
+    /**
+     * @param {number} index
+     * @param {*} value
+     */
+    set(index, value) {
+        setMember(this, this[properties.type].element, getElementOffset(this, index), null, null, value);
+    }
+
+    /**
+     * @returns {Array<*>} A copy of the elements.
+     */
+    toArray() {
+        return readValue(this[properties.type], this[properties.storage], this[properties.offset], this[properties.resolve], true);
+    }
+
+    *[Symbol.iterator]() {
+        for (let i = 0; i < this.length; ++i) {
+            yield this.at(i);
+        }
+    }
+}
+
+function getElementOffset(view, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= view.length) {
+        throw new RangeError(`Index ${index} out of range for an array of ${view.length} elements`);
+    }
+    return view[properties.offset] + index * view[properties.type].element.size;
+}
+
+class BufferStorage {
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} data
+     * @param {boolean} littleEndian
+     */
+    constructor(data, littleEndian) {
+        if (data instanceof ArrayBuffer || (typeof SharedArrayBuffer === 'function' && data instanceof SharedArrayBuffer)) {
+            this.view = new DataView(data);
+        } else if (ArrayBuffer.isView(data)) {
+            this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        } else {
+            throw new TypeError('Expected a [bigint] address, an ArrayBuffer or an ArrayBufferView');
+        }
+        this.littleEndian = littleEndian;
+    }
+
+    read(kind, offset) {
+        return this.view[`get${kind.view}`](offset, this.littleEndian);
+    }
+
+    write(kind, offset, value) {
+        this.view[`set${kind.view}`](offset, value, this.littleEndian);
+    }
+}
+
+class MemoryStorage {
+    /**
+     * @param {bigint} address
+     */
+    constructor(address) {
+        this.address = address;
+    }
+
+    read(kind, offset) {
+        return getNative()[`read${kind.memory}`](this.address + BigInt(offset));
+    }
+
+    write(kind, offset, value) {
+        getNative()[`write${kind.memory}`](this.address + BigInt(offset), value);
+    }
+}
+
+/**
+ * The addon is loaded on the first access to the memory of the current process, layouts and buffers work without it.
+ */
+function getNative() {
+    return require('../build/Release/pointer.node');
+}
+
+function createIntegerKind(name, size, signed) {
+    const kind = Object.create(null);
+    kind.size = size;
+    kind.integer = true;
+    kind.signed = signed;
+    kind.bigint = size === 8;
+    kind.view = kind.bigint ? `Big${name}` : name;
+    kind.memory = name;
+    const bits = BigInt(size * 8);
+    kind.min = signed ? -(1n << (bits - 1n)) : 0n;
+    kind.max = (signed ? 1n << (bits - 1n) : 1n << bits) - 1n;
+    return kind;
+}
+
+function createFloatKind(view, name, size) {
+    const kind = Object.create(null);
+    kind.size = size;
+    kind.integer = false;
+    kind.signed = true;
+    kind.bigint = false;
+    kind.view = view;
+    kind.memory = name;
+    return kind;
+}
+
+function createView(type, storage, offset, resolve) {
+    let view;
+    if (type instanceof ArrayType) {
+        view = Object.create(ArrayView.prototype);
+    } else {
+        view = Object.create(getStructPrototype(type));
+    }
+    Object.defineProperties(view, {
+        [properties.type]: { value: type },
+        [properties.storage]: { value: storage },
+        [properties.offset]: { value: offset },
+        [properties.resolve]: { value: resolve }
+    });
+    return view;
+}
+
+/**
+ * @param {StructType} type
+ * @returns {object} The prototype of the views of the type, with an accessor property per member.
+ */
+function getStructPrototype(type) {
+    if (Object.hasOwn(type, properties.prototype)) {
+        return type[properties.prototype];
+    }
+    const prototype = Object.create(StructView.prototype);
+    for (const member of type.members) {
+        Object.defineProperty(prototype, member.name, {
+            enumerable: true,
+            get() {
+                return getMember(this, member.type, this[properties.offset] + member.offset, member.bitOffset, member.bits);
+            },
+            set(value) {
+                setMember(this, member.type, this[properties.offset] + member.offset, member.bitOffset, member.bits, value);
+            }
+        });
+    }
+    Object.defineProperty(type, properties.prototype, { value: prototype });
+    return prototype;
+}
+
+function getMember(view, type, offset, bitOffset, bits) {
+    const storage = view[properties.storage];
+    if (bits != null) {
+        return readBitfield(type, storage, view[properties.offset] * 8 + bitOffset, bits);
+    }
+    if (type instanceof StructType || type instanceof ArrayType) {
+        return createView(type, storage, offset, view[properties.resolve]);
+    }
+    return readValue(type, storage, offset, view[properties.resolve], false);
+}
+
+function setMember(view, type, offset, bitOffset, bits, value) {
+    const storage = view[properties.storage];
+    if (bits != null) {
+        writeBitfield(type, storage, view[properties.offset] * 8 + bitOffset, bits, value);
+    } else {
+        writeValue(type, storage, offset, value);
+    }
+}
+
+/**
+ * @param {boolean} copy Read structs, unions and arrays as plain copies, instead of views.
+ */
+function readValue(type, storage, offset, resolve, copy) {
+    if (type instanceof ScalarType) {
+        return storage.read(scalarKinds[type.kind], offset);
+    }
+    if (type instanceof PointerType) {
+        const address = readAddress(type, storage, offset);
+        return type.target == null ? address : new TypedPointer(type, address, resolve);
+    }
+    if (!copy) {
+        return createView(type, storage, offset, resolve);
+    }
+    if (type instanceof ArrayType) {
+        const result = [];
+        for (let i = 0; i < type.length; ++i) {
+            result.push(readValue(type.element, storage, offset + i * type.element.size, resolve, true));
+        }
+        return result;
+    }
+    const result = Object.create(null);
+    for (const member of type.members) {
+        result[member.name] = member.bits != null
+            ? readBitfield(member.type, storage, offset * 8 + member.bitOffset, member.bits)
+            : readValue(member.type, storage, offset + member.offset, resolve, true);
+    }
+    return result;
+}
+
+function writeValue(type, storage, offset, value) {
+    if (type instanceof ScalarType) {
+        storage.write(scalarKinds[type.kind], offset, checkScalar(type, value));
+    } else if (type instanceof PointerType) {
+        const address = checkAddress(type, value);
+        if (type.size === 8) {
+            storage.write(scalarKinds.uint64, offset, address);
+        } else {
+            storage.write(scalarKinds.uint32, offset, Number(address));
+        }
+    } else if (type instanceof ArrayType) {
+        if (value == null || typeof value[Symbol.iterator] !== 'function') {
+            throw new TypeError('Expected an iterable array value');
+        }
+        let index = 0;
+        for (const element of value) {
+            if (index >= type.length) {
+                throw new RangeError(`Too many elements for an array of ${type.length}`);
+            }
+            writeValue(type.element, storage, offset + index * type.element.size, element);
+            ++index;
+        }
+    } else {
+        if (value == null || typeof value !== 'object') {
+            throw new TypeError(`Expected an object value for ${type.union ? 'union' : 'struct'} ${type.name ?? ''}`.trimEnd());
+        }
+        for (const name of Object.keys(value)) {
+            if (!Object.hasOwn(type.memberMap, name)) {
+                throw new TypeError(`Unknown member: ${name}`);
+            }
+            const member = type.memberMap[name];
+            if (member.bits != null) {
+                writeBitfield(member.type, storage, offset * 8 + member.bitOffset, member.bits, value[name]);
+            } else {
+                writeValue(member.type, storage, offset + member.offset, value[name]);
+            }
+        }
+    }
+}
+
+function readAddress(type, storage, offset) {
+    return type.size === 8 ? storage.read(scalarKinds.uint64, offset) : BigInt(storage.read(scalarKinds.uint32, offset));
+}
+
+function checkScalar(type, value) {
+    const kind = scalarKinds[type.kind];
+    if (!kind.integer) {
+        if (typeof value !== 'number') {
+            throw new TypeError(`Expected [number] value for ${type.name}`);
+        }
+        return value;
+    }
+    if (kind.bigint ? typeof value !== 'bigint' : !Number.isInteger(value)) {
+        throw new TypeError(`Expected [${kind.bigint ? 'bigint' : 'integer'}] value for ${type.name}`);
+    }
+    if (BigInt(value) < kind.min || BigInt(value) > kind.max) {
+        throw new RangeError(`Value ${value} is out of range for ${type.name}`);
+    }
+    return value;
+}
+
+function checkAddress(type, value) {
+    let address;
+    if (value == null) {
+        address = 0n;
+    } else if (typeof value === 'bigint') {
+        address = value;
+    } else if (value instanceof TypedPointer) {
+        address = value.address;
+    } else if (value instanceof StructView || value instanceof ArrayView) {
+        address = type.types.addressOf(value);
+        if (address == null) {
+            throw new TypeError('The view is not in the memory of the current process');
+        }
+    } else {
+        throw new TypeError('Expected a [bigint] address, null, a [TypedPointer] or a view');
+    }
+    const bits = BigInt(type.size * 8);
+    if (address < -(1n << (bits - 1n)) || address >= 1n << bits) {
+        throw new RangeError(`Pointer value ${address} overflows ${type.size * 8} bits`);
+    }
+    return BigInt.asUintN(Number(bits), address);
+}
+
+/**
+ * Bitfields are allocated from the least significant bit of the first byte in little endian, and from the most
+ * significant bit in big endian, so the bytes covering the field are read as one integer in the storage byte order.
+ */
+function getBitfieldBytes(storage, bitOffset, bits) {
+    const start = Math.floor(bitOffset / 8);
+    const count = Math.ceil((bitOffset + bits) / 8) - start;
+    const littleEndian = storage.littleEndian ?? os.endianness() === 'LE';
+    const shift = BigInt(littleEndian ? bitOffset % 8 : count * 8 - bitOffset % 8 - bits);
+    return { start, count, littleEndian, shift };
+}
+
+function readBitfield(type, storage, bitOffset, bits) {
+    const { start, count, littleEndian, shift } = getBitfieldBytes(storage, bitOffset, bits);
+    let value = 0n;
+    for (let i = 0; i < count; ++i) {
+        const byte = BigInt(storage.read(scalarKinds.uint8, start + i));
+        value = littleEndian ? value | byte << BigInt(i * 8) : value << 8n | byte;
+    }
+    value = (value >> shift) & ((1n << BigInt(bits)) - 1n);
+    if (type.signed) {
+        value = BigInt.asIntN(bits, value);
+    }
+    return scalarKinds[type.kind].bigint ? value : Number(value);
+}
+
+function writeBitfield(type, storage, bitOffset, bits, value) {
+    const kind = scalarKinds[type.kind];
+    if (kind.bigint ? typeof value !== 'bigint' : !Number.isInteger(value)) {
+        throw new TypeError(`Expected [${kind.bigint ? 'bigint' : 'integer'}] value for a bitfield of ${type.name}`);
+    }
+    const width = BigInt(bits);
+    const min = type.signed ? -(1n << (width - 1n)) : 0n;
+    const max = (type.signed ? 1n << (width - 1n) : 1n << width) - 1n;
+    if (BigInt(value) < min || BigInt(value) > max) {
+        throw new RangeError(`Value ${value} does not fit in ${bits} bits`);
+    }
+    const { start, count, littleEndian, shift } = getBitfieldBytes(storage, bitOffset, bits);
+    let word = 0n;
+    for (let i = 0; i < count; ++i) {
+        const byte = BigInt(storage.read(scalarKinds.uint8, start + i));
+        word = littleEndian ? word | byte << BigInt(i * 8) : word << 8n | byte;
+    }
+    const mask = ((1n << width) - 1n) << shift;
+    word = (word & ~mask) | ((BigInt.asUintN(bits, BigInt(value)) << shift) & mask);
+    for (let i = 0; i < count; ++i) {
+        const byte = littleEndian ? word >> BigInt(i * 8) : word >> BigInt((count - 1 - i) * 8);
+        storage.write(scalarKinds.uint8, start + i, Number(byte & 0xFFn));
+    }
+}
+
+/**
+ * @returns {{offset: number, type: CType}}
+ */
+function resolvePath(type, path) {
+    if (typeof path !== 'string') {
+        throw new TypeError('Expected [string] member path');
+    }
+    const pattern = /\.?([A-Za-z_$][\w$]*)|\[(\d+)\]/gy;
+    let offset = 0;
+    let position = 0;
+    for (let match; position < path.length && (match = pattern.exec(path)) != null; position = pattern.lastIndex) {
+        if (match[1] != null) {
+            if (!(type instanceof StructType) || !Object.hasOwn(type.memberMap, match[1])) {
+                throw new TypeError(`No member ${match[1]} in ${path}`);
+            }
+            const member = type.memberMap[match[1]];
+            if (member.bits != null) {
+                throw new TypeError(`Bitfield ${match[1]} has no byte offset`);
+            }
+            offset += member.offset;
+            type = member.type;
+        } else {
+            if (!(type instanceof ArrayType)) {
+                throw new TypeError(`Not an array before [${match[2]}] in ${path}`);
+            }
+            offset += Number(match[2]) * type.element.size;
+            type = type.element;
+        }
+    }
+    if (position !== path.length || path.length === 0) {
+        throw new TypeError(`Invalid member path: ${path}`);
+    }
+    return { offset, type };
+}
+
+function alignUp(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
+}
+
+/**
+ * @typedef StructMember
+ * @property {string} name
+ * @property {CType} type
+ * @property {number} offset The byte offset, or for bitfields, the offset of the byte with the first bit.
+ * @property {number|null} bits The bitfield width.
+ * @property {number|null} bitOffset The bitfield offset, in bits, from the start of the struct.
+ */
@@ -0,0 +1,217 @@
+import { findLine, parseDebugLine } from './dwarf.js';
+import { getLoadedModules, moduleContains, parseLoadedModule } from './modules.js';
+import { openByteSource } from './source.js';
+
+/**
+ * Sorted symbol and section indexes of the parsed modules, keyed by module name and load bias, so a module loaded again
+ * at another address is parsed again.
+ * @type {Map<string, Promise<ModuleIndex>>}
+ */
+const moduleIndexes = new Map();
+
+/**
+ * Resolves runtime addresses of the current process to the containing module, the nearest preceding symbol and the
+ * containing section, like dladdr(), but through the full .symtab of each module.
+ *
+ * Modules are parsed on first use and their indexes are kept, until the module is unloaded.
+ *
+ * @param {bigint|Array<bigint>} address A single address, or an array of addresses to resolve in one pass.
+ * @param {object} [options]
+ * @param {boolean} [options.returnAddresses] The addresses are return addresses (as collected from a stack), the call
+ * instruction before each one is resolved instead.
+ * @param {boolean} [options.lines] Resolve the source line through the DWARF line tables of the modules, when present.
+ * The line stays null for the addresses of a module whose line table fails to parse.
+ * @returns {Promise<SymbolizedAddress|Array<SymbolizedAddress>>}
+ */
+export async function symbolize(address, options = {}) {
+    const batch = Array.isArray(address);
+    const addresses = batch ? address : [address];
+    for (const value of addresses) {
+        if (typeof value !== 'bigint') {
+            throw new TypeError('Expected [bigint] address');
+        }
+    }
+    const modules = getLoadedModules();
+    const keys = new Set(modules.map(getModuleKey));
+    for (const key of moduleIndexes.keys()) {
+        if (!keys.has(key)) {
+            moduleIndexes.delete(key);
+        }
+    }
+    const results = [];
+    // A line table that fails to parse is not cached, but is tried only once per call.
+    const debugLines = new Map();
+    for (const value of addresses) {
+        const lookup = options.returnAddresses && value > 0n ? value - 1n : value;
+        const module = modules.find(m => moduleContains(m, lookup)) ?? null;
+        const index = module == null ? null : await getModuleIndex(module);
+        const result = resolveAddress(value, lookup, module, index);
+        if (options.lines && index != null) {
+            if (!debugLines.has(index)) {
+                debugLines.set(index, getDebugLine(module, index).catch(() => null));
+            }
+            const debugLine = await debugLines.get(index);
+            const range = debugLine == null ? null : findLine(debugLine, lookup - module.address);
+            if (range != null) {
+                result.line = Object.create(null);
+                result.line.file = range.file;
+                result.line.line = range.line;
+                result.line.column = range.column;
+            }
+        }
+        results.push(result);
+    }
+    return batch ? results : results[0];
+}
+
+/**
+ * Drops the cached module indexes.
+ */
+export function clearSymbolizeCache() {
+    moduleIndexes.clear();
+}
+
+function getModuleKey(module) {
+    return `${module.name}\0${module.address}`;
+}
+
+function getModuleIndex(module) {
+    const key = getModuleKey(module);
+    if (!moduleIndexes.has(key)) {
+        const promise = parseLoadedModule(module).then(createModuleIndex);
+        moduleIndexes.set(key, promise);
+        promise.catch(() => moduleIndexes.delete(key));
+    }
+    return moduleIndexes.get(key);
+}
+
+/**
+ * The line tables are only decoded when asked for, as they are often larger than the symbol tables. A failure is not
+ * kept, the next call reads the table again.
+ */
+function getDebugLine(module, index) {
+    if (index.debugLine == null) {
+        const promise = index.debugLine = loadDebugLine(module.path, index.file);
+        promise.catch(() => {
+            if (index.debugLine === promise) {
+                index.debugLine = null;
+            }
+        });
+    }
+    return index.debugLine;
+}
+
+async function loadDebugLine(path, file) {
+    // Images parsed from memory have no section headers, so no debug sections.
+    if (file == null || file.header.sh.length === 0) {
+        return null;
+    }
+    const handle = await openByteSource(path);
+    try {
+        return await parseDebugLine(handle, file.info, file.sections);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * @param {object|null} file
+ * @returns {ModuleIndex}
+ */
+function createModuleIndex(file) {
+    const index = Object.create(null);
+    index.file = file;
+    // Only symbols with an address in the image: no SHN_UNDEF, SHN_ABS or SHN_COMMON, no section, file or TLS symbols.
+    const symbols = (file?.symbols.list ?? []).filter(s => {
+        const type = s.info & 0xF;
+        return s.shndx !== 0 && s.shndx < 0xFF00 && s._name != null && type !== 3 && type !== 4 && type !== 6;
+    });
+    symbols.sort((a, b) => a.value < b.value ? -1 : a.value > b.value ? 1 : symbolRank(b) - symbolRank(a));
+    // The same address is often named by .symtab and .dynsym, or by aliases. The best ranked name is kept.
+    index.symbols = symbols.filter((s, i) => i === 0 || s.value !== symbols[i - 1].value);
+    index.values = new BigUint64Array(index.symbols.map(s => s.value));
+    index.sections = (file?.header.sh ?? []).filter(h => (h.flags & 0x2n) !== 0n && h.size > 0).sort((a, b) => a.addr < b.addr ? -1 : a.addr > b.addr ? 1 : 0);
+    index.sectionAddresses = new BigUint64Array(index.sections.map(h => h.addr));
+    index.debugLine = null;
+    return index;
+}
+
+/**
+ * Sized symbols over unsized, global over weak over local, functions and objects over untyped.
+ */
+function symbolRank(symbol) {
+    const bind = symbol.info >> 4;
+    const type = symbol.info & 0xF;
+    return (symbol.size > 0n ? 8 : 0) + (bind === 1 ? 4 : bind === 2 ? 2 : 0) + (type === 1 || type === 2 ? 1 : 0);
+}
+
+/**
+ * @returns {number} The index of the last element not greater than the value, or -1.
+ */
+function findPreceding(values, value) {
+    let low = 0, high = values.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (values[middle] <= value) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low - 1;
+}
+
+function resolveAddress(address, lookup, module, index) {
+    const result = Object.create(null);
+    result.address = address;
+    result.module = module;
+    result.symbol = null;
+    result.name = null;
+    result.demangled = null;
+    result.offset = null;
+    result.contained = null;
+    result.section = null;
+    result.line = null;
+    if (module == null || index == null) {
+        return result;
+    }
+    const virtualAddress = lookup - module.address;
+    const position = findPreceding(index.values, virtualAddress);
+    if (position >= 0) {
+        const symbol = index.symbols[position];
+        result.symbol = symbol;
+        result.name = symbol._name;
+        result.demangled = symbol.demangled;
+        result.offset = lookup - (module.address + symbol.value);
+        // Unsized symbols (often hand-written assembly) can only be the nearest preceding one.
+        result.contained = symbol.size > 0n ? virtualAddress < symbol.value + symbol.size : null;
+    }
+    const section = index.sections[findPreceding(index.sectionAddresses, virtualAddress)];
+    if (section != null && virtualAddress < section.addr + BigInt(section.size)) {
+        result.section = section._name;
+    }
+    return result;
+}
+
+/**
+ * @typedef ModuleIndex
+ * @property {object|null} file
+ * @property {Array<object>} symbols Sorted by value, one per address.
+ * @property {BigUint64Array} values
+ * @property {Array<ElfSectionHeader>} sections SHF_ALLOC sections, sorted by address.
+ * @property {BigUint64Array} sectionAddresses
+ * @property {Promise<DwarfDebugLine|null>|null} debugLine
+ */
+
+/**
+ * @typedef SymbolizedAddress
+ * @property {bigint} address
+ * @property {LoadedModule|null} module
+ * @property {object|null} symbol The nearest symbol at or before the address.
+ * @property {string|null} name
+ * @property {string|null} demangled The demangled C++ name, null for names that are not mangled.
+ * @property {bigint|null} offset The distance from the symbol to the address.
+ * @property {boolean|null} contained Whether the address is within the symbol size, null for unsized symbols.
+ * @property {string|null} section
+ * @property {{file: string|null, line: number, column: number}|null} line Only with the `lines` option.
+ */